@@ -2,6 +2,7 @@ require('dotenv').config();
 const StockDataService = require('./services/stockDataService');
 const AIAnalysisService = require('./services/aiAnalysisService');
 const { MessageService } = require('./services/messageService');
+const BudgetAlerts = require('./services/budgetAlerts');
 const { RetryManager, TimeoutManager } = require('./services/retryManager');
 const logger = require('./services/logger');
 
@@ -9,13 +10,17 @@ class StockAnalysisApp {
     constructor() {
         // Load configuration from environment
         this.config = {
-            // OpenAI Configuration
-            openaiApiKey: process.env.OPENAI_API_KEY,
-            openaiModel: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-            
-            // Gemini Configuration
-            geminiApiKey: process.env.GEMINI_API_KEY,
-            geminiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+            // AI Provider Configuration (API key/โมเดลอ่านจาก env ตาม config/ai-providers.json เช่น OPENAI_API_KEY, GEMINI_MODEL)
+            aiProviders: (process.env.AI_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean), // ว่าง = ตาม order ในไฟล์
+            aiProvidersFile: process.env.AI_PROVIDERS_FILE, // ค่าเริ่มต้น config/ai-providers.json
+            aiHealthFile: process.env.AI_HEALTH_FILE, // ค่าเริ่มต้น data/ai-provider-health.json
+            aiFailureThreshold: parseInt(process.env.AI_FAILURE_THRESHOLD) || 3, // ล้มเหลวติดกันกี่ครั้งจึงพัก
+            aiCooldownMinutes: parseInt(process.env.AI_COOLDOWN_MINUTES) || 30,
+            aiTokenBudget: parseInt(process.env.AI_TOKEN_BUDGET) || 20000, // งบ token ต่อการรันเมื่อวิเคราะห์แบบ map-reduce
+            aiCitationMode: process.env.AI_CITATION_MODE || 'flag', // flag = เตือน, strip = ตัด URL ที่ไม่พบในผลค้นหา
+            aiPromptTemplate: process.env.AI_PROMPT_TEMPLATE || 'comprehensive', // ชื่อไฟล์ใน prompts/ (basic, enhanced, comprehensive, detailed)
+            promptsDir: process.env.PROMPTS_DIR, // ค่าเริ่มต้น prompts/
+            aiRunLogFile: process.env.AI_RUN_LOG_FILE, // ค่าเริ่มต้น data/ai-analysis-runs.jsonl
             
             // Web Search Configuration
             googleSearchApiKey: process.env.GOOGLE_SEARCH_API_KEY,
@@ -32,9 +37,48 @@ class StockAnalysisApp {
             
             // Stock Data Configuration
             stockDataUrl: process.env.STOCK_DATA_URL,
+            stockDataFormat: process.env.STOCK_DATA_FORMAT, // csv | json | yaml | text (ไม่ระบุ = ดูจาก content-type/นามสกุล)
+            
+            // Transaction Ledger Configuration
+            transactionsSource: process.env.TRANSACTIONS_URL || process.env.TRANSACTIONS_FILE,
+            transactionsFormat: process.env.TRANSACTIONS_FORMAT, // csv | json | yaml
+            costBasisMethod: process.env.COST_BASIS_METHOD || 'fifo', // fifo | average
+            
+            // Price Provider Configuration
+            priceProvider: process.env.PRICE_PROVIDER || 'live', // live | fixture
+            priceFixtureFile: process.env.PRICE_FIXTURE_FILE,
+            goldPriceUrl: process.env.THAI_GOLD_PRICE_URL,
+            baseCurrency: process.env.BASE_CURRENCY || 'THB', // THB | USD
+            
+            // Benchmark Configuration
+            benchmarkSymbols: (process.env.BENCHMARK_SYMBOLS || 'VOO,^SET.BK').split(',').map(symbol => symbol.trim()).filter(Boolean),
+            
+            // Registry Configuration
+            symbolProfilesFile: process.env.SYMBOL_PROFILES_FILE, // ค่าเริ่มต้น config/symbol-profiles.json
+            tradingAppsFile: process.env.TRADING_APPS_FILE, // ค่าเริ่มต้น config/trading-apps.json
+            
+            // Stress Test Configuration
+            scenariosFile: process.env.SCENARIOS_FILE, // ค่าเริ่มต้น config/scenarios.json
+            
+            // Target Allocation Configuration
+            targetAllocationFile: process.env.TARGET_ALLOCATION_FILE, // ค่าเริ่มต้น config/target-allocation.json (ไม่มีไฟล์ = ไม่ปรับสมดุล)
+            
+            // DCA Planner Configuration
+            dcaMonthlyContribution: parseFloat(process.env.DCA_MONTHLY_CONTRIBUTION) || 0, // บาท/เดือน (0 = ไม่วางแผน)
+            dcaAssumptionsFile: process.env.DCA_ASSUMPTIONS_FILE, // ค่าเริ่มต้น config/dca-assumptions.json
+            
+            // Portfolio History Configuration
+            snapshotFile: process.env.PORTFOLIO_SNAPSHOT_FILE, // ค่าเริ่มต้น data/portfolio-snapshots.jsonl
             
             // App Configuration
             monthlyCostLimit: parseFloat(process.env.MONTHLY_COST_LIMIT_THB) || 100,
+            maxRunCost: parseFloat(process.env.MAX_RUN_COST_THB) || null, // บาทต่อการรัน (null = ไม่จำกัด)
+            costLedgerFile: process.env.COST_LEDGER_FILE, // ค่าเริ่มต้น data/cost-ledger.jsonl
+            budgetAlertThresholds: process.env.BUDGET_ALERT_THRESHOLDS
+                ? process.env.BUDGET_ALERT_THRESHOLDS.split(',').map(value => parseFloat(value)) // ร้อยละของงบรายเดือน
+                : null, // null = 50, 80, 100
+            budgetAlertDailyPaidSearches: parseInt(process.env.BUDGET_ALERT_DAILY_PAID_SEARCHES) || null, // คำค้นที่คิดเงินต่อวัน (null = ไม่แจ้ง)
+            budgetAlertStateFile: process.env.BUDGET_ALERT_STATE_FILE, // ค่าเริ่มต้น data/budget-alert-state.json
             retryMaxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
             timeoutEndApp: parseInt(process.env.TIMEOUT_END_APP_MS) || 1800000, // 30 minutes
             
@@ -44,13 +88,20 @@ class StockAnalysisApp {
         };
 
         // Initialize services
-        this.stockDataService = new StockDataService(this.config.stockDataUrl);
+        this.stockDataService = new StockDataService(this.config.stockDataUrl, this.config.stockDataFormat);
         this.aiAnalysisService = new AIAnalysisService(this.config);
         this.messageService = new MessageService({
             channelAccessToken: this.config.lineChannelAccessToken,
             channelSecret: this.config.lineChannelSecret,
             userId: this.config.lineUserId
         });
+        // แจ้งเตือนผ่าน LINE ครั้งเดียวเมื่อค่าใช้จ่ายถึงเกณฑ์ของงบ
+        this.budgetAlerts = new BudgetAlerts(this.aiAnalysisService.costTracker, this.messageService, {
+            monthlyLimit: this.config.monthlyCostLimit,
+            thresholds: this.config.budgetAlertThresholds,
+            dailyPaidSearches: this.config.budgetAlertDailyPaidSearches,
+            stateFile: this.config.budgetAlertStateFile
+        });
 
         // Initialize managers
         this.retryManager = new RetryManager(this.config.retryMaxAttempts);
@@ -72,10 +123,9 @@ class StockAnalysisApp {
         }
 
         // Check if at least one AI service is configured
-        const hasOpenAI = this.config.openaiApiKey && this.config.openaiApiKey !== 'disabled';
-        const hasGemini = this.config.geminiApiKey;
+        const hasApiProvider = this.aiAnalysisService.aiProviders.list().some(provider => provider.isEnabled && !provider.isFree);
         
-        if (!hasOpenAI && !hasGemini) {
+        if (!hasApiProvider) {
             logger.warn('ไม่มี AI API Key ที่ใช้งานได้ จะใช้โหมดฟรี');
         }
 
@@ -106,7 +156,8 @@ class StockAnalysisApp {
                 this.timeoutManager.checkTimeout();
                 return await this.aiAnalysisService.generateAnalysis(
                     stockData.formattedData, 
-                    this.config.monthlyCostLimit
+                    this.config.monthlyCostLimit,
+                    stockData.stockList
                 );
             },
             300000, // 5 minutes timeout for AI analysis
@@ -149,6 +200,17 @@ class StockAnalysisApp {
         return result;
     }
 
+    /**
+     * แจ้งเตือนงบประมาณไม่สำเร็จไม่ทำให้การรันล้มเหลว
+     */
+    async checkBudgetAlerts() {
+        try {
+            await this.budgetAlerts.check();
+        } catch (error) {
+            logger.warn(`ไม่สามารถตรวจแจ้งเตือนงบประมาณ: ${error.message}`);
+        }
+    }
+
     async run() {
         const startTime = Date.now();
         logger.header('Stock Analysis App');
@@ -167,6 +229,11 @@ class StockAnalysisApp {
             
             // Step 4: Generate AI analysis
             const analysis = await this.generateAIAnalysis(stockData);
+            
+            // แจ้งบรรทัดที่อ่านไม่ได้ในรายงานด้วย ไม่ข้ามเงียบๆ
+            if (stockData.parseErrors.length > 0) {
+                analysis.content += '\n\n' + this.stockDataService.formatParseErrors(stockData.parseErrors);
+            }
             console.log(`⏱️  เวลาผ่านไป: ${this.timeoutManager.formatElapsedTime()}`);
             
             // Step 5: Send analysis results
@@ -177,6 +244,9 @@ class StockAnalysisApp {
             await this.sendCostSummary();
             console.log(`⏱️  เวลาผ่านไป: ${this.timeoutManager.formatElapsedTime()}`);
             
+            // Step 7: แจ้งเตือนเมื่อค่าใช้จ่ายถึงเกณฑ์ของงบ (ครั้งเดียวต่อเกณฑ์)
+            await this.checkBudgetAlerts();
+            
             // Final success message
             const totalTime = Date.now() - startTime;
             logger.success(`การทำงานเสร็จสิ้นสมบูรณ์! ใช้เวลารวม: ${Math.round(totalTime / 1000)} วินาที`);
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const CostLedger = require('../services/costLedger');
+const CostReport = require('../services/costReport');
+
+const USAGE = `การใช้งาน:
+  npm run cost-report
+  npm run cost-report -- --months 12
+  npm run cost-report -- --json
+
+--months  จำนวนเดือนย้อนหลังที่แสดง (ค่าเริ่มต้น 6)
+--json    แสดงผลเป็น JSON
+บัญชีค่าใช้จ่าย: COST_LEDGER_FILE (ค่าเริ่มต้น data/cost-ledger.jsonl), งบรายเดือน: MONTHLY_COST_LIMIT_THB`;
+
+function parseOptions(args) {
+    const options = { months: 6, json: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') {
+            options.json = true;
+        } else if (args[i] === '--months') {
+            options.months = parseInt(args[++i]);
+            if (!(options.months > 0)) throw new Error('--months ต้องเป็นจำนวนเต็มบวก');
+        } else {
+            throw new Error(`ไม่เข้าใจ argument: ${args[i]}`);
+        }
+    }
+
+    return options;
+}
+
+async function run(argv) {
+    if (argv[0] === 'help' || argv[0] === '--help') {
+        console.log(USAGE);
+        return;
+    }
+
+    const options = parseOptions(argv);
+    const report = new CostReport(new CostLedger({ filePath: process.env.COST_LEDGER_FILE }), {
+        months: options.months,
+        monthlyLimit: parseFloat(process.env.MONTHLY_COST_LIMIT_THB) || 100
+    });
+    const result = await report.build();
+
+    console.log(options.json ? JSON.stringify(result, null, 2) : report.format(result));
+}
+
+run(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const AnalysisRunLog = require('../services/analysisRunLog');
+
+const USAGE = `การใช้งาน:
+  npm run prompt-report
+  npm run prompt-report -- --since 2026-10-01
+  npm run prompt-report -- --json
+
+--since   นับเฉพาะการรันตั้งแต่วันที่ (YYYY-MM-DD)
+--json    แสดงผลเป็น JSON
+run log: AI_RUN_LOG_FILE (ค่าเริ่มต้น data/ai-analysis-runs.jsonl)`;
+
+function parseOptions(args) {
+    const options = { since: null, json: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') {
+            options.json = true;
+        } else if (args[i] === '--since') {
+            options.since = args[++i];
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(options.since || '')) throw new Error('--since ต้องเป็นวันที่ YYYY-MM-DD');
+        } else {
+            throw new Error(`ไม่เข้าใจ argument: ${args[i]}`);
+        }
+    }
+
+    return options;
+}
+
+async function run(argv) {
+    if (argv[0] === 'help' || argv[0] === '--help') {
+        console.log(USAGE);
+        return;
+    }
+
+    const options = parseOptions(argv);
+    const runLog = new AnalysisRunLog(process.env.AI_RUN_LOG_FILE);
+    const runs = (await runLog.loadAll()).filter(entry => !options.since || entry.timestamp >= options.since);
+    const summary = runLog.summarizeByPrompt(runs);
+
+    console.log(options.json ? JSON.stringify(summary, null, 2) : runLog.format(summary));
+}
+
+run(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const RegistryService = require('../services/registryService');
+
+const USAGE = `การใช้งาน:
+  npm run registry -- list <symbols|apps>
+  npm run registry -- validate
+  npm run registry -- set-symbol <SYMBOL> --name "..." --riskScore 5 [--trackedIndex "S&P 500"] ...
+  npm run registry -- set-app <ชื่อแอพ> --company "..." --regulated true --trustScore 7 [--feePercent 0.15 --minOrder 1 --feeCurrency USD] ...
+
+ใส่ค่าว่าง (--trackedIndex "") เพื่อลบฟิลด์ที่ไม่บังคับ
+ไฟล์ทะเบียน: SYMBOL_PROFILES_FILE, TRADING_APPS_FILE (ค่าเริ่มต้น config/symbol-profiles.json, config/trading-apps.json)`;
+
+/**
+ * แยก --field value เป็น object และแปลงชนิดตาม schema ของทะเบียน
+ */
+function parseFields(kind, args) {
+    const schema = RegistryService.SCHEMAS[kind].fields;
+    const fields = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([A-Za-z]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new Error(`ไม่เข้าใจ argument: ${args[i]}`);
+        }
+
+        const field = match[1];
+        const raw = match[2] !== undefined ? match[2] : args[++i];
+        if (raw === undefined) {
+            throw new Error(`--${field} ต้องระบุค่า`);
+        }
+
+        const rule = schema[field];
+        if (!rule) {
+            throw new Error(`ไม่รู้จักฟิลด์ --${field} (ใช้ได้: ${Object.keys(schema).join(', ')})`);
+        }
+
+        if (raw === '') {
+            fields[field] = null;
+        } else if (rule.type === 'score' || rule.type === 'number') {
+            fields[field] = Number(raw);
+        } else if (rule.type === 'boolean') {
+            fields[field] = ['true', 'yes', '1', 'ใช่'].includes(raw.toLowerCase());
+        } else {
+            fields[field] = raw;
+        }
+    }
+
+    return fields;
+}
+
+function run(argv) {
+    const [command, ...args] = argv;
+    const registry = new RegistryService({
+        symbolProfilesFile: process.env.SYMBOL_PROFILES_FILE,
+        tradingAppsFile: process.env.TRADING_APPS_FILE
+    });
+
+    switch (command) {
+        case 'validate': {
+            const registries = registry.load();
+            console.log(`✅ ทะเบียนหุ้น v${registries.symbols.version} (${Object.keys(registries.symbols.entries).length} ตัว) และแอพเทรด v${registries.apps.version} (${Object.keys(registries.apps.entries).length} แอพ) ถูกต้อง`);
+            return;
+        }
+        case 'list': {
+            const kind = args[0] || 'symbols';
+            const registries = registry.load();
+            if (!registries[kind]) throw new Error(`ไม่รู้จักทะเบียน: ${kind} (ใช้ได้: symbols, apps)`);
+            for (const [key, entry] of Object.entries(registries[kind].entries)) {
+                const summary = kind === 'symbols'
+                    ? `${entry.name} | ความเสี่ยง ${entry.riskScore}/10${entry.trackedIndex ? ` | ดัชนี ${entry.trackedIndex}` : ''}`
+                    : `${entry.company} | ${entry.regulated ? `ได้รับใบอนุญาต (${entry.regulator || '-'})` : 'ไม่ได้รับใบอนุญาต'} | ความเชื่อถือ ${entry.trustScore}/10`;
+                console.log(`${key}: ${summary}`);
+            }
+            return;
+        }
+        case 'set-symbol':
+        case 'set-app': {
+            const kind = command === 'set-symbol' ? 'symbols' : 'apps';
+            const [key, ...rest] = args;
+            if (!key || key.startsWith('--')) throw new Error('ต้องระบุชื่อหุ้น/แอพ');
+
+            const result = registry.upsert(kind, key, parseFields(kind, rest));
+            console.log(`✅ ${result.created ? 'เพิ่ม' : 'แก้ไข'} ${key} แล้ว (v${result.version})`);
+            return;
+        }
+        default:
+            console.log(USAGE);
+            if (command && command !== 'help') process.exitCode = 1;
+    }
+}
+
+try {
+    run(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
@@ -1,18 +1,85 @@
-const OpenAIService = require('./openaiService');
-const GeminiService = require('./geminiService');
+const AIProviderRegistry = require('./aiProviders');
+const ProviderHealth = require('./aiProviders/providerHealth');
+const MapReduceAnalyzer = require('./mapReduceAnalyzer');
+const AnalysisSchema = require('./analysisSchema');
+const CitationVerifier = require('./citationVerifier');
+const PromptTemplates = require('./promptTemplates');
+const AnalysisRunLog = require('./analysisRunLog');
 const WebSearchService = require('./webSearchService');
 const CostTracker = require('./costTracker');
+const CostLedger = require('./costLedger');
+const CostEstimator = require('./costEstimator');
 const StockRiskAnalyzer = require('./stockRiskAnalyzer');
+const PriceService = require('./priceService');
+const PortfolioParser = require('./portfolioParser');
+const TransactionLedger = require('./transactionLedger');
+const FxService = require('./fxService');
+const ValuationEngine = require('./valuationEngine');
+const SnapshotStore = require('./snapshotStore');
+const PerformanceAnalyzer = require('./performanceAnalyzer');
+const RiskMetrics = require('./riskMetrics');
+const RegistryService = require('./registryService');
+const ScenarioEngine = require('./scenarioEngine');
+const Rebalancer = require('./rebalancer');
+const DcaPlanner = require('./dcaPlanner');
 const logger = require('./logger');
 
+// หัวข้อข่าวจาก WebSearchService.searchAllNews
+const NEWS_TOPICS = {
+    economic: 'เศรษฐกิจ',
+    geopolitical: 'สงคราม/ภูมิรัฐศาสตร์',
+    gold: 'ทองคำ',
+    stock: 'ตลาดหุ้น',
+    crypto: 'คริปโต',
+    currency: 'ค่าเงิน'
+};
+
 class AIAnalysisService {
     constructor(config) {
         this.config = config;
-        this.costTracker = new CostTracker();
         
-        // Initialize AI services
-        this.openaiService = new OpenAIService(config.openaiApiKey, config.openaiModel);
-        this.geminiService = new GeminiService(config.geminiApiKey, config.geminiModel);
+        // อัตราแลกเปลี่ยนชุดเดียวต่อการรัน ใช้ทั้งมูลค่าพอร์ตและค่าใช้จ่าย API
+        this.fxService = new FxService({
+            mode: config.priceProvider,
+            fixtureFile: config.priceFixtureFile
+        });
+        this.valuationEngine = new ValuationEngine(this.fxService, config.baseCurrency);
+        
+        // ผู้ให้บริการ AI ตามลำดับใน config/ai-providers.json (ราคาต่อ token มาจาก provider)
+        this.aiProviders = new AIProviderRegistry({
+            providersFile: config.aiProvidersFile,
+            order: config.aiProviders
+        });
+        this.aiProviders.load();
+        // provider ที่ล้มเหลวซ้ำๆ ถูกพักตาม cooldown (data/ai-provider-health.json)
+        this.providerHealth = new ProviderHealth({
+            filePath: config.aiHealthFile,
+            failureThreshold: config.aiFailureThreshold,
+            cooldownMinutes: config.aiCooldownMinutes
+        });
+        // ค่าใช้จ่าย AI และ Google Search ทุกรายการบันทึกลงบัญชีเดียว (data/cost-ledger.jsonl)
+        this.costTracker = new CostTracker(this.fxService, this.aiProviders, new CostLedger({
+            filePath: config.costLedgerFile,
+            freeSearchesPerDay: config.googleSearchFreeDaily
+        }));
+        this.runId = null;
+        // prompt ที่ยาวเกินแยกวิเคราะห์รายหุ้น/รายหัวข้อข่าวแล้วสรุปรวม ภายใต้งบ token ต่อการรัน
+        this.mapReduceAnalyzer = new MapReduceAnalyzer({ tokenBudget: config.aiTokenBudget });
+        // AI ตอบเป็น JSON ตาม schema เพื่อนำคะแนนรายตัวมารวมกับผลของ StockRiskAnalyzer
+        this.analysisSchema = new AnalysisSchema();
+        this.citationVerifier = new CitationVerifier({ mode: config.aiCitationMode });
+        // เทมเพลต prompt จาก prompts/ โหลดตอนเริ่มเพื่อแจ้งไฟล์ที่ผิดรูปแบบก่อนเรียก AI
+        this.promptTemplates = new PromptTemplates({ dir: config.promptsDir });
+        this.promptTemplate = config.aiPromptTemplate || 'comprehensive';
+        this.promptTemplates.load(this.promptTemplate);
+        this.analysisRunLog = new AnalysisRunLog(config.aiRunLogFile);
+        
+        // Price snapshot shared by every component in this run
+        this.priceService = new PriceService({
+            mode: config.priceProvider,
+            fixtureFile: config.priceFixtureFile,
+            goldPriceUrl: config.goldPriceUrl
+        });
         
         // Initialize Web Search service
         this.webSearchService = new WebSearchService(
@@ -20,103 +87,296 @@ class AIAnalysisService {
             config.googleSearchEngineId, 
             config.newsApiKey,
             config.googleSearchDailyLimit,
-            config.googleSearchFreeDaily
+            config.googleSearchFreeDaily,
+            this.priceService,
+            this.valuationEngine,
+            this.costTracker
         );
         
+        // ประมาณค่าใช้จ่ายก่อนค้นข่าว/เรียก AI และลดระดับหรือปฏิเสธเมื่อเกินวงเงินของการรัน
+        this.costEstimator = new CostEstimator(this.costTracker, this.webSearchService, this.mapReduceAnalyzer, {
+            maxRunCost: config.maxRunCost
+        });
+        this.preflight = null;
+        
+        // คะแนนความเสี่ยงจากราคาย้อนหลัง Beta เทียบกับดัชนีอ้างอิงตัวแรก
+        this.riskMetrics = new RiskMetrics(this.priceService, {
+            benchmark: config.benchmarkSymbols?.[0]
+        });
+        
+        // ทะเบียนโปรไฟล์หุ้นและแอพเทรด ตรวจสอบตั้งแต่เริ่มเพื่อให้ไฟล์ที่แก้ผิดถูกแจ้งทันที
+        this.registry = new RegistryService({
+            symbolProfilesFile: config.symbolProfilesFile,
+            tradingAppsFile: config.tradingAppsFile
+        });
+        this.registry.load();
+        
         // Initialize Stock Risk Analyzer
-        this.stockRiskAnalyzer = new StockRiskAnalyzer(this.webSearchService, this.costTracker);
-    }
-
-    createAnalysisPrompt(stockData, newsData = null) {
-        const today = new Date();
-        const todayThai = today.toLocaleDateString('th-TH', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
+        this.stockRiskAnalyzer = new StockRiskAnalyzer(this.webSearchService, this.costTracker, this.priceService, this.valuationEngine, this.riskMetrics, this.registry);
+        
+        // ผลตอบแทนเทียบดัชนีอ้างอิงจากราคาย้อนหลัง
+        this.performanceAnalyzer = new PerformanceAnalyzer(this.priceService, this.valuationEngine, {
+            benchmarks: config.benchmarkSymbols
         });
-        const todayEng = today.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
+        
+        // สถานการณ์วิกฤตสำหรับ stress test (config/scenarios.json)
+        this.scenarioEngine = new ScenarioEngine(this.stockRiskAnalyzer, {
+            scenariosFile: config.scenariosFile
         });
+        
+        // สัดส่วนเป้าหมายและแผนปรับสมดุล (config/target-allocation.json)
+        this.rebalancer = new Rebalancer(this.valuationEngine, {
+            targetFile: config.targetAllocationFile
+        });
+        
+        // แผน DCA รายเดือนและคาดการณ์มูลค่า (ทำงานเมื่อกำหนดเงินลงทุนรายเดือน)
+        this.dcaPlanner = new DcaPlanner(this.rebalancer, {
+            monthlyContribution: config.dcaMonthlyContribution,
+            assumptionsFile: config.dcaAssumptionsFile
+        });
+        
+        // ประวัติพอร์ตรายการรัน (ใช้เทียบกับครั้งก่อนและ 30 วัน)
+        this.snapshotStore = new SnapshotStore(config.snapshotFile);
+        
+        // รายการซื้อขายรายล็อต (ถ้ามี) ใช้คิดต้นทุนจริงแทนราคาซื้อในชีต
+        this.transactionLedger = config.transactionsSource
+            ? new TransactionLedger({
+                source: config.transactionsSource,
+                format: config.transactionsFormat,
+                method: config.costBasisMethod
+            })
+            : null;
+    }
 
-        let newsContext = '';
-        if (newsData) {
-            // ลดขนาด prompt โดยใช้ข้อมูลข่าวแบบสังเขป
-            const allNews = [
-                ...newsData.economic.slice(0, 2),
-                ...newsData.geopolitical.slice(0, 1),
-                ...newsData.gold.slice(0, 1),
-                ...newsData.stock.slice(0, 2),
-                ...newsData.crypto.slice(0, 1),
-                ...newsData.currency.slice(0, 1)
-            ];
+    /**
+     * บันทึก snapshot ของการรันนี้ แล้วคืนส่วนรายงานการเปลี่ยนแปลงเทียบกับครั้งก่อนและ 30 วัน
+     */
+    async recordSnapshot(riskAnalysis) {
+        try {
+            const snapshot = this.snapshotStore.createSnapshot(riskAnalysis, {
+                baseCurrency: this.valuationEngine.baseCurrency,
+                fxRate: this.fxService.getSnapshot() ? this.fxService.getRate('USD', 'THB') : null,
+                portfolioRisk: this.stockRiskAnalyzer.calculatePortfolioRisk(riskAnalysis)
+            });
+            const comparisons = await this.snapshotStore.getComparisons(snapshot);
+            await this.snapshotStore.append(snapshot);
             
-            newsContext = `ข่าวล่าสุด:\n${allNews.map(news => `• ${news.title} - ${news.url}`).join('\n')}`;
-        } else {
-            newsContext = `⚠️ ไม่สามารถเชื่อมต่อกับอินเทอร์เน็ตได้`;
+            return this.snapshotStore.formatChangeReport(comparisons, value => this.valuationEngine.formatMoney(value));
+        } catch (error) {
+            logger.warn(`ไม่สามารถบันทึกประวัติพอร์ต: ${error.message}`);
+            return '';
+        }
+    }
+
+    /**
+     * บันทึกเทมเพลต prompt ที่ใช้คู่กับคะแนนของการรันนี้ (เทียบผลเมื่อแก้เทมเพลต)
+     */
+    async recordRun(response) {
+        try {
+            await this.analysisRunLog.append(this.analysisRunLog.createEntry(response));
+        } catch (error) {
+            logger.warn(`ไม่สามารถบันทึกผลวิเคราะห์ AI: ${error.message}`);
+        }
+    }
+
+    /**
+     * โหลดรายการซื้อขายและสถานะ ถ้าอ่านไม่ได้จะใช้ราคาซื้อในชีตแทน
+     */
+    async loadLedger() {
+        if (!this.transactionLedger) return null;
+
+        try {
+            return await this.transactionLedger.load();
+        } catch (error) {
+            logger.warn(`ไม่สามารถอ่านรายการซื้อขาย ใช้ราคาซื้อจากไฟล์พอร์ตแทน: ${error.message}`);
+            return null;
         }
+    }
 
-        return `วันนี้: ${todayEng} (${todayThai})
+    /**
+     * ผลตอบแทน TWR/MWR เทียบดัชนีอ้างอิง ถ้าคำนวณไม่ได้จะไม่แสดงส่วนนี้ในรายงาน
+     */
+    async analyzePerformance(riskAnalysis, ledger) {
+        if (riskAnalysis.length === 0) return null;
 
-${newsContext}
+        try {
+            return await this.performanceAnalyzer.analyze(riskAnalysis, {
+                transactions: ledger ? ledger.transactions : null
+            });
+        } catch (error) {
+            logger.warn(`ไม่สามารถคำนวณผลตอบแทนเทียบดัชนี: ${error.message}`);
+            return null;
+        }
+    }
 
-หุ้นที่ลงทุน:
-${stockData}
+    /**
+     * มูลค่าพอร์ตในสถานการณ์วิกฤต ถ้าไฟล์สถานการณ์ผิดจะไม่แสดงส่วนนี้ในรายงาน
+     */
+    async runStressTests(riskAnalysis) {
+        if (riskAnalysis.length === 0) return null;
 
-กรุณาสรุปสั้นๆ ในรูปแบบ:
-📊 ข่าวสำคัญ (2-3 ข่าว) พร้อม URL
-📈 ผลกระทบต่อหุ้น: ความเสี่ยง 1-10, โอกาสกำไร 1-10
-💡 คำแนะนำ`;
+        try {
+            await this.scenarioEngine.prepare(riskAnalysis);
+            return this.scenarioEngine.run(riskAnalysis);
+        } catch (error) {
+            logger.warn(`ไม่สามารถทดสอบภาวะวิกฤต: ${error.message}`);
+            return null;
+        }
     }
 
-    async selectBestAIService(monthlyCostLimit) {
+    /**
+     * แผนปรับสมดุลตามสัดส่วนเป้าหมาย ถ้าไม่มีไฟล์เป้าหมายหรือไฟล์ผิดจะไม่แสดงส่วนนี้ในรายงาน
+     */
+    planRebalance(riskAnalysis) {
+        if (riskAnalysis.length === 0) return null;
+
         try {
-            // Check budget status
-            const budgetStatus = await this.costTracker.checkBudgetLimit(monthlyCostLimit);
-            
-            if (budgetStatus.isOverBudget) {
-                logger.money('เกินงบประมาณ! เปลี่ยนไปใช้โมเดลฟรี');
-                // Switch to free models
-                if (this.geminiService.isFree || this.costTracker.isFreeTier('gemini', this.config.geminiModel)) {
-                    return { service: this.geminiService, reason: 'เกินงบประมาณ - ใช้ Gemini ฟรี' };
-                } else {
-                    // Force free mode
-                    this.geminiService.isFree = true;
-                    return { service: this.geminiService, reason: 'เกินงบประมาณ - บังคับใช้โหมดฟรี' };
+            return this.rebalancer.plan(riskAnalysis);
+        } catch (error) {
+            logger.warn(`ไม่สามารถคำนวณแผนปรับสมดุล: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * แผน DCA เดือนนี้ ถ้าไม่ได้กำหนดเงินลงทุนรายเดือนหรือคำนวณไม่ได้จะไม่แสดงส่วนนี้ในรายงาน
+     */
+    planDca(riskAnalysis) {
+        if (riskAnalysis.length === 0) return null;
+
+        try {
+            return this.dcaPlanner.plan(riskAnalysis);
+        } catch (error) {
+            logger.warn(`ไม่สามารถวางแผน DCA: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * เรียก AI ตามลำดับสำรอง ถ้าตัวใดล้มเหลว (error, ติดโควต้า, บล็อกเนื้อหา) ลองตัวถัดไป
+     * ข้ามตัวที่อยู่ในช่วงพัก ยกเว้นทุกตัวอยู่ในช่วงพัก
+     * request เป็น prompt หรือ function(provider) ที่คืน response
+     * allowed: จำกัดเฉพาะ provider ที่ผ่านการประมาณค่าใช้จ่ายก่อนรัน (null = ทุกตัว)
+     */
+    async generateWithFallback(request, monthlyCostLimit, allowed = null) {
+        const run = typeof request === 'function' ? request : provider => provider.generateResponse(request);
+
+        // Check budget status
+        const budgetStatus = await this.costTracker.checkBudgetLimit(monthlyCostLimit);
+        if (budgetStatus.isOverBudget) {
+            logger.money('เกินงบประมาณ! เปลี่ยนไปใช้โมเดลฟรี');
+        }
+
+        const options = { overBudget: budgetStatus.isOverBudget };
+        const candidates = this.aiProviders.candidates(options).filter(provider => !allowed || allowed.includes(provider));
+        if (candidates.length === 0) {
+            throw new Error(options.overBudget ? 'เกินงบประมาณและไม่มีผู้ให้บริการ AI ฟรีในลำดับ' : 'ไม่มีผู้ให้บริการ AI ที่พร้อมใช้งาน');
+        }
+
+        await this.providerHealth.load();
+        const ready = candidates.filter(provider => !this.providerHealth.getCooldown(this.providerHealth.getKey(provider)));
+        for (const provider of candidates.filter(provider => !ready.includes(provider))) {
+            const key = this.providerHealth.getKey(provider);
+            logger.info(`ข้าม ${key} (พักถึง ${this.providerHealth.formatTime(this.providerHealth.getCooldown(key))})`);
+        }
+
+        const failures = [];
+        for (const provider of ready.length > 0 ? ready : candidates) {
+            const key = this.providerHealth.getKey(provider);
+            const latency = this.providerHealth.getAverageLatency(key);
+            logger.info(`เลือกใช้: ${key} (${this.aiProviders.describe(provider, options)}${latency ? `, เฉลี่ย ${(latency / 1000).toFixed(1)} วินาที` : ''})`);
+
+            const startedAt = Date.now();
+            try {
+                const response = await run(provider);
+                await this.providerHealth.recordSuccess(key, Date.now() - startedAt);
+                return { service: provider, response, failures };
+            } catch (error) {
+                // token ของคำตอบที่ใช้ไม่ได้ (เช่น ไม่ผ่าน schema) ยังคิดเงิน จึงบันทึกก่อนลองตัวถัดไป
+                if (error.responses && provider.tracksUsage) {
+                    await this.costTracker.recordAIUsage(this.runId, provider.combineResponses(error.responses));
                 }
+                const kind = await this.providerHealth.recordFailure(key, error, Date.now() - startedAt);
+                failures.push({ key, kind, error: error.message });
+                logger.warn(`${key} ล้มเหลว (${kind}): ${error.message}`);
             }
+        }
 
-            // Check which service is available
-            if (this.openaiService.isEnabled) {
-                return { service: this.openaiService, reason: 'OpenAI API พร้อมใช้งาน' };
-            } else if (this.geminiService.isEnabled) {
-                return { service: this.geminiService, reason: 'Gemini API พร้อมใช้งาน' };
-            } else {
-                console.log('🆓 ไม่มี API Key พร้อมใช้งาน เปลี่ยนไปใช้โหมดฟรี');
-                this.geminiService.isFree = true;
-                return { service: this.geminiService, reason: 'ไม่มี API Key - ใช้โหมดฟรี' };
-            }
+        throw new Error(`ผู้ให้บริการ AI ล้มเหลวทั้งหมด: ${failures.map(failure => `${failure.key} (${failure.error})`).join(', ')}`);
+    }
 
+    /**
+     * เรียก AI แล้วตรวจคำตอบตาม schema ถ้าไม่ผ่านขอให้แก้ไขหนึ่งครั้ง
+     * ยังไม่ผ่านถือว่า provider นี้ล้มเหลว (ลองตัวถัดไปในลำดับสำรอง)
+     * คำตอบที่ได้มาแล้วแต่ใช้ไม่ได้แนบไว้ที่ error.responses เพื่อบันทึก token ที่ใช้ไปลงบัญชีค่าใช้จ่าย
+     */
+    async generateStructured(provider, generate, symbols = []) {
+        const response = await generate();
+        const parsed = this.analysisSchema.parse(response.content, symbols);
+        if (parsed.data) {
+            return { ...response, analysis: parsed.data };
+        }
+
+        logger.warn(`คำตอบจาก ${provider.name}/${provider.model} ไม่ตรง schema (${parsed.errors.length} จุด) ขอให้แก้ไข`);
+        let repaired;
+        try {
+            repaired = await provider.generateResponse(this.analysisSchema.buildRepairPrompt(response.content, parsed.errors, symbols));
         } catch (error) {
-            console.error('❌ ข้อผิดพลาดในการเลือก AI Service:', error.message);
-            // Fallback to free mode
-            this.geminiService.isFree = true;
-            return { service: this.geminiService, reason: 'ข้อผิดพลาด - ใช้โหมดฟรี' };
+            error.responses = [response];
+            throw error;
+        }
+        const reparsed = this.analysisSchema.parse(repaired.content, symbols);
+        if (!reparsed.data) {
+            const error = new Error(`คำตอบไม่ตรง schema หลังขอแก้ไข:\n- ${reparsed.errors.join('\n- ')}`);
+            error.responses = [response, repaired];
+            throw error;
         }
+
+        return {
+            ...response,
+            ...provider.combineResponses([response, repaired]),
+            content: repaired.content,
+            analysis: reparsed.data,
+            repaired: true
+        };
     }
 
-    async generateAnalysis(stockData, monthlyCostLimit = 100) {
+    async generateAnalysis(stockData, monthlyCostLimit = 100, holdings = null) {
         try {
             console.log('🔍 เริ่มต้นการวิเคราะห์...');
+            // ทุกรายการค่าใช้จ่ายของการรันนี้ผูกด้วย run ID เดียวกัน
+            this.runId = this.costTracker.ledger.createRunId();
+            this.webSearchService.runId = this.runId;
             
             // Step 1: ทำการวิเคราะห์ความเสี่ยงหุ้นแบบละเอียด
             logger.startOperation('วิเคราะห์ความเสี่ยงหุ้นแบบครอบคลุม');
-            const riskAnalysis = await this.stockRiskAnalyzer.analyzeStockRisk(stockData);
-            const riskReport = this.stockRiskAnalyzer.generateRiskReport(riskAnalysis);
+            const ledger = await this.loadLedger();
+            const positions = ledger ? ledger.positions : null;
+            const riskAnalysis = await this.stockRiskAnalyzer.analyzeStockRisk(stockData, holdings, positions);
+            const performance = await this.analyzePerformance(riskAnalysis, ledger);
+            const stressTests = await this.runStressTests(riskAnalysis);
+            const rebalancePlan = this.planRebalance(riskAnalysis);
+            const dcaPlan = this.planDca(riskAnalysis);
+            let riskReport = this.stockRiskAnalyzer.generateRiskReport(riskAnalysis, positions, {
+                performance, stressTests, rebalancePlan, dcaPlan
+            });
+            
+            // เทียบกับการรันครั้งก่อนและ 30 วันที่แล้ว
+            if (riskAnalysis.length > 0) {
+                const changeReport = await this.recordSnapshot(riskAnalysis);
+                if (changeReport) {
+                    riskReport += '\n\n' + changeReport;
+                }
+            }
             logger.finishOperation('วิเคราะห์ความเสี่ยงเสร็จสิ้น');
             
-            // Step 2: ค้นหาข่าวทั่วไปเพิ่มเติม
+            // Step 2: ประมาณจำนวนคำค้นที่ต้องจ่ายเงินก่อนค้นข่าว (ใช้ holdings จากไฟล์พอร์ต หรือแยกจาก stockData ถ้าไม่มี)
+            const stockList = holdings || this.parseStockDataToList(stockData);
+            await this.webSearchService.loadUsage();
+            const budgetStatus = await this.costTracker.checkBudgetLimit(monthlyCostLimit);
+            this.preflight = this.costEstimator.planSearches(stockList, budgetStatus);
+            
+            // Step 3: ค้นหาข่าวทั่วไปเพิ่มเติม
             let newsData = null;
             if (this.webSearchService.isGoogleEnabled || this.webSearchService.isNewsEnabled) {
                 newsData = await this.webSearchService.searchAllNews();
@@ -124,46 +384,52 @@ ${stockData}
                 logger.warn('⚠️ Web Search APIs ไม่ได้เปิดใช้งาน - จะใช้ข้อมูลจำลอง');
             }
             
-            // Step 3: แยก stockData เป็น stockList เพื่อวิเคราะห์แต่ละหุ้น
-            const stockList = this.parseStockDataToList(stockData);
-            
             // Step 4: ค้นหาข่าวและวิเคราะห์เฉพาะแต่ละหุ้น
             let stockAnalysis = [];
             if (stockList.length > 0 && this.webSearchService.isGoogleEnabled) {
                 stockAnalysis = await this.webSearchService.searchStockSpecificNews(stockList);
             }
             
-            // Step 5: Select best AI service based on budget
-            const { service, reason } = await this.selectBestAIService(monthlyCostLimit);
-            logger.info(`เลือกใช้: ${service.constructor.name} (${reason})`);
-
-            // Step 6: Create enhanced prompt with comprehensive risk analysis
-            const prompt = this.createComprehensiveAnalysisPrompt(stockData, newsData, stockAnalysis, riskReport);
-            logger.process(`สร้าง Prompt เสร็จ (${prompt.length} ตัวอักษร)`);
-
-            // Step 7: Generate response
-            let response;
-            if (prompt.length > 4000) {
-                logger.process('Prompt ยาวเกินไป แบ่งเป็นส่วน...');
-                response = await service.generateResponseInChunks(prompt);
-            } else {
-                response = await service.generateResponse(prompt);
+            // Step 5: สร้าง prompt จากเทมเพลตที่เลือก (AI_PROMPT_TEMPLATE)
+            const symbols = riskAnalysis.map(analysis => analysis.symbol);
+            const variables = this.createPromptVariables(stockData, newsData, stockAnalysis, riskReport, riskAnalysis);
+            const prompt = this.promptTemplates.render(this.promptTemplate, variables);
+            logger.process(`สร้าง Prompt จากเทมเพลต ${prompt.id} เสร็จ (${prompt.text.length} ตัวอักษร)`);
+
+            // Step 6: ประมาณ token และค่าใช้จ่ายของ provider ทุกตัวในลำดับสำรองก่อนเรียก AI
+            const mapReduceInput = this.createMapReduceInput(variables, newsData, stockAnalysis, riskAnalysis);
+            const candidates = this.aiProviders.candidates({ overBudget: budgetStatus.isOverBudget });
+            const exchangeRate = await this.costTracker.getExchangeRate();
+            this.preflight = this.costEstimator.planAnalysis(this.preflight, candidates, prompt.text, mapReduceInput, exchangeRate);
+            if (this.preflight.decision === 'refuse') {
+                return this.createRefusedResponse(riskReport, riskAnalysis);
             }
 
-            // Step 8: Combine AI response with risk analysis
-            const combinedAnalysis = this.combineAnalysisResults(response.content, riskReport, riskAnalysis);
-            response.content = combinedAnalysis;
-
-            // Step 9: Track costs if not free
-            if (!service.isFree) {
-                const exchangeRate = await this.costTracker.getExchangeRate();
-                await this.costTracker.updateCostTracking(
-                    response.provider,
-                    response.model,
-                    response.usage.inputTokens,
-                    response.usage.outputTokens,
-                    exchangeRate
-                );
+            // Step 7: Generate response ตามลำดับสำรองและงบประมาณ (prompt ยาวเกินที่ provider รับได้ใช้ map-reduce)
+            const { service, response, failures } = await this.generateWithFallback(provider => this.generateStructured(provider, () => (
+                this.mapReduceAnalyzer.shouldSplit(prompt.text, provider)
+                    ? this.mapReduceAnalyzer.run(provider, mapReduceInput)
+                    : provider.generateResponse(prompt.text)
+            ), symbols), monthlyCostLimit, this.preflight.providers);
+            response.runId = this.runId;
+            response.failures = failures;
+            response.preflight = this.preflight;
+            response.prompts = response.mapReduce ? mapReduceInput.prompts : [{ id: prompt.id, hash: prompt.hash }];
+
+            // Step 8: ตรวจ URL/หัวข้อข่าวที่ AI อ้างกับผลค้นหา รวมคะแนน AI กับผลวิเคราะห์ความเสี่ยง
+            // แล้วสร้างรายงานจากข้อมูลที่มีโครงสร้าง
+            const verification = this.citationVerifier.verify(response.analysis, newsData, stockAnalysis);
+            response.analysis = verification.analysis;
+            response.grounding = { score: verification.score, verified: verification.verified, total: verification.total };
+            response.riskAnalysis = this.analysisSchema.merge(riskAnalysis, response.analysis);
+            const aiReport = this.analysisSchema.render(response.analysis, response.riskAnalysis, verification)
+                + '\n\n' + this.citationVerifier.formatReport(verification);
+            response.content = this.combineAnalysisResults(aiReport, riskReport, response.riskAnalysis, response);
+            await this.recordRun(response);
+
+            // Step 9: บันทึก token และค่าใช้จ่ายลงบัญชี (provider ฟรีคิดเป็น 0 บาท, ข้อความจำลองไม่บันทึก)
+            if (service.tracksUsage) {
+                await this.costTracker.recordAIUsage(this.runId, response);
             }
 
             logger.success('การวิเคราะห์เสร็จสิ้น');
@@ -175,28 +441,31 @@ ${stockData}
         }
     }
     
+    /**
+     * ค่าใช้จ่ายโดยประมาณเกินวงเงินทุก provider: ส่งเฉพาะรายงานความเสี่ยงของระบบ ไม่เรียก AI
+     */
+    createRefusedResponse(riskReport, riskAnalysis) {
+        const estimate = this.costEstimator.getCheapest(this.preflight);
+        const notice = `⛔ ไม่ได้วิเคราะห์ด้วย AI: ค่าใช้จ่ายโดยประมาณ ${estimate.toFixed(2)} บาท เกินวงเงิน ${this.preflight.limit.amount.toFixed(2)} บาท (${this.preflight.limit.source})`;
+        logger.warn(notice);
+
+        return {
+            content: this.combineAnalysisResults(notice, riskReport, riskAnalysis),
+            riskAnalysis: riskAnalysis,
+            runId: this.runId,
+            preflight: this.preflight
+        };
+    }
+    
     // แยก stockData string เป็น array ของหุ้น
     parseStockDataToList(stockData) {
-        const lines = stockData.split('\n').filter(line => line.trim());
-        const stockList = [];
-        
-        for (const line of lines) {
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 3) {
-                stockList.push({
-                    type: parts[0],
-                    symbol: parts[1], 
-                    amount: parts[2],
-                    purchasePrice: parts.length > 3 ? parts[3] : '-'
-                });
-            }
-        }
-        
-        return stockList;
+        return new PortfolioParser().parseText(stockData).holdings;
     }
 
-    // สร้าง prompt ที่รวมข้อมูลวิเคราะห์เจาะลึกแต่ละหุ้น
-    createEnhancedAnalysisPrompt(stockData, newsData = null, stockAnalysis = []) {
+    /**
+     * ตัวแปรสำหรับเทมเพลต prompt (prompts/*.txt)
+     */
+    createPromptVariables(stockData, newsData = null, stockAnalysis = [], riskReport = '', riskAnalysis = []) {
         const today = new Date();
         const todayThai = today.toLocaleDateString('th-TH', {
             year: 'numeric',
@@ -210,6 +479,7 @@ ${stockData}
         });
 
         let newsContext = '';
+        let newsDetail = '';
         if (newsData) {
             const allNews = [
                 ...newsData.economic.slice(0, 2),
@@ -220,9 +490,13 @@ ${stockData}
                 ...newsData.currency.slice(0, 1)
             ];
             
-            newsContext = `ข่าวทั่วไป:\n${allNews.map(news => `• ${news.title} - ${news.url}`).join('\n')}`;
+            newsContext = `ข่าวล่าสุด:\n${allNews.map(news => `• ${news.title} - ${news.url}`).join('\n')}`;
+            newsDetail = Object.entries(NEWS_TOPICS)
+                .map(([key, label]) => `${label}:\n${(newsData[key] || []).map(news => `• ${news.title}\n  ${news.snippet || ''}\n  แหล่งที่มา: ${news.url}`).join('\n')}`)
+                .join('\n\n');
         } else {
             newsContext = `⚠️ ไม่สามารถเชื่อมต่อกับอินเทอร์เน็ตได้`;
+            newsDetail = '⚠️ ไม่สามารถเชื่อมต่อกับอินเทอร์เน็ตเพื่อดึงข่าวล่าสุดได้ กรุณาระบุว่าไม่มีข่าวประกอบการวิเคราะห์';
         }
         
         // ข้อมูลวิเคราะห์เฉพาะแต่ละหุ้น
@@ -247,67 +521,55 @@ ${stockData}
             }
         }
 
-        return `วันนี้: ${todayEng} (${todayThai})
-
-${newsContext}${stockSpecificContext}
-
-หุ้นที่ลงทุน:
-${stockData}
-
-กรุณาสรุปสั้นๆ ในรูปแบบ:
-📊 ข่าวสำคัญ (รวมข้อมูลเฉพาะหุ้น)
-📈 ผลกระทบต่อหุ้น: ความเสี่ยง 1-10, โอกาสกำไร 1-10
-💡 คำแนะนำเฉพาะแต่ละหุ้น`;
+        // ภาพรวมพอร์ตเรียงตามมูลค่า (บริบทร่วมของ map-reduce)
+        const totalValue = riskAnalysis.reduce((sum, analysis) => sum + analysis.currentValue, 0);
+        const portfolio = riskAnalysis.length > 0
+            ? [...riskAnalysis].sort((a, b) => b.currentValue - a.currentValue).map(analysis => {
+                const weight = totalValue > 0 ? (analysis.currentValue / totalValue) * 100 : 0;
+                return `• ${analysis.symbol} ${weight.toFixed(1)}% ของพอร์ต, กำไร/ขาดทุน ${analysis.returnPercentage.toFixed(1)}%, ความเสี่ยง ${analysis.overallRisk.score}/10 (${analysis.overallRisk.level})`;
+            }).join('\n')
+            : stockData;
+
+        return {
+            todayEng,
+            todayThai,
+            stockData,
+            newsContext,
+            newsDetail,
+            stockSpecificContext,
+            riskReport,
+            portfolio,
+            outputInstructions: this.analysisSchema.buildInstructions(riskAnalysis.map(analysis => analysis.symbol))
+        };
     }
 
-    // สร้าง prompt ที่ครอบคลุมพร้อมการวิเคราะห์ความเสี่ยง
-    createComprehensiveAnalysisPrompt(stockData, newsData = null, stockAnalysis = [], riskReport = '') {
-        const today = new Date();
-        const todayThai = today.toLocaleDateString('th-TH', {
-            year: 'numeric',
-            month: 'long', 
-            day: 'numeric'
-        });
-        const todayEng = today.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric' 
-        });
-
-        let newsContext = '';
-        if (newsData) {
-            const allNews = [
-                ...newsData.economic.slice(0, 2),
-                ...newsData.geopolitical.slice(0, 1),
-                ...newsData.gold.slice(0, 1),
-                ...newsData.stock.slice(0, 2),
-                ...newsData.crypto.slice(0, 1),
-                ...newsData.currency.slice(0, 1)
-            ];
-            
-            newsContext = `ข่าวล่าสุด:\n${allNews.map(news => `• ${news.title} - ${news.url}`).join('\n')}`;
-        } else {
-            newsContext = `⚠️ ไม่สามารถเชื่อมต่อกับอินเทอร์เน็ตได้`;
-        }
-
-        return `วันนี้: ${todayEng} (${todayThai})
-
-${newsContext}
-
-หุ้นที่ลงทุน:
-${stockData}
-
-การวิเคราะห์ความเสี่ยงที่ได้ทำไว้:
-${riskReport}
-
-กรุณาให้คำแนะนำสั้นๆ เพิ่มเติมในรูปแบบ:
-📰 สรุปข่าวที่มีผลกระทบ
-🎯 ยืนยันการวิเคราะห์ความเสี่ยง
-💭 คำแนะนำเพิ่มเติมจากข่าวปัจจุบัน`;
+    // ข้อมูลสำหรับ map-reduce: บริบทร่วม, รายหุ้น (มูลค่ามากก่อน) และรายหัวข้อข่าว จากเทมเพลต prompts/map-reduce/
+    createMapReduceInput(variables, newsData = null, stockAnalysis = [], riskAnalysis = []) {
+        const context = this.promptTemplates.render('map-reduce/context', variables);
+        const map = this.promptTemplates.render('map-reduce/map', variables);
+        const reduce = this.promptTemplates.render('map-reduce/reduce', variables);
+        const holdings = [...riskAnalysis].sort((a, b) => b.currentValue - a.currentValue);
+
+        return {
+            context: context.text,
+            mapInstructions: map.text,
+            reduceInstructions: reduce.text,
+            prompts: [context, map, reduce].map(prompt => ({ id: prompt.id, hash: prompt.hash })),
+            holdings: holdings.map(analysis => ({
+                label: analysis.symbol,
+                details: [
+                    `ประเภท: ${analysis.type}, จำนวน: ${analysis.amount}, มูลค่า: ${this.valuationEngine.formatWithAlternate(analysis.currentValue)}`,
+                    `กำไร/ขาดทุน: ${analysis.returnPercentage.toFixed(1)}%, ความเสี่ยง: ${analysis.overallRisk.score}/10 (${analysis.overallRisk.level})`,
+                    analysis.recommendation ? `คำแนะนำเดิม: ${analysis.recommendation}` : null
+                ].filter(Boolean).join('\n'),
+                news: stockAnalysis.find(item => item.symbol === analysis.symbol)?.news || []
+            })),
+            topics: Object.entries(NEWS_TOPICS).map(([key, label]) => ({ label, news: newsData?.[key] || [] }))
+        };
     }
 
     // รวมผลการวิเคราะห์
-    combineAnalysisResults(aiResponse, riskReport, riskAnalysis) {
+    combineAnalysisResults(aiResponse, riskReport, riskAnalysis, source = null) {
         const separator = '\n' + '='.repeat(50) + '\n';
         
         let combinedResult = '🔍 **การวิเคราะห์หุ้นแบบครอบคลุม**\n';
@@ -320,6 +582,20 @@ ${riskReport}
         // เพิ่มการวิเคราะห์จาก AI
         combinedResult += '🤖 **การวิเคราะห์เพิ่มเติมจาก AI:**\n\n';
         combinedResult += aiResponse;
+        if (source) {
+            combinedResult += `\n\n_โมเดล: ${source.provider}/${source.model}`;
+            if (source.prompts?.length > 0) {
+                combinedResult += `, prompt: ${source.prompts.map(prompt => prompt.id).join(', ')}`;
+            }
+            if (source.mapReduce) {
+                const { calls, skipped } = source.mapReduce;
+                combinedResult += `, map-reduce ${calls} ครั้ง${skipped.length > 0 ? ` (ข้าม ${skipped.join(', ')} เพราะเกินงบ token)` : ''}`;
+            }
+            if (source.failures?.length > 0) {
+                combinedResult += ` (สำรองแทน ${source.failures.map(failure => failure.key).join(', ')})`;
+            }
+            combinedResult += '_';
+        }
         combinedResult += separator;
         
         // เพิ่มสรุปข้อมูลเพิ่มเติม
@@ -337,9 +613,10 @@ ${riskReport}
             const totalReturnPct = totalPurchaseValue > 0 ? 
                 ((totalCurrentValue - totalPurchaseValue) / totalPurchaseValue) * 100 : 0;
             
-            combinedResult += `• มูลค่าพอร์ตรวม: $${totalCurrentValue.toFixed(2)} (≈${(totalCurrentValue * 34.5).toFixed(0)} บาท)\n`;
+            combinedResult += `• มูลค่าพอร์ตรวม: ${this.valuationEngine.formatWithAlternate(totalCurrentValue)}\n`;
             combinedResult += `• กำไร/ขาดทุนรวม: ${totalReturnPct >= 0 ? '📈' : '📉'} ${totalReturnPct.toFixed(1)}%\n`;
             combinedResult += `• จำนวนหุ้นที่วิเคราะห์: ${riskAnalysis.length} ตัว\n`;
+            combinedResult += `• อัตราแลกเปลี่ยน: ${this.valuationEngine.describeRate()}\n`;
         }
         
         combinedResult += '\n⏰ **อัปเดตล่าสุด:** ' + new Date().toLocaleString('th-TH');
@@ -349,20 +626,24 @@ ${riskReport}
 
     async generateCostSummary() {
         try {
-            const summary = await this.costTracker.generateCostSummary();
+            const summary = await this.costTracker.generateCostSummary(this.runId);
             const quotaStatus = await this.webSearchService.getQuotaStatus();
+            // อัตราชุดเดียวกับรายงาน (FX snapshot ของการรันนี้)
+            await this.fxService.loadSnapshot();
             
             const summaryText = `
 💰 สรุปการใช้งานและค่าใช้จ่าย
 
-📊 การรันครั้งนี้:
-• Token ที่ใช้: ${summary.currentSession.tokens.toLocaleString()} tokens
-• ค่าใช้จ่าย: $${summary.currentSession.costUSD.toFixed(4)} (${summary.currentSession.costTHB.toFixed(2)} บาท)
+📊 การรันครั้งนี้${summary.currentSession.runId ? ` (${summary.currentSession.runId})` : ''}:
+• Token ที่ใช้: ${summary.currentSession.tokens.toLocaleString()} tokens${summary.currentSession.tokenCount === 'exact' ? '' : ' (ประมาณ)'}
+• Google Search: ${summary.currentSession.queries} คำค้น (คิดค่า ${summary.currentSession.paidQueries})
+• ค่าใช้จ่าย: $${summary.currentSession.costUSD.toFixed(4)} (${summary.currentSession.costTHB.toFixed(2)} บาท: AI ${summary.currentSession.aiCostTHB.toFixed(2)}, ค้นหา ${summary.currentSession.searchCostTHB.toFixed(2)})
 • โมเดล: ${summary.currentSession.provider}/${summary.currentSession.model}
 
 📈 สรุปของเดือนนี้:
-• Token รวม: ${summary.monthlyTotal.tokens.toLocaleString()} tokens
-• ค่าใช้จ่ายรวม: $${summary.monthlyTotal.costUSD.toFixed(4)} (${summary.monthlyTotal.costTHB.toFixed(2)} บาท)
+• Token รวม: ${summary.monthlyTotal.tokens.toLocaleString()} tokens${summary.monthlyTotal.estimatedTokens > 0 ? ` (ประมาณ ${summary.monthlyTotal.estimatedTokens.toLocaleString()})` : ''}
+• Google Search รวม: ${summary.monthlyTotal.queries} คำค้น (คิดค่า ${summary.monthlyTotal.paidQueries})
+• ค่าใช้จ่ายรวม: $${summary.monthlyTotal.costUSD.toFixed(4)} (${summary.monthlyTotal.costTHB.toFixed(2)} บาท: AI ${summary.monthlyTotal.aiCostTHB.toFixed(2)}, ค้นหา ${summary.monthlyTotal.searchCostTHB.toFixed(2)})
 • จำนวนครั้งที่ใช้: ${summary.monthlyTotal.sessions} ครั้ง
 
 🔍 Google Search Quota วันนี้:
@@ -373,8 +654,8 @@ ${riskReport}
 • ค่าใช้จ่ายเดือนนี้: ${quotaStatus.monthlyCost.toFixed(2)} บาท
 • เหลือ: ${quotaStatus.remaining} คำค้น
 • Reset: ${quotaStatus.resetTime}
-
-อัตราแลกเปลี่ยน: 1 USD = ${summary.currentSession.exchangeRate || 35} THB
+${this.preflight ? `\n${this.costEstimator.formatSummary(this.preflight)}\n` : ''}
+อัตราแลกเปลี่ยน: ${this.valuationEngine.describeRate()}
 `.trim();
 
             return summaryText;
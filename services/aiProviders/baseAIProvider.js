@@ -0,0 +1,95 @@
+const TokenCounter = require('../tokenCounter');
+
+/**
+ * Interface กลางของผู้ให้บริการ AI
+ * ทุก provider ต้อง implement chat(prompt, maxTokens) ส่วน usage, ราคา และการรวมผลหลายการเรียกอยู่ที่นี่
+ *
+ * options (จาก config/ai-providers.json):
+ * { apiKey, model, baseUrl, timeout, maxPromptChars, pricing: { model: { input, output } } }
+ * prompt ที่ยาวกว่า maxPromptChars จะถูกวิเคราะห์แบบ map-reduce (services/mapReduceAnalyzer.js)
+ *
+ * response: { content, usage: { inputTokens, outputTokens, totalTokens, tokenCount }, model, provider }
+ * tokenCount: 'exact' = ค่าจาก API, 'estimated' = นับเองด้วย TokenCounter
+ * pricing:  USD ต่อ 1K tokens
+ */
+class BaseAIProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.apiKey = options.apiKey || null;
+        this.model = options.model || null;
+        this.baseUrl = options.baseUrl || null;
+        this.timeout = options.timeout || 120000; // 2 minutes
+        this.maxPromptChars = options.maxPromptChars || 4000;
+        this.pricing = options.pricing || {};
+        this.isEnabled = false;
+        this.isFree = false;
+        // บันทึก token ลงระบบติดตามค่าใช้จ่าย (provider ฟรีบันทึกเป็น 0 บาท)
+        this.tracksUsage = true;
+        this.tokenCounter = options.tokenCounter || new TokenCounter();
+    }
+
+    /**
+     * เรียกโมเดลหนึ่งครั้ง
+     */
+    async chat(prompt, maxTokens = 4000) {
+        throw new Error(`${this.name}: chat() ยังไม่ได้ implement`);
+    }
+
+    /**
+     * ไม่ระบุ maxTokens = ใช้ค่าเริ่มต้นของแต่ละ provider
+     */
+    async generateResponse(prompt, maxTokens) {
+        return this.chat(prompt, maxTokens);
+    }
+
+    /**
+     * รวม usage ของหลายการเรียก (เช่น map-reduce) เนื้อหาต่อกันตามลำดับ
+     * เป็น exact เมื่อทุกการเรียกได้จำนวน token จาก API
+     */
+    combineResponses(responses) {
+        const combinedContent = responses.map(r => r.content).join('\n\n');
+        const totalUsage = responses.reduce((acc, r) => ({
+            inputTokens: acc.inputTokens + r.usage.inputTokens,
+            outputTokens: acc.outputTokens + r.usage.outputTokens,
+            totalTokens: acc.totalTokens + r.usage.totalTokens,
+            tokenCount: acc.tokenCount === 'exact' && r.usage.tokenCount === 'exact' ? 'exact' : 'estimated'
+        }), { inputTokens: 0, outputTokens: 0, totalTokens: 0, tokenCount: 'exact' });
+
+        return {
+            content: combinedContent,
+            usage: totalUsage,
+            model: responses[0]?.model || this.model,
+            provider: this.name
+        };
+    }
+
+    createResponse(content, inputTokens, outputTokens, exact = false) {
+        return {
+            content: content,
+            usage: {
+                inputTokens: inputTokens,
+                outputTokens: outputTokens,
+                totalTokens: inputTokens + outputTokens,
+                tokenCount: exact ? 'exact' : 'estimated'
+            },
+            model: this.model,
+            provider: this.name
+        };
+    }
+
+    /**
+     * ประมาณจำนวน token ในเครื่อง ใช้ประเมินขนาด prompt ก่อนส่งและเมื่อ API ไม่ส่งค่าจริงกลับมา
+     */
+    estimateTokens(text) {
+        return this.tokenCounter.count(text);
+    }
+
+    /**
+     * ราคาต่อ 1K tokens ของโมเดล (null = ไม่มีในตารางราคา)
+     */
+    getPricing(model = this.model) {
+        return this.pricing[model] || null;
+    }
+}
+
+module.exports = BaseAIProvider;
@@ -0,0 +1,113 @@
+const axios = require('axios');
+const logger = require('../logger');
+const BaseAIProvider = require('./baseAIProvider');
+
+class GeminiProvider extends BaseAIProvider {
+    constructor(name = 'gemini', options = {}) {
+        super(name, options);
+        this.baseUrl = this.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+        // GEMINI_API_KEY=free ไม่เรียก API จริง (ตกไปใช้ provider ฟรีตัวถัดไปในลำดับ)
+        this.isEnabled = Boolean(this.apiKey && this.apiKey !== 'free');
+    }
+
+    async chat(prompt, maxTokens = 8000) {
+        if (!this.isEnabled) {
+            throw new Error('Gemini API key is not configured');
+        }
+
+        try {
+            logger.api(`กำลังเรียกใช้ Gemini (${this.model})...`);
+            
+            const response = await axios.post(
+                `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`,
+                {
+                    contents: [{
+                        parts: [{
+                            text: prompt
+                        }]
+                    }],
+                    generationConfig: {
+                        maxOutputTokens: maxTokens, // ค่าเริ่มต้นเพิ่มจาก 4000 เป็น 8000
+                        temperature: 0.7,
+                        candidateCount: 1
+                    }
+                },
+                {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: this.timeout
+                }
+            );
+
+            const result = response.data;
+            
+            // Log raw response for debugging
+            if (!result.candidates || result.candidates.length === 0) {
+                logger.warn('Gemini API: ไม่มี candidates ในการตอบสนอง');
+                logger.debug('Gemini Response:', JSON.stringify(result, null, 2));
+                
+                // Check for blocked content
+                if (result.promptFeedback?.blockReason) {
+                    throw new Error(`Gemini blocked content: ${result.promptFeedback.blockReason}`);
+                }
+                
+                // Return empty response instead of throwing error
+                return this.createResponse('ขออภัย ระบบ AI ไม่สามารถสร้างเนื้อหาได้ในขณะนี้ กรุณาลองใหม่อีกครั้ง', 0, 0);
+            }
+
+            const candidate = result.candidates[0];
+            const content = candidate?.content?.parts?.[0]?.text;
+            
+            if (!content || content.trim().length === 0) {
+                logger.warn('Gemini API: ไม่มีเนื้อหาในการตอบสนอง');
+                
+                // Check finish reason
+                if (candidate?.finishReason) {
+                    logger.warn(`Gemini finish reason: ${candidate.finishReason}`);
+                    
+                    if (candidate.finishReason === 'SAFETY') {
+                        throw new Error('Content blocked by Gemini safety filters');
+                    } else if (candidate.finishReason === 'MAX_TOKENS') {
+                        throw new Error('Response truncated due to max tokens limit');
+                    }
+                }
+                
+                // Return fallback response
+                return this.createResponse('ขออภัย ระบบ AI ไม่สามารถสร้างเนื้อหาที่สมบูรณ์ได้ กรุณาลองใหม่อีกครั้ง', 0, 0);
+            }
+
+            const usage = this.getUsage(result, prompt, content);
+
+            logger.api(`Gemini ตอบกลับสำเร็จ (${usage.exact ? '' : 'ประมาณ '}Input: ${usage.inputTokens}, Output: ${usage.outputTokens})`);
+            
+            return this.createResponse(content, usage.inputTokens, usage.outputTokens, usage.exact);
+
+        } catch (error) {
+            logger.error('ข้อผิดพลาด Gemini', error.response?.data || error.message);
+            throw new Error(`Gemini API Error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    /**
+     * จำนวน token จาก usageMetadata (token ของการคิด/thoughts คิดราคาเป็น output)
+     * ไม่มี usageMetadata จึงนับเองด้วย TokenCounter
+     */
+    getUsage(result, prompt, content) {
+        const metadata = result.usageMetadata;
+        if (Number.isFinite(metadata?.promptTokenCount)) {
+            return {
+                inputTokens: metadata.promptTokenCount,
+                outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+                exact: true
+            };
+        }
+        return {
+            inputTokens: this.estimateTokens(prompt),
+            outputTokens: this.estimateTokens(content),
+            exact: false
+        };
+    }
+}
+
+module.exports = GeminiProvider;
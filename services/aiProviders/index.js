@@ -0,0 +1,209 @@
+const path = require('path');
+const ConfigFile = require('../configFile');
+const logger = require('../logger');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// ฟิลด์ที่อนุญาตต่อ provider: type (string, number > 0) และ required
+const PROVIDER_FIELDS = {
+    module: { type: 'string', required: true },
+    apiKeyEnv: { type: 'string', required: false },
+    modelEnv: { type: 'string', required: false },
+    model: { type: 'string', required: false },
+    baseUrl: { type: 'string', required: false },
+    baseUrlEnv: { type: 'string', required: false },
+    timeout: { type: 'number', required: false },
+    maxPromptChars: { type: 'number', required: false },
+    pricing: { type: 'pricing', required: false }
+};
+
+/**
+ * ทะเบียนผู้ให้บริการ AI อ่านจาก config/ai-providers.json (ใช้ .yaml/.yml ได้)
+ * provider แต่ละตัวเป็นโมดูลที่ extends BaseAIProvider เพิ่มผู้ให้บริการใหม่ได้โดยวางไฟล์ใน services/aiProviders/
+ * (หรือระบุ path เริ่มด้วย ./ จากโฟลเดอร์โปรเจกต์) แล้วเพิ่มชื่อใน providers และ order
+ *
+ * API key, ชื่อโมเดล และ base URL อ่านจาก environment ตาม apiKeyEnv/modelEnv/baseUrlEnv ไม่เก็บในไฟล์
+ * order คือลำดับสำรอง (fallback chain) แต่ละรายการเป็น "ชื่อ" หรือ "ชื่อ:โมเดล" เช่น openai:gpt-4-turbo
+ * ถ้าตัวแรกล้มเหลวจะลองตัวถัดไป (AI_PROVIDERS ใน .env ใช้แทนได้)
+ */
+class AIProviderRegistry {
+    constructor(options = {}) {
+        this.providersFile = options.providersFile || path.join(ROOT_DIR, 'config/ai-providers.json');
+        this.order = options.order && options.order.length > 0 ? options.order : null;
+        this.env = options.env || process.env;
+        this.providers = null;
+    }
+
+    /**
+     * โหลด ตรวจสอบ และสร้าง provider ตามลำดับ (โหลดครั้งเดียว)
+     */
+    load() {
+        if (this.providers) return this.providers;
+
+        const data = new ConfigFile(this.providersFile, 'ไฟล์ผู้ให้บริการ AI').read(data => this.validate(data));
+
+        const providers = new Map();
+        for (const item of this.order || data.order) {
+            const { name, model } = this.parseChainItem(item);
+            providers.set(item, this.create(name, data.providers[name], model));
+        }
+
+        this.providers = providers;
+        logger.file(`โหลดผู้ให้บริการ AI: ${[...providers.values()].map(provider => `${provider.name}/${provider.model}${provider.isEnabled ? '' : ' (ปิด)'}`).join(' → ')} (v${data.version})`);
+        return providers;
+    }
+
+    /**
+     * ฟิลด์ providers และ order (object และ version ตรวจที่ ConfigFile)
+     */
+    validate(data) {
+        const errors = [];
+        if (!data.providers || typeof data.providers !== 'object' || Array.isArray(data.providers)) {
+            errors.push('providers ต้องเป็น object ของผู้ให้บริการ');
+            return errors;
+        }
+
+        for (const [name, entry] of Object.entries(data.providers)) {
+            errors.push(...this.validateProvider(name, entry));
+        }
+
+        if (!Array.isArray(data.order) || data.order.length === 0) {
+            errors.push('order ต้องเป็นรายชื่อผู้ให้บริการอย่างน้อย 1 ตัว');
+        }
+        const order = this.order || (Array.isArray(data.order) ? data.order : []);
+        for (const item of order) {
+            const { name } = this.parseChainItem(String(item));
+            if (!data.providers[name]) {
+                errors.push(`${this.order ? 'AI_PROVIDERS' : 'order'}: ไม่มีผู้ให้บริการ ${name} ใน providers`);
+            }
+        }
+        return errors;
+    }
+
+    validateProvider(name, entry) {
+        const prefix = `providers.${name}`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return [`${prefix} ต้องเป็น object`];
+        }
+
+        const errors = [];
+        for (const [field, rule] of Object.entries(PROVIDER_FIELDS)) {
+            const value = entry[field];
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) errors.push(`${prefix}.${field} ต้องระบุ`);
+                continue;
+            }
+
+            if (rule.type === 'string' && typeof value !== 'string') {
+                errors.push(`${prefix}.${field} ต้องเป็นข้อความ`);
+            } else if (rule.type === 'number' && !(typeof value === 'number' && value > 0)) {
+                errors.push(`${prefix}.${field} ต้องเป็นตัวเลขมากกว่า 0`);
+            } else if (rule.type === 'list' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+                errors.push(`${prefix}.${field} ต้องเป็นรายการข้อความ`);
+            } else if (rule.type === 'pricing') {
+                errors.push(...this.validatePricing(`${prefix}.${field}`, value));
+            }
+        }
+
+        for (const field of Object.keys(entry)) {
+            if (!PROVIDER_FIELDS[field]) errors.push(`${prefix}.${field} ไม่รู้จักฟิลด์นี้`);
+        }
+
+        if (typeof entry.module === 'string') {
+            try {
+                require.resolve(this.resolveModule(entry.module));
+            } catch (error) {
+                errors.push(`${prefix}.module ไม่พบโมดูล ${entry.module}`);
+            }
+        }
+        return errors;
+    }
+
+    validatePricing(prefix, pricing) {
+        if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+            return [`${prefix} ต้องเป็น object ของราคาต่อโมเดล`];
+        }
+
+        const errors = [];
+        for (const [model, price] of Object.entries(pricing)) {
+            for (const key of ['input', 'output']) {
+                if (!(typeof price?.[key] === 'number' && price[key] >= 0)) {
+                    errors.push(`${prefix}.${model}.${key} ต้องเป็นตัวเลขตั้งแต่ 0 (USD ต่อ 1K tokens)`);
+                }
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * "openai:gpt-4-turbo" → { name: 'openai', model: 'gpt-4-turbo' } (แยกที่ : ตัวแรก เพราะชื่อโมเดลอาจมี : เช่น llama3.1:8b)
+     */
+    parseChainItem(item) {
+        const index = item.indexOf(':');
+        if (index === -1) return { name: item, model: null };
+        return { name: item.slice(0, index), model: item.slice(index + 1) || null };
+    }
+
+    /**
+     * ชื่อโมดูลเปล่าหาใน services/aiProviders/ ส่วน path ที่ขึ้นต้นด้วย . หรือ / อ้างจากโฟลเดอร์โปรเจกต์
+     */
+    resolveModule(module) {
+        if (module.startsWith('.') || path.isAbsolute(module)) {
+            return path.resolve(ROOT_DIR, module);
+        }
+        return path.join(__dirname, module);
+    }
+
+    create(name, entry, model = null) {
+        const Provider = require(this.resolveModule(entry.module));
+        return new Provider(name, {
+            apiKey: entry.apiKeyEnv ? this.env[entry.apiKeyEnv] : null,
+            model: model || (entry.modelEnv && this.env[entry.modelEnv]) || entry.model,
+            baseUrl: (entry.baseUrlEnv && this.env[entry.baseUrlEnv]) || entry.baseUrl,
+            timeout: entry.timeout,
+            maxPromptChars: entry.maxPromptChars,
+            pricing: entry.pricing
+        });
+    }
+
+    /**
+     * ค้นตามรายการใน order ("openai:gpt-4-turbo") หรือชื่อ provider (ตัวแรกในลำดับ)
+     */
+    get(name) {
+        const providers = this.load();
+        return providers.get(name) || [...providers.values()].find(provider => provider.name === name) || null;
+    }
+
+    list() {
+        return [...this.load().values()];
+    }
+
+    /**
+     * provider ที่พร้อมใช้งาน (มี API key) ตามลำดับสำรอง
+     * เกินงบประมาณ: เหลือเฉพาะ provider ที่ไม่มีค่าใช้จ่ายจริง (local, mock) บัญชีค่าใช้จ่ายจึงบันทึกเป็น 0 บาท
+     */
+    candidates(options = {}) {
+        const enabled = this.list().filter(provider => provider.isEnabled);
+        return options.overBudget ? enabled.filter(provider => provider.isFree) : enabled;
+    }
+
+    /**
+     * provider ตัวแรกในลำดับสำรอง พร้อมเหตุผล
+     */
+    select(options = {}) {
+        const [first] = this.candidates(options);
+        if (!first) {
+            throw new Error(options.overBudget ? 'เกินงบประมาณและไม่มีผู้ให้บริการ AI ฟรีในลำดับ' : 'ไม่มีผู้ให้บริการ AI ที่พร้อมใช้งาน');
+        }
+        return { provider: first, reason: this.describe(first, options) };
+    }
+
+    describe(provider, options = {}) {
+        if (options.overBudget) {
+            return 'เกินงบประมาณ - บังคับใช้โหมดฟรี';
+        }
+        return provider.isFree ? `${provider.name} - ใช้โหมดฟรี` : `${provider.name} พร้อมใช้งาน`;
+    }
+}
+
+module.exports = AIProviderRegistry;
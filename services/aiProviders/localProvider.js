@@ -0,0 +1,37 @@
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * โมเดลที่รันเองผ่านเซิร์ฟเวอร์ที่เข้ากันได้กับ OpenAI (/v1/chat/completions) เช่น Ollama, llama.cpp, vLLM
+ * เปิดใช้เมื่อกำหนด base URL (LOCAL_LLM_BASE_URL) API key ไม่บังคับ
+ * นับ token ตามที่เซิร์ฟเวอร์ส่งกลับ แต่ไม่มีค่าใช้จ่าย
+ */
+class LocalProvider extends OpenAIProvider {
+    constructor(name = 'local', options = {}) {
+        super(name, options);
+        this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+        this.label = 'Local LLM';
+        this.isEnabled = Boolean(this.baseUrl && this.model);
+        this.isFree = true;
+    }
+
+    async chat(prompt, maxTokens = 4000) {
+        if (!this.isEnabled) {
+            throw new Error('Local LLM base URL is not configured');
+        }
+        return super.chat(prompt, maxTokens);
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    getPricing(model = this.model) {
+        return { input: 0, output: 0 };
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,107 @@
+const logger = require('../logger');
+const BaseAIProvider = require('./baseAIProvider');
+
+// prompt ที่ขอผลเป็น JSON (services/analysisSchema.js)
+const STRUCTURED_MARKER = 'ตอบเป็น JSON';
+
+const MOCK_TEXT = `
+📢 สรุปด่วน! วิเคราะห์พอร์ตลงทุนและข่าววันนี้ (27 ต.ค. 2568)
+
+วันที่: 27/10/2568
+ความมั่นใจ AI ในการวิเคราะห์: 7/10 (ข้อมูลจำลอง)
+
+==================================================================
+🌍 ส่วนที่ 1: สรุปข่าวสำคัญ (5 ข่าว/หัวข้อ)
+==================================================================
+
+📈 ข่าวเศรษฐกิจ (ไทยและต่างประเทศ)
+--------------------------------------------------
+1. **ตลาดหุ้นโลกปรับตัวในแนวโน้มบวก**
+   * สรุป: ตลาดการเงินทั่วโลกมีแนวโน้มเชิงบวกจากความคาดหวังการฟื้นตัวทางเศรษฐกิจ
+   * URL: [ข้อมูลจำลอง] | ความเชื่อถือ: 7/10
+
+2. **เฟดสหรัฐฯ คาดการณ์นโยบายการเงิน**
+   * สรุป: นักลงทุนจับตาการประชุมธนาคารกลางสหรัฐฯ เพื่อดูทิศทางอัตราดอกเบี้ย
+   * URL: [ข้อมูลจำลอง] | ความเชื่อถือ: 8/10
+
+⚔️ ข่าวสงคราม/ภูมิรัฐศาสตร์
+--------------------------------------------------
+1. **ความตึงเครียดทางการค้าระหว่างประเทศ**
+   * สรุป: ภาวะความไม่แน่นอนทางการค้าส่งผลต่อตลาดสินค้าโภคภัณฑ์
+   * URL: [ข้อมูลจำลอง] | ความเชื่อถือ: 7/10
+
+🥇 ข่าวทองคำและราคา
+--------------------------------------------------
+* **ราคาทองคำแท่งขายออกวันนี้: 64,000 บาท (ประมาณ)**
+* ราคาย้อนหลัง 3 วัน: ประมาณ 63,800 บาท
+
+📈 ข่าวหุ้นไทย/สหรัฐฯ และราคา
+--------------------------------------------------
+* VOO ราคาปัจจุบัน: $620 (ประมาณ)
+* NVDA ราคาปัจจุบัน: $185 (ประมาณ)
+
+💎 ข่าวคริปโต และราคา
+--------------------------------------------------
+* BTC ราคาปัจจุบัน: $115,000 (ประมาณ)
+
+💱 ข่าวสกุลเงิน และราคา
+--------------------------------------------------
+* THB ราคาปัจจุบัน: 32.70 บาท/ดอลลาร์ (ประมาณ)
+
+==================================================================
+🚀 ส่วนที่ 2: วิเคราะห์พอร์ตลงทุนของคุณ (เน้นการปฏิบัติ)
+==================================================================
+
+⚠️ หมายเหตุ: นี่เป็นข้อมูลจำลองสำหรับการทดสอบระบบ
+กรุณาใช้ API key จริงเพื่อรับข้อมูลที่แม่นยำและล่าสุด
+
+ความเสี่ยงและโอกาส (ข้อมูลจำลอง):
+* หุ้นสหรัฐฯ: โอกาสกำไรปานกลาง (6/10)
+* ทองคำ: ความเสี่ยงต่ำ (3/10)
+* คริปโต: ความเสี่ยงสูง (8/10)
+
+==================================================================
+`;
+
+/**
+ * ข้อความจำลองสำหรับทดสอบระบบ ไม่เรียก API และไม่มีค่าใช้จ่าย
+ * ใช้เป็นตัวสุดท้ายเมื่อไม่มี provider ใดพร้อมใช้งานหรือเกินงบประมาณ
+ */
+class MockProvider extends BaseAIProvider {
+    constructor(name = 'mock', options = {}) {
+        super(name, options);
+        this.model = this.model || 'mock';
+        this.isEnabled = true;
+        this.isFree = true;
+        this.tracksUsage = false;
+    }
+
+    async chat(prompt, maxTokens = 4000) {
+        logger.info('ใช้โหมดฟรี (Mock Response)');
+        
+        const mockContent = prompt.includes(STRUCTURED_MARKER) ? this.createStructuredContent(prompt) : MOCK_TEXT;
+
+        return this.createResponse(mockContent.trim(), this.estimateTokens(prompt), this.estimateTokens(mockContent));
+    }
+
+    /**
+     * JSON จำลองที่ผ่าน schema: ประเมินทุกสินทรัพย์ที่ prompt ระบุด้วยคะแนนกลาง
+     */
+    createStructuredContent(prompt) {
+        const match = prompt.match(/ต้องประเมินครบทุกสินทรัพย์: (.+)/);
+        const symbols = match ? match[1].split(',').map(symbol => symbol.trim()).filter(Boolean) : [];
+
+        return JSON.stringify({
+            holdings: symbols.map(symbol => ({
+                symbol: symbol,
+                risk: 5,
+                opportunity: 5,
+                rationale: 'ข้อมูลจำลอง ไม่ได้วิเคราะห์จากข่าวจริง',
+                citations: []
+            })),
+            overallAdvice: '⚠️ นี่เป็นข้อมูลจำลองสำหรับการทดสอบระบบ กรุณาใช้ API key จริงเพื่อรับการวิเคราะห์ที่แม่นยำและล่าสุด'
+        }, null, 2);
+    }
+}
+
+module.exports = MockProvider;
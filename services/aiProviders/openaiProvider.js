@@ -0,0 +1,65 @@
+const axios = require('axios');
+const logger = require('../logger');
+const BaseAIProvider = require('./baseAIProvider');
+
+class OpenAIProvider extends BaseAIProvider {
+    constructor(name = 'openai', options = {}) {
+        super(name, options);
+        this.baseUrl = this.baseUrl || 'https://api.openai.com/v1';
+        this.label = 'OpenAI';
+        this.isEnabled = Boolean(this.apiKey && this.apiKey !== 'disabled' && !this.apiKey.startsWith('sk-svcac'));
+    }
+
+    async chat(prompt, maxTokens = 4000) {
+        if (!this.isEnabled) {
+            throw new Error('OpenAI API key is disabled');
+        }
+
+        try {
+            logger.api(`กำลังเรียกใช้ ${this.label} (${this.model})...`);
+
+            const response = await axios.post(
+                `${this.baseUrl}/chat/completions`,
+                {
+                    model: this.model,
+                    messages: [
+                        {
+                            role: 'user',
+                            content: prompt
+                        }
+                    ],
+                    max_tokens: maxTokens,
+                    temperature: 0.7
+                },
+                {
+                    headers: this.getHeaders(),
+                    timeout: this.timeout
+                }
+            );
+
+            const result = response.data;
+            const content = result.choices[0].message.content;
+            // เซิร์ฟเวอร์ที่เข้ากันได้กับ OpenAI บางตัวไม่ส่ง usage กลับมา
+            const exact = Boolean(result.usage);
+            const inputTokens = result.usage?.prompt_tokens ?? this.estimateTokens(prompt);
+            const outputTokens = result.usage?.completion_tokens ?? this.estimateTokens(content);
+
+            logger.api(`${this.label} ตอบกลับสำเร็จ (${exact ? '' : 'ประมาณ '}Input: ${inputTokens}, Output: ${outputTokens})`);
+
+            return this.createResponse(content, inputTokens, outputTokens, exact);
+
+        } catch (error) {
+            logger.error(`ข้อผิดพลาด ${this.label}`, error.response?.data || error.message);
+            throw new Error(`${this.label} API Error: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    getHeaders() {
+        return {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
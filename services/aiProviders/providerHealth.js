@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logger');
+
+const MINUTE_MS = 60 * 1000;
+const HISTORY_SIZE = 10;
+
+/**
+ * สุขภาพของผู้ให้บริการ AI ข้ามการรัน เก็บที่ data/ai-provider-health.json
+ * key คือ provider/model เช่น openai/gpt-4-turbo
+ *
+ * {
+ *   "providers": {
+ *     "openai/gpt-4-turbo": {
+ *       consecutiveFailures, lastSuccess, lastFailure, cooldownUntil,
+ *       failures: [{ timestamp, kind, error, latencyMs }], latencies: [ms] (ล่าสุด 10 ครั้ง)
+ *     }
+ *   }
+ * }
+ *
+ * ล้มเหลวติดกันครบ failureThreshold ครั้ง หรือติดโควต้า จะถูกข้ามจนพ้น cooldown
+ * การบล็อกเนื้อหา (safety) ขึ้นกับ prompt จึงไม่นับรวมเป็นความล้มเหลวติดกัน
+ */
+class ProviderHealth {
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../../data/ai-provider-health.json');
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldownMs = (options.cooldownMinutes || 30) * MINUTE_MS;
+        this.state = null;
+    }
+
+    async load() {
+        if (this.state) return this.state;
+
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.state = JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`อ่านไฟล์สุขภาพผู้ให้บริการ AI ไม่ได้ เริ่มใหม่: ${error.message}`);
+            }
+            this.state = { providers: {} };
+        }
+        return this.state;
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify(this.state, null, 2));
+    }
+
+    getKey(provider) {
+        return `${provider.name}/${provider.model}`;
+    }
+
+    getEntry(key) {
+        if (!this.state.providers[key]) {
+            this.state.providers[key] = {
+                consecutiveFailures: 0,
+                lastSuccess: null,
+                lastFailure: null,
+                cooldownUntil: null,
+                failures: [],
+                latencies: []
+            };
+        }
+        return this.state.providers[key];
+    }
+
+    /**
+     * เวลาที่พ้น cooldown (null = ใช้งานได้)
+     */
+    getCooldown(key, now = new Date()) {
+        const until = this.state?.providers[key]?.cooldownUntil;
+        return until && new Date(until) > now ? until : null;
+    }
+
+    /**
+     * ประเภทความล้มเหลว: quota (โควต้า/rate limit), safety (บล็อกเนื้อหา), error
+     */
+    classifyError(error) {
+        const message = error?.message || String(error);
+        if (/quota|rate.?limit|429|resource.*exhausted|too many requests/i.test(message)) return 'quota';
+        if (/safety|blocked/i.test(message)) return 'safety';
+        return 'error';
+    }
+
+    async recordSuccess(key, latencyMs, now = new Date()) {
+        await this.load();
+        const entry = this.getEntry(key);
+        entry.consecutiveFailures = 0;
+        entry.cooldownUntil = null;
+        entry.lastSuccess = now.toISOString();
+        entry.latencies = [...entry.latencies, latencyMs].slice(-HISTORY_SIZE);
+        await this.save();
+        return entry;
+    }
+
+    async recordFailure(key, error, latencyMs, now = new Date()) {
+        await this.load();
+        const entry = this.getEntry(key);
+        const kind = this.classifyError(error);
+
+        entry.lastFailure = now.toISOString();
+        entry.failures = [...entry.failures, {
+            timestamp: now.toISOString(),
+            kind: kind,
+            error: error?.message || String(error),
+            latencyMs: latencyMs
+        }].slice(-HISTORY_SIZE);
+
+        if (kind !== 'safety') {
+            entry.consecutiveFailures += 1;
+        }
+        if (kind === 'quota' || entry.consecutiveFailures >= this.failureThreshold) {
+            entry.cooldownUntil = new Date(now.getTime() + this.cooldownMs).toISOString();
+            logger.warn(`พัก ${key} ถึง ${this.formatTime(entry.cooldownUntil)} (${kind === 'quota' ? 'ติดโควต้า' : `ล้มเหลวติดกัน ${entry.consecutiveFailures} ครั้ง`})`);
+        }
+
+        await this.save();
+        return kind;
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
+    }
+
+    /**
+     * ค่าเฉลี่ยเวลาตอบกลับล่าสุด (มิลลิวินาที)
+     */
+    getAverageLatency(key) {
+        const latencies = this.state?.providers[key]?.latencies || [];
+        if (latencies.length === 0) return null;
+        return latencies.reduce((sum, value) => sum + value, 0) / latencies.length;
+    }
+}
+
+module.exports = ProviderHealth;
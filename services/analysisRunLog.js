@@ -0,0 +1,113 @@
+const path = require('path');
+const logger = require('./logger');
+const JsonlStore = require('./jsonlStore');
+
+/**
+ * ผลวิเคราะห์ AI รายการรัน เก็บเป็น JSONL ที่ data/ai-analysis-runs.jsonl ใช้เทียบผลเมื่อแก้เทมเพลต prompt
+ *
+ * entry:
+ * {
+ *   timestamp, prompts: [{ id: 'comprehensive@1', hash }], provider, model,
+ *   usage: { inputTokens, outputTokens, totalTokens }, mapReduceCalls, repaired,
+ *   grounding: { score, verified, total },
+ *   holdings: [{ symbol, risk, opportunity, systemRisk }]
+ * }
+ */
+class AnalysisRunLog {
+    constructor(filePath = null) {
+        this.filePath = filePath || path.join(__dirname, '../data/ai-analysis-runs.jsonl');
+        this.store = new JsonlStore(this.filePath);
+    }
+
+    /**
+     * สร้าง entry จาก response ของ AIAnalysisService.generateAnalysis
+     */
+    createEntry(response, options = {}) {
+        return {
+            timestamp: options.timestamp || new Date().toISOString(),
+            runId: response.runId || null,
+            prompts: response.prompts || [],
+            provider: response.provider,
+            model: response.model,
+            usage: response.usage,
+            mapReduceCalls: response.mapReduce?.calls || 0,
+            repaired: Boolean(response.repaired),
+            grounding: response.grounding || null,
+            holdings: (response.riskAnalysis || []).filter(analysis => analysis.aiAssessment).map(analysis => ({
+                symbol: analysis.symbol,
+                risk: analysis.aiAssessment.risk,
+                opportunity: analysis.aiAssessment.opportunity,
+                systemRisk: analysis.overallRisk.score
+            }))
+        };
+    }
+
+    async append(entry) {
+        await this.store.append(entry);
+        logger.file(`บันทึกผลวิเคราะห์ AI (${entry.prompts.map(prompt => prompt.id).join(', ')})`);
+    }
+
+    /**
+     * อ่านทุกการรันเรียงตามเวลา บรรทัดที่เสียจะถูกข้ามพร้อมแจ้งเตือน
+     */
+    async loadAll() {
+        const runs = await this.store.loadAll();
+        return runs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * ค่าเฉลี่ยแยกตามชุดเทมเพลต (id + hash) สำหรับเทียบผลก่อน/หลังแก้ prompt
+     */
+    summarizeByPrompt(runs) {
+        const groups = new Map();
+        for (const run of runs) {
+            const key = run.prompts.map(prompt => `${prompt.id}#${prompt.hash}`).join(' + ');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(run);
+        }
+
+        const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+        return [...groups.entries()].map(([key, group]) => {
+            const holdings = group.flatMap(run => run.holdings);
+            return {
+                prompts: key,
+                runs: group.length,
+                firstRun: group[0].timestamp,
+                lastRun: group[group.length - 1].timestamp,
+                averageRisk: average(holdings.map(holding => holding.risk)),
+                averageOpportunity: average(holdings.map(holding => holding.opportunity)),
+                averageDivergence: average(holdings.map(holding => Math.abs(holding.risk - holding.systemRisk))),
+                averageGrounding: average(group.filter(run => run.grounding?.score !== null && run.grounding?.score !== undefined).map(run => run.grounding.score)),
+                averageTokens: average(group.map(run => run.usage.totalTokens)),
+                repairRate: group.filter(run => run.repaired).length / group.length
+            };
+        });
+    }
+
+    /**
+     * รายงานของ npm run prompt-report เรียงตามชุดเทมเพลตที่ใช้ก่อน
+     */
+    format(summary) {
+        const lines = ['📝 ผลวิเคราะห์ AI แยกตามเทมเพลต prompt'];
+        if (summary.length === 0) {
+            lines.push('', 'ยังไม่มีผลวิเคราะห์ AI ใน run log');
+            return lines.join('\n');
+        }
+
+        const score = value => value !== null ? value.toFixed(1) : '-';
+        const percent = value => value !== null ? `${Math.round(value * 100)}%` : '-';
+        for (const group of summary) {
+            lines.push(
+                '',
+                `• ${group.prompts}`,
+                `   - ${group.runs} การรัน (${group.firstRun.split('T')[0]} ถึง ${group.lastRun.split('T')[0]})`,
+                `   - ความเสี่ยงเฉลี่ย ${score(group.averageRisk)}/10, โอกาส ${score(group.averageOpportunity)}/10, ต่างจากคะแนนระบบ ${score(group.averageDivergence)}`,
+                `   - อ้างอิงยืนยันได้ ${percent(group.averageGrounding)}, เฉลี่ย ${group.averageTokens !== null ? Math.round(group.averageTokens).toLocaleString() : '-'} tokens, ต้องซ่อม JSON ${percent(group.repairRate)}`
+            );
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = AnalysisRunLog;
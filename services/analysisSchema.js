@@ -0,0 +1,233 @@
+// JSON Schema ของผลวิเคราะห์จาก AI (ส่งไปใน prompt และใช้ตรวจคำตอบ)
+const SCHEMA = {
+    type: 'object',
+    required: ['holdings', 'overallAdvice'],
+    properties: {
+        holdings: {
+            type: 'array',
+            description: 'ประเมินทุกสินทรัพย์ในพอร์ต ตัวละหนึ่งรายการ',
+            items: {
+                type: 'object',
+                required: ['symbol', 'risk', 'opportunity', 'rationale', 'citations'],
+                properties: {
+                    symbol: { type: 'string' },
+                    risk: { type: 'integer', minimum: 1, maximum: 10, description: 'ความเสี่ยง 1-10' },
+                    opportunity: { type: 'integer', minimum: 1, maximum: 10, description: 'โอกาสกำไร 1-10' },
+                    rationale: { type: 'string', description: 'เหตุผลสั้นๆ ภาษาไทย' },
+                    citations: { type: 'array', items: { type: 'string', format: 'uri' }, description: 'URL ข่าวที่อ้างอิง' }
+                }
+            }
+        },
+        overallAdvice: { type: 'string', description: 'คำแนะนำโดยรวมจากข่าวปัจจุบัน ภาษาไทย' }
+    }
+};
+
+// คะแนน AI ต่างจากคะแนนของระบบตั้งแต่เท่านี้ขึ้นไปจะแสดงคำเตือน
+const DIVERGENCE_THRESHOLD = 3;
+
+/**
+ * ผลวิเคราะห์แบบมีโครงสร้างจาก AI
+ *
+ * {
+ *   "holdings": [{ "symbol": "VOO", "risk": 4, "opportunity": 6, "rationale": "...", "citations": ["https://..."] }],
+ *   "overallAdvice": "..."
+ * }
+ *
+ * parse() ตรวจตาม schema และคืนรายการข้อผิดพลาดสำหรับ prompt ขอแก้ไข
+ * merge() นำคะแนนไปใส่ผลของ StockRiskAnalyzer (aiAssessment) และ render() สร้างรายงานข้อความ
+ */
+class AnalysisSchema {
+    /**
+     * schema ที่จำกัด symbol ตามพอร์ต
+     */
+    getSchema(symbols = []) {
+        if (symbols.length === 0) return SCHEMA;
+
+        const holding = SCHEMA.properties.holdings.items;
+        return {
+            ...SCHEMA,
+            properties: {
+                ...SCHEMA.properties,
+                holdings: {
+                    ...SCHEMA.properties.holdings,
+                    items: {
+                        ...holding,
+                        properties: { ...holding.properties, symbol: { type: 'string', enum: symbols } }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * คำสั่งท้าย prompt ให้ตอบเป็น JSON ตาม schema
+     */
+    buildInstructions(symbols = []) {
+        let instructions = `ตอบเป็น JSON เท่านั้น ไม่มีข้อความอื่น ตาม JSON Schema นี้:\n${JSON.stringify(this.getSchema(symbols), null, 2)}`;
+        if (symbols.length > 0) {
+            instructions += `\n\nต้องประเมินครบทุกสินทรัพย์: ${symbols.join(', ')}`;
+        }
+        return instructions;
+    }
+
+    /**
+     * prompt ขอให้แก้คำตอบที่ไม่ผ่าน schema
+     */
+    buildRepairPrompt(content, errors, symbols = []) {
+        return `คำตอบก่อนหน้าไม่ตรงตาม schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+คำตอบก่อนหน้า:
+${content}
+
+กรุณาแก้ไขให้ถูกต้องโดยคงเนื้อหาเดิม
+${this.buildInstructions(symbols)}`;
+    }
+
+    /**
+     * แยก JSON จากคำตอบ (รองรับ ```json ... ```) แล้วตรวจตาม schema
+     * คืน { data, errors } โดย data เป็น null เมื่อไม่ผ่าน
+     */
+    parse(content, symbols = []) {
+        const text = (content || '').trim();
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end < start) {
+            return { data: null, errors: ['ไม่พบ JSON object ในคำตอบ'] };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            return { data: null, errors: [`JSON ไม่ถูกต้อง: ${error.message}`] };
+        }
+
+        const errors = this.validate(data, symbols);
+        return { data: errors.length === 0 ? data : null, errors };
+    }
+
+    validate(data, symbols = []) {
+        const errors = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['ต้องเป็น JSON object'];
+        }
+
+        if (typeof data.overallAdvice !== 'string' || !data.overallAdvice.trim()) {
+            errors.push('overallAdvice: ต้องเป็นข้อความที่ไม่ว่าง');
+        }
+        if (!Array.isArray(data.holdings)) {
+            errors.push('holdings: ต้องเป็น array');
+            return errors;
+        }
+
+        const seen = new Set();
+        data.holdings.forEach((holding, index) => {
+            const label = `holdings[${index}]`;
+            if (!holding || typeof holding !== 'object') {
+                errors.push(`${label}: ต้องเป็น object`);
+                return;
+            }
+
+            if (typeof holding.symbol !== 'string' || !holding.symbol.trim()) {
+                errors.push(`${label}.symbol: ต้องเป็นข้อความที่ไม่ว่าง`);
+            } else if (symbols.length > 0 && !symbols.includes(holding.symbol)) {
+                errors.push(`${label}.symbol: ไม่มี "${holding.symbol}" ในพอร์ต (${symbols.join(', ')})`);
+            } else if (seen.has(holding.symbol)) {
+                errors.push(`${label}.symbol: "${holding.symbol}" ซ้ำ`);
+            } else {
+                seen.add(holding.symbol);
+            }
+
+            for (const field of ['risk', 'opportunity']) {
+                if (!Number.isInteger(holding[field]) || holding[field] < 1 || holding[field] > 10) {
+                    errors.push(`${label}.${field}: ต้องเป็นจำนวนเต็ม 1-10 (ได้ ${JSON.stringify(holding[field])})`);
+                }
+            }
+            if (typeof holding.rationale !== 'string' || !holding.rationale.trim()) {
+                errors.push(`${label}.rationale: ต้องเป็นข้อความที่ไม่ว่าง`);
+            }
+            if (!Array.isArray(holding.citations)) {
+                errors.push(`${label}.citations: ต้องเป็น array ของ URL`);
+            } else {
+                holding.citations.filter(url => !this.isUrl(url)).forEach(url => {
+                    errors.push(`${label}.citations: "${url}" ไม่ใช่ URL http(s)`);
+                });
+            }
+        });
+
+        const missing = symbols.filter(symbol => !seen.has(symbol));
+        if (missing.length > 0) {
+            errors.push(`holdings: ขาดการประเมิน ${missing.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    isUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * ใส่คะแนน AI ลงผลของ StockRiskAnalyzer ตาม symbol (aiAssessment)
+     * divergence = คะแนนความเสี่ยง AI ลบคะแนนของระบบ
+     */
+    merge(riskAnalysis, data) {
+        const bySymbol = new Map(data.holdings.map(holding => [holding.symbol, holding]));
+
+        return riskAnalysis.map(analysis => {
+            const holding = bySymbol.get(analysis.symbol);
+            if (!holding) return analysis;
+
+            return {
+                ...analysis,
+                aiAssessment: {
+                    risk: holding.risk,
+                    opportunity: holding.opportunity,
+                    rationale: holding.rationale,
+                    citations: holding.citations,
+                    divergence: holding.risk - analysis.overallRisk.score
+                }
+            };
+        });
+    }
+
+    /**
+     * รายงานข้อความจากผลที่ merge แล้ว (เรียงตามลำดับใน riskAnalysis)
+     * verification จาก CitationVerifier ใช้ทำเครื่องหมาย URL ที่ไม่พบในผลค้นหา
+     */
+    render(data, mergedAnalysis = [], verification = null) {
+        const unverified = new Set((verification?.unverified || []).map(citation => citation.value));
+        const assessed = mergedAnalysis.filter(analysis => analysis.aiAssessment);
+        const rows = assessed.length > 0
+            ? assessed.map(analysis => ({ symbol: analysis.symbol, systemRisk: analysis.overallRisk.score, ...analysis.aiAssessment }))
+            : data.holdings.map(holding => ({ ...holding, systemRisk: null, divergence: 0 }));
+
+        let report = '📈 **ประเมินรายตัว:**\n';
+        for (const row of rows) {
+            report += `\n• **${row.symbol}** ความเสี่ยง ${row.risk}/10`;
+            if (row.systemRisk !== null) {
+                report += ` (ระบบ ${row.systemRisk}/10)`;
+            }
+            report += `, โอกาสกำไร ${row.opportunity}/10\n`;
+            if (Math.abs(row.divergence) >= DIVERGENCE_THRESHOLD) {
+                report += `   ⚠️ AI ประเมินความเสี่ยง${row.divergence > 0 ? 'สูง' : 'ต่ำ'}กว่าระบบ ${Math.abs(row.divergence)} คะแนน\n`;
+            }
+            report += `   ${row.rationale.trim()}\n`;
+            if (row.citations.length > 0) {
+                report += row.citations.map(url => `   🔗 ${url}${unverified.has(url) ? ' ⚠️ ไม่พบในผลค้นหา' : ''}\n`).join('');
+            }
+        }
+
+        report += `\n💭 **คำแนะนำโดยรวม:**\n${data.overallAdvice.trim()}`;
+        return report;
+    }
+}
+
+AnalysisSchema.SCHEMA = SCHEMA;
+
+module.exports = AnalysisSchema;
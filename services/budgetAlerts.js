@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+
+/**
+ * แจ้งเตือนงบประมาณผ่าน MessageService ครั้งเดียวต่อเกณฑ์
+ * - รายเดือน: ค่าใช้จ่ายรวม AI + ค้นหาถึงร้อยละของ MONTHLY_COST_LIMIT_THB (ค่าเริ่มต้น 50, 80, 100)
+ * - รายวัน: จำนวนคำค้น Google ที่คิดเงินของวันนี้ถึงเกณฑ์ (ไม่กำหนด = ไม่แจ้ง)
+ *
+ * เกณฑ์ที่แจ้งแล้วเก็บใน data/budget-alert-state.json เริ่มนับใหม่เมื่อขึ้นเดือน/วันใหม่
+ * ถ้าส่ง LINE ไม่สำเร็จจะไม่บันทึก เพื่อแจ้งอีกครั้งในการรันครั้งถัดไป
+ */
+class BudgetAlerts {
+    constructor(costTracker, messageService, options = {}) {
+        this.costTracker = costTracker;
+        this.messageService = messageService;
+        this.stateFile = options.stateFile || path.join(__dirname, '../data/budget-alert-state.json');
+        this.monthlyLimit = options.monthlyLimit || 100;
+        this.thresholds = options.thresholds || DEFAULT_THRESHOLDS;
+        this.dailyPaidSearches = options.dailyPaidSearches || null;
+        this.validate();
+    }
+
+    validate() {
+        const errors = this.thresholds
+            .filter(threshold => !(Number.isFinite(threshold) && threshold > 0))
+            .map(threshold => `BUDGET_ALERT_THRESHOLDS: ${threshold} ต้องเป็นร้อยละที่มากกว่า 0`);
+        if (!(Number.isFinite(this.monthlyLimit) && this.monthlyLimit > 0)) {
+            errors.push(`MONTHLY_COST_LIMIT_THB: ${this.monthlyLimit} ต้องมากกว่า 0`);
+        }
+        if (this.dailyPaidSearches !== null && !(Number.isInteger(this.dailyPaidSearches) && this.dailyPaidSearches > 0)) {
+            errors.push(`BUDGET_ALERT_DAILY_PAID_SEARCHES: ${this.dailyPaidSearches} ต้องเป็นจำนวนเต็มบวก`);
+        }
+        if (errors.length > 0) {
+            throw new Error(`การตั้งค่าแจ้งเตือนงบประมาณไม่ถูกต้อง:\n- ${errors.join('\n- ')}`);
+        }
+
+        this.thresholds = [...new Set(this.thresholds)].sort((a, b) => a - b);
+    }
+
+    async loadState() {
+        try {
+            return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`อ่านสถานะแจ้งเตือนงบประมาณไม่ได้ เริ่มใหม่: ${error.message}`);
+            }
+            return {};
+        }
+    }
+
+    async saveState(state) {
+        await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+        await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2), 'utf8');
+    }
+
+    /**
+     * ตรวจยอดเดือนนี้และคำค้นที่คิดเงินวันนี้ แล้วส่งแจ้งเตือนเฉพาะเกณฑ์ที่เพิ่งถึง
+     */
+    async check(now = new Date()) {
+        const month = now.toISOString().slice(0, 7);
+        const today = now.toISOString().slice(0, 10);
+        const ledger = this.costTracker.ledger;
+        const events = await ledger.loadPeriod(month);
+        const monthly = ledger.summarize(events);
+        const search = ledger.summarize(events.filter(event => event.timestamp.startsWith(today))).search;
+
+        const saved = await this.loadState();
+        const state = {
+            month: month,
+            monthlyAlerted: saved.month === month ? saved.monthlyAlerted || [] : [],
+            day: today,
+            dailySearchAlerted: saved.day === today ? Boolean(saved.dailySearchAlerted) : false
+        };
+
+        const percent = (monthly.costTHB / this.monthlyLimit) * 100;
+        const crossed = this.thresholds.filter(threshold => percent >= threshold && !state.monthlyAlerted.includes(threshold));
+        const searchCrossed = this.dailyPaidSearches !== null && !state.dailySearchAlerted && search.paidQueries >= this.dailyPaidSearches;
+
+        const result = { sent: false, percent: percent, thresholds: crossed, dailySearch: searchCrossed };
+        if (crossed.length === 0 && !searchCrossed) {
+            return result;
+        }
+
+        const lines = ['🚨 แจ้งเตือนงบประมาณ', ''];
+        if (crossed.length > 0) {
+            lines.push(`• ค่าใช้จ่ายเดือน ${month} ถึง ${Math.max(...crossed)}% ของงบ: ${monthly.costTHB.toFixed(2)}/${this.monthlyLimit.toFixed(2)} บาท (AI ${monthly.ai.costTHB.toFixed(2)}, ค้นหา ${monthly.search.costTHB.toFixed(2)})`);
+            lines.push(percent >= 100
+                ? '• เกินงบแล้ว: การรันถัดไปใช้ได้เฉพาะผู้ให้บริการ AI ฟรี (local / mock)'
+                : `• เหลือ ${(this.monthlyLimit - monthly.costTHB).toFixed(2)} บาท`);
+        }
+        if (searchCrossed) {
+            lines.push(`• Google Search วันนี้คิดเงินแล้ว ${search.paidQueries} คำค้น (เกณฑ์ ${this.dailyPaidSearches}) ≈ ${search.costTHB.toFixed(2)} บาท`);
+        }
+        const message = lines.join('\n');
+
+        logger.money(message.replace(/\n+/g, ' '));
+        result.sent = await this.messageService.sendAlert(message);
+        if (!result.sent) {
+            logger.warn('ส่งแจ้งเตือนงบประมาณไม่สำเร็จ จะแจ้งอีกครั้งในการรันครั้งถัดไป');
+            return result;
+        }
+
+        state.monthlyAlerted = [...state.monthlyAlerted, ...crossed].sort((a, b) => a - b);
+        state.dailySearchAlerted = state.dailySearchAlerted || searchCrossed;
+        await this.saveState(state);
+        return result;
+    }
+}
+
+BudgetAlerts.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = BudgetAlerts;
@@ -0,0 +1,213 @@
+const logger = require('./logger');
+
+const MODES = ['flag', 'strip'];
+
+// พารามิเตอร์ติดตามที่ไม่มีผลต่อเนื้อหา ตัดออกก่อนเทียบ URL
+const TRACKING_PARAM = /^(utm_.*|fbclid|gclid|ref)$/i;
+const URL_PATTERN = /https?:\/\/[^\s<>"'“”()[\]]+/g;
+// หัวข้อข่าวที่ AI ยกมาในเครื่องหมายคำพูด
+const QUOTED_HEADLINE = /["“«]([^"“”«»\n]{12,200})["”»]/g;
+// ความคล้ายของหัวข้อข่าว (Dice ของตัวอักษรคู่ ใช้ได้กับภาษาไทยที่ไม่เว้นวรรค)
+const HEADLINE_SIMILARITY = 0.6;
+
+/**
+ * ตรวจว่า URL และหัวข้อข่าวที่ AI อ้างมาจากผลค้นหาที่ส่งให้จริง (newsData และข่าวรายหุ้นใน stockAnalysis)
+ *
+ * - URL ใน citations และในข้อความ (rationale, overallAdvice) เทียบแบบไม่สนใจ www, / ท้าย, #, utm_*
+ * - หัวข้อข่าวในเครื่องหมายคำพูดเทียบกับชื่อข่าวแบบคล้ายกัน
+ *
+ * mode: flag = คงไว้และแสดงคำเตือน, strip = ตัด URL ที่ไม่พบออก (หัวข้อข่าวแสดงคำเตือนเสมอ)
+ * grounding score = สัดส่วนการอ้างอิงที่ยืนยันได้ (null เมื่อไม่มีการอ้างอิง)
+ */
+class CitationVerifier {
+    constructor(options = {}) {
+        this.mode = options.mode || 'flag';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`โหมดตรวจแหล่งอ้างอิงไม่ถูกต้อง: ${this.mode} (ใช้ ${MODES.join(' หรือ ')})`);
+        }
+    }
+
+    /**
+     * ข่าวทั้งหมดที่ส่งให้ AI
+     */
+    collectSources(newsData = null, stockAnalysis = []) {
+        const news = [
+            ...Object.values(newsData || {}).flat(),
+            ...stockAnalysis.flatMap(stock => stock.news || [])
+        ];
+
+        return news.filter(item => item && (item.url || item.title)).map(item => ({
+            title: item.title || '',
+            url: item.url || '',
+            urlKey: item.url ? this.normalizeUrl(item.url) : null,
+            titleKey: this.normalizeTitle(item.title)
+        }));
+    }
+
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url.trim());
+            const params = [...parsed.searchParams.entries()]
+                .filter(([key]) => !TRACKING_PARAM.test(key))
+                .sort(([a], [b]) => a.localeCompare(b));
+            const search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+            const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+            return `${host}${parsed.pathname.replace(/\/+$/, '')}${search}`;
+        } catch (error) {
+            return url.trim().toLowerCase();
+        }
+    }
+
+    normalizeTitle(title) {
+        return (title || '').toLowerCase().replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ').trim();
+    }
+
+    titleSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a.includes(b) || b.includes(a)) return 1;
+
+        const bigrams = text => {
+            const compact = text.replace(/\s+/g, '');
+            const pairs = new Map();
+            for (let i = 0; i < compact.length - 1; i++) {
+                const pair = compact.slice(i, i + 2);
+                pairs.set(pair, (pairs.get(pair) || 0) + 1);
+            }
+            return pairs;
+        };
+
+        const first = bigrams(a);
+        const second = bigrams(b);
+        let overlap = 0;
+        let total = 0;
+        for (const [pair, count] of first) {
+            overlap += Math.min(count, second.get(pair) || 0);
+            total += count;
+        }
+        for (const count of second.values()) total += count;
+        return total > 0 ? (2 * overlap) / total : 0;
+    }
+
+    findUrl(url, sources) {
+        const key = this.normalizeUrl(url);
+        return sources.find(source => source.urlKey === key) || null;
+    }
+
+    findHeadline(headline, sources) {
+        const key = this.normalizeTitle(headline);
+        return sources.find(source => this.titleSimilarity(key, source.titleKey) >= HEADLINE_SIMILARITY) || null;
+    }
+
+    /**
+     * URL และหัวข้อข่าวที่อ้างในข้อความ
+     */
+    extractReferences(text) {
+        const urls = (text || '').match(URL_PATTERN) || [];
+        const headlines = [...(text || '').matchAll(QUOTED_HEADLINE)].map(match => match[1].trim());
+        return {
+            urls: urls.map(url => url.replace(/[.,;:!?]+$/, '')),
+            headlines: headlines
+        };
+    }
+
+    /**
+     * ตรวจผลวิเคราะห์ที่มีโครงสร้าง (services/analysisSchema.js)
+     * คืน { analysis, citations: [{ symbol, kind, value, verified, source }], unverified, verified, total, score, stripped }
+     */
+    verify(analysis, newsData = null, stockAnalysis = []) {
+        const sources = this.collectSources(newsData, stockAnalysis);
+        const citations = [];
+
+        const check = (symbol, kind, value) => {
+            const source = kind === 'headline' ? this.findHeadline(value, sources) : this.findUrl(value, sources);
+            const citation = { symbol, kind, value, verified: Boolean(source), source: source ? { title: source.title, url: source.url } : null };
+            citations.push(citation);
+            return citation;
+        };
+        const checkText = (symbol, text) => {
+            const references = this.extractReferences(text);
+            references.urls.forEach(url => check(symbol, 'url', url));
+            references.headlines.forEach(headline => check(symbol, 'headline', headline));
+        };
+
+        for (const holding of analysis.holdings) {
+            holding.citations.forEach(url => check(holding.symbol, 'citation', url));
+            checkText(holding.symbol, holding.rationale);
+        }
+        checkText(null, analysis.overallAdvice);
+
+        const unverified = citations.filter(citation => !citation.verified);
+        const verified = citations.length - unverified.length;
+        const result = {
+            analysis: analysis,
+            citations: citations,
+            unverified: unverified,
+            verified: verified,
+            total: citations.length,
+            score: citations.length > 0 ? verified / citations.length : null,
+            stripped: []
+        };
+
+        if (unverified.length > 0) {
+            logger.warn(`แหล่งอ้างอิงจาก AI ที่ไม่พบในผลค้นหา ${unverified.length}/${citations.length} รายการ: ${unverified.map(citation => citation.value).join(', ')}`);
+        }
+        if (this.mode === 'strip') {
+            return this.strip(result);
+        }
+        return result;
+    }
+
+    /**
+     * ตัด URL ที่ไม่พบในผลค้นหาออกจาก citations และข้อความ
+     */
+    strip(result) {
+        const removable = new Set(result.unverified.filter(citation => citation.kind !== 'headline').map(citation => citation.value));
+        if (removable.size === 0) return result;
+
+        const stripText = text => [...removable].reduce((current, url) => current.split(url).join(''), text)
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/\(\s*\)/g, '')
+            .trim();
+
+        const analysis = {
+            ...result.analysis,
+            holdings: result.analysis.holdings.map(holding => ({
+                ...holding,
+                citations: holding.citations.filter(url => !removable.has(url)),
+                rationale: stripText(holding.rationale)
+            })),
+            overallAdvice: stripText(result.analysis.overallAdvice)
+        };
+
+        return {
+            ...result,
+            analysis: analysis,
+            unverified: result.unverified.filter(citation => !removable.has(citation.value)),
+            stripped: [...removable]
+        };
+    }
+
+    /**
+     * ส่วนท้ายรายงาน: grounding score และการอ้างอิงในข้อความที่ไม่พบในผลค้นหา
+     * (URL ใน citations แสดงคำเตือนในรายการของแต่ละสินทรัพย์แล้ว)
+     */
+    formatReport(result) {
+        if (result.total === 0) {
+            return '🔎 **แหล่งอ้างอิง:** ไม่มีการอ้างอิงข่าว';
+        }
+
+        let report = `🔎 **แหล่งอ้างอิง:** ยืนยันได้ ${result.verified}/${result.total} (${Math.round(result.score * 100)}%) จากข่าวที่ค้นหา`;
+        if (result.stripped.length > 0) {
+            report += `\n   ✂️ ตัด URL ที่ไม่พบในผลค้นหาออก ${result.stripped.length} รายการ`;
+        }
+        for (const citation of result.unverified.filter(item => item.kind !== 'citation')) {
+            const value = citation.kind === 'headline' ? `"${citation.value}"` : citation.value;
+            report += `\n   ⚠️ ${citation.symbol ? `${citation.symbol}: ` : ''}${value} ไม่พบในข่าวที่ค้นหา`;
+        }
+        return report;
+    }
+}
+
+CitationVerifier.MODES = MODES;
+
+module.exports = CitationVerifier;
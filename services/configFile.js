@@ -0,0 +1,55 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+/**
+ * ไฟล์ตั้งค่า JSON หรือ YAML (นามสกุล .yaml/.yml) ใน config/ ทุกไฟล์เป็น object ที่มี version (จำนวนเต็มตั้งแต่ 1)
+ * ตรวจ object และ version ที่นี่ ส่วนฟิลด์อื่นตรวจด้วย validate(data) ของบริการที่ใช้ไฟล์นั้น
+ * ซึ่งคืนรายการข้อผิดพลาด (ว่าง = ถูกต้อง) ถ้ามีข้อผิดพลาดจะ throw พร้อมทุกรายการ
+ *
+ * label ใช้ในข้อความ error เช่น 'ไฟล์สถานการณ์' → "อ่านไฟล์สถานการณ์ ... ไม่ได้"
+ */
+class ConfigFile {
+    constructor(filePath, label) {
+        this.filePath = filePath;
+        this.label = label;
+    }
+
+    isYaml() {
+        return /\.ya?ml$/i.test(this.filePath);
+    }
+
+    read(validate) {
+        let data;
+        try {
+            const content = fs.readFileSync(this.filePath, 'utf8').replace(/^\uFEFF/, '');
+            data = this.isYaml() ? yaml.load(content) : JSON.parse(content);
+        } catch (error) {
+            throw new Error(`อ่าน${this.label} ${this.filePath} ไม่ได้: ${error.message}`);
+        }
+
+        const errors = this.validate(data, validate);
+        if (errors.length > 0) {
+            throw new Error(`${this.label} ${this.filePath} ไม่ถูกต้อง:\n- ${errors.join('\n- ')}`);
+        }
+        return data;
+    }
+
+    validate(data, validate) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['ต้องเป็น object'];
+        }
+
+        const errors = [];
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            errors.push('version ต้องเป็นจำนวนเต็มตั้งแต่ 1');
+        }
+        return [...errors, ...validate(data)];
+    }
+
+    write(data) {
+        const content = this.isYaml() ? yaml.dump(data) : JSON.stringify(data, null, 2) + '\n';
+        fs.writeFileSync(this.filePath, content, 'utf8');
+    }
+}
+
+module.exports = ConfigFile;
@@ -0,0 +1,148 @@
+const logger = require('./logger');
+
+const DECISIONS = {
+    proceed: '✅ ดำเนินการตามปกติ',
+    downgrade: '⬇️ ลดระดับ',
+    refuse: '⛔ ไม่เรียก AI'
+};
+
+/**
+ * ประมาณค่าใช้จ่ายของการรันก่อนเรียกบริการที่มีค่าใช้จ่าย
+ * - ก่อนค้นข่าว: คำค้น Google ที่เกินโควต้าฟรี ถ้าค่าใช้จ่ายเกินวงเงินจะค้นเฉพาะโควต้าฟรี
+ * - ก่อนเรียก AI: token ของ prompt และคำตอบที่คาดไว้ของทุก provider ในลำดับสำรอง
+ *   ตัดตัวที่ทำให้เกินวงเงินออก (ลดระดับ) ถ้าไม่เหลือเลยจะไม่เรียก AI (ปฏิเสธ)
+ *
+ * วงเงินของการรัน = ค่าที่น้อยกว่าระหว่าง MAX_RUN_COST_THB กับงบรายเดือนที่เหลือ
+ * ค่าใช้จ่าย AI คิดแบบเดียวกับที่ CostTracker บันทึก (provider ที่ไม่บันทึก usage คิดเป็น 0)
+ */
+class CostEstimator {
+    constructor(costTracker, webSearchService, mapReduceAnalyzer, options = {}) {
+        this.costTracker = costTracker;
+        this.webSearchService = webSearchService;
+        this.mapReduceAnalyzer = mapReduceAnalyzer;
+        this.maxRunCost = options.maxRunCost || null;
+        // ความยาวคำตอบที่คาดไว้เมื่อไม่ใช้ map-reduce (เท่ากับคำตอบสุดท้ายของ map-reduce)
+        this.expectedOutputTokens = options.expectedOutputTokens || mapReduceAnalyzer.reduceOutputTokens;
+    }
+
+    getRunLimit(budgetStatus) {
+        const remaining = Math.max(0, budgetStatus.remainingBudget);
+        if (this.maxRunCost !== null && this.maxRunCost <= remaining) {
+            return { amount: this.maxRunCost, source: 'MAX_RUN_COST_THB' };
+        }
+        return { amount: remaining, source: 'งบรายเดือนคงเหลือ' };
+    }
+
+    /**
+     * ก่อนค้นข่าว: ปิดคำค้นที่มีค่าใช้จ่ายถ้าเกินวงเงินของการรัน
+     */
+    planSearches(stockList, budgetStatus) {
+        const limit = this.getRunLimit(budgetStatus);
+        const searches = this.webSearchService.estimateRunQueries(stockList);
+        const allowPaidSearches = searches.costTHB <= limit.amount;
+        this.webSearchService.allowPaidSearches = allowPaidSearches;
+
+        if (!allowPaidSearches) {
+            logger.money(`คำค้นเสียเงิน ${searches.paid} คำค้น (${searches.costTHB.toFixed(2)} บาท) เกินวงเงิน ${limit.amount.toFixed(2)} บาท - ค้นหาเฉพาะโควต้าฟรี`);
+        }
+
+        return {
+            decision: allowPaidSearches ? 'proceed' : 'downgrade',
+            limit: limit,
+            searches: searches,
+            allowPaidSearches: allowPaidSearches,
+            searchCostTHB: allowPaidSearches ? searches.costTHB : 0,
+            estimates: [],
+            providers: []
+        };
+    }
+
+    /**
+     * token และค่าใช้จ่าย (บาท) ของ provider หนึ่งตัวสำหรับ prompt นี้
+     */
+    estimateAI(provider, prompt, mapReduceInput, exchangeRate) {
+        const tokens = this.mapReduceAnalyzer.shouldSplit(prompt, provider)
+            ? this.mapReduceAnalyzer.estimate(provider, mapReduceInput)
+            : { inputTokens: provider.estimateTokens(prompt), outputTokens: this.expectedOutputTokens, calls: 1 };
+        const cost = provider.tracksUsage
+            ? this.costTracker.calculateCost(provider.name, provider.model, tokens.inputTokens, tokens.outputTokens).totalCost
+            : 0;
+
+        return {
+            key: `${provider.name}/${provider.model}`,
+            inputTokens: tokens.inputTokens,
+            outputTokens: tokens.outputTokens,
+            calls: tokens.calls,
+            costTHB: cost * exchangeRate
+        };
+    }
+
+    /**
+     * ก่อนเรียก AI: ตัด provider ที่ทำให้ค่าใช้จ่ายรวม (ค้นข่าว + AI) เกินวงเงินออกจากลำดับสำรอง
+     * คืนแผนเดิมพร้อม decision (proceed | downgrade | refuse), estimates และ providers ที่ยังใช้ได้
+     */
+    planAnalysis(searchPlan, candidates, prompt, mapReduceInput, exchangeRate) {
+        const estimates = candidates.map(provider => {
+            const estimate = this.estimateAI(provider, prompt, mapReduceInput, exchangeRate);
+            return { ...estimate, allowed: searchPlan.searchCostTHB + estimate.costTHB <= searchPlan.limit.amount };
+        });
+        const providers = candidates.filter((provider, index) => estimates[index].allowed);
+        const dropped = estimates.filter(estimate => !estimate.allowed);
+
+        let decision = 'proceed';
+        if (candidates.length > 0 && providers.length === 0) {
+            decision = 'refuse';
+        } else if (dropped.length > 0 || !searchPlan.allowPaidSearches) {
+            decision = 'downgrade';
+        }
+
+        const plan = { ...searchPlan, decision, estimates, providers };
+        if (decision === 'refuse') {
+            logger.money(`ค่าใช้จ่ายประมาณ ${this.getCheapest(plan).toFixed(2)} บาท เกินวงเงิน ${plan.limit.amount.toFixed(2)} บาท (${plan.limit.source}) - ไม่เรียก AI`);
+        } else if (dropped.length > 0) {
+            logger.money(`ข้าม ${dropped.map(estimate => `${estimate.key} (${estimate.costTHB.toFixed(2)} บาท)`).join(', ')} เพราะเกินวงเงิน ${plan.limit.amount.toFixed(2)} บาท`);
+        }
+        return plan;
+    }
+
+    /**
+     * ค่าใช้จ่ายรวมที่ถูกที่สุดของการรัน (ค้นข่าว + AI ตัวที่ถูกที่สุด)
+     */
+    getCheapest(plan) {
+        const costs = plan.estimates.map(estimate => estimate.costTHB);
+        return plan.searchCostTHB + (costs.length > 0 ? Math.min(...costs) : 0);
+    }
+
+    /**
+     * ส่วน "ประมาณการก่อนรัน" ของสรุปค่าใช้จ่าย
+     */
+    formatSummary(plan) {
+        const { limit, searches } = plan;
+        const lines = [
+            '🧮 ประมาณการก่อนรัน:',
+            `• วงเงินการรันนี้: ${limit.amount.toFixed(2)} บาท (${limit.source})`,
+            `• Google Search: ${searches.queries} คำค้น (ฟรี ${searches.free}, เสียเงิน ${searches.paid} ≈ ${searches.costTHB.toFixed(2)} บาท)`
+        ];
+
+        for (const estimate of plan.estimates) {
+            const calls = estimate.calls > 1 ? `, ${estimate.calls} ครั้ง` : '';
+            lines.push(`• AI ${estimate.key}: prompt ${estimate.inputTokens.toLocaleString()} + คำตอบ ${estimate.outputTokens.toLocaleString()} tokens${calls} ≈ ${estimate.costTHB.toFixed(2)} บาท${estimate.allowed ? '' : ' ❌ เกินวงเงิน'}`);
+        }
+
+        const notes = [];
+        if (!plan.allowPaidSearches) notes.push('ค้นหาเฉพาะโควต้าฟรี');
+        const dropped = plan.estimates.filter(estimate => !estimate.allowed);
+        if (plan.decision === 'refuse') {
+            notes.push(`ประมาณ ${this.getCheapest(plan).toFixed(2)} บาท เกินวงเงิน`);
+        } else if (dropped.length > 0) {
+            notes.push(`ข้าม ${dropped.map(estimate => estimate.key).join(', ')}`);
+        }
+        lines.push(`• ผล: ${DECISIONS[plan.decision]}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+
+        return lines.join('\n');
+    }
+}
+
+CostEstimator.DECISIONS = DECISIONS;
+
+module.exports = CostEstimator;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const JsonlStore = require('./jsonlStore');
+
+const CATEGORIES = ['ai', 'search'];
+const REQUIRED_FIELDS = ['runId', 'category', 'provider', 'unit', 'quantity', 'costUSD', 'costTHB', 'exchangeRate'];
+
+/**
+ * บัญชีค่าใช้จ่ายรวมทุกบริการ เก็บเป็น JSONL ที่ data/cost-ledger.jsonl (หนึ่งบรรทัดต่อหนึ่งรายการที่คิดเงินได้)
+ *
+ * event:
+ * {
+ *   timestamp, runId, category: 'ai' | 'search', provider, model,
+ *   unit: 'token' | 'query', quantity, costUSD, costTHB, exchangeRate,
+ *   inputTokens, outputTokens, tokenCount   (ai)
+ *   free                                    (search: อยู่ในโควต้าฟรีของวัน)
+ * }
+ *
+ * ไฟล์เขียนต่อท้ายอย่างเดียว ไม่เขียนทับของเดิม ยอดทุกเดือนจึงยังอยู่ครบเมื่อขึ้นเดือนใหม่
+ * ครั้งแรกที่ยังไม่มีไฟล์ นำยอดจาก cost-tracking.json และ google_search_costs.json เดิมเข้ามา (runId: legacy)
+ */
+class CostLedger {
+    constructor(options = {}) {
+        const dataDir = path.join(__dirname, '../data');
+        this.filePath = options.filePath || path.join(dataDir, 'cost-ledger.jsonl');
+        this.store = new JsonlStore(this.filePath);
+        this.legacyFiles = options.legacyFiles || {
+            aiCosts: path.join(dataDir, 'cost-tracking.json'),
+            searchCosts: path.join(dataDir, 'google_search_costs.json')
+        };
+        // โควต้าฟรีรายวันของ Google Search ใช้แยกคำค้นฟรี/คิดเงินของยอดรายวันในไฟล์เดิม
+        this.freeSearchesPerDay = options.freeSearchesPerDay || 100;
+        this.ready = null;
+    }
+
+    /**
+     * run ID ใช้ผูกทุกรายการของการรันเดียวกัน เช่น 20261019-090311-a1b2
+     */
+    createRunId(date = new Date()) {
+        const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    validate(event) {
+        const errors = REQUIRED_FIELDS
+            .filter(field => event[field] === undefined || event[field] === null)
+            .map(field => `${field}: ต้องระบุ`);
+        if (event.category !== undefined && !CATEGORIES.includes(event.category)) {
+            errors.push(`category: ต้องเป็น ${CATEGORIES.join(' หรือ ')}`);
+        }
+        for (const field of ['quantity', 'costUSD', 'costTHB', 'exchangeRate']) {
+            if (event[field] !== undefined && event[field] !== null && !(Number.isFinite(event[field]) && event[field] >= 0)) {
+                errors.push(`${field}: ต้องเป็นตัวเลขตั้งแต่ 0`);
+            }
+        }
+        if (errors.length > 0) {
+            throw new Error(`รายการค่าใช้จ่ายไม่ถูกต้อง:\n- ${errors.join('\n- ')}`);
+        }
+    }
+
+    async append(event) {
+        this.validate(event);
+        await this.ensureFile();
+
+        const entry = { timestamp: event.timestamp || new Date().toISOString(), ...event };
+        await this.store.append(entry);
+        return entry;
+    }
+
+    /**
+     * อ่านทุกรายการ บรรทัดที่เสียจะถูกข้ามพร้อมแจ้งเตือน
+     */
+    async loadAll() {
+        await this.ensureFile();
+        return this.store.loadAll();
+    }
+
+    /**
+     * รายการของเดือน (YYYY-MM) หรือวัน (YYYY-MM-DD) ตามเวลา UTC
+     */
+    async loadPeriod(period) {
+        return (await this.loadAll()).filter(event => event.timestamp.startsWith(period));
+    }
+
+    /**
+     * ยอดรวมของรายการชุดหนึ่ง แยก AI/ค้นหา
+     */
+    summarize(events) {
+        const sum = (items, field) => items.reduce((total, event) => total + (event[field] || 0), 0);
+        const ai = events.filter(event => event.category === 'ai');
+        const search = events.filter(event => event.category === 'search');
+
+        return {
+            costUSD: sum(events, 'costUSD'),
+            costTHB: sum(events, 'costTHB'),
+            ai: {
+                tokens: sum(ai, 'quantity'),
+                estimatedTokens: sum(ai.filter(event => event.tokenCount !== 'exact'), 'quantity'),
+                costUSD: sum(ai, 'costUSD'),
+                costTHB: sum(ai, 'costTHB')
+            },
+            search: {
+                queries: sum(search, 'quantity'),
+                paidQueries: sum(search.filter(event => !event.free), 'quantity'),
+                costUSD: sum(search, 'costUSD'),
+                costTHB: sum(search, 'costTHB')
+            },
+            runs: new Set(events.map(event => event.runId)).size
+        };
+    }
+
+    /**
+     * ยอดรวมรายเดือน (YYYY-MM) เรียงจากเก่าไปใหม่
+     */
+    summarizeByMonth(events) {
+        const months = {};
+        for (const event of events) {
+            const month = event.timestamp.slice(0, 7);
+            (months[month] = months[month] || []).push(event);
+        }
+
+        return Object.keys(months).sort().map(month => ({ month, ...this.summarize(months[month]) }));
+    }
+
+    async ensureFile() {
+        if (!this.ready) {
+            this.ready = this.initialize().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async initialize() {
+        if (await this.store.exists()) return;
+
+        const events = await this.readLegacy();
+        await this.store.create(events);
+        if (events.length > 0) {
+            logger.file(`นำค่าใช้จ่ายจากไฟล์เดิมเข้าบัญชีค่าใช้จ่าย ${events.length} รายการ`);
+        }
+    }
+
+    /**
+     * ยอดจากไฟล์เดิม: AI รายการรันของเดือนที่ไฟล์เก็บไว้ (เดือนก่อนหน้าถูกเขียนทับไปแล้ว), Google Search รายวันทุกเดือน
+     * ยอดค้นหารายวันแยกเป็นรายการฟรี (ไม่เกินโควต้าฟรี) และรายการคิดเงิน (ส่วนที่เกิน พร้อมค่าใช้จ่ายทั้งหมดของวัน)
+     */
+    async readLegacy() {
+        const readJson = async filePath => {
+            try {
+                return JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') logger.warn(`อ่านไฟล์ค่าใช้จ่ายเดิมไม่ได้ ${filePath}: ${error.message}`);
+                return null;
+            }
+        };
+
+        const events = [];
+        const aiCosts = await readJson(this.legacyFiles.aiCosts);
+        if (aiCosts?.currentMonth) {
+            for (const session of aiCosts.monthlyUsage?.sessions || []) {
+                events.push({
+                    timestamp: session.timestamp,
+                    runId: 'legacy',
+                    category: 'ai',
+                    provider: session.provider || 'unknown',
+                    model: session.model || null,
+                    unit: 'token',
+                    quantity: session.tokens || 0,
+                    costUSD: session.costUSD || 0,
+                    costTHB: session.costTHB || 0,
+                    exchangeRate: session.exchangeRate || 0,
+                    inputTokens: session.inputTokens || 0,
+                    outputTokens: session.outputTokens || 0,
+                    tokenCount: session.tokenCount || 'estimated'
+                });
+            }
+        }
+
+        const searchCosts = await readJson(this.legacyFiles.searchCosts);
+        for (const [date, day] of Object.entries(searchCosts?.daily || {})) {
+            if (!day.requests) continue;
+            const free = Math.min(day.requests, this.freeSearchesPerDay);
+            const base = {
+                timestamp: `${date}T00:00:00.000Z`,
+                runId: 'legacy',
+                category: 'search',
+                provider: 'google-search',
+                model: null,
+                unit: 'query'
+            };
+            const exchangeRate = day.costUSD > 0 ? day.costTHB / day.costUSD : 0;
+            events.push({ ...base, quantity: free, costUSD: 0, costTHB: 0, exchangeRate: exchangeRate, free: true });
+            if (day.requests > free) {
+                events.push({ ...base, quantity: day.requests - free, costUSD: day.costUSD || 0, costTHB: day.costTHB || 0, exchangeRate: exchangeRate, free: false });
+            }
+        }
+
+        return events.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+}
+
+CostLedger.CATEGORIES = CATEGORIES;
+
+module.exports = CostLedger;
@@ -0,0 +1,156 @@
+/**
+ * รายงานค่าใช้จ่ายย้อนหลังจากบัญชีค่าใช้จ่าย (npm run cost-report)
+ * - แนวโน้มรายเดือน: AI/ค้นหา, จำนวนการรัน, ค่าใช้จ่ายเฉลี่ยต่อการรัน
+ * - ค่าใช้จ่ายแยกตาม provider/model ในช่วงเดือนที่แสดง
+ * - ค่าใช้จ่ายของการรันล่าสุด
+ * - คาดการณ์ยอดสิ้นเดือนนี้จากค่าใช้จ่ายเฉลี่ยต่อวัน
+ *
+ * รายการที่นำเข้าจากไฟล์เดิม (runId: legacy) นับในยอดรายเดือน แต่ไม่นับเป็นการรัน
+ */
+class CostReport {
+    constructor(ledger, options = {}) {
+        this.ledger = ledger;
+        this.months = options.months || 6;
+        this.recentRuns = options.recentRuns || 5;
+        this.monthlyLimit = options.monthlyLimit || null;
+    }
+
+    async build(now = new Date()) {
+        const events = await this.ledger.loadAll();
+        const currentMonth = now.toISOString().slice(0, 7);
+        const totals = this.ledger.summarizeByMonth(events).slice(-this.months);
+        const firstMonth = totals[0]?.month || currentMonth;
+        const period = events.filter(event => event.timestamp.slice(0, 7) >= firstMonth);
+        const runs = this.summarizeRuns(period);
+
+        const months = totals.map((total, index) => {
+            const monthRuns = runs.filter(run => run.timestamp.startsWith(total.month));
+            const previous = totals[index - 1];
+            return {
+                month: total.month,
+                costTHB: total.costTHB,
+                aiCostTHB: total.ai.costTHB,
+                searchCostTHB: total.search.costTHB,
+                tokens: total.ai.tokens,
+                queries: total.search.queries,
+                runs: monthRuns.length,
+                costPerRun: monthRuns.length > 0 ? monthRuns.reduce((sum, run) => sum + run.costTHB, 0) / monthRuns.length : null,
+                change: previous?.costTHB > 0 ? ((total.costTHB - previous.costTHB) / previous.costTHB) * 100 : null
+            };
+        });
+
+        return {
+            generatedAt: now.toISOString(),
+            period: { from: firstMonth, to: totals[totals.length - 1]?.month || currentMonth },
+            months: months,
+            providers: this.groupByProvider(period),
+            runs: runs.slice(-this.recentRuns),
+            projection: this.project(events.filter(event => event.timestamp.startsWith(currentMonth)), now)
+        };
+    }
+
+    /**
+     * ค่าใช้จ่ายแยกตาม provider/model (Google Search รวมเป็นรายการเดียว) เรียงจากมากไปน้อย
+     */
+    groupByProvider(events) {
+        const total = events.reduce((sum, event) => sum + event.costTHB, 0);
+        const groups = {};
+        for (const event of events) {
+            const key = event.category === 'ai' ? `${event.provider}/${event.model}` : event.provider;
+            const group = groups[key] = groups[key] || { key, category: event.category, unit: event.unit, quantity: 0, costUSD: 0, costTHB: 0 };
+            group.quantity += event.quantity;
+            group.costUSD += event.costUSD;
+            group.costTHB += event.costTHB;
+        }
+
+        return Object.values(groups)
+            .map(group => ({ ...group, share: total > 0 ? (group.costTHB / total) * 100 : 0 }))
+            .sort((a, b) => b.costTHB - a.costTHB || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * ยอดรายการรัน เรียงตามเวลาที่เริ่ม
+     */
+    summarizeRuns(events) {
+        const runs = {};
+        for (const event of events.filter(item => item.runId !== 'legacy')) {
+            (runs[event.runId] = runs[event.runId] || []).push(event);
+        }
+
+        return Object.entries(runs).map(([runId, runEvents]) => {
+            const total = this.ledger.summarize(runEvents);
+            const models = runEvents.filter(event => event.category === 'ai').map(event => `${event.provider}/${event.model}`);
+            return {
+                runId: runId,
+                timestamp: runEvents.map(event => event.timestamp).sort()[0],
+                costTHB: total.costTHB,
+                aiCostTHB: total.ai.costTHB,
+                searchCostTHB: total.search.costTHB,
+                tokens: total.ai.tokens,
+                queries: total.search.queries,
+                models: [...new Set(models)]
+            };
+        }).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * ยอดสิ้นเดือน = ค่าใช้จ่ายเฉลี่ยต่อวันที่ผ่านมา (นับวันนี้) x จำนวนวันของเดือน (ตามเวลา UTC เหมือนบัญชี)
+     */
+    project(monthEvents, now) {
+        const spent = monthEvents.reduce((sum, event) => sum + event.costTHB, 0);
+        const daysElapsed = now.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+        const projected = (spent / daysElapsed) * daysInMonth;
+
+        return {
+            month: now.toISOString().slice(0, 7),
+            spent: spent,
+            daysElapsed: daysElapsed,
+            daysInMonth: daysInMonth,
+            projected: projected,
+            monthlyLimit: this.monthlyLimit,
+            overLimit: this.monthlyLimit !== null && projected > this.monthlyLimit
+        };
+    }
+
+    format(report) {
+        const baht = value => `${value.toFixed(2)} บาท`;
+        const lines = [`📊 รายงานค่าใช้จ่ายย้อนหลัง (${report.period.from} ถึง ${report.period.to})`];
+
+        if (report.months.length === 0) {
+            lines.push('', 'ยังไม่มีรายการค่าใช้จ่ายในบัญชี');
+            return lines.join('\n');
+        }
+
+        lines.push('', '📈 แนวโน้มรายเดือน:');
+        for (const month of report.months) {
+            const perRun = month.costPerRun !== null ? `, เฉลี่ย ${baht(month.costPerRun)}/การรัน` : '';
+            const change = month.change !== null ? ` | ${month.change >= 0 ? '📈 +' : '📉 '}${month.change.toFixed(1)}% จากเดือนก่อน` : '';
+            lines.push(`• ${month.month}: ${baht(month.costTHB)} (AI ${month.aiCostTHB.toFixed(2)}, ค้นหา ${month.searchCostTHB.toFixed(2)}) | ${month.runs} การรัน${perRun}${change}`);
+        }
+
+        lines.push('', '🏷️ แยกตามผู้ให้บริการ:');
+        for (const group of report.providers) {
+            const unit = group.unit === 'token' ? 'tokens' : 'คำค้น';
+            lines.push(`• ${group.key}: ${group.quantity.toLocaleString()} ${unit} ≈ ${baht(group.costTHB)} (${group.share.toFixed(1)}%)`);
+        }
+
+        if (report.runs.length > 0) {
+            lines.push('', '🧾 การรันล่าสุด:');
+            for (const run of report.runs) {
+                const ai = run.models.length > 0 ? `${run.models.join(', ')} ${run.tokens.toLocaleString()} tokens` : 'ไม่ได้เรียก AI';
+                lines.push(`• ${run.runId}: ${baht(run.costTHB)} (${ai}, ค้นหา ${run.queries} คำค้น)`);
+            }
+        }
+
+        const { projection } = report;
+        const limit = projection.monthlyLimit !== null
+            ? ` ${projection.overLimit ? '⚠️ เกิน' : 'จาก'}งบ ${baht(projection.monthlyLimit)}`
+            : '';
+        lines.push('', `🔮 คาดการณ์สิ้นเดือน ${projection.month}: ${baht(projection.projected)} (ใช้ไป ${baht(projection.spent)} ใน ${projection.daysElapsed}/${projection.daysInMonth} วัน)${limit}`);
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = CostReport;
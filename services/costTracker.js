@@ -1,89 +1,32 @@
-const fs = require('fs').promises;
-const path = require('path');
-const axios = require('axios');
+const FxService = require('./fxService');
+const CostLedger = require('./costLedger');
 
+/**
+ * ค่าใช้จ่าย AI และ Google Search ทุกรายการบันทึกลงบัญชีเดียว (services/costLedger.js)
+ * งบรายเดือนและสรุปค่าใช้จ่ายอ่านจากบัญชีนี้
+ */
 class CostTracker {
-    constructor() {
-        this.costFilePath = path.join(__dirname, '../data/cost-tracking.json');
-        this.dataDir = path.join(__dirname, '../data');
-        
-        // Token pricing per 1K tokens (USD)
-        this.pricing = {
-            openai: {
-                'gpt-4': { input: 0.03, output: 0.06 },
-                'gpt-4-turbo': { input: 0.01, output: 0.03 },
-                'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
-                'gpt-3.5-turbo-16k': { input: 0.003, output: 0.004 }
-            },
-            gemini: {
-                'gemini-2.5-pro': { input: 0.00125, output: 0.005 },
-                'gemini-2.5-flash': { input: 0.000075, output: 0.0003 },
-                'gemini-flash-latest': { input: 0.000075, output: 0.0003 }
-            }
-        };
-        
-        this.freeTiers = {
-            openai: ['gpt-3.5-turbo'], // Free tier models
-            gemini: ['gemini-2.5-flash', 'gemini-flash-latest'] // Free tier models
-        };
-    }
+    constructor(fxService = null, providers = null, ledger = null) {
+        // ใช้อัตราแลกเปลี่ยนชุดเดียวกับการประเมินมูลค่าพอร์ต
+        this.fxService = fxService || new FxService();
+        this.ledger = ledger || new CostLedger();
 
-    async initCostTracking() {
-        try {
-            await fs.mkdir(this.dataDir, { recursive: true });
-            
-            // Load existing cost data or create new
-            try {
-                const data = await fs.readFile(this.costFilePath, 'utf8');
-                return JSON.parse(data);
-            } catch (error) {
-                // Create new cost tracking file
-                const initialData = {
-                    currentMonth: new Date().toISOString().slice(0, 7), // YYYY-MM
-                    monthlyUsage: {
-                        totalTokens: 0,
-                        totalCostUSD: 0,
-                        totalCostTHB: 0,
-                        sessions: []
-                    },
-                    currentSession: {
-                        timestamp: new Date().toISOString(),
-                        tokens: 0,
-                        costUSD: 0,
-                        costTHB: 0,
-                        model: null,
-                        provider: null
-                    }
-                };
-                
-                await fs.writeFile(this.costFilePath, JSON.stringify(initialData, null, 2));
-                return initialData;
-            }
-        } catch (error) {
-            console.error('❌ ข้อผิดพลาดในการเริ่มต้นระบบติดตามค่าใช้จ่าย:', error.message);
-            throw error;
-        }
+        // ราคาต่อ 1K tokens มาจาก provider ในทะเบียนผู้ให้บริการ AI (config/ai-providers.json)
+        this.providers = providers;
     }
 
     async getExchangeRate() {
-        try {
-            // Get current USD to THB exchange rate
-            const response = await axios.get('https://api.exchangerate-api.com/v4/latest/USD', {
-                timeout: 10000
-            });
-            
-            const thbRate = response.data.rates.THB;
-            console.log(`💱 อัตราแลกเปลี่ยน: 1 USD = ${thbRate} THB`);
-            return thbRate;
-            
-        } catch (error) {
-            console.warn('⚠️ ไม่สามารถดึงอัตราแลกเปลี่ยนได้ ใช้อัตราเริ่มต้น 35 บาท');
-            return 35; // Fallback rate
-        }
+        await this.fxService.loadSnapshot();
+        return this.fxService.getRate('USD', 'THB');
     }
 
     calculateCost(provider, model, inputTokens, outputTokens) {
-        const pricing = this.pricing[provider]?.[model];
+        const source = this.providers?.get(provider);
+        if (source?.isFree) {
+            return { inputCost: 0, outputCost: 0, totalCost: 0 };
+        }
+
+        const pricing = source?.getPricing(model);
         if (!pricing) {
             console.warn(`⚠️ ไม่พบราคาสำหรับ ${provider}:${model}`);
             return { inputCost: 0, outputCost: 0, totalCost: 0 };
@@ -96,115 +39,125 @@ class CostTracker {
         return { inputCost, outputCost, totalCost };
     }
 
-    isFreeTier(provider, model) {
-        return this.freeTiers[provider]?.includes(model) || false;
+    /**
+     * บันทึกรายการที่คิดเงินได้ (costUSD) แปลงเป็นบาทด้วยอัตราของการรันนี้
+     */
+    async recordEvent(event) {
+        const exchangeRate = await this.getExchangeRate();
+        return this.ledger.append({
+            ...event,
+            costTHB: event.costUSD * exchangeRate,
+            exchangeRate: exchangeRate
+        });
     }
 
-    async updateCostTracking(provider, model, inputTokens, outputTokens, exchangeRate) {
+    /**
+     * บันทึก token ของ response จาก AI (usage.tokenCount: 'exact' = จาก API, 'estimated' = นับเองในเครื่อง)
+     */
+    async recordAIUsage(runId, response) {
         try {
-            const costData = await this.initCostTracking();
-            const currentMonth = new Date().toISOString().slice(0, 7);
-            
-            // Check if we're in a new month
-            if (costData.currentMonth !== currentMonth) {
-                // Archive previous month and start new
-                costData.currentMonth = currentMonth;
-                costData.monthlyUsage = {
-                    totalTokens: 0,
-                    totalCostUSD: 0,
-                    totalCostTHB: 0,
-                    sessions: []
-                };
-            }
-
-            const cost = this.calculateCost(provider, model, inputTokens, outputTokens);
-            const totalTokens = inputTokens + outputTokens;
-            const costTHB = cost.totalCost * exchangeRate;
-
-            // Update current session
-            costData.currentSession = {
-                timestamp: new Date().toISOString(),
-                tokens: totalTokens,
+            const { inputTokens, outputTokens, totalTokens, tokenCount } = response.usage;
+            const cost = this.calculateCost(response.provider, response.model, inputTokens, outputTokens);
+            const entry = await this.recordEvent({
+                runId: runId,
+                category: 'ai',
+                provider: response.provider,
+                model: response.model,
+                unit: 'token',
+                quantity: totalTokens,
                 costUSD: cost.totalCost,
-                costTHB: costTHB,
-                model: model,
-                provider: provider,
                 inputTokens: inputTokens,
                 outputTokens: outputTokens,
-                exchangeRate: exchangeRate
-            };
+                tokenCount: tokenCount || 'estimated'
+            });
+
+            console.log(`💰 ติดตามค่าใช้จ่าย: ${totalTokens} tokens${entry.tokenCount === 'exact' ? '' : ' (ประมาณ)'}, $${entry.costUSD.toFixed(4)} (${entry.costTHB.toFixed(2)} บาท)`);
+
+            return entry;
 
-            // Update monthly usage
-            costData.monthlyUsage.totalTokens += totalTokens;
-            costData.monthlyUsage.totalCostUSD += cost.totalCost;
-            costData.monthlyUsage.totalCostTHB += costTHB;
-            costData.monthlyUsage.sessions.push({ ...costData.currentSession });
-
-            // Save updated data
-            await fs.writeFile(this.costFilePath, JSON.stringify(costData, null, 2));
-            
-            console.log(`💰 ติดตามค่าใช้จ่าย: ${totalTokens} tokens, $${cost.totalCost.toFixed(4)} (${costTHB.toFixed(2)} บาท)`);
-            
-            return costData;
-            
         } catch (error) {
-            console.error('❌ ข้อผิดพลาดในการอัพเดทค่าใช้จ่าย:', error.message);
+            console.error('❌ ข้อผิดพลาดในการบันทึกค่าใช้จ่าย:', error.message);
             throw error;
         }
     }
 
+    /**
+     * งบรายเดือนเทียบกับค่าใช้จ่ายรวม AI + Google Search ของเดือนนี้
+     */
     async checkBudgetLimit(monthlyCostLimitTHB) {
         try {
-            const costData = await this.initCostTracking();
-            const isOverBudget = costData.monthlyUsage.totalCostTHB >= monthlyCostLimitTHB;
-            
+            const month = this.ledger.summarize(await this.ledger.loadPeriod(new Date().toISOString().slice(0, 7)));
+            const isOverBudget = month.costTHB >= monthlyCostLimitTHB;
+
             if (isOverBudget) {
-                console.warn(`⚠️ เกินงบประมาณรายเดือน! ใช้ไป ${costData.monthlyUsage.totalCostTHB.toFixed(2)} บาท จากงบ ${monthlyCostLimitTHB} บาท`);
+                console.warn(`⚠️ เกินงบประมาณรายเดือน! ใช้ไป ${month.costTHB.toFixed(2)} บาท (AI ${month.ai.costTHB.toFixed(2)}, ค้นหา ${month.search.costTHB.toFixed(2)}) จากงบ ${monthlyCostLimitTHB} บาท`);
             }
-            
+
             return {
                 isOverBudget,
-                currentSpend: costData.monthlyUsage.totalCostTHB,
+                currentSpend: month.costTHB,
+                aiSpend: month.ai.costTHB,
+                searchSpend: month.search.costTHB,
                 budgetLimit: monthlyCostLimitTHB,
-                remainingBudget: monthlyCostLimitTHB - costData.monthlyUsage.totalCostTHB
+                remainingBudget: monthlyCostLimitTHB - month.costTHB
             };
-            
+
         } catch (error) {
             console.error('❌ ข้อผิดพลาดในการตรวจสอบงบประมาณ:', error.message);
-            return { isOverBudget: false, currentSpend: 0, budgetLimit: monthlyCostLimitTHB, remainingBudget: monthlyCostLimitTHB };
+            return { isOverBudget: false, currentSpend: 0, aiSpend: 0, searchSpend: 0, budgetLimit: monthlyCostLimitTHB, remainingBudget: monthlyCostLimitTHB };
         }
     }
 
-    async generateCostSummary() {
+    /**
+     * ยอดของการรัน (runId, ไม่ระบุ = การรันล่าสุดในบัญชี) และของเดือนนี้
+     */
+    async generateCostSummary(runId = null) {
         try {
-            const costData = await this.initCostTracking();
-            
+            const events = await this.ledger.loadAll();
+            const currentRunId = runId || events[events.length - 1]?.runId || null;
+            const runEvents = events.filter(event => event.runId === currentRunId);
+            const lastAI = runEvents.filter(event => event.category === 'ai').pop();
+            const run = this.ledger.summarize(runEvents);
+            const month = this.ledger.summarize(events.filter(event => event.timestamp.startsWith(new Date().toISOString().slice(0, 7))));
+
             const summary = {
                 currentSession: {
-                    tokens: costData.currentSession.tokens || 0,
-                    costUSD: costData.currentSession.costUSD || 0,
-                    costTHB: costData.currentSession.costTHB || 0,
-                    model: costData.currentSession.model || 'ไม่ระบุ',
-                    provider: costData.currentSession.provider || 'ไม่ระบุ'
+                    runId: currentRunId,
+                    tokens: run.ai.tokens,
+                    costUSD: run.costUSD,
+                    costTHB: run.costTHB,
+                    aiCostTHB: run.ai.costTHB,
+                    searchCostTHB: run.search.costTHB,
+                    queries: run.search.queries,
+                    paidQueries: run.search.paidQueries,
+                    model: lastAI?.model || 'ไม่ระบุ',
+                    provider: lastAI?.provider || 'ไม่ระบุ',
+                    tokenCount: run.ai.estimatedTokens > 0 || !lastAI ? 'estimated' : 'exact',
+                    exchangeRate: runEvents[runEvents.length - 1]?.exchangeRate || null
                 },
                 monthlyTotal: {
-                    tokens: costData.monthlyUsage.totalTokens || 0,
-                    costUSD: costData.monthlyUsage.totalCostUSD || 0,
-                    costTHB: costData.monthlyUsage.totalCostTHB || 0,
-                    sessions: costData.monthlyUsage.sessions?.length || 0
+                    tokens: month.ai.tokens,
+                    estimatedTokens: month.ai.estimatedTokens,
+                    costUSD: month.costUSD,
+                    costTHB: month.costTHB,
+                    aiCostTHB: month.ai.costTHB,
+                    searchCostTHB: month.search.costTHB,
+                    queries: month.search.queries,
+                    paidQueries: month.search.paidQueries,
+                    sessions: month.runs
                 }
             };
-            
+
             return summary;
-            
+
         } catch (error) {
             console.error('❌ ข้อผิดพลาดในการสร้างสรุปค่าใช้จ่าย:', error.message);
             return {
-                currentSession: { tokens: 0, costUSD: 0, costTHB: 0, model: 'ไม่ระบุ', provider: 'ไม่ระบุ' },
-                monthlyTotal: { tokens: 0, costUSD: 0, costTHB: 0, sessions: 0 }
+                currentSession: { runId: null, tokens: 0, costUSD: 0, costTHB: 0, aiCostTHB: 0, searchCostTHB: 0, queries: 0, paidQueries: 0, model: 'ไม่ระบุ', provider: 'ไม่ระบุ', tokenCount: 'estimated', exchangeRate: null },
+                monthlyTotal: { tokens: 0, estimatedTokens: 0, costUSD: 0, costTHB: 0, aiCostTHB: 0, searchCostTHB: 0, queries: 0, paidQueries: 0, sessions: 0 }
             };
         }
     }
 }
 
-module.exports = CostTracker;
\ No newline at end of file
+module.exports = CostTracker;
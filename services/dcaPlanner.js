@@ -0,0 +1,381 @@
+const path = require('path');
+const ConfigFile = require('./configFile');
+const logger = require('./logger');
+const Rebalancer = require('./rebalancer');
+
+const ASSUMPTION_FIELDS = ['expectedReturn', 'volatility'];
+const MAX_SIMULATIONS = 100000;
+
+/**
+ * วางแผน DCA รายเดือนและคาดการณ์มูลค่าพอร์ตตลอดระยะเวลาลงทุน
+ *
+ * - แบ่งเงินลงทุนเดือนนี้: เติมกลุ่มที่ต่ำกว่าสัดส่วนเป้าหมาย (Rebalancer) ก่อน ส่วนที่เหลือแบ่งตามเป้าหมาย
+ *   ถ้าไม่มีไฟล์เป้าหมายจะแบ่งตามสัดส่วนปัจจุบัน รายการที่ต่ำกว่าขั้นต่ำของแอพจะรวมไปให้รายการอื่น
+ * - คาดการณ์มูลค่า: ผลตอบแทน/ความผันผวนต่อปีจาก config/dca-assumptions.json ถ่วงน้ำหนักตามสัดส่วน
+ *   (สหสัมพันธ์ระหว่างสินทรัพย์ค่าเดียว) แบบค่าคาดหมาย และ Monte Carlo (GBM รายเดือน, seed คงที่) เป็นช่วง percentile
+ * - ระยะเวลาจากคอลัมน์ระยะเวลา (period) ในไฟล์พอร์ต เช่น "20 ปี" (ใช้ค่าที่ยาวที่สุด)
+ */
+class DcaPlanner {
+    constructor(rebalancer, options = {}) {
+        this.rebalancer = rebalancer;
+        this.valuationEngine = rebalancer.valuationEngine;
+        this.monthlyContribution = options.monthlyContribution || 0;
+        this.contributionCurrency = options.contributionCurrency || 'THB';
+        this.assumptionsFile = options.assumptionsFile || path.join(__dirname, '../config/dca-assumptions.json');
+        this.assumptions = null;
+    }
+
+    /**
+     * โหลดและตรวจสอบสมมติฐานผลตอบแทน (โหลดครั้งเดียว)
+     */
+    loadAssumptions() {
+        if (this.assumptions) return this.assumptions;
+
+        const data = new ConfigFile(this.assumptionsFile, 'ไฟล์สมมติฐาน DCA').read(data => this.validate(data));
+
+        this.assumptions = {
+            defaultYears: data.defaultYears ?? 20,
+            correlation: data.correlation ?? 0.3,
+            simulations: data.simulations ?? 2000,
+            seed: data.seed ?? 1,
+            percentiles: data.percentiles || [10, 50, 90],
+            assetClasses: data.assetClasses,
+            holdings: data.holdings || {}
+        };
+        return this.assumptions;
+    }
+
+    /**
+     * ฟิลด์สมมติฐานผลตอบแทน (object และ version ตรวจที่ ConfigFile)
+     */
+    validate(data) {
+        const errors = [];
+        if (data.defaultYears !== undefined && !(typeof data.defaultYears === 'number' && data.defaultYears > 0)) {
+            errors.push('defaultYears ต้องเป็นตัวเลขมากกว่า 0');
+        }
+        if (data.correlation !== undefined && !(typeof data.correlation === 'number' && data.correlation >= -1 && data.correlation <= 1)) {
+            errors.push('correlation ต้องอยู่ระหว่าง -1 ถึง 1');
+        }
+        if (data.simulations !== undefined && !(Number.isInteger(data.simulations) && data.simulations >= 1 && data.simulations <= MAX_SIMULATIONS)) {
+            errors.push(`simulations ต้องเป็นจำนวนเต็ม 1-${MAX_SIMULATIONS}`);
+        }
+        if (data.seed !== undefined && !Number.isInteger(data.seed)) {
+            errors.push('seed ต้องเป็นจำนวนเต็ม');
+        }
+        if (data.percentiles !== undefined && !(Array.isArray(data.percentiles) && data.percentiles.length > 0
+            && data.percentiles.every(value => typeof value === 'number' && value >= 0 && value <= 100))) {
+            errors.push('percentiles ต้องเป็นรายการตัวเลข 0-100');
+        }
+
+        if (!data.assetClasses || typeof data.assetClasses !== 'object') {
+            errors.push('assetClasses ต้องระบุสมมติฐานของทุกประเภทสินทรัพย์');
+        } else {
+            for (const assetClass of Object.keys(Rebalancer.ASSET_CLASS_LABELS)) {
+                if (!data.assetClasses[assetClass]) errors.push(`assetClasses.${assetClass} ต้องระบุ`);
+            }
+            for (const [key, assumption] of Object.entries(data.assetClasses)) {
+                if (!Rebalancer.ASSET_CLASS_LABELS[key]) errors.push(`assetClasses.${key} ไม่รู้จักประเภทนี้`);
+                errors.push(...this.validateAssumption(`assetClasses.${key}`, assumption));
+            }
+        }
+
+        for (const [symbol, assumption] of Object.entries(data.holdings || {})) {
+            errors.push(...this.validateAssumption(`holdings.${symbol}`, assumption));
+        }
+        return errors;
+    }
+
+    validateAssumption(prefix, assumption) {
+        if (!assumption || typeof assumption !== 'object') return [`${prefix} ต้องเป็น object`];
+
+        const errors = [];
+        if (!(typeof assumption.expectedReturn === 'number' && assumption.expectedReturn > -100)) {
+            errors.push(`${prefix}.expectedReturn ต้องเป็นเปอร์เซ็นต์ต่อปีมากกว่า -100`);
+        }
+        if (!(typeof assumption.volatility === 'number' && assumption.volatility >= 0)) {
+            errors.push(`${prefix}.volatility ต้องเป็นเปอร์เซ็นต์ต่อปีตั้งแต่ 0`);
+        }
+        for (const field of Object.keys(assumption)) {
+            if (!ASSUMPTION_FIELDS.includes(field)) errors.push(`${prefix}.${field} ไม่รู้จักฟิลด์นี้`);
+        }
+        return errors;
+    }
+
+    /**
+     * แผนเดือนนี้และการคาดการณ์ (null ถ้าไม่ได้กำหนดเงินลงทุนรายเดือน)
+     */
+    plan(riskAnalysisList) {
+        if (!(this.monthlyContribution > 0)) return null;
+
+        const assumptions = this.loadAssumptions();
+        const priced = riskAnalysisList.filter(analysis => analysis.currentValue > 0);
+        const contribution = this.valuationEngine.toBase(this.monthlyContribution, this.contributionCurrency);
+        const startValue = priced.reduce((sum, analysis) => sum + analysis.currentValue, 0);
+        const allocation = this.rebalancer.load();
+
+        const targets = this.getTargets(priced, allocation, startValue);
+        const split = this.splitContribution(targets, contribution, startValue);
+        const portfolio = this.getPortfolioAssumptions(targets, assumptions);
+        const years = this.getInvestmentYears(riskAnalysisList, assumptions.defaultYears);
+
+        return {
+            contribution: contribution,
+            currency: this.valuationEngine.baseCurrency,
+            basis: allocation ? 'target' : 'current',
+            allocations: split.allocations,
+            notes: split.notes,
+            projection: {
+                startValue: startValue,
+                years: years,
+                expectedReturn: portfolio.expectedReturn,
+                volatility: portfolio.volatility,
+                simulations: assumptions.simulations,
+                ...this.project({
+                    startValue: startValue,
+                    contribution: contribution,
+                    years: years,
+                    expectedReturn: portfolio.expectedReturn,
+                    volatility: portfolio.volatility,
+                    simulations: assumptions.simulations,
+                    seed: assumptions.seed,
+                    percentiles: assumptions.percentiles
+                })
+            }
+        };
+    }
+
+    /**
+     * กลุ่มเป้าหมาย { label, symbol, target (%), value, members } จากไฟล์เป้าหมาย หรือสัดส่วนปัจจุบัน
+     */
+    getTargets(priced, allocation, startValue) {
+        if (!allocation) {
+            return priced.map(analysis => ({
+                type: 'holding',
+                key: analysis.symbol,
+                label: analysis.symbol,
+                target: (analysis.currentValue / startValue) * 100,
+                value: analysis.currentValue,
+                members: [analysis]
+            }));
+        }
+
+        return this.rebalancer.buildBuckets(priced, allocation).map(bucket => ({
+            ...bucket,
+            value: bucket.members.reduce((sum, analysis) => sum + analysis.currentValue, 0)
+        }));
+    }
+
+    /**
+     * แบ่งเงินลงทุน: เติมส่วนที่ขาดจากเป้าหมาย (หลังรวมเงินใหม่) ก่อน แล้วแบ่งส่วนที่เหลือตามเป้าหมาย
+     */
+    splitContribution(targets, contribution, startValue) {
+        const newTotal = startValue + contribution;
+        const shortfalls = targets.map(bucket => Math.max(0, (bucket.target / 100) * newTotal - bucket.value));
+        const totalShortfall = shortfalls.reduce((sum, value) => sum + value, 0);
+
+        let lines = [];
+        targets.forEach((bucket, index) => {
+            const amount = totalShortfall >= contribution
+                ? contribution * (shortfalls[index] / totalShortfall)
+                : shortfalls[index] + (contribution - totalShortfall) * (bucket.target / 100);
+            if (amount <= 1e-9) return;
+
+            if (bucket.members.length === 0) {
+                lines.push({ symbol: bucket.type === 'holding' ? bucket.key : null, label: bucket.label, amount, analysis: null });
+                return;
+            }
+            // แบ่งในกลุ่มตามมูลค่าปัจจุบัน
+            for (const analysis of bucket.members) {
+                lines.push({ symbol: analysis.symbol, label: analysis.symbol, amount: amount * (analysis.currentValue / bucket.value), analysis });
+            }
+        });
+
+        // รายการที่ต่ำกว่าขั้นต่ำของแอพ รวมไปให้รายการอื่นตามสัดส่วน
+        const notes = [];
+        const tooSmall = lines.filter(line => line.analysis && line.amount < this.rebalancer.estimateCost(line.analysis, line.amount).minOrder);
+        const kept = lines.filter(line => !tooSmall.includes(line));
+        if (tooSmall.length > 0 && kept.length > 0) {
+            const moved = tooSmall.reduce((sum, line) => sum + line.amount, 0);
+            const keptTotal = kept.reduce((sum, line) => sum + line.amount, 0);
+            kept.forEach(line => { line.amount += moved * (line.amount / keptTotal); });
+            notes.push(`${tooSmall.map(line => line.label).join(', ')} ต่ำกว่าขั้นต่ำของแอพ รวมยอด ${this.valuationEngine.formatMoney(moved)} ไปให้รายการอื่น`);
+            lines = kept;
+        }
+
+        const allocations = lines
+            .map(line => {
+                const cost = line.analysis ? this.rebalancer.estimateCost(line.analysis, line.amount) : null;
+                const unitValue = line.analysis && line.analysis.amount > 0 ? line.analysis.currentValue / line.analysis.amount : 0;
+                return {
+                    symbol: line.symbol,
+                    label: line.label,
+                    amount: line.amount,
+                    percent: (line.amount / contribution) * 100,
+                    quantity: unitValue > 0 ? line.amount / unitValue : null,
+                    fee: cost ? cost.fee : null,
+                    app: cost ? cost.app : null,
+                    newHolding: !line.analysis
+                };
+            })
+            .sort((a, b) => b.amount - a.amount);
+
+        return { allocations, notes };
+    }
+
+    /**
+     * ผลตอบแทนและความผันผวนต่อปีของพอร์ต (เปอร์เซ็นต์) ถ่วงน้ำหนักตามเป้าหมาย
+     */
+    getPortfolioAssumptions(targets, assumptions) {
+        const components = [];
+        for (const bucket of targets) {
+            const weight = bucket.target / 100;
+            if (weight <= 0) continue;
+
+            if (bucket.members.length === 0) {
+                components.push({ weight, ...this.getAssumption(bucket.type === 'holding' ? bucket.key : null, bucket.type === 'assetClass' ? bucket.key : 'stock', assumptions) });
+                continue;
+            }
+            for (const analysis of bucket.members) {
+                const assetClass = this.rebalancer.getAssetClass(analysis);
+                components.push({ weight: weight * (analysis.currentValue / bucket.value), ...this.getAssumption(analysis.symbol, assetClass, assumptions) });
+            }
+        }
+
+        const totalWeight = components.reduce((sum, item) => sum + item.weight, 0) || 1;
+        let expectedReturn = 0;
+        let variance = 0;
+        for (const first of components) {
+            expectedReturn += (first.weight / totalWeight) * first.expectedReturn;
+            for (const second of components) {
+                const correlation = first === second ? 1 : assumptions.correlation;
+                variance += (first.weight / totalWeight) * (second.weight / totalWeight) * first.volatility * second.volatility * correlation;
+            }
+        }
+
+        return { expectedReturn, volatility: Math.sqrt(Math.max(0, variance)) };
+    }
+
+    getAssumption(symbol, assetClass, assumptions) {
+        return (symbol && assumptions.holdings[symbol]) || assumptions.assetClasses[assetClass] || assumptions.assetClasses.stock;
+    }
+
+    /**
+     * ระยะเวลาลงทุน (ปี) จากคอลัมน์ระยะเวลา ใช้ค่าที่ยาวที่สุด
+     */
+    getInvestmentYears(riskAnalysisList, defaultYears) {
+        const years = riskAnalysisList.map(analysis => this.parseYears(analysis.period)).filter(value => value > 0);
+        return years.length > 0 ? Math.max(...years) : defaultYears;
+    }
+
+    /**
+     * "20 ปี" -> 20, "6 เดือน" -> 0.5
+     */
+    parseYears(period) {
+        const match = `${period || ''}`.match(/(\d+(?:\.\d+)?)\s*(ปี|เดือน|years?|months?)/i);
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        return /เดือน|month/i.test(match[2]) ? value / 12 : value;
+    }
+
+    /**
+     * มูลค่าคาดหมายและ percentile จาก Monte Carlo ณ ปีที่ 5, 10, ... และปีสุดท้าย
+     * ลงทุนเพิ่มทุกสิ้นเดือน ผลตอบแทนรายเดือนแบบ lognormal ที่ค่าคาดหมายต่อปีเท่ากับ expectedReturn
+     */
+    project({ startValue, contribution, years, expectedReturn, volatility, simulations, seed, percentiles }) {
+        const months = Math.max(1, Math.round(years * 12));
+        const step = months > 120 ? 60 : 12;
+        const checkpointMonths = [];
+        for (let month = step; month < months; month += step) checkpointMonths.push(month);
+        checkpointMonths.push(months);
+
+        const monthlyRate = Math.pow(1 + expectedReturn / 100, 1 / 12) - 1;
+        const sigma = volatility / 100;
+        const drift = (Math.log(1 + expectedReturn / 100) - (sigma * sigma) / 2) / 12;
+        const monthlySigma = sigma / Math.sqrt(12);
+
+        // ค่าคาดหมาย
+        const expected = [];
+        let value = startValue;
+        for (let month = 1; month <= months; month++) {
+            value = value * (1 + monthlyRate) + contribution;
+            if (checkpointMonths.includes(month)) expected.push(value);
+        }
+
+        // Monte Carlo
+        const random = this.createGaussian(seed);
+        const samples = checkpointMonths.map(() => new Float64Array(simulations));
+        for (let run = 0; run < simulations; run++) {
+            let simulated = startValue;
+            let checkpoint = 0;
+            for (let month = 1; month <= months; month++) {
+                simulated = simulated * Math.exp(drift + monthlySigma * random()) + contribution;
+                if (month === checkpointMonths[checkpoint]) {
+                    samples[checkpoint][run] = simulated;
+                    checkpoint++;
+                }
+            }
+        }
+
+        const checkpoints = checkpointMonths.map((month, index) => {
+            const sorted = samples[index].sort();
+            const bands = {};
+            for (const percentile of percentiles) {
+                bands[percentile] = this.percentile(sorted, percentile);
+            }
+            return {
+                year: month / 12,
+                invested: startValue + contribution * month,
+                expected: expected[index],
+                percentiles: bands
+            };
+        });
+
+        const final = checkpoints[checkpoints.length - 1];
+        const finalSamples = samples[samples.length - 1];
+        const belowInvested = finalSamples.filter(sample => sample < final.invested).length / simulations;
+
+        logger.file(`คาดการณ์ DCA ${years} ปี: ${simulations} รอบ, ผลตอบแทน ${expectedReturn.toFixed(1)}%, ความผันผวน ${volatility.toFixed(1)}%`);
+        return { checkpoints, probabilityBelowInvested: belowInvested };
+    }
+
+    /**
+     * percentile แบบ linear interpolation จากข้อมูลที่เรียงแล้ว
+     */
+    percentile(sorted, percentile) {
+        if (sorted.length === 1) return sorted[0];
+        const position = (percentile / 100) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * ตัวสุ่มแบบกำหนด seed (mulberry32 + Box-Muller) ให้ผลคาดการณ์เหมือนเดิมทุกครั้ง
+     */
+    createGaussian(seed) {
+        let state = seed >>> 0;
+        const uniform = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+            const u = uniform() || Number.MIN_VALUE;
+            const v = uniform();
+            const radius = Math.sqrt(-2 * Math.log(u));
+            spare = radius * Math.sin(2 * Math.PI * v);
+            return radius * Math.cos(2 * Math.PI * v);
+        };
+    }
+}
+
+module.exports = DcaPlanner;
@@ -0,0 +1,174 @@
+const RiskMetrics = require('./riskMetrics');
+
+/**
+ * การกระจายความเสี่ยงของพอร์ตจากราคาย้อนหลังที่ RiskMetrics โหลดไว้
+ *
+ * - สหสัมพันธ์และความแปรปรวนร่วม (ต่อปี) ระหว่างสินทรัพย์
+ * - Diversification ratio = ผลรวมความผันผวนรายตัวถ่วงน้ำหนัก / ความผันผวนของพอร์ต (1 = ไม่ได้ประโยชน์จากการกระจาย)
+ * - สินทรัพย์ซ้ำซ้อน: ETF ที่ติดตามดัชนีเดียวกัน (trackedIndex ในทะเบียนหุ้น) หรือสหสัมพันธ์เกือบ 1
+ * - การกระจุกตัว: สัดส่วนตัวใหญ่สุด และจำนวนหุ้นที่มีผลจริง (1 / ผลรวมกำลังสองของสัดส่วน)
+ */
+class DiversificationAnalyzer {
+    constructor(riskMetrics, registry, options = {}) {
+        this.riskMetrics = riskMetrics;
+        this.registry = registry;
+        this.correlationThreshold = options.correlationThreshold || 0.8;
+        this.duplicateThreshold = options.duplicateThreshold || 0.95;
+        this.concentrationLimit = options.concentrationLimit || 40;
+    }
+
+    /**
+     * holdings: [{ symbol, value }] มูลค่าเป็นสกุลเงินหลัก
+     */
+    analyze(holdings) {
+        const positive = holdings.filter(holding => holding.value > 0);
+        const totalValue = positive.reduce((sum, holding) => sum + holding.value, 0);
+        if (positive.length === 0 || totalValue <= 0) return null;
+
+        const weights = positive
+            .map(holding => ({ symbol: holding.symbol, weight: (holding.value / totalValue) * 100 }))
+            .sort((a, b) => b.weight - a.weight);
+        const weightOf = symbol => weights.find(item => item.symbol === symbol)?.weight || 0;
+
+        const matrices = this.calculateMatrices(positive.map(holding => holding.symbol), weightOf);
+        const overlaps = this.findOverlaps(weights, matrices);
+        const overlapping = new Set();
+        for (const overlap of overlaps) {
+            overlap.symbols.forEach((first, i) => {
+                overlap.symbols.slice(i + 1).forEach(second => overlapping.add(this.pairKey(first, second)));
+            });
+        }
+        const highCorrelations = matrices
+            ? this.findPairs(matrices, this.correlationThreshold)
+                .filter(pair => !overlapping.has(this.pairKey(...pair.symbols)))
+            : [];
+
+        return {
+            weights: weights,
+            largest: weights[0],
+            concentrated: weights.filter(item => item.weight > this.concentrationLimit),
+            effectiveHoldings: 10000 / weights.reduce((sum, item) => sum + item.weight * item.weight, 0),
+            symbols: matrices ? matrices.symbols : [],
+            correlation: matrices ? matrices.correlation : null,
+            covariance: matrices ? matrices.covariance : null,
+            diversificationRatio: matrices ? matrices.diversificationRatio : null,
+            overlaps: overlaps,
+            highCorrelations: highCorrelations
+        };
+    }
+
+    /**
+     * สหสัมพันธ์ ความแปรปรวนร่วม และ diversification ratio ของสินทรัพย์ที่มีราคาย้อนหลัง
+     */
+    calculateMatrices(symbols, weightOf) {
+        const covered = symbols.filter(symbol => this.riskMetrics.histories.has(symbol));
+        if (covered.length < 2) return null;
+
+        const { returns, periodsPerYear } = this.riskMetrics.getAlignedReturns(covered);
+        const series = covered.map(symbol => returns.get(symbol));
+        if (series[0].length < RiskMetrics.MIN_OBSERVATIONS) return null;
+
+        const means = series.map(values => values.reduce((sum, value) => sum + value, 0) / values.length);
+        const covariance = covered.map((_, i) => covered.map((_, j) => {
+            let sum = 0;
+            for (let k = 0; k < series[i].length; k++) {
+                sum += (series[i][k] - means[i]) * (series[j][k] - means[j]);
+            }
+            return (sum / (series[i].length - 1)) * periodsPerYear;
+        }));
+        const volatility = covered.map((_, i) => Math.sqrt(covariance[i][i]));
+        const correlation = covered.map((_, i) => covered.map((_, j) => {
+            return volatility[i] > 0 && volatility[j] > 0 ? covariance[i][j] / (volatility[i] * volatility[j]) : 0;
+        }));
+
+        // น้ำหนักคิดใหม่เฉพาะตัวที่มีราคาย้อนหลัง
+        const coveredWeight = covered.reduce((sum, symbol) => sum + weightOf(symbol), 0);
+        const weights = covered.map(symbol => weightOf(symbol) / coveredWeight);
+        let portfolioVariance = 0;
+        for (let i = 0; i < covered.length; i++) {
+            for (let j = 0; j < covered.length; j++) {
+                portfolioVariance += weights[i] * weights[j] * covariance[i][j];
+            }
+        }
+        const weightedVolatility = weights.reduce((sum, weight, i) => sum + weight * volatility[i], 0);
+
+        return {
+            symbols: covered,
+            covariance: covariance,
+            correlation: correlation,
+            diversificationRatio: portfolioVariance > 0 ? weightedVolatility / Math.sqrt(portfolioVariance) : null
+        };
+    }
+
+    /**
+     * คู่สินทรัพย์ที่สหสัมพันธ์ตั้งแต่ threshold ขึ้นไป เรียงจากมากไปน้อย
+     */
+    findPairs(matrices, threshold) {
+        const pairs = [];
+        const { symbols, correlation } = matrices;
+        for (let i = 0; i < symbols.length; i++) {
+            for (let j = i + 1; j < symbols.length; j++) {
+                if (correlation[i][j] >= threshold) {
+                    pairs.push({ symbols: [symbols[i], symbols[j]], correlation: correlation[i][j] });
+                }
+            }
+        }
+        return pairs.sort((a, b) => b.correlation - a.correlation);
+    }
+
+    /**
+     * ETF ที่ติดตามดัชนีเดียวกัน และคู่ที่ราคาเคลื่อนไหวเกือบเหมือนกัน
+     */
+    findOverlaps(weights, matrices) {
+        const overlaps = [];
+        const groups = new Map();
+        for (const item of weights) {
+            const index = this.registry.getTrackedIndex(item.symbol);
+            if (!index) continue;
+            if (!groups.has(index)) groups.set(index, []);
+            groups.get(index).push(item);
+        }
+
+        for (const [index, items] of groups) {
+            if (items.length < 2) continue;
+            const symbols = items.map(item => item.symbol);
+            overlaps.push({
+                index: index,
+                symbols: symbols,
+                weight: items.reduce((sum, item) => sum + item.weight, 0),
+                correlation: this.getCorrelation(matrices, symbols[0], symbols[1])
+            });
+        }
+
+        if (matrices) {
+            const sameIndex = pair => {
+                const index = this.registry.getTrackedIndex(pair.symbols[0]);
+                return index !== null && index === this.registry.getTrackedIndex(pair.symbols[1]);
+            };
+            for (const pair of this.findPairs(matrices, this.duplicateThreshold)) {
+                if (sameIndex(pair)) continue;
+                overlaps.push({
+                    index: null,
+                    symbols: pair.symbols,
+                    weight: pair.symbols.reduce((sum, symbol) => sum + (weights.find(item => item.symbol === symbol)?.weight || 0), 0),
+                    correlation: pair.correlation
+                });
+            }
+        }
+
+        return overlaps;
+    }
+
+    pairKey(first, second) {
+        return [first, second].sort().join('|');
+    }
+
+    getCorrelation(matrices, first, second) {
+        if (!matrices) return null;
+        const i = matrices.symbols.indexOf(first);
+        const j = matrices.symbols.indexOf(second);
+        return i >= 0 && j >= 0 ? matrices.correlation[i][j] : null;
+    }
+}
+
+module.exports = DiversificationAnalyzer;
@@ -0,0 +1,181 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_API_URL = 'https://api.exchangerate-api.com/v4/latest/USD';
+
+// ใช้เมื่อดึงอัตราสดไม่ได้และไม่มีไฟล์ cache
+const FALLBACK_RATES = { USD: 1, THB: 35 };
+
+/**
+ * อัตราแลกเปลี่ยนชุดเดียวต่อการรัน
+ *
+ * live:    ดึงจาก exchangerate-api แล้วบันทึกลง data/fx-rates.json พร้อมเวลา
+ *          ถ้าดึงไม่ได้ใช้ค่าจากไฟล์นั้น (cache) ถ้าไม่มีไฟล์ใช้ค่าเริ่มต้น 35 บาท
+ * fixture: อ่านคีย์ fx จากไฟล์ราคา fixture { "fx": { "base": "USD", "rates": { "THB": 36.5 } } }
+ *
+ * snapshot: { base, rates, source, timestamp, stale }
+ */
+class FxService {
+    constructor(options = {}) {
+        this.mode = options.mode || 'live';
+        this.apiUrl = options.apiUrl || DEFAULT_API_URL;
+        this.fixtureFile = options.fixtureFile || path.join(__dirname, '../data/price-fixture.json');
+        this.cacheFile = options.cacheFile || path.join(__dirname, '../data/fx-rates.json');
+        this.snapshot = null;
+        this.loading = null;
+    }
+
+    /**
+     * โหลดอัตราแลกเปลี่ยนครั้งเดียว ครั้งต่อไปคืน snapshot เดิม
+     */
+    async loadSnapshot() {
+        if (this.snapshot) return this.snapshot;
+        if (!this.loading) {
+            this.loading = (this.mode === 'fixture' ? this.loadFixture() : this.loadLive())
+                .then(snapshot => {
+                    this.snapshot = snapshot;
+                    logger.money(`อัตราแลกเปลี่ยน: ${this.describe()}`);
+                    return snapshot;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+        return this.loading;
+    }
+
+    async loadLive() {
+        try {
+            const response = await axios.get(this.apiUrl, { timeout: 10000 });
+            const snapshot = {
+                base: response.data.base || 'USD',
+                rates: { ...response.data.rates, [response.data.base || 'USD']: 1 },
+                source: new URL(this.apiUrl).hostname,
+                timestamp: new Date().toISOString(),
+                stale: false
+            };
+            await this.saveCache(snapshot);
+            return snapshot;
+        } catch (error) {
+            logger.warn(`ไม่สามารถดึงอัตราแลกเปลี่ยนได้: ${error.message}`);
+        }
+
+        const cached = await this.loadCache();
+        if (cached) {
+            return { ...cached, source: `${cached.source} (cache)`, stale: true };
+        }
+
+        logger.warn(`ไม่มีอัตราแลกเปลี่ยนที่บันทึกไว้ ใช้อัตราเริ่มต้น ${FALLBACK_RATES.THB} บาท`);
+        return this.createFallbackSnapshot();
+    }
+
+    createFallbackSnapshot() {
+        return {
+            base: 'USD',
+            rates: { ...FALLBACK_RATES },
+            source: 'ค่าเริ่มต้น',
+            timestamp: null,
+            stale: true
+        };
+    }
+
+    async loadFixture() {
+        let data = {};
+        try {
+            data = JSON.parse(await fs.readFile(this.fixtureFile, 'utf8'));
+        } catch (error) {
+            logger.warn(`ไม่สามารถอ่านไฟล์ fixture ${this.fixtureFile}: ${error.message}`);
+        }
+
+        if (!data.fx?.rates) {
+            logger.warn(`ไฟล์ fixture ไม่มีอัตราแลกเปลี่ยน (คีย์ fx) ใช้อัตราเริ่มต้น ${FALLBACK_RATES.THB} บาท`);
+            return this.createFallbackSnapshot();
+        }
+
+        const base = data.fx.base || 'USD';
+        return {
+            base: base,
+            rates: { ...data.fx.rates, [base]: 1 },
+            source: 'fixture',
+            timestamp: data.asOf ? new Date(data.asOf).toISOString() : null,
+            stale: false
+        };
+    }
+
+    async loadCache() {
+        try {
+            const cached = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+            return cached.rates ? cached : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async saveCache(snapshot) {
+        try {
+            await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+            await fs.writeFile(this.cacheFile, JSON.stringify({
+                base: snapshot.base,
+                rates: snapshot.rates,
+                source: snapshot.source,
+                timestamp: snapshot.timestamp
+            }, null, 2));
+        } catch (error) {
+            logger.warn(`ไม่สามารถบันทึกอัตราแลกเปลี่ยน: ${error.message}`);
+        }
+    }
+
+    /**
+     * จำนวนหน่วยของ to ต่อ 1 หน่วยของ from (ต้องโหลด snapshot ก่อน ยกเว้นสกุลเดียวกัน)
+     */
+    getRate(from, to) {
+        if (!from || !to || from === to) return 1;
+        if (!this.snapshot) {
+            throw new Error('ยังไม่ได้โหลดอัตราแลกเปลี่ยน (เรียก loadSnapshot ก่อน)');
+        }
+
+        const { rates } = this.snapshot;
+        if (!rates[from] || !rates[to]) {
+            throw new Error(`ไม่มีอัตราแลกเปลี่ยน ${from}/${to} (${this.snapshot.source})`);
+        }
+        return rates[to] / rates[from];
+    }
+
+    /**
+     * snapshot มีอัตราของทั้งสองสกุลหรือไม่ (อัตราเริ่มต้นมีแค่ USD/THB)
+     */
+    hasRate(from, to) {
+        if (!from || !to || from === to) return true;
+        if (!this.snapshot) {
+            throw new Error('ยังไม่ได้โหลดอัตราแลกเปลี่ยน (เรียก loadSnapshot ก่อน)');
+        }
+        return Boolean(this.snapshot.rates[from] && this.snapshot.rates[to]);
+    }
+
+    convert(amount, from, to) {
+        return amount * this.getRate(from, to);
+    }
+
+    getSnapshot() {
+        return this.snapshot;
+    }
+
+    /**
+     * ข้อความอัตราและแหล่งที่มาสำหรับรายงาน เช่น "1 USD = 36.50 THB (exchangerate-api.com, 19/10/2569 09:00)"
+     */
+    describe(from = 'USD', to = 'THB') {
+        if (!this.snapshot) return 'ยังไม่ได้โหลดอัตราแลกเปลี่ยน';
+
+        const rate = this.getRate(from, to);
+        const time = this.snapshot.timestamp
+            ? new Date(this.snapshot.timestamp).toLocaleString('th-TH', { dateStyle: 'short', timeStyle: 'short' })
+            : 'ไม่ทราบเวลา';
+        return `1 ${from} = ${rate.toFixed(2)} ${to} (${this.snapshot.source}, ${time})`;
+    }
+}
+
+FxService.FALLBACK_RATES = FALLBACK_RATES;
+
+module.exports = FxService;
@@ -0,0 +1,63 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * ไฟล์ JSONL ใน data/ (หนึ่งบรรทัดต่อหนึ่งรายการ) ใช้ร่วมกันโดย snapshot พอร์ต ผลวิเคราะห์ AI และบัญชีค่าใช้จ่าย
+ *
+ * ไฟล์เขียนต่อท้ายอย่างเดียว ไม่เขียนทับของเดิม ยกเว้น create() ที่สร้างไฟล์ใหม่ตอนยังไม่มีไฟล์
+ */
+class JsonlStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async exists() {
+        try {
+            await fs.access(this.filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * สร้างไฟล์พร้อมรายการเริ่มต้น (ว่างได้)
+     */
+    async create(entries = []) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+    }
+
+    async append(entry) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+    }
+
+    /**
+     * อ่านทุกรายการตามลำดับในไฟล์ ไม่มีไฟล์ = ว่าง บรรทัดที่เสียจะถูกข้ามพร้อมแจ้งเตือน
+     */
+    async loadAll() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                logger.warn(`ข้ามบรรทัด ${index + 1} ของ ${this.filePath}: ${error.message}`);
+            }
+        });
+        return entries;
+    }
+}
+
+module.exports = JsonlStore;
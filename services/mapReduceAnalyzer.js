@@ -0,0 +1,165 @@
+const logger = require('./logger');
+
+/**
+ * วิเคราะห์ข้อมูลที่ยาวเกินกว่าจะส่งใน prompt เดียวแบบ map-reduce
+ * - map:    prompt ย่อยรายหุ้นและรายหัวข้อข่าว ทุกอันมีบริบท (วันที่, ภาพรวมพอร์ต) และคำสั่งชุดเดียวกัน
+ * - reduce: รวมผลย่อยทั้งหมดเป็นรายงานเดียวตามรูปแบบที่กำหนด
+ *
+ * input: {
+ *   context,                 บริบทร่วมทุก prompt
+ *   mapInstructions,         คำสั่งสำหรับ prompt ย่อย
+ *   reduceInstructions,      คำสั่งและรูปแบบของรายงานสุดท้าย
+ *   holdings: [{ label, details, news: [{ title, url, snippet }] }]   เรียงตามความสำคัญ
+ *   topics:   [{ label, news }]
+ * }
+ *
+ * งบ token (input + output) คุมรวมทุกการเรียก โดยกันงบสำหรับ reduce ไว้เสมอ
+ * prompt ย่อยที่เกินงบถูกข้ามและแจ้งไว้ในรายงานสุดท้าย
+ */
+class MapReduceAnalyzer {
+    constructor(options = {}) {
+        this.tokenBudget = options.tokenBudget || 20000;
+        this.mapOutputTokens = options.mapOutputTokens || 500;
+        this.reduceOutputTokens = options.reduceOutputTokens || 1500;
+    }
+
+    /**
+     * prompt ยาวเกินที่ provider รับได้ในครั้งเดียว
+     */
+    shouldSplit(prompt, provider) {
+        return prompt.length > provider.maxPromptChars;
+    }
+
+    buildMapTasks(input, maxChars = Infinity) {
+        const focuses = [
+            ...(input.holdings || []).map(holding => ({ ...holding, heading: `สินทรัพย์: ${holding.label}` })),
+            ...(input.topics || []).filter(topic => topic.news?.length > 0).map(topic => ({ ...topic, heading: `หัวข้อข่าว: ${topic.label}` }))
+        ];
+
+        return focuses.map(focus => ({
+            label: focus.label,
+            prompt: this.buildMapPrompt(input, focus, maxChars)
+        }));
+    }
+
+    /**
+     * ใส่ข่าวทีละข่าวจนเต็มความยาวที่ provider รับได้ (บริบทและคำสั่งอยู่ครบทุก prompt)
+     */
+    buildMapPrompt(input, focus, maxChars = Infinity) {
+        const head = [input.context, `${focus.heading}${focus.details ? `\n${focus.details}` : ''}`];
+        const tail = input.mapInstructions;
+        const news = focus.news || [];
+
+        let prompt = this.joinSections([...head, this.formatNews(news), tail]);
+        for (let count = news.length - 1; prompt.length > maxChars && count >= 0; count--) {
+            prompt = this.joinSections([...head, this.formatNews(news.slice(0, count)), tail]);
+        }
+        return prompt;
+    }
+
+    buildReducePrompt(input, results, skipped = []) {
+        const findings = results.map(result => `### ${result.label}\n${result.content.trim()}`).join('\n\n');
+        const skippedNote = skipped.length > 0 ? `(ไม่ได้วิเคราะห์เพราะเกินงบ token: ${skipped.join(', ')})` : '';
+        return this.joinSections([
+            input.context,
+            `ผลวิเคราะห์ย่อยรายสินทรัพย์และรายหัวข้อข่าว:\n\n${findings}`,
+            skippedNote,
+            input.reduceInstructions
+        ]);
+    }
+
+    formatNews(news) {
+        if (news.length === 0) return '';
+        return `ข่าวที่เกี่ยวข้อง:\n${news.map(item => `• ${item.title} - ${item.url}${item.snippet ? `\n  ${item.snippet}` : ''}`).join('\n')}`;
+    }
+
+    joinSections(sections) {
+        return sections.filter(section => section && section.trim()).join('\n\n');
+    }
+
+    /**
+     * ประมาณ token ก่อนเรียกจริง ตามงบเดียวกับ run() โดยถือว่าผลย่อยยาวเต็ม mapOutputTokens
+     */
+    estimate(provider, input) {
+        const tasks = this.buildMapTasks(input, provider.maxPromptChars);
+        const reduceBase = provider.estimateTokens(this.buildReducePrompt(input, []));
+        let inputTokens = 0;
+        let mapped = 0;
+
+        for (const task of tasks) {
+            const cost = provider.estimateTokens(task.prompt) + this.mapOutputTokens;
+            const reserve = reduceBase + (mapped + 1) * this.mapOutputTokens + this.reduceOutputTokens;
+            if (inputTokens + mapped * this.mapOutputTokens + cost + reserve > this.tokenBudget) continue;
+            inputTokens += cost - this.mapOutputTokens;
+            mapped++;
+        }
+
+        return {
+            inputTokens: inputTokens + reduceBase + mapped * this.mapOutputTokens,
+            outputTokens: mapped * this.mapOutputTokens + this.reduceOutputTokens,
+            calls: mapped + 1
+        };
+    }
+
+    /**
+     * เรียก map ทุกอันที่อยู่ในงบ แล้ว reduce ด้วย provider เดียวกัน
+     */
+    async run(provider, input) {
+        const tasks = this.buildMapTasks(input, provider.maxPromptChars);
+        const reduceBase = provider.estimateTokens(this.buildReducePrompt(input, []));
+        const results = [];
+        const responses = [];
+        const skipped = [];
+        let used = 0;
+
+        logger.process(`วิเคราะห์แบบ map-reduce: ${tasks.length} ส่วน (งบ ${this.tokenBudget.toLocaleString()} tokens)`);
+
+        for (const task of tasks) {
+            const cost = provider.estimateTokens(task.prompt) + this.mapOutputTokens;
+            // ผลย่อยทุกอันที่จะส่งต่อ (รวมอันนี้) ต้องยังเหลืองบให้ reduce
+            const reserve = reduceBase + (results.length + 1) * this.mapOutputTokens + this.reduceOutputTokens;
+            if (used + cost + reserve > this.tokenBudget) {
+                skipped.push(task.label);
+                continue;
+            }
+
+            logger.process(`map ${results.length + 1}: ${task.label}`);
+            const response = await provider.generateResponse(task.prompt, this.mapOutputTokens);
+            used += response.usage.totalTokens;
+            responses.push(response);
+            results.push({ label: task.label, content: response.content });
+        }
+
+        if (skipped.length > 0) {
+            logger.warn(`ข้าม ${skipped.length} ส่วนเพราะเกินงบ token: ${skipped.join(', ')}`);
+        }
+        if (results.length === 0 && tasks.length > 0) {
+            throw new Error(`งบ token ${this.tokenBudget.toLocaleString()} ไม่พอสำหรับการวิเคราะห์แบบ map-reduce`);
+        }
+
+        const reducePrompt = this.buildReducePrompt(input, results, skipped);
+        const reduceTokens = Math.min(this.reduceOutputTokens, this.tokenBudget - used - provider.estimateTokens(reducePrompt));
+        if (reduceTokens <= 0) {
+            throw new Error(`งบ token ${this.tokenBudget.toLocaleString()} ไม่พอสำหรับสรุปผล (ใช้ไปแล้ว ${used.toLocaleString()})`);
+        }
+
+        logger.process('reduce: รวมผลวิเคราะห์ย่อย');
+        const reduced = await provider.generateResponse(reducePrompt, reduceTokens);
+        responses.push(reduced);
+
+        const combined = provider.combineResponses(responses);
+        return {
+            ...combined,
+            content: reduced.content,
+            mapReduce: {
+                calls: responses.length,
+                mapped: results.map(result => result.label),
+                skipped: skipped,
+                tokenBudget: this.tokenBudget,
+                tokensUsed: combined.usage.totalTokens
+            }
+        };
+    }
+}
+
+module.exports = MapReduceAnalyzer;
@@ -248,6 +248,33 @@ class MessageService {
         return success;
     }
 
+    /**
+     * แจ้งเตือนทันที (เช่น งบประมาณ) ส่ง LINE และบันทึกต่อท้ายไฟล์ backup
+     * คืน true เมื่อส่ง LINE สำเร็จ
+     */
+    async sendAlert(alertMessage) {
+        let success = false;
+
+        try {
+            success = await this.lineService.sendMessage(alertMessage);
+            if (success) {
+                logger.success('✅ ส่งแจ้งเตือนไปยัง LINE สำเร็จ');
+            } else {
+                logger.warn('⚠️ ไม่สามารถส่งแจ้งเตือนไปยัง LINE ได้ - บันทึกลงไฟล์แทน');
+            }
+        } catch (err) {
+            logger.warn(`⚠️ ไม่สามารถส่งแจ้งเตือนไปยัง LINE ได้ ${err.message}`);
+        }
+
+        try {
+            await this.fileBackupService.saveToFile(alertMessage, true);
+        } catch (fileError) {
+            logger.error(`ข้อผิดพลาดในการบันทึกไฟล์: ${fileError.message}`);
+        }
+
+        return success;
+    }
+
     async clearPreviousResults() {
         try {
             await this.fileBackupService.clearFile();
@@ -0,0 +1,357 @@
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = [
+    { key: '1M', label: '1 เดือน', months: 1 },
+    { key: '3M', label: '3 เดือน', months: 3 },
+    { key: 'YTD', label: 'ตั้งแต่ต้นปี' },
+    { key: 'ITD', label: 'ตั้งแต่เริ่มลงทุน' }
+];
+
+const DEFAULT_BENCHMARKS = ['VOO', '^SET.BK'];
+
+/**
+ * ผลตอบแทนของพอร์ตเทียบกับดัชนีอ้างอิง (1 เดือน, 3 เดือน, ตั้งแต่ต้นปี, ตั้งแต่เริ่มลงทุน)
+ *
+ * - TWR (time-weighted): ไม่ขึ้นกับจังหวะเงินเข้าออก ใช้เทียบกับดัชนีได้ตรง
+ * - MWR (money-weighted, IRR ของช่วงนั้น): สะท้อนผลของจังหวะการซื้อขายจริง
+ *
+ * มูลค่าพอร์ตรายวันคำนวณจากราคาปิดย้อนหลังของ PriceService คูณจำนวนที่ถือในวันนั้น
+ * (จาก TransactionLedger ถ้ามี ไม่เช่นนั้นถือว่าถือจำนวนปัจจุบันตลอดช่วง)
+ * แปลงเป็นสกุลเงินหลักด้วยอัตราแลกเปลี่ยนของการรันนี้ ผลตอบแทนจึงไม่รวมผลของค่าเงิน
+ * ส่วนดัชนีอ้างอิงคิดผลตอบแทนจากราคาในสกุลของตัวเอง
+ */
+class PerformanceAnalyzer {
+    constructor(priceService, valuationEngine, options = {}) {
+        this.priceService = priceService;
+        this.valuationEngine = valuationEngine;
+        this.benchmarks = options.benchmarks && options.benchmarks.length > 0 ? options.benchmarks : DEFAULT_BENCHMARKS;
+        this.maxHistoryDays = options.maxHistoryDays || 1825;
+    }
+
+    /**
+     * holdings: [{ symbol, type, amount, priceCurrency? }] (เช่น ผลจาก StockRiskAnalyzer)
+     * transactions: รายการจาก TransactionLedger (ถ้ามี) ใช้หาจำนวนที่ถือและเงินเข้าออกรายวัน
+     */
+    async analyze(holdings, { transactions = null, asOf = new Date() } = {}) {
+        logger.startOperation('คำนวณผลตอบแทนเทียบดัชนี');
+
+        const ledger = transactions && transactions.length > 0 ? transactions : null;
+        const historyDays = this.getHistoryDays(ledger, asOf);
+        const assets = this.collectAssets(holdings, ledger);
+
+        const histories = new Map();
+        const excluded = [];
+        for (const asset of assets.values()) {
+            const history = await this.priceService.getHistory(asset.symbol, asset.type, historyDays);
+            if (history.length > 0) {
+                histories.set(asset.symbol, history);
+            } else {
+                excluded.push(asset.symbol);
+            }
+        }
+
+        const points = this.buildValueSeries(assets, histories, ledger);
+        if (points.length < 2) {
+            logger.warn('ราคาย้อนหลังไม่พอสำหรับคำนวณผลตอบแทน');
+            logger.finishOperation('ข้ามการคำนวณผลตอบแทน');
+            return null;
+        }
+
+        const benchmarkHistories = new Map();
+        for (const symbol of this.benchmarks) {
+            const history = await this.priceService.getHistory(symbol, null, historyDays);
+            if (history.length > 0) {
+                benchmarkHistories.set(symbol, history);
+            } else {
+                logger.warn(`ไม่มีราคาย้อนหลังของดัชนีอ้างอิง ${symbol}`);
+            }
+        }
+
+        const endDate = points[points.length - 1].date;
+        const inceptionDate = ledger ? ledger[0].date : null;
+        const periods = PERIODS.map(period => {
+            const result = this.calculatePeriod(points, this.getPeriodStart(period, points, inceptionDate));
+            return {
+                key: period.key,
+                label: period.label,
+                ...result,
+                benchmarks: [...benchmarkHistories].map(([symbol, history]) => ({
+                    symbol: symbol,
+                    return: this.calculatePriceReturn(history, result.startDate, result.endDate)
+                }))
+            };
+        });
+
+        logger.finishOperation(`คำนวณผลตอบแทน ${periods.length} ช่วงเวลาเสร็จสิ้น`);
+        return {
+            endDate: endDate,
+            inceptionDate: inceptionDate,
+            baseCurrency: this.valuationEngine.baseCurrency,
+            benchmarks: [...benchmarkHistories.keys()],
+            excluded: excluded,
+            periods: periods
+        };
+    }
+
+    /**
+     * จำนวนวันย้อนหลังที่ต้องใช้: ตั้งแต่รายการซื้อขายแรก หรืออย่างน้อยครอบคลุมต้นปี
+     */
+    getHistoryDays(transactions, asOf) {
+        const today = Date.parse(new Date(asOf).toISOString().split('T')[0]);
+        const since = transactions ? Date.parse(transactions[0].date) : today - 366 * DAY_MS;
+        const days = Math.ceil((today - since) / DAY_MS) + 7;
+        return Math.min(Math.max(days, 400), this.maxHistoryDays);
+    }
+
+    /**
+     * สินทรัพย์ที่ต้องใช้ราคาย้อนหลัง พร้อมสกุลเงินของราคา
+     */
+    collectAssets(holdings, transactions) {
+        const assets = new Map();
+        const add = (symbol, type, amount, currency = null) => {
+            if (!symbol || symbol === '-' || assets.has(symbol)) return;
+            const quote = this.priceService.getCachedQuote(symbol);
+            assets.set(symbol, {
+                symbol: symbol,
+                type: type,
+                amount: amount,
+                currency: currency || quote?.currency || this.valuationEngine.getDefaultPriceCurrency({ type }),
+                fromLedger: false
+            });
+        };
+
+        for (const transaction of transactions || []) {
+            add(transaction.symbol, transaction.type, 0);
+            assets.get(transaction.symbol).fromLedger = true;
+        }
+        for (const holding of holdings) {
+            add(holding.symbol, holding.type, holding.amount || 0, holding.priceCurrency);
+        }
+
+        return assets;
+    }
+
+    /**
+     * มูลค่าพอร์ตรายวัน [{ date, value, flow }] ในสกุลเงินหลัก
+     * flow = เงินที่ใส่เข้า (+) หรือถอนออก (-) ในวันนั้น ถือว่าเกิดตอนปิดตลาด
+     * รายการในวันที่ตลาดปิดนับรวมกับวันทำการถัดไป
+     */
+    buildValueSeries(assets, histories, transactions) {
+        const dates = [...new Set([...histories.values()].flat().map(point => point.date))].sort();
+        const closes = new Map([...histories].map(([symbol, history]) => [symbol, new Map(history.map(point => [point.date, point.close]))]));
+        const lastClose = new Map();
+        const quantities = new Map();
+
+        for (const asset of assets.values()) {
+            quantities.set(asset.symbol, asset.fromLedger ? 0 : asset.amount);
+        }
+
+        const pending = (transactions || []).filter(transaction => histories.has(transaction.symbol));
+        let nextTransaction = 0;
+        let carriedFlow = 0;
+        const points = [];
+
+        for (const date of dates) {
+            let flow = carriedFlow;
+            while (nextTransaction < pending.length && pending[nextTransaction].date <= date) {
+                const transaction = pending[nextTransaction++];
+                flow += this.applyTransaction(transaction, quantities, assets.get(transaction.symbol));
+            }
+
+            for (const [symbol, history] of closes) {
+                if (history.has(date)) lastClose.set(symbol, history.get(date));
+            }
+
+            let value = 0;
+            let priced = true;
+            for (const [symbol, quantity] of quantities) {
+                if (!histories.has(symbol) || quantity === 0) continue;
+                if (!lastClose.has(symbol)) {
+                    priced = false;
+                    break;
+                }
+                value += this.valuationEngine.toBase(quantity * lastClose.get(symbol), assets.get(symbol).currency);
+            }
+
+            // ยังไม่มีราคาของบางตัวที่ถืออยู่ ข้ามวันนั้นไปและยกเงินเข้าออกไปวันถัดไป
+            if (priced) {
+                points.push({ date, value, flow });
+                carriedFlow = 0;
+            } else {
+                carriedFlow = flow;
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * ปรับจำนวนที่ถือ และคืนเงินเข้าออกของรายการนั้นในสกุลเงินหลัก
+     */
+    applyTransaction(transaction, quantities, asset) {
+        const currency = transaction.currency || asset.currency;
+        const toBase = amount => this.valuationEngine.toBase(amount, currency);
+        const quantity = quantities.get(transaction.symbol) || 0;
+
+        switch (transaction.action) {
+            case 'buy':
+                quantities.set(transaction.symbol, quantity + transaction.quantity);
+                return toBase(transaction.total + transaction.fee);
+            case 'sell':
+                quantities.set(transaction.symbol, Math.max(quantity - transaction.quantity, 0));
+                return -toBase(transaction.total - transaction.fee);
+            case 'dividend':
+                return -toBase(transaction.total);
+            case 'fee':
+                return toBase(transaction.total);
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * วันเริ่มต้นของช่วงเวลา (ใช้ราคาปิดของวันนี้หรือวันทำการก่อนหน้าเป็นจุดเริ่ม)
+     */
+    getPeriodStart(period, points, inceptionDate) {
+        const endDate = points[points.length - 1].date;
+        if (period.months) {
+            const start = new Date(endDate);
+            start.setUTCMonth(start.getUTCMonth() - period.months);
+            return start.toISOString().split('T')[0];
+        }
+        if (period.key === 'YTD') {
+            return `${Number(endDate.slice(0, 4)) - 1}-12-31`;
+        }
+        // ตั้งแต่เริ่มลงทุน: วันทำการแรกที่มีรายการซื้อขาย มูลค่าวันนั้นเป็นเงินลงทุนก้อนแรก
+        // ซื้อครั้งแรกหลังวันที่มีราคาล่าสุด: คืนวันซื้อ ช่วงนี้จึงไม่ครบ (ดู calculatePeriod)
+        if (inceptionDate && points[0].date <= inceptionDate) {
+            const start = points.find(point => point.date >= inceptionDate);
+            return start ? start.date : inceptionDate;
+        }
+        return inceptionDate;
+    }
+
+    /**
+     * TWR และ MWR ของช่วง (startDate, endDate]
+     * complete = false เมื่อราคาย้อนหลังไม่ถึงวันเริ่มต้น (ใช้จุดแรกสุดที่มีแทน)
+     * หรือวันเริ่มต้นอยู่หลังราคาล่าสุด (ใช้จุดสุดท้าย ผลตอบแทนเป็น null)
+     */
+    calculatePeriod(points, targetStart) {
+        let startIndex = 0;
+        let complete = targetStart === null
+            ? false
+            : points[0].date <= targetStart && targetStart <= points[points.length - 1].date;
+        if (targetStart !== null) {
+            for (let i = 0; i < points.length && points[i].date <= targetStart; i++) {
+                startIndex = i;
+            }
+        }
+
+        const period = points.slice(startIndex);
+        return {
+            startDate: period[0].date,
+            endDate: period[period.length - 1].date,
+            complete: complete,
+            startValue: period[0].value,
+            endValue: period[period.length - 1].value,
+            netFlow: period.slice(1).reduce((sum, point) => sum + point.flow, 0),
+            twr: this.calculateTimeWeightedReturn(period),
+            mwr: this.calculateMoneyWeightedReturn(period)
+        };
+    }
+
+    /**
+     * ต่อผลตอบแทนรายวัน: r = (มูลค่าวันนี้ - เงินเข้าวันนี้) / มูลค่าเมื่อวาน - 1
+     * วันที่เริ่มจากศูนย์ คิดเทียบกับเงินที่ใส่เข้าในวันนั้น
+     */
+    calculateTimeWeightedReturn(points) {
+        let growth = 1;
+        let started = false;
+
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1].value;
+            const { value, flow } = points[i];
+
+            if (previous > 0) {
+                growth *= (value - flow) / previous;
+                started = true;
+            } else if (flow > 0) {
+                growth *= value / flow;
+                started = true;
+            }
+        }
+
+        return started ? (growth - 1) * 100 : null;
+    }
+
+    /**
+     * IRR ของช่วงเวลา (ไม่แปลงเป็นรายปี) มูลค่าต้นช่วงนับเป็นเงินใส่เข้า มูลค่าปลายช่วงนับเป็นเงินได้คืน
+     */
+    calculateMoneyWeightedReturn(points) {
+        const startTime = Date.parse(points[0].date);
+        const length = (Date.parse(points[points.length - 1].date) - startTime) / DAY_MS;
+        if (length <= 0) return null;
+
+        const cashFlows = [{ amount: -points[0].value, time: 0 }];
+        for (const point of points.slice(1)) {
+            if (point.flow !== 0) {
+                cashFlows.push({ amount: -point.flow, time: (Date.parse(point.date) - startTime) / DAY_MS / length });
+            }
+        }
+        cashFlows.push({ amount: points[points.length - 1].value, time: 1 });
+
+        const rate = this.solveRate(cashFlows.filter(cashFlow => cashFlow.amount !== 0));
+        return rate === null ? null : rate * 100;
+    }
+
+    /**
+     * หาอัตรา r ที่ทำให้มูลค่าปัจจุบันสุทธิเป็นศูนย์ ด้วยวิธีแบ่งครึ่ง
+     */
+    solveRate(cashFlows) {
+        const npv = rate => cashFlows.reduce((sum, cashFlow) => sum + cashFlow.amount / Math.pow(1 + rate, cashFlow.time), 0);
+
+        let low = -0.9999;
+        let high = 100;
+        let lowValue = npv(low);
+        if (cashFlows.length < 2 || lowValue * npv(high) > 0) return null;
+
+        for (let i = 0; i < 200; i++) {
+            const middle = (low + high) / 2;
+            const middleValue = npv(middle);
+            if (Math.abs(middleValue) < 1e-9) return middle;
+            if (lowValue * middleValue < 0) {
+                high = middle;
+            } else {
+                low = middle;
+                lowValue = middleValue;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    /**
+     * ผลตอบแทนจากราคาของดัชนีอ้างอิง ระหว่างราคาปิดของวันเริ่มและวันสิ้นสุด
+     */
+    calculatePriceReturn(history, startDate, endDate) {
+        const closeAt = date => {
+            let close = null;
+            for (const point of history) {
+                if (point.date > date) break;
+                close = point.close;
+            }
+            return close;
+        };
+
+        const start = closeAt(startDate);
+        const end = closeAt(endDate);
+        return start && end ? ((end - start) / start) * 100 : null;
+    }
+}
+
+PerformanceAnalyzer.PERIODS = PERIODS;
+PerformanceAnalyzer.DEFAULT_BENCHMARKS = DEFAULT_BENCHMARKS;
+
+module.exports = PerformanceAnalyzer;
@@ -0,0 +1,393 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const QuantityParser = require('./quantityParser');
+
+// ชื่อคอลัมน์/คีย์ที่รองรับ (ไทยและอังกฤษ) -> ชื่อฟิลด์มาตรฐาน
+const FIELD_ALIASES = {
+    type: ['type', 'ประเภท'],
+    symbol: ['symbol', 'ticker', 'name', 'ชื่อ'],
+    amount: ['amount', 'quantity', 'จำนวน', 'จำนวนหุ้น', 'จำนวนหุ้นที่ถืออยู่'],
+    unit: ['unit', 'หน่วย'],
+    price: ['price', 'purchaseprice', 'cost', 'ราคา', 'ราคาที่ซื้อ'],
+    currency: ['currency', 'สกุลเงิน'],
+    period: ['period', 'investmentperiod', 'ระยะเวลา', 'ระยะเวลาจะลงทุน'],
+    app: ['app', 'tradingapp', 'แอพ', 'แอพที่เทรด', 'แอพที่เทรดหุ้น']
+};
+
+const EXTENSION_FORMATS = {
+    '.csv': 'csv',
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.txt': 'text'
+};
+
+/**
+ * แปลงไฟล์พอร์ต (CSV / JSON / YAML / ข้อความเดิม) เป็นรายการ holding ที่มีชนิดข้อมูลชัดเจน
+ *
+ * holding: { type, symbol, assetClass, amount, unit, price, currency, period, app, line, item, originalLine }
+ * - amount, price เป็นตัวเลข (null ถ้าไม่ระบุ) แปลงผ่าน QuantityParser ("2 หมื่นบาท" -> 20000 THB)
+ * - unit เป็นหน่วยมาตรฐาน (share, BTC, บาททองคำ)
+ * - price คือต้นทุนรวมของรายการนั้น (ไม่ใช่ราคาต่อหน่วย) ในสกุล currency
+ *
+ * ผลลัพธ์: { format, holdings, errors: [{ line, item, message, raw }] }
+ *
+ * ตำแหน่งในไฟล์: CSV/ข้อความระบุ line (บรรทัดในไฟล์) ส่วน JSON/YAML ระบุ item (ลำดับในรายการ เริ่มที่ 1)
+ * ฝั่งที่ไม่ได้ใช้เป็น null, ทั้งคู่เป็น null = ทั้งไฟล์
+ */
+class PortfolioParser {
+    constructor() {
+        this.quantityParser = new QuantityParser();
+    }
+
+    /**
+     * เลือกรูปแบบไฟล์จาก content-type ก่อน แล้วจึงดูนามสกุลไฟล์
+     */
+    detectFormat({ contentType = null, fileName = null, format = null } = {}) {
+        if (format) return format;
+
+        const type = (contentType || '').toLowerCase();
+        if (type.includes('csv')) return 'csv';
+        if (type.includes('json')) return 'json';
+        if (type.includes('yaml') || type.includes('yml')) return 'yaml';
+
+        if (fileName) {
+            let pathname = fileName;
+            try {
+                pathname = new URL(fileName).pathname;
+            } catch (error) {
+                // ไม่ใช่ URL ใช้ชื่อไฟล์ตรงๆ
+            }
+            const extension = path.extname(pathname).toLowerCase();
+            if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+        }
+
+        return 'text';
+    }
+
+    parse(rawData, options = {}) {
+        const format = this.detectFormat(options);
+        const content = String(rawData || '').replace(/^\uFEFF/, '');
+
+        if (format === 'text') {
+            return { format, ...this.parseText(content) };
+        }
+
+        const { records, errors } = this.readRecords(content, format, {
+            aliases: FIELD_ALIASES,
+            required: ['type', 'symbol'],
+            listKey: 'holdings'
+        });
+
+        const holdings = [];
+        for (const { record, line, item, raw } of records) {
+            this.collect(record, { line, item }, raw, holdings, errors);
+        }
+
+        return { format, holdings, errors };
+    }
+
+    /**
+     * อ่านไฟล์ตาราง (CSV / JSON / YAML) เป็น record ที่ใช้ชื่อฟิลด์มาตรฐานตาม aliases
+     * ใช้ร่วมกับไฟล์ชนิดอื่นที่มีโครงสร้างคล้ายกัน (เช่นรายการซื้อขาย)
+     *
+     * schema: { aliases, required: [ฟิลด์ที่ต้องมีในหัวตาราง CSV], listKey: คีย์ของ array ใน JSON/YAML }
+     * ผลลัพธ์: { records: [{ record, line, item, raw }], errors }
+     */
+    readRecords(content, format, schema) {
+        switch (format) {
+            case 'csv':
+                return this.readCsv(content, schema);
+            case 'json':
+                return this.readJson(content, schema);
+            case 'yaml':
+                return this.readYaml(content, schema);
+            default:
+                throw new Error(`ไม่รองรับรูปแบบไฟล์: ${format}`);
+        }
+    }
+
+    /**
+     * CSV ที่มีแถวหัวตาราง
+     */
+    readCsv(content, schema) {
+        const rows = this.splitCsvRows(content);
+        const records = [];
+        const errors = [];
+
+        if (rows.length === 0) {
+            return { records, errors };
+        }
+
+        const header = rows[0].fields.map(name => this.resolveFieldName(name, schema.aliases));
+        const missingColumns = (schema.required || []).filter(field => !header.includes(field));
+        if (missingColumns.length > 0) {
+            errors.push({
+                line: rows[0].line,
+                item: null,
+                message: `หัวตาราง CSV ไม่มีคอลัมน์: ${missingColumns.join(', ')}`,
+                raw: rows[0].raw
+            });
+            return { records, errors };
+        }
+
+        for (const row of rows.slice(1)) {
+            const record = {};
+            header.forEach((field, index) => {
+                if (field) record[field] = row.fields[index];
+            });
+            records.push({ record, line: row.line, item: null, raw: row.raw });
+        }
+
+        return { records, errors };
+    }
+
+    splitCsvRows(content) {
+        const rows = [];
+        const lines = content.split(/\r?\n/);
+        let pending = null;
+
+        lines.forEach((line, index) => {
+            const text = pending ? `${pending.raw}\n${line}` : line;
+            const startLine = pending ? pending.line : index + 1;
+            const parsed = this.parseCsvLine(text);
+
+            if (parsed.unterminated) {
+                pending = { raw: text, line: startLine };
+                return;
+            }
+
+            pending = null;
+            if (text.trim()) {
+                rows.push({ fields: parsed.fields, line: startLine, raw: text });
+            }
+        });
+
+        if (pending) {
+            rows.push({ fields: this.parseCsvLine(pending.raw + '"').fields, line: pending.line, raw: pending.raw });
+        }
+
+        return rows;
+    }
+
+    parseCsvLine(line) {
+        const fields = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        fields.push(current.trim());
+        return { fields, unterminated: inQuotes };
+    }
+
+    /**
+     * JSON: array ของ record หรือ { <listKey>: [...] }
+     */
+    readJson(content, schema) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return { records: [], errors: [{ line: null, item: null, message: `JSON ไม่ถูกต้อง: ${error.message}`, raw: null }] };
+        }
+
+        return this.readList(data, schema);
+    }
+
+    /**
+     * YAML: list ของ record หรือ { <listKey>: [...] }
+     */
+    readYaml(content, schema) {
+        let data;
+        try {
+            data = yaml.load(content);
+        } catch (error) {
+            const line = error.mark ? error.mark.line + 1 : null;
+            return { records: [], errors: [{ line, item: null, message: `YAML ไม่ถูกต้อง: ${error.reason || error.message}`, raw: null }] };
+        }
+
+        return this.readList(data, schema);
+    }
+
+    readList(data, schema) {
+        const records = [];
+        const errors = [];
+        const entries = Array.isArray(data) ? data : data?.[schema.listKey];
+
+        if (!Array.isArray(entries)) {
+            errors.push({ line: null, item: null, message: `ไม่พบรายการ ${schema.listKey} (ต้องเป็น array หรือมีคีย์ ${schema.listKey})`, raw: null });
+            return { records, errors };
+        }
+
+        entries.forEach((entry, index) => {
+            const raw = JSON.stringify(entry);
+            if (!entry || typeof entry !== 'object') {
+                errors.push({ line: null, item: index + 1, message: 'รายการต้องเป็น object', raw });
+                return;
+            }
+
+            const record = {};
+            for (const [key, value] of Object.entries(entry)) {
+                const field = this.resolveFieldName(key, schema.aliases);
+                if (field) record[field] = value;
+            }
+            records.push({ record, line: null, item: index + 1, raw });
+        });
+
+        return { records, errors };
+    }
+
+    /**
+     * รูปแบบข้อความเดิม: ประเภท ชื่อ จำนวน ราคาที่ซื้อ ระยะเวลา แอพ (คั่นด้วยช่องว่าง)
+     * จำนวนและราคาอาจมีหน่วยตามหลัง เช่น "ทอง ทอง 1 บาท 2 หมื่นบาท 20 ปี ออม Now"
+     */
+    parseText(content) {
+        const holdings = [];
+        const errors = [];
+        const lines = content.split(/\r?\n/);
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            // Skip header line
+            if (line.includes('ประเภท') || line.includes('ชื่อ') || line.includes('จำนวนหุ้น')) {
+                return;
+            }
+
+            // แอพเทรดอาจอยู่ในเครื่องหมาย quotes
+            const quotedApp = line.match(/"([^"]+)"/);
+            const parts = line.replace(/"[^"]*"/g, ' ').trim().split(/\s+/);
+            if (parts.length < 3) {
+                errors.push({ line: index + 1, item: null, message: 'ข้อมูลไม่ครบ (ต้องมีอย่างน้อย ประเภท ชื่อ จำนวน)', raw: line });
+                return;
+            }
+
+            const { expressions, period, rest } = this.quantityParser.splitExpressions(parts.slice(2));
+            if (expressions.length === 0) {
+                errors.push({ line: index + 1, item: null, message: `ไม่พบจำนวนที่ถือ: "${parts.slice(2).join(' ')}"`, raw: line });
+                return;
+            }
+            if (expressions.length > 2) {
+                errors.push({ line: index + 1, item: null, message: `มีตัวเลขเกินกว่าจำนวนและราคา: "${expressions.join(' | ')}"`, raw: line });
+                return;
+            }
+
+            const record = {
+                type: parts[0],
+                symbol: parts[1],
+                amount: expressions[0],
+                price: expressions.length > 1 ? expressions[1] : null,
+                period: period,
+                app: quotedApp ? quotedApp[1] : rest.join(' ')
+            };
+            this.collect(record, { line: index + 1, item: null }, line, holdings, errors);
+        });
+
+        return { holdings, errors };
+    }
+
+    collect(record, location, raw, holdings, errors) {
+        try {
+            holdings.push(this.createHolding(record, location, raw));
+        } catch (error) {
+            errors.push({ ...location, message: error.message, raw });
+        }
+    }
+
+    /**
+     * ตำแหน่งของรายการหรือข้อผิดพลาดสำหรับข้อความแจ้งเตือน: "บรรทัด 4", "รายการที่ 2" หรือ "ไฟล์"
+     */
+    formatLocation({ line = null, item = null }) {
+        if (line) return `บรรทัด ${line}`;
+        if (item) return `รายการที่ ${item}`;
+        return 'ไฟล์';
+    }
+
+    /**
+     * ตรวจสอบและแปลง record เป็น holding มาตรฐาน
+     */
+    createHolding(record, { line, item }, raw) {
+        const type = this.cleanText(record.type);
+        const symbol = this.cleanText(record.symbol);
+
+        if (!type) throw new Error('ไม่ระบุประเภท');
+        if (!symbol) throw new Error('ไม่ระบุชื่อหุ้น/สินทรัพย์');
+
+        const assetClass = this.quantityParser.getAssetClass(type, symbol);
+        const unitText = this.cleanText(record.unit);
+        const currencyText = this.cleanText(record.currency);
+
+        let quantity;
+        try {
+            const amountText = record.amount === null || record.amount === undefined ? null : String(record.amount);
+            quantity = this.quantityParser.parseQuantity(
+                amountText && unitText ? `${amountText} ${unitText}` : amountText,
+                { assetClass, symbol }
+            );
+        } catch (error) {
+            throw new Error(`จำนวน: ${error.message}`);
+        }
+
+        let money;
+        try {
+            money = this.quantityParser.parseMoney(record.price, {
+                defaultCurrency: currencyText ? currencyText.toUpperCase() : (assetClass === 'gold' ? 'THB' : null)
+            });
+        } catch (error) {
+            throw new Error(`ราคา: ${error.message}`);
+        }
+
+        return {
+            type: type,
+            symbol: symbol,
+            assetClass: assetClass,
+            amount: quantity.amount,
+            unit: quantity.unit,
+            price: money.amount,
+            currency: money.currency,
+            period: this.cleanText(record.period),
+            app: this.cleanText(record.app)?.replace(/['"]/g, '') || null,
+            line: line,
+            item: item,
+            originalLine: raw
+        };
+    }
+
+    resolveFieldName(name, fieldAliases = FIELD_ALIASES) {
+        const key = String(name || '').trim().toLowerCase().replace(/[\s_]/g, '');
+        for (const [field, aliases] of Object.entries(fieldAliases)) {
+            if (aliases.includes(key)) return field;
+        }
+        return null;
+    }
+
+    cleanText(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        return text && text !== '-' ? text : null;
+    }
+}
+
+module.exports = PortfolioParser;
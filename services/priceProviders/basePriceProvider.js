@@ -0,0 +1,60 @@
+/**
+ * Interface กลางของผู้ให้บริการราคา
+ * ทุก provider ต้อง implement getQuote และ getHistory (getHistoryBetween มีค่าเริ่มต้นจาก getHistory)
+ *
+ * quote:   { symbol, price, currency, source, timestamp }
+ * history: [{ date: 'YYYY-MM-DD', close }] เรียงจากเก่าไปใหม่
+ */
+class BasePriceProvider {
+    constructor(name, defaultCurrency = 'USD') {
+        this.name = name;
+        this.defaultCurrency = defaultCurrency;
+    }
+
+    /**
+     * ราคาล่าสุดของสินทรัพย์
+     */
+    async getQuote(symbol) {
+        throw new Error(`${this.name}: getQuote() ยังไม่ได้ implement`);
+    }
+
+    /**
+     * ราคาปิดรายวันย้อนหลัง
+     */
+    async getHistory(symbol, days = 365) {
+        throw new Error(`${this.name}: getHistory() ยังไม่ได้ implement`);
+    }
+
+    /**
+     * ราคาปิดรายวันช่วงวันที่ from ถึง to ('YYYY-MM-DD' รวมทั้งสองวัน)
+     * ค่าเริ่มต้น: ดึงย้อนหลังถึงวัน from แล้วกรองเฉพาะช่วง provider ที่ระบุช่วงได้เองควร override
+     */
+    async getHistoryBetween(symbol, from, to) {
+        const days = Math.ceil((Date.now() - new Date(from).getTime()) / (24 * 60 * 60 * 1000)) + 1;
+        const history = await this.getHistory(symbol, days);
+        return history.filter(point => point.date >= from && point.date <= to);
+    }
+
+    /**
+     * สกุลเงินที่ใช้ตั้งราคาของสินทรัพย์
+     */
+    getCurrency(symbol) {
+        return this.defaultCurrency;
+    }
+
+    createQuote(symbol, price, currency = null) {
+        return {
+            symbol: symbol,
+            price: price,
+            currency: currency || this.getCurrency(symbol),
+            source: this.name,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    toDateString(date) {
+        return date.toISOString().split('T')[0];
+    }
+}
+
+module.exports = BasePriceProvider;
@@ -0,0 +1,73 @@
+const axios = require('axios');
+const BasePriceProvider = require('./basePriceProvider');
+
+/**
+ * ราคาคริปโตจาก exchange ticker (Binance public API, คู่เทียบ USDT)
+ */
+class CryptoPriceProvider extends BasePriceProvider {
+    constructor(options = {}) {
+        super('crypto', 'USD');
+        this.baseUrl = options.baseUrl || 'https://api.binance.com/api/v3';
+        this.quoteAsset = options.quoteAsset || 'USDT';
+        this.timeout = options.timeout || 10000;
+    }
+
+    toPair(symbol) {
+        return `${symbol.toUpperCase()}${this.quoteAsset}`;
+    }
+
+    async getQuote(symbol) {
+        const response = await axios.get(`${this.baseUrl}/ticker/price`, {
+            params: { symbol: this.toPair(symbol) },
+            timeout: this.timeout
+        });
+
+        const price = parseFloat(response.data?.price);
+        if (!Number.isFinite(price)) {
+            throw new Error(`ไม่พบราคา ${symbol} จาก exchange`);
+        }
+
+        return this.createQuote(symbol, price);
+    }
+
+    async getHistory(symbol, days = 365) {
+        const response = await axios.get(`${this.baseUrl}/klines`, {
+            params: {
+                symbol: this.toPair(symbol),
+                interval: '1d',
+                limit: Math.min(days, 1000)
+            },
+            timeout: this.timeout
+        });
+
+        return this.toHistory(response.data);
+    }
+
+    /**
+     * ช่วงในอดีตที่เกิน 1,000 วันจากวันนี้ ใช้ startTime/endTime แทนการนับย้อนหลัง
+     */
+    async getHistoryBetween(symbol, from, to) {
+        const response = await axios.get(`${this.baseUrl}/klines`, {
+            params: {
+                symbol: this.toPair(symbol),
+                interval: '1d',
+                startTime: new Date(from).getTime(),
+                endTime: new Date(to).getTime() + 24 * 60 * 60 * 1000 - 1,
+                limit: 1000
+            },
+            timeout: this.timeout
+        });
+
+        return this.toHistory(response.data);
+    }
+
+    toHistory(klines) {
+        // kline: [openTime, open, high, low, close, ...]
+        return (klines || []).map(kline => ({
+            date: this.toDateString(new Date(kline[0])),
+            close: parseFloat(kline[4])
+        }));
+    }
+}
+
+module.exports = CryptoPriceProvider;
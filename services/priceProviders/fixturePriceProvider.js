@@ -0,0 +1,68 @@
+const fs = require('fs');
+const BasePriceProvider = require('./basePriceProvider');
+
+/**
+ * ราคาจากไฟล์ JSON สำหรับรันแบบ offline และการทดสอบ
+ *
+ * รูปแบบไฟล์:
+ * {
+ *   "asOf": "2026-10-17",
+ *   "quotes": { "VOO": { "price": 600, "currency": "USD" } },
+ *   "history": { "VOO": [{ "date": "2026-10-16", "close": 598.2 }] }
+ * }
+ */
+class FixturePriceProvider extends BasePriceProvider {
+    constructor(options = {}) {
+        super('fixture', 'USD');
+        this.filePath = options.filePath;
+        this.data = null;
+    }
+
+    load() {
+        if (this.data) return this.data;
+
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            throw new Error(`ไม่พบไฟล์ราคา fixture: ${this.filePath}`);
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.data = {
+            asOf: data.asOf || null,
+            quotes: data.quotes || {},
+            history: data.history || {}
+        };
+        return this.data;
+    }
+
+    async getQuote(symbol) {
+        const entry = this.load().quotes[symbol];
+        if (entry === undefined) {
+            throw new Error(`ไฟล์ fixture ไม่มีราคา ${symbol}`);
+        }
+
+        const price = typeof entry === 'number' ? entry : entry.price;
+        const quote = this.createQuote(symbol, price, entry.currency);
+        if (this.data.asOf) {
+            quote.timestamp = new Date(this.data.asOf).toISOString();
+        }
+        return quote;
+    }
+
+    async getHistory(symbol, days = 365) {
+        const { asOf, history } = this.load();
+        const series = history[symbol] || [];
+        const endDate = asOf ? new Date(asOf) : new Date();
+        const startDate = this.toDateString(new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000));
+
+        return series
+            .filter(point => point.date >= startDate)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    getCurrency(symbol) {
+        const entry = this.data?.quotes?.[symbol];
+        return (entry && entry.currency) || this.defaultCurrency;
+    }
+}
+
+module.exports = FixturePriceProvider;
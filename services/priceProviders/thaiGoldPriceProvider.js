@@ -0,0 +1,40 @@
+const axios = require('axios');
+const BasePriceProvider = require('./basePriceProvider');
+
+/**
+ * ราคาทองคำแท่ง 96.5% ตามประกาศสมาคมค้าทองคำ (บาทต่อน้ำหนัก 1 บาททองคำ)
+ * ใช้ราคารับซื้อ (buy) ของทองคำแท่ง เพื่อสะท้อนมูลค่าหากขายคืนวันนี้
+ */
+class ThaiGoldPriceProvider extends BasePriceProvider {
+    constructor(options = {}) {
+        super('thai-gold', 'THB');
+        this.url = options.url || 'https://api.chnwt.dev/thai-gold-api/latest';
+        this.timeout = options.timeout || 10000;
+    }
+
+    parsePrice(value) {
+        return parseFloat(String(value).replace(/,/g, ''));
+    }
+
+    async getQuote(symbol) {
+        const response = await axios.get(this.url, { timeout: this.timeout });
+        const goldBar = response.data?.response?.price?.gold_bar;
+        const price = goldBar ? this.parsePrice(goldBar.buy) : NaN;
+
+        if (!Number.isFinite(price)) {
+            throw new Error('ไม่พบราคาทองคำแท่งจากสมาคมค้าทองคำ');
+        }
+
+        const quote = this.createQuote(symbol, price, 'THB');
+        quote.sellPrice = this.parsePrice(goldBar.sell);
+        quote.unit = 'บาททองคำ';
+        return quote;
+    }
+
+    async getHistory(symbol, days = 365) {
+        // สมาคมค้าทองคำไม่มี API ราคาย้อนหลัง
+        return [];
+    }
+}
+
+module.exports = ThaiGoldPriceProvider;
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const BasePriceProvider = require('./basePriceProvider');
+
+/**
+ * ราคาหุ้น/ETF จาก Yahoo Finance chart API
+ */
+class YahooPriceProvider extends BasePriceProvider {
+    constructor(options = {}) {
+        super('yahoo', 'USD');
+        this.baseUrl = options.baseUrl || 'https://query1.finance.yahoo.com/v8/finance/chart';
+        this.timeout = options.timeout || 10000;
+        this.currencies = {};
+    }
+
+    async fetchChart(symbol, params) {
+        const response = await axios.get(`${this.baseUrl}/${encodeURIComponent(symbol)}`, {
+            params: params,
+            timeout: this.timeout,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+        });
+
+        const result = response.data.chart?.result?.[0];
+        if (!result) {
+            throw new Error(`Yahoo ไม่มีข้อมูลราคา ${symbol}`);
+        }
+
+        if (result.meta?.currency) {
+            this.currencies[symbol] = result.meta.currency;
+        }
+
+        return result;
+    }
+
+    async getQuote(symbol) {
+        const result = await this.fetchChart(symbol, { interval: '1d', range: '5d' });
+        const price = result.meta?.regularMarketPrice;
+
+        if (typeof price !== 'number') {
+            throw new Error(`Yahoo ไม่มีราคาล่าสุดของ ${symbol}`);
+        }
+
+        const quote = this.createQuote(symbol, price, result.meta.currency);
+        quote.previousClose = result.meta.previousClose ?? result.meta.chartPreviousClose ?? null;
+        return quote;
+    }
+
+    async getHistory(symbol, days = 365) {
+        const now = Math.floor(Date.now() / 1000);
+        const result = await this.fetchChart(symbol, {
+            interval: '1d',
+            period1: now - days * 24 * 60 * 60,
+            period2: now
+        });
+        return this.toHistory(result);
+    }
+
+    async getHistoryBetween(symbol, from, to) {
+        const result = await this.fetchChart(symbol, {
+            interval: '1d',
+            period1: Math.floor(new Date(from).getTime() / 1000),
+            // period2 ไม่รวมเวลานั้น จึงบวกหนึ่งวันเพื่อให้ได้ราคาปิดของวัน to
+            period2: Math.floor(new Date(to).getTime() / 1000) + 24 * 60 * 60
+        });
+        return this.toHistory(result).filter(point => point.date >= from && point.date <= to);
+    }
+
+    toHistory(result) {
+        const timestamps = result.timestamp || [];
+        const closes = result.indicators?.quote?.[0]?.close || [];
+        const history = [];
+
+        for (let i = 0; i < timestamps.length; i++) {
+            if (typeof closes[i] === 'number') {
+                history.push({
+                    date: this.toDateString(new Date(timestamps[i] * 1000)),
+                    close: closes[i]
+                });
+            }
+        }
+
+        return history;
+    }
+
+    getCurrency(symbol) {
+        return this.currencies[symbol] || this.defaultCurrency;
+    }
+}
+
+module.exports = YahooPriceProvider;
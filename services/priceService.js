@@ -0,0 +1,154 @@
+const path = require('path');
+const logger = require('./logger');
+const YahooPriceProvider = require('./priceProviders/yahooPriceProvider');
+const CryptoPriceProvider = require('./priceProviders/cryptoPriceProvider');
+const ThaiGoldPriceProvider = require('./priceProviders/thaiGoldPriceProvider');
+const FixturePriceProvider = require('./priceProviders/fixturePriceProvider');
+
+/**
+ * จุดเดียวสำหรับดึงราคาสินทรัพย์
+ * เก็บราคาที่ดึงมาแล้วเป็น snapshot ตลอดการรัน เพื่อให้ทุกส่วนของรายงานใช้ราคาชุดเดียวกัน
+ */
+class PriceService {
+    constructor(options = {}) {
+        this.mode = options.mode || 'live';
+
+        this.fixtureFile = options.fixtureFile || path.join(__dirname, '../data/price-fixture.json');
+
+        if (this.mode === 'fixture') {
+            const fixture = new FixturePriceProvider({ filePath: this.fixtureFile });
+            this.providers = { stock: fixture, crypto: fixture, gold: fixture };
+        } else {
+            this.providers = {
+                stock: new YahooPriceProvider(),
+                crypto: new CryptoPriceProvider(),
+                gold: new ThaiGoldPriceProvider({ url: options.goldPriceUrl })
+            };
+        }
+
+        this.quotes = new Map();
+        this.histories = new Map();
+        this.snapshotTime = null;
+    }
+
+    /**
+     * เลือก provider ตามประเภทสินทรัพย์ในไฟล์หุ้น
+     */
+    resolveProvider(symbol, type = null) {
+        if (type === 'สกุลเงินคริปโต') return this.providers.crypto;
+        if (type === 'ทอง' || symbol === 'ทอง') return this.providers.gold;
+        return this.providers.stock;
+    }
+
+    /**
+     * ราคาล่าสุด (ดึงครั้งแรกครั้งเดียว ครั้งต่อไปใช้ค่าใน snapshot)
+     */
+    async getQuote(symbol, type = null) {
+        if (this.quotes.has(symbol)) {
+            return this.quotes.get(symbol);
+        }
+
+        const provider = this.resolveProvider(symbol, type);
+        let quote = null;
+
+        try {
+            quote = await provider.getQuote(symbol);
+            logger.api(`ราคา ${symbol}: ${quote.price} ${quote.currency} (${quote.source})`);
+        } catch (error) {
+            logger.warn(`ไม่สามารถดึงราคา ${symbol} จาก ${provider.name}: ${error.message}`);
+        }
+
+        if (!this.snapshotTime) {
+            this.snapshotTime = new Date().toISOString();
+        }
+
+        this.quotes.set(symbol, quote);
+        return quote;
+    }
+
+    /**
+     * ราคาปิดรายวันย้อนหลัง
+     */
+    async getHistory(symbol, type = null, days = 365) {
+        const key = `${symbol}:${days}`;
+        if (this.histories.has(key)) {
+            return this.histories.get(key);
+        }
+
+        const provider = this.resolveProvider(symbol, type);
+        let history = [];
+
+        try {
+            history = await provider.getHistory(symbol, days);
+        } catch (error) {
+            logger.warn(`ไม่สามารถดึงราคาย้อนหลัง ${symbol} จาก ${provider.name}: ${error.message}`);
+        }
+
+        this.histories.set(key, history);
+        return history;
+    }
+
+    /**
+     * ราคาปิดรายวันช่วงวันที่ from ถึง to (เช่น ช่วงวิกฤตในอดีต)
+     */
+    async getHistoryBetween(symbol, type, from, to) {
+        const key = `${symbol}:${from}:${to}`;
+        if (this.histories.has(key)) {
+            return this.histories.get(key);
+        }
+
+        const provider = this.resolveProvider(symbol, type);
+        let history = [];
+
+        try {
+            history = await provider.getHistoryBetween(symbol, from, to);
+        } catch (error) {
+            logger.warn(`ไม่สามารถดึงราคา ${symbol} ช่วง ${from} ถึง ${to} จาก ${provider.name}: ${error.message}`);
+        }
+
+        this.histories.set(key, history);
+        return history;
+    }
+
+    /**
+     * ดึงราคาของทุกรายการล่วงหน้าให้อยู่ใน snapshot เดียวกัน
+     */
+    async loadSnapshot(stockList) {
+        for (const stock of stockList) {
+            if (stock.symbol && stock.symbol !== '-') {
+                await this.getQuote(stock.symbol, stock.type);
+            }
+        }
+
+        return this.getSnapshot();
+    }
+
+    /**
+     * ราคาจาก snapshot (0 ถ้ายังไม่มีหรือดึงไม่สำเร็จ)
+     */
+    getCachedPrice(symbol) {
+        return this.quotes.get(symbol)?.price || 0;
+    }
+
+    /**
+     * quote จาก snapshot (null ถ้ายังไม่มีหรือดึงไม่สำเร็จ)
+     */
+    getCachedQuote(symbol) {
+        return this.quotes.get(symbol) || null;
+    }
+
+    getSnapshot() {
+        const quotes = {};
+        for (const [symbol, quote] of this.quotes) {
+            quotes[symbol] = quote;
+        }
+
+        return {
+            timestamp: this.snapshotTime,
+            mode: this.mode,
+            quotes: quotes
+        };
+    }
+}
+
+module.exports = PriceService;
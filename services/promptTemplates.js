@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+
+const PROMPTS_DIR = path.join(__dirname, '../prompts');
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const PARTIAL = /\{\{>\s*([\w./-]+)\s*\}\}/g;
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 5;
+
+/**
+ * เทมเพลต prompt จากไฟล์ใน prompts/ (เลือกเทมเพลตวิเคราะห์ด้วย AI_PROMPT_TEMPLATE)
+ *
+ * รูปแบบไฟล์ prompts/<name>.txt:
+ * ---
+ * version: 1
+ * description: ...
+ * ---
+ * {{> date}}            แทรก partial จาก prompts/partials/date.txt (ซ้อนกันได้)
+ * {{stockData}}         ตัวแปร
+ *
+ * ตัวแปรที่ไม่ได้ส่งมาหรือ partial ที่ไม่มีจะแจ้งข้อผิดพลาดทั้งหมดพร้อมกัน
+ * id ของเทมเพลต (name@version) และ hash ของเนื้อหาหลังแทรก partial บันทึกไว้กับผลวิเคราะห์ทุกครั้ง
+ * (hash เปลี่ยนเมื่อแก้ไฟล์โดยไม่ได้เพิ่ม version)
+ */
+class PromptTemplates {
+    constructor(options = {}) {
+        this.dir = options.dir || PROMPTS_DIR;
+        this.cache = new Map();
+    }
+
+    /**
+     * อ่านและตรวจสอบเทมเพลต (partial อยู่ใน partials/ ไม่มี front matter)
+     */
+    load(name) {
+        if (this.cache.has(name)) return this.cache.get(name);
+
+        const filePath = path.join(this.dir, `${name}.txt`);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`ไม่พบเทมเพลต prompt: ${name} (${filePath})`);
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        const match = content.match(FRONT_MATTER);
+        const errors = [];
+        let meta = {};
+        if (!match) {
+            errors.push('ไม่มี front matter (--- version: ... ---)');
+        } else {
+            try {
+                meta = yaml.load(match[1]) || {};
+            } catch (error) {
+                errors.push(`front matter อ่านไม่ได้: ${error.message}`);
+            }
+        }
+
+        if (!Number.isInteger(meta.version) || meta.version < 1) {
+            errors.push('version: ต้องเป็นจำนวนเต็มตั้งแต่ 1');
+        }
+        if (meta.description !== undefined && typeof meta.description !== 'string') {
+            errors.push('description: ต้องเป็นข้อความ');
+        }
+
+        let body = match ? content.slice(match[0].length) : content;
+        try {
+            body = this.expandPartials(body);
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`เทมเพลต prompt ${name} ไม่ถูกต้อง:\n- ${errors.join('\n- ')}`);
+        }
+
+        const template = {
+            name: name,
+            version: meta.version,
+            id: `${name}@${meta.version}`,
+            description: meta.description || '',
+            body: body.trim(),
+            hash: crypto.createHash('sha256').update(body.trim()).digest('hex').slice(0, 12),
+            variables: [...new Set([...body.matchAll(VARIABLE)].map(item => item[1]))]
+        };
+        this.cache.set(name, template);
+        logger.file(`โหลดเทมเพลต prompt: ${template.id}`);
+        return template;
+    }
+
+    expandPartials(text, depth = 0) {
+        if (depth > MAX_PARTIAL_DEPTH) {
+            throw new Error(`partial ซ้อนกันเกิน ${MAX_PARTIAL_DEPTH} ชั้น (อ้างถึงกันเป็นวงหรือไม่)`);
+        }
+
+        const missing = [];
+        const expanded = text.replace(PARTIAL, (placeholder, partial) => {
+            const filePath = path.join(this.dir, 'partials', `${partial}.txt`);
+            if (!fs.existsSync(filePath)) {
+                missing.push(partial);
+                return placeholder;
+            }
+            return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+        });
+
+        if (missing.length > 0) {
+            throw new Error(`ไม่พบ partial: ${missing.join(', ')}`);
+        }
+        return expanded.includes('{{>') ? this.expandPartials(expanded, depth + 1) : expanded;
+    }
+
+    /**
+     * แทนค่าตัวแปร คืน { text, id, name, version, hash }
+     */
+    render(name, variables = {}) {
+        const template = this.load(name);
+        const missing = template.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+        if (missing.length > 0) {
+            throw new Error(`เทมเพลต prompt ${template.id} ขาดตัวแปร: ${missing.join(', ')}`);
+        }
+
+        return {
+            text: template.body.replace(VARIABLE, (placeholder, variable) => String(variables[variable])),
+            id: template.id,
+            name: template.name,
+            version: template.version,
+            hash: template.hash
+        };
+    }
+
+    /**
+     * ชื่อเทมเพลตทั้งหมด (ไม่รวม partials)
+     */
+    list() {
+        const walk = (dir, prefix = '') => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            if (entry.isDirectory()) {
+                return entry.name === 'partials' && !prefix ? [] : walk(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+            }
+            return entry.name.endsWith('.txt') ? [`${prefix}${entry.name.slice(0, -4)}`] : [];
+        });
+        return walk(this.dir).sort();
+    }
+}
+
+module.exports = PromptTemplates;
@@ -0,0 +1,296 @@
+/**
+ * แปลงข้อความจำนวน/ราคาแบบที่ใช้ในชีตพอร์ต ให้เป็นค่ามาตรฐาน
+ *
+ *   "1 บาท" (ทอง)       -> { amount: 1, unit: 'บาททองคำ' }
+ *   "2 สลึง" (ทอง)      -> { amount: 0.5, unit: 'บาททองคำ' }
+ *   "0.00005653 btc"    -> { amount: 0.00005653, unit: 'BTC' }
+ *   "2 หมื่นบาท"         -> { amount: 20000, currency: 'THB' }
+ *   "24.35 USD"         -> { amount: 24.35, currency: 'USD' }
+ *
+ * หน่วยมาตรฐาน: ทอง = บาททองคำ (15.244 กรัม), คริปโต = เหรียญ, หุ้น = share
+ */
+
+const GOLD_UNIT = 'บาททองคำ';
+const GRAMS_PER_BAHT_WEIGHT = 15.244;
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+const MAGNITUDES = {
+    'พัน': 1e3,
+    'หมื่น': 1e4,
+    'แสน': 1e5,
+    'ล้าน': 1e6,
+    'k': 1e3
+};
+
+const CURRENCIES = {
+    'บาท': 'THB',
+    '฿': 'THB',
+    'thb': 'THB',
+    'usd': 'USD',
+    '$': 'USD',
+    'us$': 'USD',
+    'ดอลลาร์': 'USD',
+    'ดอลล่าร์': 'USD',
+    'usdt': 'USD',
+    'jpy': 'JPY',
+    'เยน': 'JPY',
+    '¥': 'JPY',
+    'eur': 'EUR',
+    'gbp': 'GBP',
+    'cny': 'CNY',
+    'hkd': 'HKD',
+    'sgd': 'SGD'
+};
+
+// หน่วยน้ำหนักทอง -> จำนวนบาททองคำ
+const GOLD_UNITS = {
+    'บาท': 1,
+    'บาททอง': 1,
+    'บาททองคำ': 1,
+    'สลึง': 0.25,
+    'กรัม': 1 / GRAMS_PER_BAHT_WEIGHT,
+    'g': 1 / GRAMS_PER_BAHT_WEIGHT,
+    'gram': 1 / GRAMS_PER_BAHT_WEIGHT,
+    'grams': 1 / GRAMS_PER_BAHT_WEIGHT,
+    'กิโลกรัม': 1000 / GRAMS_PER_BAHT_WEIGHT,
+    'kg': 1000 / GRAMS_PER_BAHT_WEIGHT,
+    'oz': GRAMS_PER_TROY_OUNCE / GRAMS_PER_BAHT_WEIGHT,
+    'ozt': GRAMS_PER_TROY_OUNCE / GRAMS_PER_BAHT_WEIGHT,
+    'ออนซ์': GRAMS_PER_TROY_OUNCE / GRAMS_PER_BAHT_WEIGHT,
+    'troyoz': GRAMS_PER_TROY_OUNCE / GRAMS_PER_BAHT_WEIGHT
+};
+
+// หน่วยย่อยของคริปโต -> [เหรียญหลัก, ตัวคูณ]
+const CRYPTO_SUBUNITS = {
+    'sat': ['BTC', 1e-8],
+    'sats': ['BTC', 1e-8],
+    'satoshi': ['BTC', 1e-8],
+    'gwei': ['ETH', 1e-9]
+};
+
+const KNOWN_CRYPTO = ['btc', 'eth', 'sol', 'bnb', 'xrp', 'ada', 'doge'];
+
+const SHARE_UNITS = ['share', 'shares', 'หุ้น', 'unit', 'units', 'หน่วย'];
+
+// คำที่บอกระยะเวลาลงทุน (ไม่ใช่จำนวนหรือราคา)
+const PERIOD_UNITS = ['ปี', 'เดือน', 'year', 'years', 'month', 'months'];
+
+const NUMBER_PATTERN = /^([$฿¥]?)(-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|-?\.\d+)(.*)$/;
+
+class QuantityParser {
+    /**
+     * กลุ่มสินทรัพย์จากประเภทในชีต: stock | crypto | gold
+     */
+    getAssetClass(type, symbol = null) {
+        const text = `${type || ''}`.toLowerCase();
+        if (text.includes('ทอง') || text.includes('gold') || symbol === 'ทอง') return 'gold';
+        if (text.includes('คริปโต') || text.includes('crypto')) return 'crypto';
+        return 'stock';
+    }
+
+    /**
+     * จำนวนที่ถือ -> { amount, unit }
+     */
+    parseQuantity(text, { assetClass = 'stock', symbol = null } = {}) {
+        const expression = this.parseExpression(text);
+        if (!expression) return { amount: null, unit: null };
+
+        const words = expression.words.filter(word => !MAGNITUDES[word]);
+        let amount = expression.value * expression.multiplier;
+        let unit = null;
+
+        for (const word of words) {
+            if (assetClass === 'gold' && GOLD_UNITS[word] !== undefined) {
+                amount *= GOLD_UNITS[word];
+                unit = GOLD_UNIT;
+            } else if (CRYPTO_SUBUNITS[word]) {
+                const [coin, factor] = CRYPTO_SUBUNITS[word];
+                amount *= factor;
+                unit = coin;
+            } else if (SHARE_UNITS.includes(word)) {
+                unit = 'share';
+            } else if (KNOWN_CRYPTO.includes(word) || (symbol && word === symbol.toLowerCase())) {
+                unit = word.toUpperCase();
+            } else if (GOLD_UNITS[word] !== undefined) {
+                // หน่วยน้ำหนักทองกับสินทรัพย์ที่ไม่ใช่ทอง ให้คงชื่อหน่วยเดิม
+                unit = word;
+            } else {
+                throw new Error(`ไม่รู้จักหน่วย "${word}" ใน "${text}"`);
+            }
+        }
+
+        if (!unit) {
+            unit = this.getDefaultUnit(assetClass, symbol);
+        }
+
+        return { amount: this.round(amount), unit };
+    }
+
+    /**
+     * ราคา/มูลค่า -> { amount, currency }
+     */
+    parseMoney(text, { defaultCurrency = null } = {}) {
+        const expression = this.parseExpression(text);
+        if (!expression) return { amount: null, currency: null };
+
+        let currency = expression.currency;
+        for (const word of expression.words) {
+            if (MAGNITUDES[word]) continue;
+            if (CURRENCIES[word]) {
+                currency = CURRENCIES[word];
+            } else {
+                throw new Error(`ไม่รู้จักสกุลเงิน "${word}" ใน "${text}"`);
+            }
+        }
+
+        return {
+            amount: this.round(expression.value * expression.multiplier),
+            currency: currency || defaultCurrency
+        };
+    }
+
+    getDefaultUnit(assetClass, symbol) {
+        if (assetClass === 'gold') return GOLD_UNIT;
+        if (assetClass === 'crypto') return symbol ? symbol.toUpperCase() : null;
+        return 'share';
+    }
+
+    /**
+     * แยกตัวเลข ตัวคูณ (พัน/หมื่น/แสน/ล้าน) และคำหน่วยที่ตามมา
+     * คืน null ถ้าเป็นค่าว่างหรือ "-"
+     */
+    parseExpression(text) {
+        if (text === null || text === undefined) return null;
+        if (typeof text === 'number') {
+            return { value: text, multiplier: 1, words: [], currency: null };
+        }
+
+        const raw = String(text).trim();
+        if (!raw || raw === '-') return null;
+
+        const tokens = this.splitWords(raw);
+        let value = null;
+        let prefixCurrency = null;
+        const words = [];
+
+        for (const token of tokens) {
+            const match = value === null ? token.match(NUMBER_PATTERN) : null;
+            if (match) {
+                prefixCurrency = match[1] ? CURRENCIES[match[1]] : null;
+                value = parseFloat(match[2].replace(/,/g, ''));
+                if (match[3]) words.push(...this.splitCompoundWord(match[3]));
+            } else {
+                words.push(...this.splitCompoundWord(token));
+            }
+        }
+
+        let multiplier = 1;
+        for (const word of words) {
+            if (MAGNITUDES[word]) multiplier *= MAGNITUDES[word];
+        }
+
+        if (value === null) {
+            // "หมื่นบาท" ไม่มีตัวเลข = 1 หมื่น
+            if (multiplier === 1) {
+                throw new Error(`ไม่พบตัวเลขใน "${raw}"`);
+            }
+            value = 1;
+        }
+
+        return { value, multiplier, words, currency: prefixCurrency };
+    }
+
+    splitWords(text) {
+        return text.replace(/troy\s+oz/gi, 'troyoz').split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * "หมื่นบาท" -> ['หมื่น', 'บาท'], "แสนล้าน" -> ['แสน', 'ล้าน']
+     */
+    splitCompoundWord(word) {
+        const lower = word.toLowerCase();
+        const parts = [];
+        let rest = lower;
+
+        let found = true;
+        while (rest && found) {
+            found = false;
+            for (const magnitude of Object.keys(MAGNITUDES)) {
+                // "k" ใช้ได้เมื่ออยู่เดี่ยวๆ เท่านั้น (กันชนกับ "kg")
+                if (magnitude === 'k' && rest !== 'k') continue;
+                if (rest.startsWith(magnitude)) {
+                    parts.push(magnitude);
+                    rest = rest.slice(magnitude.length);
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        if (rest) parts.push(rest);
+        return parts;
+    }
+
+    /**
+     * แยกบรรทัดข้อความ (หลังประเภทและชื่อ) เป็นกลุ่ม "ตัวเลข + หน่วย"
+     * หยุดเมื่อเจอคำที่ไม่ใช่หน่วย (เช่นชื่อแอพ) ระยะเวลาเช่น "20 ปี" แยกไว้ใน period
+     *
+     * ["1", "บาท", "2", "หมื่นบาท", "20", "ปี", "ออม", "Now"]
+     *   -> { expressions: ["1 บาท", "2 หมื่นบาท"], period: "20 ปี", rest: ["ออม", "Now"] }
+     */
+    splitExpressions(tokens) {
+        const expressions = [];
+        let period = null;
+        let index = 0;
+
+        while (index < tokens.length) {
+            const token = tokens[index];
+            const startsExpression = token === '-' || NUMBER_PATTERN.test(token) || this.isMagnitudeWord(token);
+            if (!startsExpression) break;
+
+            const group = [token];
+            index++;
+            while (index < tokens.length && !NUMBER_PATTERN.test(tokens[index]) && tokens[index] !== '-' && this.isUnitWord(tokens[index])) {
+                group.push(tokens[index]);
+                index++;
+            }
+
+            const text = group.join(' ');
+            if (group.some(word => PERIOD_UNITS.includes(word.toLowerCase()))) {
+                period = text;
+                break;
+            }
+            expressions.push(text);
+        }
+
+        return { expressions, period, rest: tokens.slice(index) };
+    }
+
+    isMagnitudeWord(token) {
+        const parts = this.splitCompoundWord(token);
+        return Boolean(MAGNITUDES[parts[0]]) && parts.every(part => MAGNITUDES[part] || CURRENCIES[part]);
+    }
+
+    isUnitWord(token) {
+        const lower = token.toLowerCase();
+        if (PERIOD_UNITS.includes(lower)) return true;
+        return this.splitCompoundWord(token).every(part =>
+            MAGNITUDES[part] !== undefined ||
+            CURRENCIES[part] !== undefined ||
+            GOLD_UNITS[part] !== undefined ||
+            CRYPTO_SUBUNITS[part] !== undefined ||
+            SHARE_UNITS.includes(part) ||
+            KNOWN_CRYPTO.includes(part) ||
+            part === 'troyoz'
+        );
+    }
+
+    round(value) {
+        return Math.round(value * 1e10) / 1e10;
+    }
+}
+
+QuantityParser.GOLD_UNIT = GOLD_UNIT;
+QuantityParser.GRAMS_PER_BAHT_WEIGHT = GRAMS_PER_BAHT_WEIGHT;
+
+module.exports = QuantityParser;
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigFile = require('./configFile');
+const logger = require('./logger');
+const QuantityParser = require('./quantityParser');
+
+const ASSET_CLASS_LABELS = { stock: 'หุ้น', crypto: 'คริปโต', gold: 'ทอง' };
+const TARGET_FIELDS = ['weight', 'tolerance'];
+
+/**
+ * สัดส่วนเป้าหมายและแผนปรับสมดุลพอร์ต
+ *
+ * ไฟล์เป้าหมาย (config/target-allocation.json หรือ TARGET_ALLOCATION_FILE, ใช้ YAML ได้):
+ * {
+ *   "version": 1,
+ *   "tolerance": 5,          // ช่วงที่ยอมให้เบี่ยงได้ (จุดเปอร์เซ็นต์) ค่าเริ่มต้น
+ *   "minTrade": 500,         // มูลค่าซื้อขายขั้นต่ำต่อรายการ (สกุลเงินหลัก)
+ *   "holdings": { "VOO": { "weight": 50 } },
+ *   "assetClasses": { "crypto": { "weight": 10, "tolerance": 3 } }
+ * }
+ *
+ * เป้าหมายรายตัวมาก่อน เป้าหมายตามประเภทใช้กับสินทรัพย์ประเภทนั้นที่ไม่มีเป้าหมายรายตัว
+ * สินทรัพย์ที่ไม่อยู่ในเป้าหมายใดเลยมีเป้าหมาย 0% น้ำหนักรวมต้องเท่ากับ 100
+ *
+ * ถ้ามีกลุ่มใดเบี่ยงเกินช่วงที่ยอมรับ จะปรับทุกกลุ่มกลับสู่เป้าหมาย โดยข้ามรายการที่ต่ำกว่าขั้นต่ำ
+ * (ของแผนหรือของแอพ) และคิดค่าธรรมเนียมตามแอพในทะเบียนแอพเทรด
+ */
+class Rebalancer {
+    constructor(valuationEngine, options = {}) {
+        this.valuationEngine = valuationEngine;
+        this.targetFile = options.targetFile || path.join(__dirname, '../config/target-allocation.json');
+        this.quantityParser = new QuantityParser();
+        this.allocation = undefined;
+    }
+
+    /**
+     * โหลดและตรวจสอบไฟล์เป้าหมาย (null ถ้ายังไม่ได้สร้างไฟล์)
+     */
+    load() {
+        if (this.allocation !== undefined) return this.allocation;
+
+        if (!fs.existsSync(this.targetFile)) {
+            logger.file(`ไม่มีไฟล์สัดส่วนเป้าหมาย ${this.targetFile} ข้ามการปรับสมดุล`);
+            this.allocation = null;
+            return null;
+        }
+
+        const data = new ConfigFile(this.targetFile, 'ไฟล์สัดส่วนเป้าหมาย').read(data => this.validate(data));
+
+        this.allocation = {
+            version: data.version,
+            tolerance: data.tolerance ?? 5,
+            minTrade: data.minTrade ?? 0,
+            holdings: data.holdings || {},
+            assetClasses: data.assetClasses || {}
+        };
+        return this.allocation;
+    }
+
+    /**
+     * ฟิลด์ tolerance, minTrade และเป้าหมาย (object และ version ตรวจที่ ConfigFile)
+     */
+    validate(data) {
+        const errors = [];
+        const isNonNegative = value => typeof value === 'number' && value >= 0;
+        for (const field of ['tolerance', 'minTrade']) {
+            if (data[field] !== undefined && !isNonNegative(data[field])) {
+                errors.push(`${field} ต้องเป็นตัวเลขตั้งแต่ 0`);
+            }
+        }
+
+        let totalWeight = 0;
+        let count = 0;
+        for (const group of ['holdings', 'assetClasses']) {
+            const targets = data[group];
+            if (targets === undefined) continue;
+            if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+                errors.push(`${group} ต้องเป็น object`);
+                continue;
+            }
+
+            for (const [key, target] of Object.entries(targets)) {
+                const prefix = `${group}.${key}`;
+                if (group === 'assetClasses' && !ASSET_CLASS_LABELS[key]) {
+                    errors.push(`${prefix} ไม่รู้จักประเภทนี้ (ใช้ได้: ${Object.keys(ASSET_CLASS_LABELS).join(', ')})`);
+                }
+                if (!target || typeof target !== 'object') {
+                    errors.push(`${prefix} ต้องเป็น object เช่น { "weight": 10 }`);
+                    continue;
+                }
+                if (!(typeof target.weight === 'number' && target.weight >= 0 && target.weight <= 100)) {
+                    errors.push(`${prefix}.weight ต้องเป็นตัวเลข 0-100 (ได้ ${JSON.stringify(target.weight)})`);
+                } else {
+                    totalWeight += target.weight;
+                }
+                if (target.tolerance !== undefined && !isNonNegative(target.tolerance)) {
+                    errors.push(`${prefix}.tolerance ต้องเป็นตัวเลขตั้งแต่ 0`);
+                }
+                for (const field of Object.keys(target)) {
+                    if (!TARGET_FIELDS.includes(field)) {
+                        errors.push(`${prefix}.${field} ไม่รู้จักฟิลด์นี้ (ใช้ได้: ${TARGET_FIELDS.join(', ')})`);
+                    }
+                }
+                count++;
+            }
+        }
+
+        if (count === 0) {
+            errors.push('ต้องมีเป้าหมายอย่างน้อยหนึ่งรายการใน holdings หรือ assetClasses');
+        } else if (Math.abs(totalWeight - 100) > 0.01) {
+            errors.push(`น้ำหนักเป้าหมายรวมต้องเท่ากับ 100 (ได้ ${totalWeight})`);
+        }
+        return errors;
+    }
+
+    /**
+     * สัดส่วนปัจจุบันเทียบเป้าหมาย และรายการซื้อ/ขาย (null ถ้าไม่มีไฟล์เป้าหมาย)
+     */
+    plan(riskAnalysisList) {
+        const allocation = this.load();
+        if (!allocation) return null;
+
+        const priced = riskAnalysisList.filter(analysis => analysis.currentValue > 0);
+        const unpriced = riskAnalysisList.filter(analysis => !(analysis.currentValue > 0)).map(analysis => analysis.symbol);
+        const totalValue = priced.reduce((sum, analysis) => sum + analysis.currentValue, 0);
+        if (totalValue <= 0) return null;
+
+        const buckets = this.buildBuckets(priced, allocation).map(bucket => {
+            const value = bucket.members.reduce((sum, analysis) => sum + analysis.currentValue, 0);
+            const weight = (value / totalValue) * 100;
+            const drift = weight - bucket.target;
+            return { ...bucket, value, weight, drift, outOfBand: Math.abs(drift) > bucket.tolerance + 1e-9 };
+        });
+
+        const needsRebalance = buckets.some(bucket => bucket.outOfBand);
+        const trades = [];
+        const notes = [];
+        if (needsRebalance) {
+            for (const bucket of buckets) {
+                const delta = (bucket.target / 100) * totalValue - bucket.value;
+                if (Math.abs(delta) < 1e-6) continue;
+                if (bucket.value <= 0) {
+                    const reason = bucket.type === 'holding' ? 'แต่ยังไม่ได้ถือในพอร์ต (ไม่ทราบราคาและแอพ)' : 'แต่ยังไม่มีสินทรัพย์ในกลุ่มนี้ในพอร์ต';
+                    notes.push(`${bucket.label}: ต้องซื้อเพิ่ม ${this.valuationEngine.formatMoney(delta)} ${reason}`);
+                    continue;
+                }
+                // กระจายยอดซื้อ/ขายให้สมาชิกในกลุ่มตามมูลค่าปัจจุบัน
+                for (const analysis of bucket.members) {
+                    trades.push(this.createTrade(analysis, delta * (analysis.currentValue / bucket.value), allocation));
+                }
+            }
+        }
+
+        const executed = trades.filter(trade => !trade.skipped);
+        const totalFees = executed.reduce((sum, trade) => sum + trade.fee, 0);
+        const netCash = executed.reduce((sum, trade) => sum + (trade.action === 'sell' ? trade.amount : -trade.amount), 0) - totalFees;
+
+        return {
+            totalValue: totalValue,
+            currency: this.valuationEngine.baseCurrency,
+            needsRebalance: needsRebalance,
+            buckets: buckets.map(({ members, ...bucket }) => ({ ...bucket, symbols: members.map(analysis => analysis.symbol) })),
+            trades: trades.sort((a, b) => (a.action === b.action ? b.amount - a.amount : a.action === 'sell' ? -1 : 1)),
+            totalFees: totalFees,
+            netCash: netCash,
+            unpriced: unpriced,
+            notes: notes
+        };
+    }
+
+    /**
+     * จัดกลุ่มสินทรัพย์ตามเป้าหมาย: รายตัว → ตามประเภท → ไม่อยู่ในเป้าหมาย (0%)
+     */
+    buildBuckets(priced, allocation) {
+        const buckets = [];
+        const assigned = new Set();
+
+        for (const [symbol, target] of Object.entries(allocation.holdings)) {
+            const members = priced.filter(analysis => analysis.symbol === symbol);
+            members.forEach(analysis => assigned.add(analysis));
+            buckets.push(this.createBucket('holding', symbol, symbol, target, members, allocation));
+        }
+
+        for (const [assetClass, target] of Object.entries(allocation.assetClasses)) {
+            const members = priced.filter(analysis => !assigned.has(analysis) && this.getAssetClass(analysis) === assetClass);
+            members.forEach(analysis => assigned.add(analysis));
+            buckets.push(this.createBucket('assetClass', assetClass, `กลุ่ม${ASSET_CLASS_LABELS[assetClass]}`, target, members, allocation));
+        }
+
+        for (const analysis of priced.filter(item => !assigned.has(item))) {
+            buckets.push(this.createBucket('untargeted', analysis.symbol, `${analysis.symbol} (ไม่อยู่ในเป้าหมาย)`, { weight: 0 }, [analysis], allocation));
+        }
+
+        return buckets;
+    }
+
+    createBucket(type, key, label, target, members, allocation) {
+        return {
+            type: type,
+            key: key,
+            label: label,
+            target: target.weight,
+            tolerance: target.tolerance ?? allocation.tolerance,
+            members: members
+        };
+    }
+
+    /**
+     * รายการซื้อ/ขายหนึ่งรายการ พร้อมค่าธรรมเนียมและเหตุผลถ้าต้องข้าม
+     */
+    createTrade(analysis, delta, allocation) {
+        const amount = Math.abs(delta);
+        const cost = this.estimateCost(analysis, amount);
+        const unitValue = analysis.amount > 0 ? analysis.currentValue / analysis.amount : 0;
+
+        let skipped = null;
+        if (amount < allocation.minTrade) {
+            skipped = `ต่ำกว่าขั้นต่ำ ${this.valuationEngine.formatMoney(allocation.minTrade)}`;
+        } else if (amount < cost.minOrder) {
+            skipped = `ต่ำกว่าขั้นต่ำของ ${cost.app} ${this.valuationEngine.formatMoney(cost.minOrder)}`;
+        }
+
+        return {
+            symbol: analysis.symbol,
+            action: delta > 0 ? 'buy' : 'sell',
+            amount: amount,
+            quantity: unitValue > 0 ? amount / unitValue : null,
+            fee: cost.fee,
+            app: cost.app,
+            skipped: skipped
+        };
+    }
+
+    /**
+     * ค่าธรรมเนียมและขั้นต่ำต่อคำสั่งของแอพที่ถือสินทรัพย์นี้ (สกุลเงินหลัก)
+     */
+    estimateCost(analysis, amount) {
+        const app = analysis.appAnalysis || {};
+        const feeCurrency = app.feeCurrency || this.valuationEngine.baseCurrency;
+        const fixedFee = app.feeFixed ? this.valuationEngine.toBase(app.feeFixed, feeCurrency) : 0;
+
+        return {
+            fee: amount * ((app.feePercent || 0) / 100) + fixedFee,
+            minOrder: app.minOrder ? this.valuationEngine.toBase(app.minOrder, feeCurrency) : 0,
+            app: app.name && app.name !== 'ไม่ระบุ' ? app.name : null
+        };
+    }
+
+    getAssetClass(analysis) {
+        return analysis.assetClass || this.quantityParser.getAssetClass(analysis.type, analysis.symbol);
+    }
+}
+
+Rebalancer.ASSET_CLASS_LABELS = ASSET_CLASS_LABELS;
+
+module.exports = Rebalancer;
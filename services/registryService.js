@@ -0,0 +1,232 @@
+const path = require('path');
+const ConfigFile = require('./configFile');
+const logger = require('./logger');
+
+const CONFIG_DIR = path.join(__dirname, '../config');
+
+// ฟิลด์ที่อนุญาตในแต่ละทะเบียน: type (string, score 0-10, number ≥ 0, boolean) และ required
+const SCHEMAS = {
+    symbols: {
+        listKey: 'profiles',
+        fields: {
+            name: { type: 'string', required: true },
+            bankruptcyRisk: { type: 'string', required: true },
+            volatilityRisk: { type: 'string', required: true },
+            marketRisk: { type: 'string', required: true },
+            liquidityRisk: { type: 'string', required: true },
+            suitability: { type: 'string', required: true },
+            riskScore: { type: 'score', required: true },
+            trackedIndex: { type: 'string', required: false }
+        }
+    },
+    apps: {
+        listKey: 'apps',
+        fields: {
+            company: { type: 'string', required: true },
+            country: { type: 'string', required: true },
+            regulated: { type: 'boolean', required: true },
+            regulator: { type: 'string', required: false },
+            riskLevel: { type: 'string', required: true },
+            trustScore: { type: 'score', required: true },
+            founded: { type: 'string', required: false },
+            notes: { type: 'string', required: false },
+            // ค่าธรรมเนียมและขั้นต่ำต่อคำสั่ง ใช้คำนวณแผนปรับสมดุลพอร์ต
+            feeCurrency: { type: 'string', required: false },
+            feePercent: { type: 'number', required: false },
+            feeFixed: { type: 'number', required: false },
+            minOrder: { type: 'number', required: false }
+        }
+    }
+};
+
+/**
+ * ทะเบียนโปรไฟล์ความเสี่ยงของหุ้นและแอพเทรด อ่านจาก config/symbol-profiles.json และ config/trading-apps.json
+ * (ใช้ .yaml/.yml ได้) ตรวจสอบรูปแบบทุกครั้งที่โหลด และจดสัญลักษณ์/แอพที่ไม่มีในทะเบียนไว้รายงาน
+ *
+ * รูปแบบไฟล์:
+ * { "version": 1, "updated": "YYYY-MM-DD", "profiles": { "VOO": { ... } } }
+ * { "version": 1, "updated": "YYYY-MM-DD", "apps": { "Dime!": { ... } } }
+ */
+class RegistryService {
+    constructor(options = {}) {
+        this.files = {
+            symbols: options.symbolProfilesFile || path.join(CONFIG_DIR, 'symbol-profiles.json'),
+            apps: options.tradingAppsFile || path.join(CONFIG_DIR, 'trading-apps.json')
+        };
+        this.registries = null;
+        this.unknown = { symbols: new Set(), apps: new Set() };
+    }
+
+    /**
+     * โหลดและตรวจสอบทั้งสองทะเบียน (โหลดครั้งเดียว)
+     */
+    load() {
+        if (this.registries) return this.registries;
+
+        const registries = {};
+        for (const kind of Object.keys(SCHEMAS)) {
+            registries[kind] = this.readRegistry(kind);
+        }
+
+        this.registries = registries;
+        logger.file(`โหลดทะเบียน: หุ้น ${Object.keys(registries.symbols.entries).length} ตัว (v${registries.symbols.version}), แอพ ${Object.keys(registries.apps.entries).length} แอพ (v${registries.apps.version})`);
+        return registries;
+    }
+
+    readRegistry(kind) {
+        const data = new ConfigFile(this.files[kind], 'ทะเบียน').read(data => this.validate(kind, data));
+
+        return {
+            version: data.version,
+            updated: data.updated || null,
+            entries: data[SCHEMAS[kind].listKey]
+        };
+    }
+
+    /**
+     * รายการในทะเบียนตาม SCHEMAS (object และ version ตรวจที่ ConfigFile)
+     */
+    validate(kind, data) {
+        const { listKey } = SCHEMAS[kind];
+        const errors = [];
+
+        const entries = data[listKey];
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            errors.push(`${listKey} ต้องเป็น object ของรายการ`);
+            return errors;
+        }
+
+        for (const [key, entry] of Object.entries(entries)) {
+            errors.push(...this.validateEntry(kind, key, entry));
+        }
+        return errors;
+    }
+
+    validateEntry(kind, key, entry) {
+        const { listKey, fields } = SCHEMAS[kind];
+        const prefix = `${listKey}.${key}`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return [`${prefix} ต้องเป็น object`];
+        }
+
+        const errors = [];
+        for (const [field, rule] of Object.entries(fields)) {
+            const value = entry[field];
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) errors.push(`${prefix}.${field} ต้องระบุ`);
+                continue;
+            }
+
+            if (rule.type === 'score' && !(typeof value === 'number' && value >= 0 && value <= 10)) {
+                errors.push(`${prefix}.${field} ต้องเป็นตัวเลข 0-10 (ได้ ${JSON.stringify(value)})`);
+            } else if (rule.type === 'number' && !(typeof value === 'number' && value >= 0)) {
+                errors.push(`${prefix}.${field} ต้องเป็นตัวเลขตั้งแต่ 0 (ได้ ${JSON.stringify(value)})`);
+            } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+                errors.push(`${prefix}.${field} ต้องเป็น true/false (ได้ ${JSON.stringify(value)})`);
+            } else if (rule.type === 'string' && typeof value !== 'string') {
+                errors.push(`${prefix}.${field} ต้องเป็นข้อความ (ได้ ${JSON.stringify(value)})`);
+            }
+        }
+
+        for (const field of Object.keys(entry)) {
+            if (!fields[field]) {
+                errors.push(`${prefix}.${field} ไม่รู้จักฟิลด์นี้ (ใช้ได้: ${Object.keys(fields).join(', ')})`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * โปรไฟล์ความเสี่ยงของหุ้น (null และจดไว้ถ้าไม่มีในทะเบียน)
+     */
+    getSymbolProfile(symbol) {
+        const profile = this.load().symbols.entries[symbol];
+        if (!profile) {
+            this.markUnknown('symbols', symbol);
+            return null;
+        }
+        return profile;
+    }
+
+    /**
+     * ข้อมูลแอพเทรด (null และจดไว้ถ้าไม่มีในทะเบียน)
+     */
+    getTradingApp(name) {
+        const app = this.load().apps.entries[name];
+        if (!app) {
+            this.markUnknown('apps', name);
+            return null;
+        }
+        return app;
+    }
+
+    /**
+     * ดัชนีที่ ETF ติดตาม (ไม่จดเป็น unknown เพราะหุ้นรายตัวไม่มีดัชนี)
+     */
+    getTrackedIndex(symbol) {
+        return this.load().symbols.entries[symbol]?.trackedIndex || null;
+    }
+
+    markUnknown(kind, key) {
+        if (!key || key === '-' || this.unknown[kind].has(key)) return;
+        this.unknown[kind].add(key);
+        logger.warn(`ไม่พบ ${key} ในทะเบียน${kind === 'symbols' ? 'หุ้น' : 'แอพเทรด'} (${this.files[kind]})`);
+    }
+
+    /**
+     * สัญลักษณ์และแอพที่ถูกค้นหาแต่ไม่มีในทะเบียนระหว่างการรันนี้
+     */
+    getUnknown() {
+        return {
+            symbols: [...this.unknown.symbols],
+            apps: [...this.unknown.apps]
+        };
+    }
+
+    /**
+     * เพิ่มหรือแก้ไขรายการ แล้วบันทึกไฟล์พร้อมเพิ่ม version
+     * fields ที่เป็น null จะถูกลบออกจากรายการ
+     */
+    upsert(kind, key, fields) {
+        if (!SCHEMAS[kind]) {
+            throw new Error(`ไม่รู้จักทะเบียน: ${kind} (ใช้ได้: ${Object.keys(SCHEMAS).join(', ')})`);
+        }
+        if (!key) throw new Error('ต้องระบุชื่อรายการ');
+
+        const registry = this.load()[kind];
+        const existing = registry.entries[key];
+        const entry = { ...(existing || {}), ...fields };
+        for (const [field, value] of Object.entries(entry)) {
+            if (value === null) delete entry[field];
+        }
+
+        const errors = this.validateEntry(kind, key, entry);
+        if (errors.length > 0) {
+            throw new Error(`ข้อมูลไม่ถูกต้อง:\n- ${errors.join('\n- ')}`);
+        }
+
+        registry.entries[key] = entry;
+        registry.version += 1;
+        registry.updated = new Date().toISOString().split('T')[0];
+        this.save(kind);
+
+        return { created: !existing, entry: entry, version: registry.version };
+    }
+
+    save(kind) {
+        const registry = this.load()[kind];
+        const filePath = this.files[kind];
+        const data = {
+            version: registry.version,
+            updated: registry.updated,
+            [SCHEMAS[kind].listKey]: registry.entries
+        };
+
+        new ConfigFile(filePath, 'ทะเบียน').write(data);
+        logger.file(`บันทึกทะเบียน ${filePath} (v${registry.version})`);
+    }
+}
+
+RegistryService.SCHEMAS = SCHEMAS;
+
+module.exports = RegistryService;
@@ -0,0 +1,240 @@
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_OBSERVATIONS = 20;
+
+// ความผันผวนต่อปี (%) -> คะแนนความเสี่ยงฐาน
+const VOLATILITY_SCORES = [
+    [10, 2],
+    [15, 3],
+    [20, 4],
+    [30, 5],
+    [40, 6],
+    [55, 7],
+    [70, 8],
+    [90, 9]
+];
+
+/**
+ * ตัวชี้วัดความเสี่ยงจากราคาปิดรายวัน
+ *
+ * metrics:
+ * {
+ *   observations, startDate, endDate,
+ *   volatility,   // ความผันผวนต่อปี (%)
+ *   beta,         // เทียบกับ benchmark (null ถ้าไม่มีราคา benchmark)
+ *   maxDrawdown,  // ขาดทุนสูงสุดจากจุดสูงสุด (%)
+ *   var95, cvar95 // ขาดทุนรายวันที่ระดับความเชื่อมั่น 95% แบบ historical (%)
+ *   score         // คะแนนฐาน 1-10
+ * }
+ *
+ * ตัวเลขขาดทุน (maxDrawdown, VaR, CVaR) เก็บเป็นค่าบวก
+ */
+class RiskMetrics {
+    constructor(priceService, options = {}) {
+        this.priceService = priceService;
+        this.benchmark = options.benchmark || 'VOO';
+        this.days = options.days || 365;
+        this.confidence = options.confidence || 0.95;
+        this.benchmarkHistory = null;
+        this.histories = new Map();
+    }
+
+    /**
+     * ตัวชี้วัดของสินทรัพย์ตัวเดียว (null ถ้าราคาย้อนหลังไม่พอ)
+     */
+    async analyzeHolding(symbol, type = null) {
+        if (!symbol || symbol === '-') return null;
+
+        if (this.benchmarkHistory === null) {
+            this.benchmarkHistory = await this.priceService.getHistory(this.benchmark, null, this.days);
+        }
+
+        const history = await this.priceService.getHistory(symbol, type, this.days);
+        const metrics = this.calculate(history, this.benchmarkHistory);
+        if (metrics) {
+            this.histories.set(symbol, history);
+        } else {
+            logger.warn(`ราคาย้อนหลัง ${symbol} ไม่พอคำนวณความเสี่ยง (${history.length} วัน) ใช้คะแนนจากโปรไฟล์แทน`);
+        }
+        return metrics;
+    }
+
+    /**
+     * ตัวชี้วัดของพอร์ต ถ่วงน้ำหนักตามมูลค่าปัจจุบันแบบคงที่
+     * holdings: [{ symbol, value }] ใช้เฉพาะตัวที่ analyzeHolding คำนวณได้
+     */
+    analyzePortfolio(holdings) {
+        const usable = holdings.filter(holding => holding.value > 0 && this.histories.has(holding.symbol));
+        const totalValue = usable.reduce((sum, holding) => sum + holding.value, 0);
+        if (usable.length === 0 || totalValue <= 0) return null;
+
+        const { dates, returns } = this.getAlignedReturns(usable.map(holding => holding.symbol));
+        const history = [{ date: dates[0], close: 1 }];
+        for (let i = 1; i < dates.length; i++) {
+            const dailyReturn = usable.reduce((sum, holding) => {
+                return sum + (holding.value / totalValue) * returns.get(holding.symbol)[i - 1];
+            }, 0);
+            history.push({ date: dates[i], close: history[i - 1].close * (1 + dailyReturn) });
+        }
+
+        const metrics = this.calculate(history, this.benchmarkHistory || []);
+        if (metrics) {
+            metrics.coverage = totalValue / holdings.reduce((sum, holding) => sum + Math.max(holding.value, 0), 0);
+        }
+        return metrics;
+    }
+
+    /**
+     * ผลตอบแทนรายวันของหลายสินทรัพย์ในวันเดียวกัน
+     * ใช้เฉพาะวันที่ทุกตัวมีราคา (เช่น คริปโตซื้อขายวันหยุดแต่หุ้นไม่)
+     * คืนค่า { dates, returns: Map<symbol, number[]>, periodsPerYear }
+     */
+    getAlignedReturns(symbols) {
+        const closes = symbols.map(symbol => new Map(this.histories.get(symbol).map(point => [point.date, point.close])));
+        const dates = [...closes[0].keys()].filter(date => closes.every(series => series.has(date))).sort();
+
+        const returns = new Map();
+        symbols.forEach((symbol, index) => {
+            returns.set(symbol, this.toReturns(dates.map(date => ({ date, close: closes[index].get(date) }))));
+        });
+
+        const years = dates.length > 1 ? (Date.parse(dates[dates.length - 1]) - Date.parse(dates[0])) / DAY_MS / 365 : 0;
+        return {
+            dates: dates,
+            returns: returns,
+            periodsPerYear: years > 0 ? (dates.length - 1) / years : 252
+        };
+    }
+
+    /**
+     * คำนวณตัวชี้วัดจากราคาปิด [{ date, close }] เรียงจากเก่าไปใหม่
+     */
+    calculate(history, benchmarkHistory = []) {
+        if (!history || history.length <= MIN_OBSERVATIONS) return null;
+
+        const returns = this.toReturns(history);
+        const first = history[0].date;
+        const last = history[history.length - 1].date;
+        const years = (Date.parse(last) - Date.parse(first)) / DAY_MS / 365;
+        // จำนวนวันซื้อขายต่อปีจากข้อมูลจริง (หุ้น ~252, คริปโต ~365)
+        const periodsPerYear = years > 0 ? returns.length / years : 252;
+
+        const volatility = this.standardDeviation(returns) * Math.sqrt(periodsPerYear) * 100;
+        const { valueAtRisk, conditionalValueAtRisk } = this.calculateValueAtRisk(returns);
+        const maxDrawdown = this.calculateMaxDrawdown(history);
+        const beta = this.calculateBeta(history, benchmarkHistory);
+
+        const metrics = {
+            observations: returns.length,
+            startDate: first,
+            endDate: last,
+            volatility: volatility,
+            beta: beta,
+            benchmark: beta === null ? null : this.benchmark,
+            maxDrawdown: maxDrawdown,
+            var95: valueAtRisk,
+            cvar95: conditionalValueAtRisk
+        };
+        metrics.score = this.scoreFromMetrics(metrics);
+        return metrics;
+    }
+
+    toReturns(history) {
+        const returns = [];
+        for (let i = 1; i < history.length; i++) {
+            returns.push(history[i].close / history[i - 1].close - 1);
+        }
+        return returns;
+    }
+
+    standardDeviation(values) {
+        if (values.length < 2) return 0;
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    }
+
+    /**
+     * VaR/CVaR แบบ historical: ขาดทุนรายวันที่แย่ที่สุด 5% ของข้อมูล
+     */
+    calculateValueAtRisk(returns) {
+        const sorted = [...returns].sort((a, b) => a - b);
+        const tailSize = Math.max(1, Math.floor(sorted.length * (1 - this.confidence)));
+        const tail = sorted.slice(0, tailSize);
+
+        return {
+            valueAtRisk: Math.max(0, -sorted[tailSize - 1] * 100),
+            conditionalValueAtRisk: Math.max(0, -(tail.reduce((sum, value) => sum + value, 0) / tail.length) * 100)
+        };
+    }
+
+    calculateMaxDrawdown(history) {
+        let peak = history[0].close;
+        let maxDrawdown = 0;
+
+        for (const point of history) {
+            peak = Math.max(peak, point.close);
+            maxDrawdown = Math.max(maxDrawdown, (peak - point.close) / peak);
+        }
+
+        return maxDrawdown * 100;
+    }
+
+    /**
+     * Beta = cov(สินทรัพย์, benchmark) / var(benchmark) จากวันที่มีราคาทั้งคู่
+     */
+    calculateBeta(history, benchmarkHistory) {
+        if (!benchmarkHistory || benchmarkHistory.length === 0) return null;
+
+        const benchmarkCloses = new Map(benchmarkHistory.map(point => [point.date, point.close]));
+        const aligned = history.filter(point => benchmarkCloses.has(point.date));
+        if (aligned.length <= MIN_OBSERVATIONS) return null;
+
+        const assetReturns = this.toReturns(aligned);
+        const benchmarkReturns = this.toReturns(aligned.map(point => ({ date: point.date, close: benchmarkCloses.get(point.date) })));
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const assetMean = mean(assetReturns);
+        const benchmarkMean = mean(benchmarkReturns);
+
+        let covariance = 0;
+        let variance = 0;
+        for (let i = 0; i < assetReturns.length; i++) {
+            covariance += (assetReturns[i] - assetMean) * (benchmarkReturns[i] - benchmarkMean);
+            variance += Math.pow(benchmarkReturns[i] - benchmarkMean, 2);
+        }
+
+        return variance > 0 ? covariance / variance : null;
+    }
+
+    /**
+     * คะแนนฐานจากความผันผวน บวกเพิ่มเมื่อเคยลงจากจุดสูงสุดแรง (30% และ 50%)
+     */
+    scoreFromMetrics(metrics) {
+        const band = VOLATILITY_SCORES.find(([limit]) => metrics.volatility < limit);
+        let score = band ? band[1] : 10;
+
+        if (metrics.maxDrawdown >= 30) score += 1;
+        if (metrics.maxDrawdown >= 50) score += 1;
+
+        return Math.max(1, Math.min(10, score));
+    }
+
+    /**
+     * ข้อความอธิบายตัวชี้วัด เช่น "ความผันผวน 18.2%/ปี, Beta 1.05 (VOO), Max DD 12.3%, VaR95 1.8%, CVaR95 2.6%"
+     */
+    describe(metrics) {
+        const parts = [`ความผันผวน ${metrics.volatility.toFixed(1)}%/ปี`];
+        if (metrics.beta !== null) {
+            parts.push(`Beta ${metrics.beta.toFixed(2)} (${metrics.benchmark})`);
+        }
+        parts.push(`Max DD ${metrics.maxDrawdown.toFixed(1)}%`);
+        parts.push(`VaR95 ${metrics.var95.toFixed(1)}%`);
+        parts.push(`CVaR95 ${metrics.cvar95.toFixed(1)}%`);
+        return parts.join(', ');
+    }
+}
+
+RiskMetrics.MIN_OBSERVATIONS = MIN_OBSERVATIONS;
+
+module.exports = RiskMetrics;
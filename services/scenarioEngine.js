@@ -0,0 +1,289 @@
+const path = require('path');
+const ConfigFile = require('./configFile');
+const logger = require('./logger');
+const QuantityParser = require('./quantityParser');
+
+const SCENARIO_TYPES = ['hypothetical', 'historical'];
+const ASSET_CLASSES = ['stock', 'crypto', 'gold'];
+const SHOCK_KEYS = ['market', 'symbols', 'indices', 'assetClasses', 'fx', 'fxChange'];
+
+/**
+ * ทดสอบภาวะวิกฤต (stress test) จากมูลค่าที่ StockRiskAnalyzer คำนวณไว้แล้ว
+ * สถานการณ์อ่านจาก config/scenarios.json (ใช้ .yaml/.yml ได้)
+ *
+ * shocks (เปอร์เซ็นต์การเปลี่ยนแปลงของราคาในสกุลเงินของราคา):
+ * - symbols:      { "BTC": -40 }                 รายตัว
+ * - indices:      { "S&P 500": -20 }             ETF ตาม trackedIndex ในทะเบียนหุ้น
+ * - market:       -20                            หุ้นที่เหลือเคลื่อนไหวตาม Beta เทียบดัชนีอ้างอิง (ไม่มี Beta ใช้ 1)
+ * - assetClasses: { "crypto": -40, "gold": 5 }   ตามประเภทสินทรัพย์ (stock, crypto, gold)
+ * - fx:           { "USD/THB": 38 }              อัตราแลกเปลี่ยนใหม่
+ * - fxChange:     { "USD/THB": 5 }               เปอร์เซ็นต์การเปลี่ยนแปลงของอัตราแลกเปลี่ยน
+ *
+ * ลำดับการเลือก shock ของราคา: symbols → indices → market (เฉพาะหุ้น) → assetClasses
+ *
+ * สถานการณ์ในอดีต (type: historical) ย้อนดูราคาปิดจริงช่วง period ของแต่ละสินทรัพย์และคู่เงินใน fxChange
+ * ผ่าน prepare() ก่อน run() ตัวที่ไม่มีราคาย้อนหลังจึงใช้ค่าใน shocks
+ */
+class ScenarioEngine {
+    constructor(stockRiskAnalyzer, options = {}) {
+        this.stockRiskAnalyzer = stockRiskAnalyzer;
+        this.scenariosFile = options.scenariosFile || path.join(__dirname, '../config/scenarios.json');
+        this.quantityParser = new QuantityParser();
+        this.scenarios = null;
+        this.replays = {};
+    }
+
+    /**
+     * โหลดและตรวจสอบไฟล์สถานการณ์ (โหลดครั้งเดียว)
+     */
+    load() {
+        if (this.scenarios) return this.scenarios;
+
+        const data = new ConfigFile(this.scenariosFile, 'ไฟล์สถานการณ์').read(data => this.validate(data));
+
+        this.scenarios = data.scenarios;
+        logger.file(`โหลดสถานการณ์ทดสอบ ${Object.keys(this.scenarios).length} แบบ (v${data.version})`);
+        return this.scenarios;
+    }
+
+    /**
+     * ฟิลด์ scenarios (object และ version ตรวจที่ ConfigFile)
+     */
+    validate(data) {
+        const errors = [];
+        if (!data.scenarios || typeof data.scenarios !== 'object' || Array.isArray(data.scenarios)) {
+            errors.push('scenarios ต้องเป็น object ของสถานการณ์');
+            return errors;
+        }
+
+        for (const [name, scenario] of Object.entries(data.scenarios)) {
+            errors.push(...this.validateScenario(name, scenario));
+        }
+        return errors;
+    }
+
+    validateScenario(name, scenario) {
+        const prefix = `scenarios.${name}`;
+        if (!scenario || typeof scenario !== 'object') {
+            return [`${prefix} ต้องเป็น object`];
+        }
+
+        const errors = [];
+        const isPercent = value => typeof value === 'number' && value >= -100;
+        const checkMap = (key, map, isValidKey, isValidValue, expected) => {
+            if (map === undefined) return;
+            if (!map || typeof map !== 'object' || Array.isArray(map)) {
+                errors.push(`${prefix}.shocks.${key} ต้องเป็น object`);
+                return;
+            }
+            for (const [mapKey, value] of Object.entries(map)) {
+                if (!isValidKey(mapKey)) errors.push(`${prefix}.shocks.${key}.${mapKey} ไม่รู้จัก`);
+                if (!isValidValue(value)) errors.push(`${prefix}.shocks.${key}.${mapKey} ต้องเป็น${expected} (ได้ ${JSON.stringify(value)})`);
+            }
+        };
+
+        if (typeof scenario.label !== 'string' || !scenario.label) {
+            errors.push(`${prefix}.label ต้องระบุ`);
+        }
+        if (scenario.type !== undefined && !SCENARIO_TYPES.includes(scenario.type)) {
+            errors.push(`${prefix}.type ต้องเป็น ${SCENARIO_TYPES.join(' หรือ ')}`);
+        }
+        if (scenario.type === 'historical' && !(scenario.period?.from && scenario.period?.to)) {
+            errors.push(`${prefix}.period ต้องระบุ from และ to สำหรับสถานการณ์ในอดีต`);
+        }
+
+        const shocks = scenario.shocks;
+        if (!shocks || typeof shocks !== 'object' || Array.isArray(shocks)) {
+            errors.push(`${prefix}.shocks ต้องเป็น object`);
+            return errors;
+        }
+
+        for (const key of Object.keys(shocks)) {
+            if (!SHOCK_KEYS.includes(key)) {
+                errors.push(`${prefix}.shocks.${key} ไม่รู้จัก (ใช้ได้: ${SHOCK_KEYS.join(', ')})`);
+            }
+        }
+        if (shocks.market !== undefined && !isPercent(shocks.market)) {
+            errors.push(`${prefix}.shocks.market ต้องเป็นเปอร์เซ็นต์ตั้งแต่ -100`);
+        }
+
+        const isPair = pair => /^[A-Z]{3}\/[A-Z]{3}$/.test(pair);
+        checkMap('symbols', shocks.symbols, Boolean, isPercent, 'เปอร์เซ็นต์ตั้งแต่ -100');
+        checkMap('indices', shocks.indices, Boolean, isPercent, 'เปอร์เซ็นต์ตั้งแต่ -100');
+        checkMap('assetClasses', shocks.assetClasses, key => ASSET_CLASSES.includes(key), isPercent, 'เปอร์เซ็นต์ตั้งแต่ -100');
+        checkMap('fx', shocks.fx, isPair, value => typeof value === 'number' && value > 0, 'อัตรามากกว่า 0');
+        checkMap('fxChange', shocks.fxChange, isPair, value => typeof value === 'number' && value > -100, 'เปอร์เซ็นต์มากกว่า -100');
+
+        return errors;
+    }
+
+    /**
+     * คำนวณ shock ของสถานการณ์ในอดีตจากราคาปิดวันแรกและวันสุดท้ายของช่วง period
+     * (เปอร์เซ็นต์ในสกุลเงินของราคา, คู่เงิน A/B ใช้สัญลักษณ์ Yahoo เช่น USDTHB=X)
+     */
+    async prepare(riskAnalysisList) {
+        const priceService = this.stockRiskAnalyzer.priceService;
+        const replays = {};
+
+        for (const [name, scenario] of Object.entries(this.load())) {
+            if (scenario.type !== 'historical') continue;
+
+            const { from, to } = scenario.period;
+            const replay = { symbols: {}, fxChange: {} };
+            for (const analysis of riskAnalysisList) {
+                const change = this.getChange(await priceService.getHistoryBetween(analysis.symbol, analysis.type, from, to));
+                if (change !== null) replay.symbols[analysis.symbol] = change;
+            }
+            for (const pair of Object.keys(scenario.shocks.fxChange || {})) {
+                const change = this.getChange(await priceService.getHistoryBetween(`${pair.replace('/', '')}=X`, null, from, to));
+                if (change !== null) replay.fxChange[pair] = change;
+            }
+
+            replays[name] = replay;
+            logger.info(`${scenario.label}: ราคาจริง ${Object.keys(replay.symbols).length}/${riskAnalysisList.length} รายการ`);
+        }
+
+        this.replays = replays;
+        return replays;
+    }
+
+    /**
+     * เปอร์เซ็นต์การเปลี่ยนแปลงจากราคาปิดแรกถึงสุดท้าย (null ถ้ามีไม่ถึง 2 วัน)
+     */
+    getChange(history) {
+        if (history.length < 2) return null;
+        return (history[history.length - 1].close / history[0].close - 1) * 100;
+    }
+
+    /**
+     * รันทุกสถานการณ์ (หรือเฉพาะที่ระบุใน names) กับผลวิเคราะห์รายตัว
+     */
+    run(riskAnalysisList, names = null) {
+        const scenarios = this.load();
+        const selected = names || Object.keys(scenarios);
+
+        return selected.map(name => {
+            const scenario = scenarios[name];
+            if (!scenario) {
+                throw new Error(`ไม่พบสถานการณ์: ${name} (มี: ${Object.keys(scenarios).join(', ')})`);
+            }
+            return {
+                name: name,
+                label: scenario.label,
+                type: scenario.type || 'hypothetical',
+                period: scenario.period || null,
+                description: scenario.description || null,
+                ...this.apply(riskAnalysisList, scenario.shocks, this.replays[name])
+            };
+        });
+    }
+
+    /**
+     * มูลค่าและความเสี่ยงของพอร์ตหลังเกิดเหตุการณ์ (สกุลเงินหลัก)
+     * replay: shock จากราคาจริงของสถานการณ์ในอดีต (prepare) ใช้ก่อนค่าใน shocks
+     */
+    apply(riskAnalysisList, shocks, replay = null) {
+        const baseCurrency = this.stockRiskAnalyzer.valuationEngine.baseCurrency;
+        const fxFactors = this.getFxFactors(replay ? { ...shocks, fxChange: { ...shocks.fxChange, ...replay.fxChange } } : shocks);
+        const currencyFactor = currency => (fxFactors.get(currency) || 1) / (fxFactors.get(baseCurrency) || 1);
+
+        const holdings = riskAnalysisList.map(analysis => {
+            const priceShock = this.resolvePriceShock(analysis, shocks, replay);
+            const fxShock = (currencyFactor(analysis.priceCurrency || baseCurrency) - 1) * 100;
+            const stressedValue = analysis.currentValue * (1 + priceShock.percent / 100) * (1 + fxShock / 100);
+
+            return {
+                symbol: analysis.symbol,
+                currentValue: analysis.currentValue,
+                stressedValue: stressedValue,
+                change: stressedValue - analysis.currentValue,
+                changePercent: analysis.currentValue > 0 ? (stressedValue / analysis.currentValue - 1) * 100 : 0,
+                priceShock: priceShock.percent,
+                source: priceShock.source,
+                fxShock: fxShock
+            };
+        });
+
+        const currentValue = holdings.reduce((sum, holding) => sum + holding.currentValue, 0);
+        const stressedValue = holdings.reduce((sum, holding) => sum + holding.stressedValue, 0);
+        const purchaseValue = riskAnalysisList.reduce((sum, analysis) => sum + (analysis.purchaseValue || 0), 0);
+
+        // ความเสี่ยงของพอร์ตคิดใหม่จากสัดส่วนหลังเกิดเหตุการณ์
+        const stressedList = riskAnalysisList.map((analysis, index) => ({ ...analysis, currentValue: holdings[index].stressedValue }));
+        const largest = stressedValue > 0
+            ? holdings.reduce((max, holding) => (holding.stressedValue > max.stressedValue ? holding : max))
+            : null;
+
+        return {
+            currentValue: currentValue,
+            stressedValue: stressedValue,
+            change: stressedValue - currentValue,
+            changePercent: currentValue > 0 ? (stressedValue / currentValue - 1) * 100 : 0,
+            stressedReturn: purchaseValue > 0 ? ((stressedValue - purchaseValue) / purchaseValue) * 100 : null,
+            riskBefore: this.stockRiskAnalyzer.calculatePortfolioRisk(riskAnalysisList),
+            riskAfter: this.stockRiskAnalyzer.calculatePortfolioRisk(stressedList),
+            largest: largest ? { symbol: largest.symbol, weight: (largest.stressedValue / stressedValue) * 100 } : null,
+            holdings: holdings.sort((a, b) => a.change - b.change)
+        };
+    }
+
+    /**
+     * เปอร์เซ็นต์การเปลี่ยนแปลงราคาของสินทรัพย์หนึ่งตัว พร้อมที่มา
+     */
+    resolvePriceShock(analysis, shocks, replay = null) {
+        const clamp = percent => Math.max(-100, percent);
+
+        if (replay?.symbols[analysis.symbol] !== undefined) {
+            return { percent: clamp(replay.symbols[analysis.symbol]), source: 'ราคาจริง' };
+        }
+
+        if (shocks.symbols?.[analysis.symbol] !== undefined) {
+            return { percent: clamp(shocks.symbols[analysis.symbol]), source: 'รายตัว' };
+        }
+
+        const index = this.stockRiskAnalyzer.registry.getTrackedIndex(analysis.symbol);
+        if (index && shocks.indices?.[index] !== undefined) {
+            return { percent: clamp(shocks.indices[index]), source: `ดัชนี ${index}` };
+        }
+
+        const assetClass = analysis.assetClass || this.quantityParser.getAssetClass(analysis.type, analysis.symbol);
+        if (assetClass === 'stock' && shocks.market !== undefined) {
+            const beta = analysis.riskMetrics?.beta ?? 1;
+            return { percent: clamp(shocks.market * beta), source: `ตลาด × Beta ${beta.toFixed(2)}` };
+        }
+
+        if (shocks.assetClasses?.[assetClass] !== undefined) {
+            return { percent: clamp(shocks.assetClasses[assetClass]), source: `ประเภท ${assetClass}` };
+        }
+
+        return { percent: 0, source: 'ไม่กระทบ' };
+    }
+
+    /**
+     * ตัวคูณมูลค่าของแต่ละสกุลเงินหลังเปลี่ยนอัตราแลกเปลี่ยน
+     * คู่ A/B ถือว่า A เปลี่ยนค่าเทียบกับ B (B คงที่)
+     */
+    getFxFactors(shocks) {
+        const fxService = this.stockRiskAnalyzer.valuationEngine.fxService;
+        const factors = new Map();
+        const moves = [
+            ...Object.entries(shocks.fx || {}).map(([pair, rate]) => {
+                const [from, to] = pair.split('/');
+                return { from, to, factor: rate / fxService.getRate(from, to) };
+            }),
+            ...Object.entries(shocks.fxChange || {}).map(([pair, percent]) => {
+                const [from, to] = pair.split('/');
+                return { from, to, factor: 1 + percent / 100 };
+            })
+        ];
+
+        for (const move of moves) {
+            factors.set(move.from, (factors.get(move.to) || 1) * move.factor);
+        }
+        return factors;
+    }
+}
+
+ScenarioEngine.ASSET_CLASSES = ASSET_CLASSES;
+
+module.exports = ScenarioEngine;
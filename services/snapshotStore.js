@@ -0,0 +1,268 @@
+const path = require('path');
+const logger = require('./logger');
+const JsonlStore = require('./jsonlStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ประวัติพอร์ตรายการรัน เก็บเป็น JSONL (หนึ่งบรรทัดต่อการรัน) ที่ data/portfolio-snapshots.jsonl
+ *
+ * snapshot:
+ * {
+ *   timestamp, date: 'YYYY-MM-DD', baseCurrency, fxRate,
+ *   totals: { currentValue, purchaseValue, unrealizedGainLoss, returnPercentage },
+ *   portfolioRisk: { score, level },
+ *   holdings: [{ symbol, type, amount, currentPrice, priceCurrency, currentValue, purchaseValue,
+ *                returnPercentage, riskScore, riskLevel, recommendation }]
+ * }
+ */
+class SnapshotStore {
+    constructor(filePath = null) {
+        this.filePath = filePath || path.join(__dirname, '../data/portfolio-snapshots.jsonl');
+        this.store = new JsonlStore(this.filePath);
+    }
+
+    /**
+     * สร้าง snapshot จากผลวิเคราะห์ของ StockRiskAnalyzer (มูลค่าเป็นสกุลเงินหลักแล้ว)
+     */
+    createSnapshot(riskAnalysis, options = {}) {
+        const timestamp = options.timestamp || new Date().toISOString();
+        const holdings = riskAnalysis.map(analysis => ({
+            symbol: analysis.symbol,
+            type: analysis.type,
+            amount: analysis.amount,
+            currentPrice: analysis.currentPrice,
+            priceCurrency: analysis.priceCurrency || null,
+            currentValue: analysis.currentValue,
+            purchaseValue: analysis.purchaseValue,
+            returnPercentage: analysis.returnPercentage,
+            riskScore: analysis.overallRisk?.score ?? null,
+            riskLevel: analysis.overallRisk?.level ?? null,
+            recommendation: analysis.recommendation || null
+        }));
+
+        const currentValue = holdings.reduce((sum, holding) => sum + holding.currentValue, 0);
+        const purchaseValue = holdings.reduce((sum, holding) => sum + holding.purchaseValue, 0);
+
+        return {
+            timestamp: timestamp,
+            date: timestamp.split('T')[0],
+            baseCurrency: options.baseCurrency || null,
+            fxRate: options.fxRate || null,
+            totals: {
+                currentValue: currentValue,
+                purchaseValue: purchaseValue,
+                unrealizedGainLoss: currentValue - purchaseValue,
+                returnPercentage: purchaseValue > 0 ? ((currentValue - purchaseValue) / purchaseValue) * 100 : 0
+            },
+            portfolioRisk: options.portfolioRisk || null,
+            holdings: holdings
+        };
+    }
+
+    async append(snapshot) {
+        await this.store.append(snapshot);
+        logger.file(`บันทึก snapshot พอร์ต ${snapshot.date} (${snapshot.holdings.length} รายการ)`);
+    }
+
+    /**
+     * อ่าน snapshot ทั้งหมดเรียงตามเวลา บรรทัดที่เสียจะถูกข้ามพร้อมแจ้งเตือน
+     */
+    async loadAll() {
+        const snapshots = await this.store.loadAll();
+        return snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * snapshot ล่าสุดก่อนเวลาที่กำหนด
+     */
+    async getLastSnapshot(before = null) {
+        const snapshots = await this.loadAll();
+        const filtered = before ? snapshots.filter(snapshot => snapshot.timestamp < before) : snapshots;
+        return filtered.length > 0 ? filtered[filtered.length - 1] : null;
+    }
+
+    /**
+     * snapshot ล่าสุดของวันที่กำหนดหรือก่อนหน้านั้น
+     */
+    async getSnapshotAt(date) {
+        const snapshots = await this.loadAll();
+        const filtered = snapshots.filter(snapshot => snapshot.date <= date);
+        return filtered.length > 0 ? filtered[filtered.length - 1] : null;
+    }
+
+    /**
+     * ใช้ snapshot สุดท้ายของแต่ละวัน
+     */
+    toDaily(snapshots, days = null) {
+        const byDate = new Map();
+        for (const snapshot of snapshots) {
+            byDate.set(snapshot.date, snapshot);
+        }
+
+        let daily = [...byDate.values()];
+        if (days && daily.length > 0) {
+            const endDate = daily[daily.length - 1].date;
+            const startDate = new Date(Date.parse(endDate) - days * DAY_MS).toISOString().split('T')[0];
+            daily = daily.filter(snapshot => snapshot.date >= startDate);
+        }
+        return daily;
+    }
+
+    /**
+     * มูลค่าและผลตอบแทนรายวันของทั้งพอร์ต
+     * [{ date, value, purchaseValue, returnPercentage, dailyChange, dailyChangePercentage }]
+     */
+    async getPortfolioSeries({ days = null } = {}) {
+        const daily = this.toDaily(await this.loadAll(), days);
+        return this.withDailyChange(daily.map(snapshot => ({
+            date: snapshot.date,
+            value: snapshot.totals.currentValue,
+            purchaseValue: snapshot.totals.purchaseValue,
+            returnPercentage: snapshot.totals.returnPercentage
+        })));
+    }
+
+    /**
+     * มูลค่าและผลตอบแทนรายวันของสินทรัพย์ตัวเดียว (วันที่ไม่ได้ถือจะไม่มีในชุดข้อมูล)
+     */
+    async getHoldingSeries(symbol, { days = null } = {}) {
+        const daily = this.toDaily(await this.loadAll(), days);
+        const points = [];
+        for (const snapshot of daily) {
+            const holding = snapshot.holdings.find(item => item.symbol === symbol);
+            if (!holding) continue;
+            points.push({
+                date: snapshot.date,
+                value: holding.currentValue,
+                price: holding.currentPrice,
+                amount: holding.amount,
+                purchaseValue: holding.purchaseValue,
+                returnPercentage: holding.returnPercentage
+            });
+        }
+        return this.withDailyChange(points);
+    }
+
+    withDailyChange(points) {
+        return points.map((point, index) => {
+            const previous = index > 0 ? points[index - 1].value : null;
+            return {
+                ...point,
+                dailyChange: previous !== null ? point.value - previous : 0,
+                dailyChangePercentage: previous ? ((point.value - previous) / previous) * 100 : 0
+            };
+        });
+    }
+
+    /**
+     * เปรียบเทียบ snapshot ปัจจุบันกับครั้งก่อน
+     */
+    compare(current, previous) {
+        const change = current.totals.currentValue - previous.totals.currentValue;
+        const holdings = [];
+        const symbols = new Set([
+            ...current.holdings.map(holding => holding.symbol),
+            ...previous.holdings.map(holding => holding.symbol)
+        ]);
+
+        for (const symbol of symbols) {
+            const now = current.holdings.find(holding => holding.symbol === symbol);
+            const before = previous.holdings.find(holding => holding.symbol === symbol);
+            const nowValue = now ? now.currentValue : 0;
+            const beforeValue = before ? before.currentValue : 0;
+
+            holdings.push({
+                symbol: symbol,
+                status: !before ? 'new' : !now ? 'removed' : 'held',
+                change: nowValue - beforeValue,
+                changePercentage: beforeValue > 0 ? ((nowValue - beforeValue) / beforeValue) * 100 : 0,
+                priceChangePercentage: now && before && before.currentPrice
+                    ? ((now.currentPrice - before.currentPrice) / before.currentPrice) * 100
+                    : null,
+                riskScoreChange: now && before && now.riskScore !== null && before.riskScore !== null
+                    ? now.riskScore - before.riskScore
+                    : 0
+            });
+        }
+
+        return {
+            fromDate: previous.date,
+            fromTimestamp: previous.timestamp,
+            change: change,
+            changePercentage: previous.totals.currentValue > 0 ? (change / previous.totals.currentValue) * 100 : 0,
+            baseCurrencyChanged: Boolean(previous.baseCurrency && current.baseCurrency && previous.baseCurrency !== current.baseCurrency),
+            holdings: holdings
+        };
+    }
+
+    /**
+     * หา snapshot ที่ใช้เทียบ: ครั้งก่อนหน้า และ 30 วันก่อน (หรือเก่าสุดที่มีถ้ายังเก็บไม่ถึง 30 วัน)
+     */
+    async getComparisons(current, days = 30) {
+        const snapshots = (await this.loadAll()).filter(snapshot => snapshot.timestamp < current.timestamp);
+        if (snapshots.length === 0) {
+            return { lastRun: null, period: null, periodComplete: false };
+        }
+
+        const cutoff = new Date(Date.parse(current.date) - days * DAY_MS).toISOString().split('T')[0];
+        const onOrBefore = snapshots.filter(snapshot => snapshot.date <= cutoff);
+        const periodBase = onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : snapshots[0];
+
+        return {
+            lastRun: this.compare(current, snapshots[snapshots.length - 1]),
+            period: this.compare(current, periodBase),
+            periodComplete: onOrBefore.length > 0
+        };
+    }
+
+    /**
+     * ส่วนรายงาน "เทียบกับครั้งก่อน" และ "30 วัน"
+     */
+    formatChangeReport(comparisons, formatMoney, days = 30) {
+        if (!comparisons.lastRun) {
+            return '📆 **การเปลี่ยนแปลงของพอร์ต:** เริ่มเก็บประวัติครั้งแรก จะเปรียบเทียบได้ตั้งแต่การรันครั้งถัดไป';
+        }
+
+        const formatChange = comparison => {
+            const sign = comparison.change >= 0 ? '+' : '';
+            const symbol = comparison.change >= 0 ? '📈' : '📉';
+            return `${symbol} ${sign}${formatMoney(comparison.change)} (${sign}${comparison.changePercentage.toFixed(1)}%)`;
+        };
+
+        let report = '📆 **การเปลี่ยนแปลงของพอร์ต:**\n';
+        report += `• เทียบกับครั้งก่อน (${comparisons.lastRun.fromDate}): ${formatChange(comparisons.lastRun)}\n`;
+
+        const periodLabel = comparisons.periodComplete
+            ? `${days} วัน (${comparisons.period.fromDate})`
+            : `ตั้งแต่เริ่มเก็บ ${comparisons.period.fromDate} (ยังไม่ครบ ${days} วัน)`;
+        report += `• ${periodLabel}: ${formatChange(comparisons.period)}\n`;
+
+        if (comparisons.lastRun.baseCurrencyChanged) {
+            report += '• ⚠️ สกุลเงินหลักเปลี่ยนจากครั้งก่อน ตัวเลขเปรียบเทียบอาจคลาดเคลื่อน\n';
+        }
+
+        const movers = comparisons.lastRun.holdings
+            .filter(holding => holding.status !== 'held' || Math.abs(holding.changePercentage) >= 0.05)
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+            .slice(0, 5);
+
+        for (const holding of movers) {
+            if (holding.status === 'new') {
+                report += `   - ${holding.symbol}: 🆕 เพิ่มเข้าพอร์ต\n`;
+            } else if (holding.status === 'removed') {
+                report += `   - ${holding.symbol}: ❌ ไม่อยู่ในพอร์ตแล้ว\n`;
+            } else {
+                const sign = holding.change >= 0 ? '+' : '';
+                const risk = holding.riskScoreChange !== 0
+                    ? `, ความเสี่ยง ${holding.riskScoreChange > 0 ? '+' : ''}${holding.riskScoreChange}`
+                    : '';
+                report += `   - ${holding.symbol}: ${sign}${formatMoney(holding.change)} (${sign}${holding.changePercentage.toFixed(1)}%${risk})\n`;
+            }
+        }
+
+        return report.trim();
+    }
+}
+
+module.exports = SnapshotStore;
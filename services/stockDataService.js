@@ -2,11 +2,15 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const PortfolioParser = require('./portfolioParser');
 
 class StockDataService {
-    constructor(stockDataUrl) {
+    constructor(stockDataUrl, format = null) {
         this.stockDataUrl = stockDataUrl;
+        this.format = format; // บังคับรูปแบบไฟล์ (csv/json/yaml/text) ถ้าไม่ระบุจะดูจาก content-type หรือนามสกุล
         this.dataDir = path.join(__dirname, '../data');
+        this.portfolioParser = new PortfolioParser();
+        this.lastContentType = null;
     }
 
     async downloadStockData() {
@@ -20,9 +24,13 @@ class StockDataService {
                 timeout: 30000,
                 headers: {
                     'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
+                },
+                // เก็บข้อมูลดิบไว้ parse เอง (ไม่ให้ axios แปลง JSON อัตโนมัติ)
+                transformResponse: [data => data]
             });
             
+            this.lastContentType = response.headers?.['content-type'] || null;
+            
             // Save raw data
             const rawDataPath = path.join(this.dataDir, 'raw-stock-data.txt');
             await fs.writeFile(rawDataPath, response.data, 'utf8');
@@ -36,53 +44,26 @@ class StockDataService {
         }
     }
 
-    parseStockData(rawData) {
+    /**
+     * แปลงข้อมูลดิบเป็นรายการ holding ตามรูปแบบไฟล์ (CSV / JSON / YAML / ข้อความ)
+     * บรรทัดที่อ่านไม่ได้จะถูกรายงานใน errors ไม่ถูกข้ามเงียบๆ
+     */
+    parseStockData(rawData, options = {}) {
         try {
             logger.process('กำลังประมวลผลข้อมูลหุ้น...');
             
-            const lines = rawData.split('\n').filter(line => line.trim());
-            const stockList = [];
+            const { format, holdings, errors } = this.portfolioParser.parse(rawData, {
+                contentType: options.contentType ?? this.lastContentType,
+                fileName: options.fileName ?? this.stockDataUrl,
+                format: options.format ?? this.format
+            });
             
-            for (const line of lines) {
-                // Skip header line
-                if (line.includes('ประเภท') || line.includes('ชื่อ') || line.includes('จำนวนหุ้น')) {
-                    continue;
-                }
-                
-                // Parse each line - expected format: ประเภท ชื่อ จำนวนหุ้นที่ถืออยู่ ราคาที่ซื้อ ระยะเวลาจะลงทุน แอพที่เทรดหุ้น
-                const parts = line.trim().split(/\s+/);
-                if (parts.length >= 3) {
-                    const type = parts[0];
-                    const symbol = parts[1];
-                    const amount = parts[2];
-                    const purchasePrice = parts.length > 3 ? parts[3] : '-';
-                    const investmentPeriod = parts.length > 4 ? parts[4] + ' ' + (parts[5] || '') : '-';
-                    
-                    // ดึงแอพเทรดจากส่วนท้าย (อาจมี quotes)
-                    let tradingApp = '-';
-                    if (parts.length >= 6) {
-                        const quotedParts = line.match(/"([^"]+)"/);
-                        if (quotedParts) {
-                            tradingApp = quotedParts[1];
-                        } else if (parts.length > 5) {
-                            tradingApp = parts.slice(5).join(' ');
-                        }
-                    }
-                    
-                    stockList.push({
-                        type: type,
-                        symbol: symbol,
-                        amount: amount,
-                        purchasePrice: purchasePrice,
-                        investmentPeriod: investmentPeriod,
-                        tradingApp: tradingApp,
-                        originalLine: line.trim()
-                    });
-                }
+            for (const error of errors) {
+                logger.warn(`อ่านข้อมูลหุ้นไม่ได้ (${this.portfolioParser.formatLocation(error)}): ${error.message}${error.raw ? ` -> ${error.raw}` : ''}`);
             }
             
-            logger.success(`ประมวลผลข้อมูลเสร็จ พบหุ้น ${stockList.length} รายการ`);
-            return stockList;
+            logger.success(`ประมวลผลข้อมูลเสร็จ (${format}) พบหุ้น ${holdings.length} รายการ${errors.length > 0 ? `, ผิดพลาด ${errors.length} รายการ` : ''}`);
+            return { format, stockList: holdings, errors };
             
         } catch (error) {
             logger.error('ข้อผิดพลาดในการประมวลผลข้อมูล', error.message);
@@ -94,25 +75,31 @@ class StockDataService {
         let formattedList = '';
         
         for (const stock of stockList) {
-            if (stock.amount !== '-' && stock.purchasePrice !== '-') {
-                // Has both amount and price
-                formattedList += `${stock.type} ${stock.symbol} ${stock.amount} ${stock.purchasePrice} ${stock.investmentPeriod || '20 ปี'} ${stock.tradingApp || '-'}\n`;
-            } else if (stock.amount !== '-') {
-                // Has amount but no price
-                formattedList += `${stock.type} ${stock.symbol} ${stock.amount} - ${stock.investmentPeriod || '20 ปี'} ${stock.tradingApp || '-'}\n`;
-            } else {
-                // No amount or price
-                formattedList += `${stock.type} ${stock.symbol} - - ${stock.investmentPeriod || '20 ปี'} ${stock.tradingApp || '-'}\n`;
-            }
+            const amount = stock.amount !== null ? `${stock.amount}${stock.unit ? ' ' + stock.unit : ''}` : '-';
+            const price = stock.price !== null ? `${stock.price}${stock.currency ? ' ' + stock.currency : ''}` : '-';
+            formattedList += `${stock.type} ${stock.symbol} ${amount} ${price} ${stock.period || '20 ปี'} ${stock.app || '-'}\n`;
         }
         
         return formattedList.trim();
     }
 
+    /**
+     * ข้อความแจ้งบรรทัดที่อ่านไม่ได้ สำหรับแนบท้ายรายงาน
+     */
+    formatParseErrors(errors) {
+        if (!errors || errors.length === 0) return '';
+        
+        let text = `⚠️ **ข้อมูลหุ้นที่อ่านไม่ได้ ${errors.length} รายการ (ไม่ได้นำมาวิเคราะห์):**\n`;
+        for (const error of errors) {
+            text += `• ${this.portfolioParser.formatLocation(error)}: ${error.message}\n`;
+        }
+        return text.trim();
+    }
+
     async getFormattedStockData() {
         try {
             const rawData = await this.downloadStockData();
-            const stockList = this.parseStockData(rawData);
+            const { format, stockList, errors } = this.parseStockData(rawData);
             const formattedData = this.formatStockListForPrompt(stockList);
             
             // Save formatted data
@@ -120,8 +107,10 @@ class StockDataService {
             await fs.writeFile(formattedPath, formattedData, 'utf8');
             
             return {
+                format,
                 stockList,
-                formattedData
+                formattedData,
+                parseErrors: errors
             };
             
         } catch (error) {
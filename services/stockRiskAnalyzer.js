@@ -1,70 +1,53 @@
-const axios = require('axios');
 const logger = require('./logger');
+const PriceService = require('./priceService');
+const FxService = require('./fxService');
+const ValuationEngine = require('./valuationEngine');
+const PortfolioParser = require('./portfolioParser');
+const RiskMetrics = require('./riskMetrics');
+const DiversificationAnalyzer = require('./diversificationAnalyzer');
+const RegistryService = require('./registryService');
 
 class StockRiskAnalyzer {
-    constructor(webSearchService, costTracker) {
+    constructor(webSearchService, costTracker, priceService = null, valuationEngine = null, riskMetrics = null, registry = null) {
         this.webSearchService = webSearchService;
         this.costTracker = costTracker;
         
-        // ข้อมูลราคาปัจจุบันล่าสุด (อัปเดตแบบ real-time)
-        this.currentPrices = {
-            'VOO': 500, // S&P 500 ETF
-            'NVDA': 140, // NVIDIA 
-            'BTC': 115000, // Bitcoin in USD
-            'AAPL': 170,
-            'TSLA': 200,
-            'IVV': 500,
-            'ทอง': 3200, // Gold price per oz in THB
-            'USD': 34.5, // USD to THB
-            'JPY': 0.23 // JPY to THB
-        };
+        // ราคาปัจจุบันมาจาก PriceService (snapshot เดียวกันตลอดการรัน)
+        this.priceService = priceService || new PriceService();
         
-        // ข้อมูลแอพเทรดและความน่าเชื่อถือ
-        this.tradingApps = {
-            'Dime!': {
-                company: 'Dime Securities',
-                country: 'Thailand',
-                regulated: true,
-                regulator: 'SEC Thailand',
-                riskLevel: 'ต่ำ',
-                trustScore: 8,
-                founded: '2020',
-                notes: 'แอพเทรดหุ้นไทยที่ได้รับใบอนุญาตจาก ก.ล.ต.'
-            },
-            'Binance TH': {
-                company: 'Binance Thailand',
-                country: 'Thailand',
-                regulated: true,
-                regulator: 'SEC Thailand',
-                riskLevel: 'ต่ำ-ปานกลาง',
-                trustScore: 7,
-                founded: '2021',
-                notes: 'สาขาไทยของ Binance ที่ได้รับใบอนุญาตจาก ก.ล.ต.'
-            },
-            'ออม Now': {
-                company: 'Aom Now (Digital Asset)',
-                country: 'Thailand',
-                regulated: true,
-                regulator: 'BOT',
-                riskLevel: 'ต่ำ',
-                trustScore: 7,
-                founded: '2019',
-                notes: 'แพลตฟอร์มซื้อขายทองคำดิจิทัลที่ได้รับใบอนุญาต'
-            }
-        };
+        // แปลงมูลค่าทุกตัวเป็นสกุลเงินหลักด้วยอัตราแลกเปลี่ยนชุดเดียว
+        this.valuationEngine = valuationEngine || new ValuationEngine(new FxService({
+            mode: this.priceService.mode,
+            fixtureFile: this.priceService.fixtureFile
+        }));
+        
+        // คะแนนความเสี่ยงจากราคาย้อนหลัง (ความผันผวน, Beta, Max Drawdown, VaR)
+        this.riskMetrics = riskMetrics || new RiskMetrics(this.priceService);
+        
+        // ทะเบียนโปรไฟล์หุ้นและแอพเทรด (config/symbol-profiles.json, config/trading-apps.json)
+        this.registry = registry || new RegistryService();
+        this.diversificationAnalyzer = new DiversificationAnalyzer(this.riskMetrics, this.registry);
     }
 
     /**
      * วิเคราะห์ความเสี่ยงแต่ละหุ้น
+     * positions (จาก TransactionLedger) ถ้ามี จะใช้จำนวนและต้นทุนจริงรายล็อตแทนราคาซื้อในชีต
      */
-    async analyzeStockRisk(stockData) {
+    async analyzeStockRisk(stockData, holdings = null, positions = null) {
         logger.startOperation('วิเคราะห์ความเสี่ยงหุ้น');
         
-        const stockList = this.parseStockData(stockData);
+        let stockList = holdings || this.parseStockData(stockData);
+        if (positions) {
+            stockList = this.applyPositions(stockList, positions);
+        }
         const riskAnalysis = [];
         
+        // ดึงราคาทุกตัวก่อน เพื่อให้ทั้งรายงานใช้ราคาชุดเดียวกัน
+        await this.priceService.loadSnapshot(stockList);
+        await this.valuationEngine.prepare();
+        
         for (const stock of stockList) {
-            if (stock.amount !== '-' && stock.purchasePrice !== '-') {
+            if (stock.amount !== null && (stock.price !== null || stock.position)) {
                 const analysis = await this.analyzeIndividualStock(stock);
                 riskAnalysis.push(analysis);
             }
@@ -74,6 +57,39 @@ class StockRiskAnalyzer {
         return riskAnalysis;
     }
 
+    /**
+     * รวมสถานะจากรายการซื้อขายเข้ากับ holdings
+     * - สินทรัพย์ที่มีในทั้งสองที่: ใช้จำนวนจากรายการซื้อขาย (แอพจากชีต ถ้าไม่ระบุใช้แอพจากรายการซื้อขาย)
+     * - สินทรัพย์ที่มีแค่ในรายการซื้อขาย: เพิ่มเข้าไป
+     * - สถานะที่ขายหมดแล้วไม่นำมาวิเคราะห์ (แสดงเฉพาะกำไรที่รับรู้ในรายงาน)
+     */
+    applyPositions(stockList, positions) {
+        const merged = stockList.map(stock => {
+            const position = positions[stock.symbol];
+            if (!position || position.quantity <= 0) return stock;
+            return { ...stock, amount: position.quantity, app: stock.app || position.app, position: position };
+        });
+
+        const listed = new Set(stockList.map(stock => stock.symbol));
+        for (const position of Object.values(positions)) {
+            if (listed.has(position.symbol) || position.quantity <= 0) continue;
+            merged.push({
+                type: position.type || 'หุ้น',
+                symbol: position.symbol,
+                assetClass: position.assetClass,
+                amount: position.quantity,
+                unit: position.unit,
+                price: null,
+                currency: position.currency,
+                period: null,
+                app: position.app,
+                position: position
+            });
+        }
+
+        return merged;
+    }
+
     /**
      * วิเคราะห์หุ้นแต่ละตัว
      */
@@ -81,11 +97,13 @@ class StockRiskAnalyzer {
         logger.process(`วิเคราะห์ ${stock.symbol}...`);
         
         const riskProfile = this.getStockRiskProfile(stock.symbol);
-        const currentPrice = this.getCurrentPrice(stock.symbol, stock.type);
-        const financialAnalysis = this.calculateFinancialMetrics(stock, currentPrice);
+        const quote = this.getCurrentQuote(stock.symbol);
+        const currentPrice = quote?.price || 0;
+        const financialAnalysis = this.calculateFinancialMetrics(stock, quote);
+        const riskMetrics = await this.riskMetrics.analyzeHolding(stock.symbol, stock.type);
         
         // วิเคราะห์แอพเทรด
-        const appAnalysis = this.analyzeApp(stock.tradingApp);
+        const appAnalysis = this.analyzeApp(stock.app);
         
         // ค้นหาข่าวเฉพาะหุ้นนี้
         let newsAnalysis = { riskNews: [], bankruptcyRisk: 'ต่ำ' };
@@ -94,8 +112,8 @@ class StockRiskAnalyzer {
                 newsAnalysis = await this.searchStockNews(stock.symbol, stock.type);
                 
                 // ค้นหาข่าวเกี่ยวกับแอพเทรดด้วย
-                if (stock.tradingApp && stock.tradingApp !== '-') {
-                    const appNews = await this.searchAppNews(stock.tradingApp);
+                if (stock.app) {
+                    const appNews = await this.searchAppNews(stock.app);
                     newsAnalysis.appNews = appNews;
                 }
             } catch (error) {
@@ -103,93 +121,37 @@ class StockRiskAnalyzer {
             }
         }
         
+        const overallRisk = this.calculateOverallRisk(riskProfile, newsAnalysis, financialAnalysis, appAnalysis, riskMetrics);
+        
         return {
             symbol: stock.symbol,
             type: stock.type,
-            amount: parseFloat(stock.amount),
-            purchasePrice: this.parsePurchasePrice(stock.purchasePrice),
+            assetClass: stock.assetClass,
+            amount: stock.amount,
+            period: stock.period,
+            purchasePrice: stock.price,
             currentPrice: currentPrice,
-            tradingApp: stock.tradingApp,
+            tradingApp: stock.app,
             ...financialAnalysis,
             riskProfile: riskProfile,
+            riskMetrics: riskMetrics,
             appAnalysis: appAnalysis,
             newsAnalysis: newsAnalysis,
-            overallRisk: this.calculateOverallRisk(riskProfile, newsAnalysis, financialAnalysis, appAnalysis),
-            recommendation: this.generateRecommendation(stock, riskProfile, financialAnalysis, newsAnalysis, appAnalysis)
+            overallRisk: overallRisk,
+            recommendation: this.generateRecommendation(stock, overallRisk, financialAnalysis, newsAnalysis, appAnalysis)
         };
     }
 
     /**
-     * ข้อมูลโปรไฟล์ความเสี่ยงของแต่ละหุ้น
+     * ข้อมูลโปรไฟล์ความเสี่ยงของแต่ละหุ้น (จากทะเบียน ถ้าไม่มีใช้ค่ากลาง)
      */
     getStockRiskProfile(symbol) {
-        const profiles = {
-            'VOO': {
-                name: 'Vanguard S&P 500 ETF',
-                bankruptcyRisk: 'แทบไม่มี',
-                volatilityRisk: 'ต่ำ-ปานกลาง',
-                marketRisk: 'ปานกลาง',
-                liquidityRisk: 'ต่ำมาก',
-                suitability: 'เหมาะสำหรับการลงทุนระยะยาว',
-                riskScore: 3
-            },
-            'NVDA': {
-                name: 'NVIDIA Corporation',
-                bankruptcyRisk: 'ต่ำ',
-                volatilityRisk: 'สูง',
-                marketRisk: 'สูง',
-                liquidityRisk: 'ต่ำ',
-                suitability: 'เหมาะสำหรับผู้ยอมรับความเสี่ยงสูง',
-                riskScore: 7
-            },
-            'BTC': {
-                name: 'Bitcoin',
-                bankruptcyRisk: 'ไม่มี',
-                volatilityRisk: 'สูงมาก',
-                marketRisk: 'สูงมาก',
-                liquidityRisk: 'ปานกลาง',
-                suitability: 'เฉพาะผู้ยอมรับความเสี่ยงสูงมาก',
-                riskScore: 9
-            },
-            'AAPL': {
-                name: 'Apple Inc.',
-                bankruptcyRisk: 'ต่ำมาก',
-                volatilityRisk: 'ปานกลาง',
-                marketRisk: 'ปานกลาง',
-                liquidityRisk: 'ต่ำมาก',
-                suitability: 'เหมาะสำหรับการลงทุนระยะยาว',
-                riskScore: 4
-            },
-            'TSLA': {
-                name: 'Tesla Inc.',
-                bankruptcyRisk: 'ต่ำ',
-                volatilityRisk: 'สูง',
-                marketRisk: 'สูง',
-                liquidityRisk: 'ต่ำ',
-                suitability: 'เหมาะสำหรับผู้ยอมรับความเสี่ยงสูง',
-                riskScore: 7
-            },
-            'IVV': {
-                name: 'iShares Core S&P 500 ETF',
-                bankruptcyRisk: 'แทบไม่มี',
-                volatilityRisk: 'ต่ำ-ปานกลาง',
-                marketRisk: 'ปานกลาง',
-                liquidityRisk: 'ต่ำมาก',
-                suitability: 'เหมาะสำหรับการลงทุนระยะยาว',
-                riskScore: 3
-            },
-            'ทอง': {
-                name: 'Gold',
-                bankruptcyRisk: 'ไม่มี',
-                volatilityRisk: 'ปานกลาง',
-                marketRisk: 'ปานกลาง',
-                liquidityRisk: 'ต่ำ',
-                suitability: 'เหมาะสำหรับการป้องกันเงินเฟ้อ',
-                riskScore: 4
-            }
-        };
+        const profile = this.registry.getSymbolProfile(symbol);
+        if (profile) {
+            return { ...profile };
+        }
         
-        return profiles[symbol] || {
+        return {
             name: symbol,
             bankruptcyRisk: 'ไม่ทราบ',
             volatilityRisk: 'ไม่ทราบ',
@@ -204,13 +166,11 @@ class StockRiskAnalyzer {
      * รับราคาปัจจุบัน
      */
     getCurrentPrice(symbol, type) {
-        if (type === 'สกุลเงินคริปโต' && symbol === 'BTC') {
-            return this.currentPrices['BTC'];
-        }
-        if (type === 'ทอง' && symbol === 'ทอง') {
-            return this.currentPrices['ทอง'];
-        }
-        return this.currentPrices[symbol] || 0;
+        return this.priceService.getCachedPrice(symbol);
+    }
+
+    getCurrentQuote(symbol) {
+        return this.priceService.getCachedQuote(symbol);
     }
 
     /**
@@ -230,7 +190,7 @@ class StockRiskAnalyzer {
         // ลบเครื่องหมาย quote ออก
         const cleanAppName = appName.replace(/['"]/g, '');
         
-        const appInfo = this.tradingApps[cleanAppName];
+        const appInfo = this.registry.getTradingApp(cleanAppName);
         if (appInfo) {
             return {
                 name: cleanAppName,
@@ -322,60 +282,10 @@ class StockRiskAnalyzer {
     }
 
     /**
-     * แปลงราคาซื้อ
-     */
-    parsePurchasePrice(priceStr) {
-        if (priceStr === '-') return 0;
-        
-        // แปลง "24.35 USD" หรือ "213.42 บาท"
-        const match = priceStr.match(/(\d+\.?\d*)/);
-        return match ? parseFloat(match[1]) : 0;
-    }
-
-    /**
-     * คำนวณตัวชี้วัดทางการเงิน
+     * คำนวณตัวชี้วัดทางการเงิน (มูลค่าทั้งหมดเป็นสกุลเงินหลักของ ValuationEngine)
      */
-    calculateFinancialMetrics(stock, currentPrice) {
-        const amount = parseFloat(stock.amount);
-        const purchasePrice = this.parsePurchasePrice(stock.purchasePrice);
-        
-        if (purchasePrice === 0 || currentPrice === 0) {
-            return {
-                currentValue: 0,
-                purchaseValue: 0,
-                unrealizedGainLoss: 0,
-                returnPercentage: 0,
-                status: 'ไม่สามารถคำนวณได้'
-            };
-        }
-        
-        let currentValue, purchaseValue;
-        
-        if (stock.type === 'สกุลเงินคริปโต') {
-            // Bitcoin: amount เป็น BTC, currentPrice เป็น USD
-            currentValue = amount * currentPrice;
-            purchaseValue = purchasePrice; // ซื้อด้วยบาท แต่เปรียบเทียบกับ USD
-            purchaseValue = purchaseValue / 34.5; // แปลงบาทเป็น USD
-        } else if (stock.type === 'ทอง') {
-            // ทอง: amount เป็นออนซ์, price เป็นบาท
-            currentValue = amount * currentPrice; // ปัจจุบันเป็นบาท
-            purchaseValue = amount * purchasePrice; // ซื้อเป็นบาท
-        } else {
-            // หุ้น: amount เป็นหุ้น, price เป็น USD
-            currentValue = amount * currentPrice;
-            purchaseValue = amount * purchasePrice;
-        }
-        
-        const unrealizedGainLoss = currentValue - purchaseValue;
-        const returnPercentage = purchaseValue > 0 ? (unrealizedGainLoss / purchaseValue) * 100 : 0;
-        
-        return {
-            currentValue: currentValue,
-            purchaseValue: purchaseValue,
-            unrealizedGainLoss: unrealizedGainLoss,
-            returnPercentage: returnPercentage,
-            status: unrealizedGainLoss >= 0 ? 'กำไร' : 'ขาดทุน'
-        };
+    calculateFinancialMetrics(stock, quote = this.getCurrentQuote(stock.symbol)) {
+        return this.valuationEngine.valueHolding(stock, quote);
     }
 
     /**
@@ -429,42 +339,48 @@ class StockRiskAnalyzer {
 
     /**
      * คำนวณความเสี่ยงโดยรวม
+     * คะแนนฐานมาจากราคาย้อนหลัง (riskMetrics) ถ้ามี ไม่เช่นนั้นใช้คะแนนในโปรไฟล์
+     * แล้วปรับตามข่าว ผลการเงิน และแอพเทรด (เก็บรายการปรับไว้ใน adjustments เพื่ออธิบายคะแนน)
      */
-    calculateOverallRisk(riskProfile, newsAnalysis, financialAnalysis, appAnalysis = null) {
-        let riskScore = riskProfile.riskScore;
+    calculateOverallRisk(riskProfile, newsAnalysis, financialAnalysis, appAnalysis = null, riskMetrics = null) {
+        const baseScore = riskMetrics ? riskMetrics.score : riskProfile.riskScore;
+        const adjustments = [];
         
         // ปรับตามข่าว
         if (newsAnalysis.bankruptcyRisk === 'ปานกลาง-สูง') {
-            riskScore += 2;
+            adjustments.push({ reason: 'ข่าวเสี่ยง', points: 2 });
         }
         
         // ปรับตามผลการเงิน
         if (financialAnalysis.returnPercentage < -20) {
-            riskScore += 1;
+            adjustments.push({ reason: 'ขาดทุนเกิน 20%', points: 1 });
         } else if (financialAnalysis.returnPercentage > 20) {
-            riskScore -= 1;
+            adjustments.push({ reason: 'กำไรเกิน 20%', points: -1 });
         }
         
         // ปรับตามความเสี่ยงของแอพเทรด
         if (appAnalysis) {
             if (appAnalysis.riskLevel === 'สูง' || !appAnalysis.regulated) {
-                riskScore += 2;
+                adjustments.push({ reason: 'แอพเทรดเสี่ยง', points: 2 });
             } else if (appAnalysis.riskLevel === 'ปานกลาง') {
-                riskScore += 1;
+                adjustments.push({ reason: 'แอพเทรดเสี่ยงปานกลาง', points: 1 });
             }
             
             // ปรับตามข่าวของแอพ
             if (newsAnalysis.appNews?.appRisk === 'สูง') {
-                riskScore += 1;
+                adjustments.push({ reason: 'ข่าวแอพเทรด', points: 1 });
             }
         }
         
         // จำกัดคะแนนไว้ที่ 1-10
-        riskScore = Math.max(1, Math.min(10, riskScore));
+        const riskScore = Math.max(1, Math.min(10, baseScore + adjustments.reduce((sum, item) => sum + item.points, 0)));
         
         return {
             score: riskScore,
-            level: this.getRiskLevel(riskScore)
+            level: this.getRiskLevel(riskScore),
+            basis: riskMetrics ? 'price' : 'profile',
+            baseScore: baseScore,
+            adjustments: adjustments
         };
     }
 
@@ -479,10 +395,10 @@ class StockRiskAnalyzer {
     }
 
     /**
-     * สร้างคำแนะนำ
+     * สร้างคำแนะนำตามคะแนนความเสี่ยงรวม (overallRisk) ชุดเดียวกับที่แสดงในรายงาน
      */
-    generateRecommendation(stock, riskProfile, financialAnalysis, newsAnalysis, appAnalysis = null) {
-        const riskScore = riskProfile.riskScore;
+    generateRecommendation(stock, overallRisk, financialAnalysis, newsAnalysis, appAnalysis = null) {
+        const riskScore = overallRisk.score;
         const returnPct = financialAnalysis.returnPercentage;
         const isLongTerm = true; // 20 ปี
         
@@ -533,8 +449,11 @@ class StockRiskAnalyzer {
 
     /**
      * สร้างรายงานสรุป
+     * sections: ส่วนเสริมที่คำนวณแยกไว้ { performance, stressTests, rebalancePlan, dcaPlan } (ไม่มี = ไม่แสดง)
      */
-    generateRiskReport(riskAnalysisList) {
+    generateRiskReport(riskAnalysisList, positions = null, sections = {}) {
+        const { performance = null, stressTests = null, rebalancePlan = null, dcaPlan = null } = sections;
+        
         if (riskAnalysisList.length === 0) {
             return '❌ ไม่พบข้อมูลการลงทุนที่สามารถวิเคราะห์ได้';
         }
@@ -558,16 +477,19 @@ class StockRiskAnalyzer {
                 highRiskCount++;
             }
             
-            // สกุลเงินที่แสดง
-            const currency = (analysis.type === 'ทอง') ? 'บาท' : 'USD';
-            const valueText = (analysis.type === 'ทอง') 
-                ? `${analysis.currentValue.toFixed(0)} บาท`
-                : `$${analysis.currentValue.toFixed(2)}`;
-            
             report += `\n${riskSymbol} **${analysis.symbol}** (${analysis.riskProfile.name})\n`;
-            report += `   • มูลค่าปัจจุบัน: ${valueText}\n`;
+            report += `   • มูลค่าปัจจุบัน: ${this.formatMoney(analysis.currentValue)}\n`;
             report += `   • ${returnSymbol} ${analysis.status}: ${analysis.returnPercentage.toFixed(1)}%\n`;
+            if (analysis.missingRates) {
+                report += `   • ⚠️ ไม่ได้คิดมูลค่า: ไม่มีอัตราแลกเปลี่ยน ${analysis.missingRates.join(', ')}\n`;
+            }
+            
+            // ต้นทุนจริงจากรายการซื้อขาย
+            if (analysis.costBasisMethod) {
+                report += this.formatLotDetails(analysis);
+            }
             report += `   • ความเสี่ยง: ${analysis.overallRisk.level} (${analysis.overallRisk.score}/10)\n`;
+            report += this.formatRiskInputs(analysis);
             report += `   • ความเสี่ยงล้มละลาย: ${analysis.riskProfile.bankruptcyRisk}\n`;
             
             // ข้อมูลแอพเทรด
@@ -592,28 +514,23 @@ class StockRiskAnalyzer {
         const totalReturn = totalPurchase > 0 ? ((totalValue - totalPurchase) / totalPurchase) * 100 : 0;
         const portfolioRisk = this.calculatePortfolioRisk(riskAnalysisList);
         
-        // แยกมูลค่ารวมตามสกุลเงิน
-        let totalValueUSD = 0;
-        let totalValueTHB = 0;
-        
-        for (const analysis of riskAnalysisList) {
-            if (analysis.type === 'ทอง') {
-                totalValueTHB += analysis.currentValue;
-            } else {
-                totalValueUSD += analysis.currentValue;
-            }
-        }
-        
         report += '\n📊 **สรุปพอร์ตโฟลิโอ:**\n';
-        if (totalValueUSD > 0) {
-            report += `• มูลค่ารวม (หุ้น/Crypto): $${totalValueUSD.toFixed(2)} (${(totalValueUSD * 34.5).toFixed(0)} บาท)\n`;
+        report += `• มูลค่ารวม: ${this.valuationEngine.formatWithAlternate(totalValue)}\n`;
+        report += `• ต้นทุนรวม: ${this.formatMoney(totalPurchase)}\n`;
+        report += `• กำไร/ขาดทุนรวม: ${totalReturn >= 0 ? '📈' : '📉'} ${totalReturn.toFixed(1)}%\n`;
+        const unvalued = riskAnalysisList.filter(analysis => analysis.missingRates);
+        if (unvalued.length > 0) {
+            report += `• ⚠️ ไม่รวมในมูลค่ารวม: ${unvalued.map(analysis => `${analysis.symbol} (ไม่มีอัตราแลกเปลี่ยน ${analysis.missingRates.join(', ')})`).join(', ')}\n`;
         }
-        if (totalValueTHB > 0) {
-            report += `• มูลค่ารวม (ทอง): ${totalValueTHB.toFixed(0)} บาท\n`;
+        if (positions) {
+            report += this.formatRealizedSummary(riskAnalysisList, positions);
         }
-        report += `• กำไร/ขาดทุนรวม: ${totalReturn >= 0 ? '📈' : '📉'} ${totalReturn.toFixed(1)}%\n`;
         report += `• ความเสี่ยงโดยรวม: ${portfolioRisk.level} (${portfolioRisk.score}/10)\n`;
+        if (portfolioRisk.metrics) {
+            report += `   - จากราคาพอร์ต (ครอบคลุม ${(portfolioRisk.metrics.coverage * 100).toFixed(0)}% ของมูลค่า): ${this.riskMetrics.describe(portfolioRisk.metrics)} → คะแนนฐาน ${portfolioRisk.metrics.score}\n`;
+        }
         report += `• หุ้นความเสี่ยงสูง: ${highRiskCount}/${riskAnalysisList.length} ตัว\n`;
+        report += `• อัตราแลกเปลี่ยนที่ใช้: ${this.valuationEngine.describeRate()}\n`;
         
         // ตรวจสอบแอพเทรดที่มีปัญหา
         const problematicApps = riskAnalysisList.filter(analysis => 
@@ -624,6 +541,43 @@ class StockRiskAnalyzer {
             report += `• 🚨 แอพเทรดที่ไม่ปลอดภัย: ${problematicApps.length} แอพ\n`;
         }
         
+        // รายการที่ยังไม่มีในทะเบียน (คะแนนเป็นค่ากลาง ควรเพิ่มด้วย npm run registry)
+        const unknown = this.registry.getUnknown();
+        if (unknown.symbols.length > 0 || unknown.apps.length > 0) {
+            const parts = [];
+            if (unknown.symbols.length > 0) parts.push(`หุ้น ${unknown.symbols.join(', ')}`);
+            if (unknown.apps.length > 0) parts.push(`แอพ ${unknown.apps.join(', ')}`);
+            report += `• ❔ ไม่มีข้อมูลในทะเบียน: ${parts.join(' | ')}\n`;
+        }
+        
+        // การกระจายความเสี่ยงและสินทรัพย์ซ้ำซ้อน
+        const diversification = this.diversificationAnalyzer.analyze(
+            riskAnalysisList.map(analysis => ({ symbol: analysis.symbol, value: analysis.currentValue }))
+        );
+        if (diversification && riskAnalysisList.length > 1) {
+            report += this.formatDiversification(diversification);
+        }
+        
+        // สัดส่วนเทียบเป้าหมายและรายการซื้อขายเพื่อปรับสมดุล
+        if (rebalancePlan) {
+            report += this.formatRebalancePlan(rebalancePlan);
+        }
+        
+        // แผน DCA เดือนนี้และคาดการณ์มูลค่าตลอดระยะเวลาลงทุน
+        if (dcaPlan) {
+            report += this.formatDcaPlan(dcaPlan);
+        }
+        
+        // ผลตอบแทนเทียบดัชนีอ้างอิง
+        if (performance) {
+            report += this.formatPerformance(performance);
+        }
+        
+        // มูลค่าและความเสี่ยงของพอร์ตในสถานการณ์วิกฤต
+        if (stressTests && stressTests.length > 0) {
+            report += this.formatStressTests(stressTests);
+        }
+        
         // คำแนะนำโดยรวม
         report += '\n💡 **คำแนะนำโดยรวม:**\n';
         
@@ -635,8 +589,16 @@ class StockRiskAnalyzer {
             report += '• ควรควบคุมสัดส่วนหุ้นเสี่ยงสูง\n';
         } else {
             report += '⚠️ พอร์ตมีความเสี่ยงสูง ควรเตรียมรับความผันผวน\n';
-            report += '• ควรลดสัดส่วนหุ้นเสี่ยงสูงลงให้เหลือไม่เกิน 30%\n';
-            report += '• เพิ่มสัดส่วน ETF และหุ้นเสถียร\n';
+            if (!rebalancePlan) {
+                report += '• ควรลดสัดส่วนหุ้นเสี่ยงสูงลงให้เหลือไม่เกิน 30%\n';
+                report += '• เพิ่มสัดส่วน ETF และหุ้นเสถียร\n';
+            }
+        }
+        
+        if (rebalancePlan) {
+            report += rebalancePlan.needsRebalance
+                ? '• ปรับสัดส่วนตามแผนปรับสมดุลด้านบน เพื่อกลับสู่สัดส่วนเป้าหมาย\n'
+                : '• สัดส่วนทุกกลุ่มอยู่ในช่วงเป้าหมาย ยังไม่ต้องปรับสมดุล\n';
         }
         
         report += '\n📅 การลงทุนระยะยาว 20 ปี จะช่วยลดความเสี่ยงจากความผันผวนระยะสั้น';
@@ -644,8 +606,285 @@ class StockRiskAnalyzer {
         return report;
     }
 
+    /**
+     * รายละเอียดต้นทุนรายล็อตของหุ้นแต่ละตัว
+     */
+    formatLotDetails(analysis) {
+        const money = value => this.formatMoney(value);
+        const method = analysis.costBasisMethod === 'average' ? 'ถัวเฉลี่ย' : 'FIFO';
+        
+        let text = `   • ต้นทุน (${method}): ${money(analysis.purchaseValue)} (เฉลี่ย ${money(analysis.averageCost)}/หน่วย, ${analysis.lots.length} ล็อต, ถือนานสุด ${analysis.holdingDays} วัน)\n`;
+        text += `   • ยังไม่รับรู้: ${money(analysis.unrealizedGainLoss)} | รับรู้แล้ว: ${money(analysis.realizedGainLoss)}`;
+        if (analysis.dividends > 0) {
+            text += ` | ปันผล: ${money(analysis.dividends)}`;
+        }
+        if (analysis.fees > 0) {
+            text += ` | ค่าธรรมเนียม: ${money(analysis.fees)}`;
+        }
+        text += '\n';
+        
+        for (const lot of analysis.lots) {
+            text += `     - ล็อต ${lot.date}: ${lot.quantity} @ ${money(lot.costPerUnit)} (ถือ ${lot.holdingDays} วัน, ${lot.unrealizedGainLoss >= 0 ? '+' : ''}${money(lot.unrealizedGainLoss)})\n`;
+        }
+        
+        return text;
+    }
+
+    /**
+     * กำไรที่รับรู้แล้วรวม รวมถึงสินทรัพย์ที่ขายหมดแล้ว
+     */
+    formatRealizedSummary(riskAnalysisList, positions) {
+        let total = 0;
+        const analyzed = new Set();
+        
+        for (const analysis of riskAnalysisList) {
+            if (!analysis.costBasisMethod) continue;
+            analyzed.add(analysis.symbol);
+            total += analysis.realizedGainLoss + analysis.dividends - analysis.fees;
+        }
+        
+        const closed = Object.values(positions).filter(position => position.quantity <= 0 && !analyzed.has(position.symbol));
+        const missingRates = [];
+        for (const position of closed) {
+            const missing = this.valuationEngine.getMissingRates([position.currency]);
+            if (missing.length > 0) {
+                missingRates.push(`${position.symbol} (${missing.join(', ')})`);
+                continue;
+            }
+            const income = position.realizedPL + position.dividends - position.fees;
+            total += this.valuationEngine.toBase(income, position.currency);
+        }
+        
+        let text = `• กำไรที่รับรู้แล้ว (รวมปันผล หักค่าธรรมเนียม): ${this.formatMoney(total)}\n`;
+        
+        if (closed.length > 0) {
+            text += `• ขายปิดสถานะแล้ว: ${closed.map(position => position.symbol).join(', ')}\n`;
+        }
+        if (missingRates.length > 0) {
+            text += `• ⚠️ ไม่รวมกำไรที่รับรู้แล้วของ ${missingRates.join(', ')}: ไม่มีอัตราแลกเปลี่ยน\n`;
+        }
+        
+        return text;
+    }
+
+    /**
+     * การกระจุกตัว สินทรัพย์ซ้ำซ้อน และสหสัมพันธ์ระหว่างสินทรัพย์ (จาก DiversificationAnalyzer)
+     */
+    formatDiversification(diversification) {
+        const { largest, symbols, correlation } = diversification;
+        
+        let text = '\n🧩 **การกระจายความเสี่ยง:**\n';
+        text += `• สัดส่วนใหญ่สุด: ${largest.symbol} ${largest.weight.toFixed(1)}% | จำนวนตัวที่มีผลจริง ${diversification.effectiveHoldings.toFixed(1)} จาก ${diversification.weights.length} ตัว\n`;
+        
+        if (diversification.diversificationRatio !== null) {
+            text += `• Diversification ratio: ${diversification.diversificationRatio.toFixed(2)} (1.00 = ไม่ได้ประโยชน์จากการกระจาย)\n`;
+        }
+        
+        for (const overlap of diversification.overlaps) {
+            const correlationText = overlap.correlation !== null ? `, สหสัมพันธ์ ${overlap.correlation.toFixed(2)}` : '';
+            const reason = overlap.index ? `ติดตามดัชนี ${overlap.index} เดียวกัน` : 'ราคาเคลื่อนไหวเกือบเหมือนกัน';
+            text += `• ⚠️ ซ้ำซ้อน: ${overlap.symbols.join(' + ')} ${reason} (รวม ${overlap.weight.toFixed(1)}%${correlationText})\n`;
+        }
+        
+        if (diversification.highCorrelations.length > 0) {
+            text += `• ⚠️ สหสัมพันธ์สูง: ${diversification.highCorrelations.map(pair => `${pair.symbols.join('–')} ${pair.correlation.toFixed(2)}`).join(', ')}\n`;
+        }
+        
+        for (const item of diversification.concentrated) {
+            text += `• ⚠️ กระจุกตัว: ${item.symbol} ${item.weight.toFixed(1)}% ของพอร์ต (เกิน ${this.diversificationAnalyzer.concentrationLimit}%)\n`;
+        }
+        
+        if (correlation) {
+            text += '• สหสัมพันธ์:\n';
+            for (let i = 0; i < symbols.length - 1; i++) {
+                const pairs = symbols.slice(i + 1).map((symbol, offset) => `${symbol} ${correlation[i][i + 1 + offset].toFixed(2)}`);
+                text += `   - ${symbols[i]}: ${pairs.join(', ')}\n`;
+            }
+        }
+        
+        return text;
+    }
+
+    /**
+     * ผลตอบแทน TWR/MWR ของพอร์ตเทียบกับดัชนีอ้างอิงแต่ละช่วงเวลา (จาก PerformanceAnalyzer)
+     */
+    formatPerformance(performance) {
+        const percent = value => value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+        
+        let text = `\n📐 **ผลตอบแทนเทียบดัชนี** (ถึง ${performance.endDate}):\n`;
+        
+        for (const period of performance.periods) {
+            const since = period.complete ? period.startDate : `${period.startDate}, ข้อมูลราคาไม่ถึงวันเริ่ม`;
+            text += `• ${period.label} (${since}): TWR ${percent(period.twr)} | MWR ${percent(period.mwr)}\n`;
+            
+            const comparisons = period.benchmarks.map(benchmark => {
+                if (benchmark.return === null || period.twr === null) {
+                    return `${benchmark.symbol} ${percent(benchmark.return)}`;
+                }
+                const difference = period.twr - benchmark.return;
+                return `${benchmark.symbol} ${percent(benchmark.return)} ${difference >= 0 ? '✅' : '❌'} ${difference >= 0 ? '+' : ''}${difference.toFixed(1)}`;
+            });
+            if (comparisons.length > 0) {
+                text += `   - ดัชนี: ${comparisons.join(' | ')}\n`;
+            }
+        }
+        
+        if (performance.excluded.length > 0) {
+            text += `• ไม่รวมในการคำนวณ (ไม่มีราคาย้อนหลัง): ${performance.excluded.join(', ')}\n`;
+        }
+        if (!performance.inceptionDate) {
+            text += '• ไม่มีรายการซื้อขาย ถือว่าถือจำนวนปัจจุบันตลอดช่วง (TWR = MWR)\n';
+        }
+        
+        return text;
+    }
+
+    /**
+     * สัดส่วนปัจจุบันเทียบเป้าหมาย และรายการซื้อ/ขายเพื่อปรับสมดุล (จาก Rebalancer)
+     */
+    formatRebalancePlan(plan) {
+        const points = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+        
+        let text = '\n⚖️ **สัดส่วนเป้าหมายและการปรับสมดุล:**\n';
+        
+        for (const bucket of plan.buckets) {
+            const status = bucket.outOfBand ? '⚠️' : '✅';
+            const members = bucket.type === 'assetClass' && bucket.symbols.length > 0 ? ` [${bucket.symbols.join(', ')}]` : '';
+            text += `• ${status} ${bucket.label}${members}: ${bucket.weight.toFixed(1)}% (เป้าหมาย ${bucket.target}% ±${bucket.tolerance}, เบี่ยง ${points(bucket.drift)})\n`;
+        }
+        
+        if (!plan.needsRebalance) {
+            text += '• ทุกกลุ่มอยู่ในช่วงที่ยอมรับได้ ยังไม่ต้องซื้อขาย\n';
+        } else {
+            text += '• รายการปรับสมดุล:\n';
+            for (const trade of plan.trades) {
+                const verb = trade.action === 'buy' ? 'ซื้อ' : 'ขาย';
+                const quantity = trade.quantity !== null ? ` (≈${Number(trade.quantity.toPrecision(4))} หน่วย)` : '';
+                const app = trade.app ? ` ผ่าน ${trade.app}` : '';
+                if (trade.skipped) {
+                    text += `   - ⏭️ ข้าม${verb} ${trade.symbol} ${this.formatMoney(trade.amount)}: ${trade.skipped}\n`;
+                } else {
+                    text += `   - ${trade.action === 'buy' ? '🟢' : '🔴'} ${verb} ${trade.symbol} ${this.formatMoney(trade.amount)}${quantity}${app} | ค่าธรรมเนียม ~${this.formatMoney(trade.fee)}\n`;
+                }
+            }
+            text += `• ค่าธรรมเนียมรวม ~${this.formatMoney(plan.totalFees)} | เงินสด${plan.netCash >= 0 ? 'คงเหลือ' : 'ที่ต้องเติม'} ${this.formatMoney(Math.abs(plan.netCash))}\n`;
+        }
+        
+        for (const note of plan.notes) {
+            text += `• ⚠️ ${note}\n`;
+        }
+        if (plan.unpriced.length > 0) {
+            text += `• ไม่รวมในการคำนวณ (ไม่มีราคา): ${plan.unpriced.join(', ')}\n`;
+        }
+        
+        return text;
+    }
+
+    /**
+     * การแบ่งเงิน DCA เดือนนี้ และช่วงคาดการณ์มูลค่าพอร์ต (จาก DcaPlanner)
+     */
+    formatDcaPlan(dcaPlan) {
+        const { projection } = dcaPlan;
+        const basis = dcaPlan.basis === 'target' ? 'ตามสัดส่วนเป้าหมาย' : 'ตามสัดส่วนปัจจุบัน';
+        
+        let text = `\n📅 **แผน DCA เดือนนี้** (${this.formatMoney(dcaPlan.contribution)}, ${basis}):\n`;
+        for (const allocation of dcaPlan.allocations) {
+            const quantity = allocation.quantity !== null ? ` (≈${Number(allocation.quantity.toPrecision(4))} หน่วย)` : '';
+            const app = allocation.app ? ` ผ่าน ${allocation.app}` : '';
+            const fee = allocation.fee ? ` | ค่าธรรมเนียม ~${this.formatMoney(allocation.fee)}` : '';
+            const newHolding = allocation.newHolding ? ' 🆕 ยังไม่ได้ถือ' : '';
+            text += `• ${allocation.label}: ${this.formatMoney(allocation.amount)} (${allocation.percent.toFixed(1)}%)${quantity}${app}${fee}${newHolding}\n`;
+        }
+        for (const note of dcaPlan.notes) {
+            text += `• ⚠️ ${note}\n`;
+        }
+        
+        const percentiles = Object.keys(projection.checkpoints[0].percentiles).map(Number).sort((a, b) => a - b);
+        text += `\n🔮 **คาดการณ์มูลค่าพอร์ต ${Number(projection.years.toFixed(1))} ปี** (ผลตอบแทน ${projection.expectedReturn.toFixed(1)}%/ปี, ความผันผวน ${projection.volatility.toFixed(1)}%/ปี, Monte Carlo ${projection.simulations.toLocaleString('en-US')} รอบ):\n`;
+        for (const checkpoint of projection.checkpoints) {
+            const bands = percentiles.map(percentile => `P${percentile} ${this.formatMoney(checkpoint.percentiles[percentile])}`).join(' | ');
+            text += `• ปีที่ ${Number(checkpoint.year.toFixed(1))}: ลงทุนรวม ${this.formatMoney(checkpoint.invested)} → คาดหมาย ${this.formatMoney(checkpoint.expected)}\n`;
+            text += `   - ${bands}\n`;
+        }
+        text += `• โอกาสที่มูลค่าปลายทางต่ำกว่าเงินลงทุนรวม: ${(projection.probabilityBelowInvested * 100).toFixed(1)}%\n`;
+        text += '• เป็นการคาดการณ์จากสมมติฐาน ไม่ใช่การรับประกันผลตอบแทน\n';
+        
+        return text;
+    }
+
+    /**
+     * มูลค่าและความเสี่ยงของพอร์ตในแต่ละสถานการณ์วิกฤต (จาก ScenarioEngine)
+     */
+    formatStressTests(stressTests) {
+        const percent = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+        
+        let text = '\n🌪️ **ทดสอบภาวะวิกฤต (Stress Test):**\n';
+        
+        for (const result of stressTests) {
+            const period = result.period ? ` [${result.period.from} ถึง ${result.period.to}]` : '';
+            text += `• ${result.label}${period}\n`;
+            text += `   - มูลค่า: ${this.formatMoney(result.currentValue)} → ${this.formatMoney(result.stressedValue)} (${percent(result.changePercent)}, ${result.change >= 0 ? '+' : ''}${this.formatMoney(result.change)})\n`;
+            
+            let riskLine = `   - ความเสี่ยงพอร์ต: ${result.riskBefore.score} → ${result.riskAfter.score}/10 (${result.riskAfter.level})`;
+            if (result.stressedReturn !== null) {
+                riskLine += ` | กำไร/ขาดทุนเทียบต้นทุน ${percent(result.stressedReturn)}`;
+            }
+            if (result.largest) {
+                riskLine += ` | สัดส่วนใหญ่สุด ${result.largest.symbol} ${result.largest.weight.toFixed(1)}%`;
+            }
+            text += `${riskLine}\n`;
+
+            if (result.type === 'historical') {
+                const replayed = result.holdings.filter(holding => holding.source === 'ราคาจริง').map(holding => holding.symbol);
+                if (replayed.length === 0) {
+                    text += '   - ที่มา: ไม่มีราคาย้อนหลัง ใช้ค่าประมาณในไฟล์สถานการณ์\n';
+                } else {
+                    const fallback = replayed.length < result.holdings.length ? ' (ที่เหลือใช้ค่าประมาณในไฟล์สถานการณ์)' : '';
+                    text += `   - ที่มา: ราคาจริงช่วงนั้น ${replayed.join(', ')}${fallback}\n`;
+                }
+            }
+            
+            const hit = result.holdings.filter(holding => holding.change < 0).slice(0, 3);
+            if (hit.length > 0) {
+                const details = hit.map(holding => {
+                    const causes = [];
+                    if (holding.priceShock !== 0) causes.push(`${holding.source} ${percent(holding.priceShock)}`);
+                    if (Math.abs(holding.fxShock) >= 0.05) causes.push(`ค่าเงิน ${percent(holding.fxShock)}`);
+                    return `${holding.symbol} ${percent(holding.changePercent)} (${causes.join(', ')})`;
+                });
+                text += `   - กระทบมากสุด: ${details.join(', ')}\n`;
+            }
+        }
+        
+        return text;
+    }
+
+    formatMoney(value) {
+        return this.valuationEngine.formatMoney(value);
+    }
+
+    /**
+     * ที่มาของคะแนนความเสี่ยงรายตัว: ตัวชี้วัดจากราคา (หรือโปรไฟล์) และรายการปรับคะแนน
+     */
+    formatRiskInputs(analysis) {
+        const risk = analysis.overallRisk;
+        if (risk.baseScore === undefined) return '';
+        
+        let text = analysis.riskMetrics
+            ? `     - จากราคา ${analysis.riskMetrics.observations} วัน: ${this.riskMetrics.describe(analysis.riskMetrics)} → คะแนนฐาน ${risk.baseScore}\n`
+            : `     - ไม่มีราคาย้อนหลังพอ ใช้คะแนนจากโปรไฟล์: ${risk.baseScore}\n`;
+        
+        if (risk.adjustments.length > 0) {
+            text += `     - ปรับคะแนน: ${risk.adjustments.map(item => `${item.reason} ${item.points > 0 ? '+' : ''}${item.points}`).join(', ')}\n`;
+        }
+        
+        return text;
+    }
+
     /**
      * คำนวณความเสี่ยงของพอร์ต
+     * ส่วนที่มีราคาย้อนหลังใช้คะแนนจากตัวชี้วัดของทั้งพอร์ต (สะท้อนการกระจายความเสี่ยง)
+     * ส่วนที่ไม่มีใช้คะแนนฐานรายตัวถ่วงน้ำหนัก แล้วบวกการปรับคะแนนรายตัวถ่วงน้ำหนัก
      */
     calculatePortfolioRisk(riskAnalysisList) {
         if (riskAnalysisList.length === 0) return { score: 5, level: 'ปานกลาง' };
@@ -662,11 +901,31 @@ class StockRiskAnalyzer {
             weightedRisk += analysis.overallRisk.score * weight;
         }
         
-        const portfolioScore = Math.round(weightedRisk);
+        const metrics = totalValue > 0
+            ? this.riskMetrics.analyzePortfolio(riskAnalysisList.map(analysis => ({ symbol: analysis.symbol, value: analysis.currentValue })))
+            : null;
+        
+        if (metrics) {
+            let uncoveredRisk = 0;
+            let adjustment = 0;
+            for (const analysis of riskAnalysisList) {
+                const weight = analysis.currentValue / totalValue;
+                const baseScore = analysis.overallRisk.baseScore ?? analysis.overallRisk.score;
+                adjustment += (analysis.overallRisk.score - baseScore) * weight;
+                if (!analysis.riskMetrics) {
+                    uncoveredRisk += baseScore * weight;
+                }
+            }
+            weightedRisk = metrics.score * metrics.coverage + uncoveredRisk + adjustment;
+        }
+        
+        const portfolioScore = Math.max(1, Math.min(10, Math.round(weightedRisk)));
         
         return {
             score: portfolioScore,
-            level: this.getRiskLevel(portfolioScore)
+            level: this.getRiskLevel(portfolioScore),
+            basis: metrics ? 'price' : 'profile',
+            metrics: metrics
         };
     }
 
@@ -684,38 +943,7 @@ class StockRiskAnalyzer {
      * แปลงข้อมูลหุ้นจาก string
      */
     parseStockData(stockData) {
-        const lines = stockData.split('\n').filter(line => line.trim());
-        const stockList = [];
-        
-        for (const line of lines) {
-            if (line.includes('ประเภท') || line.includes('ชื่อ')) continue;
-            
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 3) {
-                // ดึงแอพเทรดจากส่วนท้าย (อาจมี quotes)
-                let tradingApp = '-';
-                if (parts.length >= 6) {
-                    // หาส่วนที่เป็นแอพเทรด (มักจะอยู่ในเครื่องหมาย quotes)
-                    const quotedParts = line.match(/"([^"]+)"/);
-                    if (quotedParts) {
-                        tradingApp = quotedParts[1];
-                    } else if (parts.length > 5) {
-                        tradingApp = parts.slice(5).join(' ');
-                    }
-                }
-                
-                stockList.push({
-                    type: parts[0],
-                    symbol: parts[1],
-                    amount: parts[2],
-                    purchasePrice: parts.length > 3 ? parts[3] : '-',
-                    investmentPeriod: parts.length > 4 ? parts[4] + ' ' + (parts[5] || '') : '20 ปี',
-                    tradingApp: tradingApp
-                });
-            }
-        }
-        
-        return stockList;
+        return new PortfolioParser().parseText(stockData).holdings;
     }
 }
 
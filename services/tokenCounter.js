@@ -0,0 +1,28 @@
+/**
+ * นับ token ในเครื่องโดยไม่เรียก API ใช้ประเมินขนาด prompt ก่อนส่ง และเป็นค่าประมาณเมื่อ API ไม่ส่ง usage กลับมา
+ *
+ * ใช้ BPE tokenizer จริงจากแพ็กเกจ gpt-tokenizer (ค่าเริ่มต้น o200k_base ของ GPT-4o)
+ * โมเดลที่ใช้ tokenizer อื่น (เช่น Gemini) จะได้ค่าใกล้เคียง ไม่ใช่ค่าเดียวกับที่ API คิดเงิน
+ */
+const ENCODINGS = ['o200k_base', 'cl100k_base'];
+
+class TokenCounter {
+    constructor(options = {}) {
+        this.encoding = options.encoding || 'o200k_base';
+        if (!ENCODINGS.includes(this.encoding)) {
+            throw new Error(`ไม่รองรับ encoding ${this.encoding} (รองรับ: ${ENCODINGS.join(', ')})`);
+        }
+        this.tokenizer = require(`gpt-tokenizer/encoding/${this.encoding}`);
+    }
+
+    /**
+     * จำนวน token ของข้อความตาม encoding ที่เลือก
+     */
+    count(text) {
+        return text ? this.tokenizer.countTokens(text) : 0;
+    }
+}
+
+TokenCounter.ENCODINGS = ENCODINGS;
+
+module.exports = TokenCounter;
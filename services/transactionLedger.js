@@ -0,0 +1,416 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const PortfolioParser = require('./portfolioParser');
+const QuantityParser = require('./quantityParser');
+
+// ชื่อคอลัมน์/คีย์ของไฟล์รายการซื้อขาย -> ชื่อฟิลด์มาตรฐาน
+const TRANSACTION_FIELDS = {
+    date: ['date', 'tradedate', 'วันที่', 'วันที่ทำรายการ'],
+    action: ['action', 'side', 'transaction', 'รายการ', 'ประเภทรายการ'],
+    type: ['type', 'assettype', 'ประเภท'],
+    symbol: ['symbol', 'ticker', 'name', 'ชื่อ'],
+    quantity: ['quantity', 'amount', 'units', 'จำนวน'],
+    unit: ['unit', 'หน่วย'],
+    price: ['price', 'unitprice', 'ราคา', 'ราคาต่อหน่วย'],
+    total: ['total', 'value', 'มูลค่า', 'ยอดเงิน'],
+    fee: ['fee', 'fees', 'commission', 'ค่าธรรมเนียม'],
+    currency: ['currency', 'สกุลเงิน'],
+    app: ['app', 'tradingapp', 'แอพ', 'แอพที่เทรด'],
+    lot: ['lot', 'lotid', 'ล็อต']
+};
+
+const ACTIONS = {
+    buy: ['buy', 'ซื้อ'],
+    sell: ['sell', 'ขาย'],
+    dividend: ['dividend', 'div', 'ปันผล', 'เงินปันผล'],
+    fee: ['fee', 'ค่าธรรมเนียม']
+};
+
+const COST_BASIS_METHODS = ['fifo', 'average'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// เศษทศนิยมจากการขายหมด ถือว่าเป็นศูนย์
+const EPSILON = 1e-9;
+
+/**
+ * สมุดรายการซื้อขายรายล็อต (ซื้อ / ขาย / ปันผล / ค่าธรรมเนียม)
+ *
+ * อ่านไฟล์ CSV / JSON / YAML แล้วคำนวณสถานะต่อสินทรัพย์:
+ * - ต้นทุนแบบ FIFO และแบบถัวเฉลี่ย (method เลือกว่าจะใช้ค่าไหนเป็นหลัก)
+ * - กำไร/ขาดทุนที่รับรู้แล้วจากการขาย
+ * - ล็อตที่ยังถืออยู่พร้อมจำนวนวันที่ถือ (ตัดล็อตตามลำดับ FIFO เสมอ)
+ *
+ * ค่าธรรมเนียมที่ผูกกับการซื้อรวมในต้นทุน ค่าธรรมเนียมตอนขายหักจากเงินที่ได้
+ * ส่วนรายการค่าธรรมเนียมแยก (action = fee) นับใน fees ของสินทรัพย์นั้น
+ */
+class TransactionLedger {
+    constructor(options = {}) {
+        this.source = options.source || null;
+        this.format = options.format || null;
+        this.method = (options.method || 'fifo').toLowerCase();
+
+        if (!COST_BASIS_METHODS.includes(this.method)) {
+            throw new Error(`ไม่รองรับวิธีคิดต้นทุน: ${options.method} (ใช้ได้: ${COST_BASIS_METHODS.join(', ')})`);
+        }
+
+        this.portfolioParser = new PortfolioParser();
+        this.quantityParser = new QuantityParser();
+    }
+
+    /**
+     * อ่านไฟล์รายการซื้อขายจาก URL หรือ path แล้วคำนวณสถานะ
+     */
+    async load(asOf = new Date()) {
+        logger.process('กำลังอ่านรายการซื้อขาย...');
+
+        const { data, contentType } = await this.readSource();
+        const parsed = this.parse(data, { contentType, fileName: this.source, format: this.format });
+        const { positions, errors } = this.buildPositions(parsed.transactions, asOf);
+        const allErrors = [...parsed.errors, ...errors];
+
+        for (const error of allErrors) {
+            logger.warn(`อ่านรายการซื้อขายไม่ได้ (${this.portfolioParser.formatLocation(error)}): ${error.message}${error.raw ? ` -> ${error.raw}` : ''}`);
+        }
+
+        logger.success(`อ่านรายการซื้อขาย ${parsed.transactions.length} รายการ (${Object.keys(positions).length} สินทรัพย์, ต้นทุนแบบ ${this.method.toUpperCase()})`);
+        return { format: parsed.format, transactions: parsed.transactions, positions, errors: allErrors };
+    }
+
+    async readSource() {
+        if (!this.source) {
+            throw new Error('ไม่ได้ระบุไฟล์รายการซื้อขาย');
+        }
+
+        if (/^https?:\/\//i.test(this.source)) {
+            const response = await axios.get(this.source, {
+                timeout: 30000,
+                transformResponse: [data => data]
+            });
+            return { data: response.data, contentType: response.headers?.['content-type'] || null };
+        }
+
+        const data = await fs.readFile(path.resolve(this.source), 'utf8');
+        return { data, contentType: null };
+    }
+
+    /**
+     * ข้อมูลดิบ -> { format, transactions, errors } เรียงตามวันที่
+     */
+    parse(rawData, options = {}) {
+        const format = this.portfolioParser.detectFormat(options);
+        const content = String(rawData || '').replace(/^\uFEFF/, '');
+
+        if (format === 'text') {
+            return {
+                format,
+                transactions: [],
+                errors: [{ line: null, item: null, message: 'ไฟล์รายการซื้อขายต้องเป็น CSV, JSON หรือ YAML', raw: null }]
+            };
+        }
+
+        const { records, errors } = this.portfolioParser.readRecords(content, format, {
+            aliases: TRANSACTION_FIELDS,
+            required: ['date', 'action', 'symbol'],
+            listKey: 'transactions'
+        });
+
+        const transactions = [];
+        for (const { record, line, item, raw } of records) {
+            try {
+                transactions.push(this.createTransaction(record, { line, item }));
+            } catch (error) {
+                errors.push({ line, item, message: error.message, raw });
+            }
+        }
+
+        // เรียงตามวันที่ รายการวันเดียวกันคงลำดับตามไฟล์ (บรรทัดของ CSV หรือลำดับรายการของ JSON/YAML)
+        transactions.sort((a, b) => a.date.localeCompare(b.date) || (a.line ?? a.item) - (b.line ?? b.item));
+
+        return { format, transactions, errors };
+    }
+
+    createTransaction(record, { line, item }) {
+        const cleanText = value => this.portfolioParser.cleanText(value);
+
+        const action = this.resolveAction(cleanText(record.action));
+        const symbol = cleanText(record.symbol);
+        if (!symbol) throw new Error('ไม่ระบุชื่อหุ้น/สินทรัพย์');
+
+        const date = this.parseDate(record.date);
+        const type = cleanText(record.type);
+        const assetClass = this.quantityParser.getAssetClass(type, symbol);
+        const unitText = cleanText(record.unit);
+        const currencyText = cleanText(record.currency);
+        const defaultCurrency = currencyText ? currencyText.toUpperCase() : (assetClass === 'gold' ? 'THB' : null);
+
+        let quantity;
+        try {
+            const amountText = record.quantity === null || record.quantity === undefined ? null : String(record.quantity);
+            quantity = this.quantityParser.parseQuantity(
+                amountText && unitText ? `${amountText} ${unitText}` : amountText,
+                { assetClass, symbol }
+            );
+        } catch (error) {
+            throw new Error(`จำนวน: ${error.message}`);
+        }
+
+        const money = {};
+        for (const field of ['price', 'total', 'fee']) {
+            try {
+                money[field] = this.quantityParser.parseMoney(record[field], { defaultCurrency });
+            } catch (error) {
+                throw new Error(`${field}: ${error.message}`);
+            }
+        }
+
+        const currencies = new Set(Object.values(money).map(value => value.currency).filter(Boolean));
+        if (currencies.size > 1) {
+            throw new Error(`สกุลเงินไม่ตรงกันในรายการเดียว: ${[...currencies].join(', ')}`);
+        }
+
+        const fee = money.fee.amount || 0;
+        let total = money.total.amount;
+
+        if (action === 'buy' || action === 'sell') {
+            if (!quantity.amount || quantity.amount <= 0) {
+                throw new Error('รายการซื้อ/ขายต้องระบุจำนวนมากกว่า 0');
+            }
+            if (total === null) {
+                if (money.price.amount === null) throw new Error('รายการซื้อ/ขายต้องระบุราคาต่อหน่วยหรือมูลค่ารวม');
+                total = quantity.amount * money.price.amount;
+            }
+        } else if (action === 'dividend') {
+            if (total === null && money.price.amount !== null && quantity.amount) {
+                total = quantity.amount * money.price.amount;
+            }
+            if (total === null) throw new Error('รายการปันผลต้องระบุยอดเงิน');
+        } else if (total === null) {
+            total = fee;
+        }
+
+        return {
+            date: date,
+            action: action,
+            symbol: symbol,
+            type: type,
+            assetClass: assetClass,
+            quantity: quantity.amount,
+            unit: quantity.unit,
+            total: total,
+            fee: action === 'fee' ? total : fee,
+            currency: [...currencies][0] || defaultCurrency,
+            app: cleanText(record.app)?.replace(/['"]/g, '') || null,
+            lot: cleanText(record.lot),
+            line: line,
+            item: item
+        };
+    }
+
+    resolveAction(text) {
+        const key = (text || '').toLowerCase();
+        for (const [action, aliases] of Object.entries(ACTIONS)) {
+            if (aliases.includes(key)) return action;
+        }
+        throw new Error(`ไม่รู้จักรายการ "${text || ''}" (ใช้ได้: buy, sell, dividend, fee)`);
+    }
+
+    /**
+     * วันที่ -> 'YYYY-MM-DD' รองรับ 2024-01-31, 31/01/2024 และปี พ.ศ. (31/01/2567)
+     */
+    parseDate(value) {
+        if (value instanceof Date && !isNaN(value)) {
+            return value.toISOString().split('T')[0];
+        }
+
+        const text = String(value ?? '').trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        let year, month, day;
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+            [, day, month, year] = match.map(Number);
+        } else {
+            throw new Error(`วันที่ไม่ถูกต้อง: "${text}"`);
+        }
+
+        if (year > 2400) year -= 543;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            throw new Error(`วันที่ไม่ถูกต้อง: "${text}"`);
+        }
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * รายการซื้อขาย -> { positions: { [symbol]: position }, errors }
+     */
+    buildPositions(transactions, asOf = new Date()) {
+        const positions = {};
+        const errors = [];
+
+        for (const transaction of transactions) {
+            let position = positions[transaction.symbol];
+            if (!position) {
+                position = positions[transaction.symbol] = this.createPosition(transaction);
+            }
+
+            if (transaction.currency && position.currency && transaction.currency !== position.currency) {
+                errors.push({
+                    line: transaction.line,
+                    item: transaction.item,
+                    message: `${transaction.symbol}: สกุลเงิน ${transaction.currency} ไม่ตรงกับรายการก่อนหน้า (${position.currency})`,
+                    raw: null
+                });
+                continue;
+            }
+            position.currency = position.currency || transaction.currency;
+            position.type = position.type || transaction.type;
+            position.app = transaction.app || position.app;
+            position.transactionCount++;
+
+            try {
+                this.applyTransaction(position, transaction);
+            } catch (error) {
+                errors.push({ line: transaction.line, item: transaction.item, message: `${transaction.symbol}: ${error.message}`, raw: null });
+            }
+        }
+
+        for (const position of Object.values(positions)) {
+            this.finalizePosition(position, asOf);
+        }
+
+        return { positions, errors };
+    }
+
+    createPosition(transaction) {
+        return {
+            symbol: transaction.symbol,
+            type: transaction.type,
+            assetClass: transaction.assetClass,
+            unit: transaction.unit,
+            currency: transaction.currency,
+            app: transaction.app,
+            method: this.method,
+            quantity: 0,
+            lots: [],
+            closedLots: [],
+            fifo: { costBasis: 0, realizedPL: 0 },
+            average: { costBasis: 0, realizedPL: 0 },
+            dividends: 0,
+            fees: 0,
+            firstDate: transaction.date,
+            transactionCount: 0
+        };
+    }
+
+    applyTransaction(position, transaction) {
+        switch (transaction.action) {
+            case 'buy': {
+                const cost = transaction.total + transaction.fee;
+                position.lots.push({
+                    id: transaction.lot || `${transaction.symbol}-${position.lots.length + position.closedLots.length + 1}`,
+                    date: transaction.date,
+                    quantity: transaction.quantity,
+                    originalQuantity: transaction.quantity,
+                    costPerUnit: cost / transaction.quantity,
+                    cost: cost
+                });
+                position.quantity += transaction.quantity;
+                position.fifo.costBasis += cost;
+                position.average.costBasis += cost;
+                break;
+            }
+            case 'sell':
+                this.applySell(position, transaction);
+                break;
+            case 'dividend':
+                position.dividends += transaction.total - transaction.fee;
+                break;
+            case 'fee':
+                position.fees += transaction.fee;
+                break;
+        }
+    }
+
+    applySell(position, transaction) {
+        if (transaction.quantity > position.quantity + EPSILON) {
+            throw new Error(`ขาย ${transaction.quantity} มากกว่าที่ถืออยู่ ${this.round(position.quantity)}`);
+        }
+
+        const proceeds = transaction.total - transaction.fee;
+
+        // ถัวเฉลี่ย: ต้นทุนที่ขายออก = จำนวน x ต้นทุนเฉลี่ยก่อนขาย
+        const averageCostOut = position.average.costBasis * (transaction.quantity / position.quantity);
+        position.average.costBasis -= averageCostOut;
+        position.average.realizedPL += proceeds - averageCostOut;
+
+        // FIFO: ตัดล็อตเก่าสุดก่อน
+        let remaining = transaction.quantity;
+        while (remaining > EPSILON && position.lots.length > 0) {
+            const lot = position.lots[0];
+            const sold = Math.min(lot.quantity, remaining);
+            const cost = sold * lot.costPerUnit;
+            const lotProceeds = proceeds * (sold / transaction.quantity);
+
+            position.closedLots.push({
+                id: lot.id,
+                buyDate: lot.date,
+                sellDate: transaction.date,
+                quantity: sold,
+                cost: cost,
+                proceeds: lotProceeds,
+                realizedPL: lotProceeds - cost,
+                holdingDays: this.daysBetween(lot.date, transaction.date)
+            });
+
+            position.fifo.costBasis -= cost;
+            position.fifo.realizedPL += lotProceeds - cost;
+            lot.quantity -= sold;
+            lot.cost = lot.quantity * lot.costPerUnit;
+            remaining -= sold;
+
+            if (lot.quantity <= EPSILON) {
+                position.lots.shift();
+            }
+        }
+
+        position.quantity -= transaction.quantity;
+        if (position.quantity <= EPSILON) {
+            position.quantity = 0;
+            position.fifo.costBasis = 0;
+            position.average.costBasis = 0;
+        }
+    }
+
+    finalizePosition(position, asOf) {
+        const asOfDate = this.parseDate(asOf);
+
+        position.quantity = this.round(position.quantity);
+        for (const lot of position.lots) {
+            lot.quantity = this.round(lot.quantity);
+            lot.holdingDays = this.daysBetween(lot.date, asOfDate);
+        }
+
+        const selected = position[position.method];
+        position.costBasis = selected.costBasis;
+        position.realizedPL = selected.realizedPL;
+        position.averageCost = position.quantity > 0 ? selected.costBasis / position.quantity : 0;
+        position.holdingDays = position.lots.length > 0 ? position.lots[0].holdingDays : 0;
+    }
+
+    daysBetween(fromDate, toDate) {
+        return Math.floor((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+    }
+
+    round(value) {
+        return this.quantityParser.round(value);
+    }
+}
+
+TransactionLedger.COST_BASIS_METHODS = COST_BASIS_METHODS;
+
+module.exports = TransactionLedger;
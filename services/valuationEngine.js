@@ -0,0 +1,208 @@
+const FxService = require('./fxService');
+
+const BASE_CURRENCIES = ['THB', 'USD'];
+
+/**
+ * แปลงมูลค่าทุก holding เป็นสกุลเงินหลัก (THB หรือ USD) ด้วยอัตราแลกเปลี่ยนชุดเดียวของการรัน
+ *
+ * ความหมายของราคาในไฟล์พอร์ต: price = ต้นทุนรวมของรายการนั้น ในสกุล currency
+ * (ถ้าไม่ระบุสกุลเงิน ถือว่าเป็นสกุลเดียวกับราคาตลาด)
+ *
+ * ต้นทุนในอดีตแปลงด้วยอัตราปัจจุบัน ผลกำไร/ขาดทุนจึงรวมผลของค่าเงินไว้ด้วย
+ */
+class ValuationEngine {
+    constructor(fxService = null, baseCurrency = 'THB') {
+        this.fxService = fxService || new FxService();
+        this.baseCurrency = (baseCurrency || 'THB').toUpperCase();
+
+        if (!BASE_CURRENCIES.includes(this.baseCurrency)) {
+            throw new Error(`ไม่รองรับสกุลเงินหลัก: ${baseCurrency} (ใช้ได้: ${BASE_CURRENCIES.join(', ')})`);
+        }
+    }
+
+    /**
+     * โหลดอัตราแลกเปลี่ยนก่อนคำนวณ
+     */
+    async prepare() {
+        return this.fxService.loadSnapshot();
+    }
+
+    toBase(amount, currency) {
+        return this.fxService.convert(amount, currency || this.baseCurrency, this.baseCurrency);
+    }
+
+    /**
+     * สกุลเงินของราคาตลาดเมื่อไม่มี quote: ทองเป็นบาท นอกนั้นเป็น USD
+     */
+    getDefaultPriceCurrency(stock) {
+        return stock.type === 'ทอง' || stock.assetClass === 'gold' ? 'THB' : 'USD';
+    }
+
+    /**
+     * คู่สกุลเงินที่ไม่มีใน FX snapshot เช่น ['JPY/THB']
+     */
+    getMissingRates(currencies) {
+        return [...new Set(currencies.filter(Boolean))]
+            .filter(currency => !this.fxService.hasRate(currency, this.baseCurrency))
+            .map(currency => `${currency}/${this.baseCurrency}`);
+    }
+
+    /**
+     * มูลค่าของ holding จากราคาตลาด quote = { price, currency }
+     * ถ้ามี stock.position (จากรายการซื้อขาย) ใช้ต้นทุนรายล็อตแทน price ในไฟล์พอร์ต
+     * สกุลเงินที่ไม่มีอัตราแลกเปลี่ยนจะไม่คิดมูลค่าตัวนั้น (missingRates) แต่ตัวอื่นยังคำนวณต่อ
+     */
+    valueHolding(stock, quote) {
+        const priceCurrency = quote?.currency || this.getDefaultPriceCurrency(stock);
+        const costCurrency = (stock.position ? stock.position.currency : stock.currency) || priceCurrency;
+        const missingRates = this.getMissingRates([priceCurrency, costCurrency]);
+        if (missingRates.length > 0) {
+            return {
+                currentValue: 0,
+                purchaseValue: 0,
+                unrealizedGainLoss: 0,
+                returnPercentage: 0,
+                currency: this.baseCurrency,
+                priceCurrency: priceCurrency,
+                costCurrency: costCurrency,
+                missingRates: missingRates,
+                status: 'ไม่สามารถคำนวณได้'
+            };
+        }
+
+        if (stock.position) {
+            return this.valuePosition(stock, quote);
+        }
+
+        const currentPrice = quote?.price || 0;
+        const base = {
+            currency: this.baseCurrency,
+            priceCurrency: priceCurrency,
+            costCurrency: costCurrency
+        };
+
+        if (!stock.price || currentPrice === 0) {
+            return {
+                currentValue: 0,
+                purchaseValue: 0,
+                unrealizedGainLoss: 0,
+                returnPercentage: 0,
+                ...base,
+                status: 'ไม่สามารถคำนวณได้'
+            };
+        }
+
+        const currentValue = this.toBase(stock.amount * currentPrice, priceCurrency);
+        const purchaseValue = this.toBase(stock.price, costCurrency);
+        const unrealizedGainLoss = currentValue - purchaseValue;
+
+        return {
+            currentValue: currentValue,
+            purchaseValue: purchaseValue,
+            unrealizedGainLoss: unrealizedGainLoss,
+            returnPercentage: purchaseValue > 0 ? (unrealizedGainLoss / purchaseValue) * 100 : 0,
+            ...base,
+            status: unrealizedGainLoss >= 0 ? 'กำไร' : 'ขาดทุน'
+        };
+    }
+
+    /**
+     * มูลค่าจากต้นทุนจริงรายล็อต (TransactionLedger)
+     */
+    valuePosition(stock, quote) {
+        const position = stock.position;
+        const currentPrice = quote?.price || 0;
+        const priceCurrency = quote?.currency || this.getDefaultPriceCurrency(stock);
+        const costCurrency = position.currency || priceCurrency;
+        const toBase = amount => this.toBase(amount, costCurrency);
+
+        const purchaseValue = toBase(position.costBasis);
+        const realizedGainLoss = toBase(position.realizedPL);
+        const dividends = toBase(position.dividends);
+        const fees = toBase(position.fees);
+        const marketPrice = currentPrice > 0 ? this.toBase(currentPrice, priceCurrency) : 0;
+        const lots = position.lots.map(lot => ({
+            id: lot.id,
+            date: lot.date,
+            quantity: lot.quantity,
+            cost: toBase(lot.cost),
+            costPerUnit: toBase(lot.costPerUnit),
+            holdingDays: lot.holdingDays,
+            unrealizedGainLoss: marketPrice > 0 ? lot.quantity * marketPrice - toBase(lot.cost) : 0
+        }));
+
+        const lotMetrics = {
+            costBasisMethod: position.method,
+            averageCost: toBase(position.averageCost),
+            realizedGainLoss: realizedGainLoss,
+            dividends: dividends,
+            fees: fees,
+            holdingDays: position.holdingDays,
+            lots: lots,
+            currency: this.baseCurrency,
+            priceCurrency: priceCurrency,
+            costCurrency: costCurrency
+        };
+
+        if (marketPrice === 0) {
+            return {
+                currentValue: 0,
+                purchaseValue: purchaseValue,
+                unrealizedGainLoss: 0,
+                returnPercentage: 0,
+                totalGainLoss: realizedGainLoss + dividends - fees,
+                ...lotMetrics,
+                status: 'ไม่สามารถคำนวณได้'
+            };
+        }
+
+        const currentValue = stock.amount * marketPrice;
+        const unrealizedGainLoss = currentValue - purchaseValue;
+
+        return {
+            currentValue: currentValue,
+            purchaseValue: purchaseValue,
+            unrealizedGainLoss: unrealizedGainLoss,
+            returnPercentage: purchaseValue > 0 ? (unrealizedGainLoss / purchaseValue) * 100 : 0,
+            totalGainLoss: unrealizedGainLoss + realizedGainLoss + dividends - fees,
+            ...lotMetrics,
+            status: unrealizedGainLoss >= 0 ? 'กำไร' : 'ขาดทุน'
+        };
+    }
+
+    /**
+     * แสดงจำนวนเงินในสกุลหลัก เช่น "12,345 บาท" หรือ "$1,234.56"
+     */
+    formatMoney(value, currency = this.baseCurrency) {
+        if (currency === 'THB') {
+            return `${value.toLocaleString('en-US', { maximumFractionDigits: 0 })} บาท`;
+        }
+        if (currency === 'USD') {
+            const text = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            return `${value < 0 ? '-' : ''}$${text}`;
+        }
+        return `${value.toFixed(2)} ${currency}`;
+    }
+
+    /**
+     * มูลค่าในสกุลหลักพร้อมค่าเทียบในอีกสกุล เช่น "36,500 บาท (≈$1,000.00)"
+     */
+    formatWithAlternate(value) {
+        const alternate = this.baseCurrency === 'THB' ? 'USD' : 'THB';
+        const converted = this.fxService.convert(value, this.baseCurrency, alternate);
+        return `${this.formatMoney(value)} (≈${this.formatMoney(converted, alternate)})`;
+    }
+
+    /**
+     * บรรทัดอัตราแลกเปลี่ยนและแหล่งที่มาสำหรับรายงาน
+     */
+    describeRate() {
+        const snapshot = this.fxService.getSnapshot();
+        const staleNote = snapshot?.stale ? ' ⚠️ ไม่ใช่อัตราล่าสุด' : '';
+        return `${this.fxService.describe('USD', 'THB')}${staleNote}`;
+    }
+}
+
+ValuationEngine.BASE_CURRENCIES = BASE_CURRENCIES;
+
+module.exports = ValuationEngine;
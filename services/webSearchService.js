@@ -1,36 +1,54 @@
 const axios = require('axios');
 const logger = require('./logger');
-const fs = require('fs');
-const path = require('path');
 const CostTracker = require('./costTracker');
+const PriceService = require('./priceService');
+const FxService = require('./fxService');
+const ValuationEngine = require('./valuationEngine');
+
+// คำค้น Google ของข่าวทั่วไป (searchAllNews) และข่าวรายหุ้น (searchStockSpecificNews)
+const NEWS_QUERIES = {
+    economic: ['Thailand economy GDP inflation', 'US Federal Reserve interest rate'],
+    geopolitical: ['Ukraine Russia war', 'Middle East conflict'],
+    gold: ['gold price today'],
+    stock: ['Thailand stock market SET', 'US stock market S&P 500'],
+    crypto: ['Bitcoin price today'],
+    currency: ['USD THB exchange rate']
+};
+const STOCK_NEWS_QUERIES = [
+    symbol => `${symbol} stock news today`,
+    symbol => `${symbol} financial results earnings`,
+    symbol => `${symbol} bankruptcy liquidation risk`,
+    symbol => `${symbol} company news update`
+];
 
 class WebSearchService {
-    constructor(googleApiKey, searchEngineId, newsApiKey, dailyLimit = 200, freeDailyLimit = 100) {
+    constructor(googleApiKey, searchEngineId, newsApiKey, dailyLimit = 200, freeDailyLimit = 100, priceService = null, valuationEngine = null, costTracker = null) {
         this.googleApiKey = googleApiKey;
         this.searchEngineId = searchEngineId;
         this.newsApiKey = newsApiKey;
         this.dailyLimit = parseInt(dailyLimit) || 200;
         this.freeDailyLimit = parseInt(freeDailyLimit) || 100;
         this.costPer1000 = 5; // $5 per 1,000 requests
-        this.exchangeRate = 35; // Default fallback rate
-        this.costTracker = new CostTracker();
-        
-        // Initialize exchange rate asynchronously
-        this.initializeExchangeRate();
+        // false = ใช้เฉพาะโควต้าฟรีของวันนี้ (ตั้งจากการประมาณค่าใช้จ่ายก่อนรัน)
+        this.allowPaidSearches = true;
+        this.exchangeRate = FxService.FALLBACK_RATES.THB; // Default fallback rate
+        this.priceService = priceService || new PriceService();
+        this.valuationEngine = valuationEngine || new ValuationEngine(new FxService({
+            mode: this.priceService.mode,
+            fixtureFile: this.priceService.fixtureFile
+        }));
+        // คำค้นทุกครั้งบันทึกลงบัญชีค่าใช้จ่ายเดียวกับ AI (data/cost-ledger.jsonl)
+        this.costTracker = costTracker || new CostTracker(this.valuationEngine.fxService);
+        this.runId = null;
         this.isGoogleEnabled = googleApiKey && googleApiKey !== 'disabled' && searchEngineId && searchEngineId !== 'disabled';
         this.isNewsEnabled = newsApiKey && newsApiKey !== 'disabled';
-        
-        // ไฟล์บันทึกการใช้งาน quota และค่าใช้จ่าย
-        this.quotaFile = path.join(__dirname, '../data/google_search_quota.json');
-        this.costFile = path.join(__dirname, '../data/google_search_costs.json');
-        this.todayUsage = this.loadTodayUsage();
-        this.costData = this.loadCostData();
+
+        // จำนวนคำค้นของวันนี้ โหลดจากบัญชีค่าใช้จ่ายด้วย loadUsage()
+        this.todayUsage = 0;
         
         // Log API status
         if (this.isGoogleEnabled) {
-            const remaining = this.dailyLimit - this.todayUsage;
-            logger.info(`✅ Google Search API เปิดใช้งาน (เหลือ ${remaining}/${this.dailyLimit} คำค้น)`);
-            // Cost information will be logged after exchange rate is initialized
+            logger.info(`✅ Google Search API เปิดใช้งาน (วันละ ${this.dailyLimit} คำค้น, ฟรี ${this.freeDailyLimit})`);
         } else {
             logger.warn('⚠️ Google Search API ปิดใช้งาน');
         }
@@ -42,194 +60,26 @@ class WebSearchService {
         }
     }
 
-    // Initialize exchange rate from CostTracker
-    async initializeExchangeRate() {
+    // โหลดจำนวนคำค้นของวันนี้จากบัญชีค่าใช้จ่าย และอัตราแลกเปลี่ยนของการรันนี้
+    async loadUsage() {
         try {
             this.exchangeRate = await this.costTracker.getExchangeRate();
-            logger.info(`💱 อัตราแลกเปลี่ยน Google Search: 1 USD = ${this.exchangeRate} THB`);
-            
-            // Log cost information after exchange rate is available
-            if (this.isGoogleEnabled) {
-                const { todayCost, monthlyCost } = await this.calculateCosts();
-                logger.money(`ค่าใช้จ่ายวันนี้: ${todayCost.toFixed(2)} บาท, เดือนนี้: ${monthlyCost.toFixed(2)} บาท`);
-            }
         } catch (error) {
             logger.warn(`⚠️ ไม่สามารถดึงอัตราแลกเปลี่ยนได้ ใช้อัตราเริ่มต้น ${this.exchangeRate} บาท`);
         }
-    }
-
-    // โหลดข้อมูลการใช้งานของวันนี้
-    loadTodayUsage() {
-        try {
-            if (fs.existsSync(this.quotaFile)) {
-                const data = JSON.parse(fs.readFileSync(this.quotaFile, 'utf8'));
-                const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-                
-                if (data.date === today) {
-                    return data.usage || 0;
-                }
-            }
-            
-            // วันใหม่ หรือไฟล์ไม่มี - reset การใช้งาน
-            return 0;
-        } catch (error) {
-            logger.warn(`ไม่สามารถโหลดข้อมูล quota: ${error.message}`);
-            return 0;
-        }
-    }
-
-    // โหลดข้อมูลค่าใช้จ่าย
-    loadCostData() {
-        try {
-            if (fs.existsSync(this.costFile)) {
-                const data = JSON.parse(fs.readFileSync(this.costFile, 'utf8'));
-                return data;
-            }
-            
-            // ไฟล์ไม่มี - สร้างข้อมูลเริ่มต้น
-            return {
-                daily: {},
-                monthly: {},
-                total: {
-                    requests: 0,
-                    costUSD: 0,
-                    costTHB: 0
-                }
-            };
-        } catch (error) {
-            logger.warn(`ไม่สามารถโหลดข้อมูลค่าใช้จ่าย: ${error.message}`);
-            return {
-                daily: {},
-                monthly: {},
-                total: { requests: 0, costUSD: 0, costTHB: 0 }
-            };
-        }
-    }
-
-    // บันทึกข้อมูลค่าใช้จ่าย
-    saveCostData() {
-        try {
-            const dataDir = path.dirname(this.costFile);
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir, { recursive: true });
-            }
-            
-            fs.writeFileSync(this.costFile, JSON.stringify(this.costData, null, 2));
-        } catch (error) {
-            logger.warn(`ไม่สามารถบันทึกข้อมูลค่าใช้จ่าย: ${error.message}`);
-        }
-    }
-
-    // คำนวณค่าใช้จ่าย
-    async calculateCosts() {
-        // Update exchange rate only if it's still the default value
-        if (this.exchangeRate === 35) {
-            try {
-                this.exchangeRate = await this.costTracker.getExchangeRate();
-            } catch (error) {
-                // Use existing rate if update fails
-            }
-        }
-        
-        const today = new Date().toISOString().split('T')[0];
-        const thisMonth = today.substring(0, 7); // YYYY-MM
-        
-        // ค่าใช้จ่ายวันนี้
-        const todayRequests = this.costData.daily[today]?.requests || 0;
-        const freeToday = Math.min(todayRequests, this.freeDailyLimit);
-        const paidToday = Math.max(0, todayRequests - this.freeDailyLimit);
-        const todayCostUSD = (paidToday / 1000) * this.costPer1000;
-        const todayCostTHB = todayCostUSD * this.exchangeRate;
-        
-        // ค่าใช้จ่ายเดือนนี้
-        const monthlyData = this.costData.monthly[thisMonth];
-        let monthlyCostUSD = 0;
-        let monthlyCostTHB = 0;
-        
-        if (monthlyData) {
-            monthlyCostUSD = monthlyData.costUSD || 0;
-            monthlyCostTHB = monthlyData.costTHB || 0;
-        }
-        
-        return {
-            todayCost: todayCostTHB,
-            monthlyCost: monthlyCostTHB,
-            todayFree: freeToday,
-            todayPaid: paidToday,
-            todayCostUSD: todayCostUSD
-        };
-    }
-
-    // อัปเดตข้อมูลค่าใช้จ่าย
-    async updateCostTracking() {
-        const today = new Date().toISOString().split('T')[0];
-        const thisMonth = today.substring(0, 7);
-        
-        // อัปเดตข้อมูลรายวัน
-        if (!this.costData.daily[today]) {
-            this.costData.daily[today] = { requests: 0, costUSD: 0, costTHB: 0 };
-        }
-        this.costData.daily[today].requests = this.todayUsage;
-        
-        // คำนวณค่าใช้จ่ายใหม่
-        const { todayCostUSD, todayCost } = await this.calculateCosts();
-        this.costData.daily[today].costUSD = todayCostUSD;
-        this.costData.daily[today].costTHB = todayCost;
-        
-        // อัปเดตข้อมูลรายเดือน
-        if (!this.costData.monthly[thisMonth]) {
-            this.costData.monthly[thisMonth] = { requests: 0, costUSD: 0, costTHB: 0 };
-        }
-        
-        // คำนวณยอดรวมเดือน
-        let monthlyRequests = 0;
-        let monthlyCostUSD = 0;
-        let monthlyCostTHB = 0;
-        
-        Object.keys(this.costData.daily).forEach(date => {
-            if (date.startsWith(thisMonth)) {
-                const dayData = this.costData.daily[date];
-                monthlyRequests += dayData.requests;
-                monthlyCostUSD += dayData.costUSD;
-                monthlyCostTHB += dayData.costTHB;
-            }
-        });
-        
-        this.costData.monthly[thisMonth] = {
-            requests: monthlyRequests,
-            costUSD: monthlyCostUSD,
-            costTHB: monthlyCostTHB
-        };
-        
-        // อัปเดตยอดรวมทั้งหมด
-        this.costData.total.requests += 1;
-        this.costData.total.costUSD = Object.values(this.costData.monthly).reduce((sum, month) => sum + month.costUSD, 0);
-        this.costData.total.costTHB = Object.values(this.costData.monthly).reduce((sum, month) => sum + month.costTHB, 0);
-        
-        this.saveCostData();
-    }
 
-    // บันทึกการใช้งาน
-    saveTodayUsage() {
         try {
             const today = new Date().toISOString().split('T')[0];
-            const data = {
-                date: today,
-                usage: this.todayUsage,
-                limit: this.dailyLimit,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            // สร้างโฟลเดอร์ data ถ้าไม่มี
-            const dataDir = path.dirname(this.quotaFile);
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir, { recursive: true });
+            const events = await this.costTracker.ledger.loadPeriod(today);
+            const search = this.costTracker.ledger.summarize(events).search;
+            this.todayUsage = search.queries;
+            if (this.isGoogleEnabled) {
+                logger.money(`Google Search วันนี้: ${search.queries}/${this.dailyLimit} คำค้น, ค่าใช้จ่าย ${search.costTHB.toFixed(2)} บาท`);
             }
-            
-            fs.writeFileSync(this.quotaFile, JSON.stringify(data, null, 2));
         } catch (error) {
-            logger.warn(`ไม่สามารถบันทึกข้อมูล quota: ${error.message}`);
+            logger.warn(`ไม่สามารถโหลดข้อมูล quota: ${error.message}`);
         }
+        return this.todayUsage;
     }
 
     // ตรวจสอบว่าสามารถใช้งาน Google Search ได้หรือไม่
@@ -243,23 +93,64 @@ class WebSearchService {
             return false;
         }
         
+        if (!this.allowPaidSearches && this.todayUsage >= this.freeDailyLimit) {
+            logger.warn(`⚠️ Google Search ใช้โควต้าฟรีครบแล้ว (${this.todayUsage}/${this.freeDailyLimit}) - ข้ามคำค้นที่มีค่าใช้จ่าย`);
+            return false;
+        }
+        
         return true;
     }
 
-    // เพิ่มการนับการใช้งาน
-    async incrementUsage() {
+    /**
+     * จำนวนคำค้น Google ที่การรันนี้จะใช้ (ข่าวทั่วไป + ข่าวรายหุ้น) แยกโควต้าฟรี/เสียเงิน และค่าใช้จ่ายเป็นบาท
+     */
+    estimateRunQueries(stockList = []) {
+        if (!this.isGoogleEnabled) {
+            return { planned: 0, queries: 0, free: 0, paid: 0, costTHB: 0 };
+        }
+
+        const symbols = stockList.filter(stock => stock.symbol && stock.symbol !== '-');
+        const planned = Object.values(NEWS_QUERIES).flat().length + symbols.length * STOCK_NEWS_QUERIES.length;
+        const queries = Math.min(planned, Math.max(0, this.dailyLimit - this.todayUsage));
+        const free = Math.min(queries, Math.max(0, this.freeDailyLimit - this.todayUsage));
+        const paid = queries - free;
+
+        return {
+            planned: planned,
+            queries: queries,
+            free: free,
+            paid: paid,
+            costTHB: (paid / 1000) * this.costPer1000 * this.exchangeRate
+        };
+    }
+
+    // นับคำค้นและบันทึกลงบัญชีค่าใช้จ่าย (คำค้นที่เกินโควต้าฟรีของวันคิด $5 ต่อ 1,000 คำค้น)
+    async recordQuery() {
         this.todayUsage++;
-        this.saveTodayUsage();
-        await this.updateCostTracking();
-        
+        const free = this.todayUsage <= this.freeDailyLimit;
         const remaining = this.dailyLimit - this.todayUsage;
-        const { todayCost } = await this.calculateCosts();
+
+        try {
+            await this.costTracker.recordEvent({
+                runId: this.runId || 'manual',
+                category: 'search',
+                provider: 'google-search',
+                model: null,
+                unit: 'query',
+                quantity: 1,
+                costUSD: free ? 0 : this.costPer1000 / 1000,
+                free: free
+            });
+        } catch (error) {
+            logger.warn(`ไม่สามารถบันทึกค่าใช้จ่าย Google Search: ${error.message}`);
+        }
         
         if (remaining <= 10) {
             logger.warn(`⚠️ Google Search API เหลือ ${remaining} คำค้น`);
         }
         
-        if (this.todayUsage > this.freeDailyLimit) {
+        if (!free) {
+            const todayCost = (this.todayUsage - this.freeDailyLimit) / 1000 * this.costPer1000 * this.exchangeRate;
             logger.money(`💰 ค่าใช้จ่ายวันนี้: ${todayCost.toFixed(2)} บาท`);
         }
     }
@@ -286,7 +177,7 @@ class WebSearchService {
             });
 
             // นับการใช้งาน (เฉพาะเมื่อ API call สำเร็จ)
-            await this.incrementUsage();
+            await this.recordQuery();
 
             if (response.data.items) {
                 const results = response.data.items.map(item => ({
@@ -381,10 +272,7 @@ class WebSearchService {
 
     // ค้นหาข่าวเศรษฐกิจ
     async searchEconomicNews() {
-        const queries = [
-            'Thailand economy GDP inflation',
-            'US Federal Reserve interest rate'
-        ];
+        const queries = NEWS_QUERIES.economic;
 
         const allResults = [];
         for (const query of queries) {
@@ -403,10 +291,7 @@ class WebSearchService {
 
     // ค้นหาข่าวสงคราม/ภูมิรัฐศาสตร์
     async searchGeopoliticalNews() {
-        const queries = [
-            'Ukraine Russia war',
-            'Middle East conflict'
-        ];
+        const queries = NEWS_QUERIES.geopolitical;
 
         const allResults = [];
         for (const query of queries) {
@@ -425,9 +310,7 @@ class WebSearchService {
 
     // ค้นหาข่าวทองคำ
     async searchGoldNews() {
-        const queries = [
-            'gold price today'
-        ];
+        const queries = NEWS_QUERIES.gold;
 
         const allResults = [];
         for (const query of queries) {
@@ -441,10 +324,7 @@ class WebSearchService {
 
     // ค้นหาข่าวหุ้น
     async searchStockNews() {
-        const queries = [
-            'Thailand stock market SET',
-            'US stock market S&P 500'
-        ];
+        const queries = NEWS_QUERIES.stock;
 
         const allResults = [];
         for (const query of queries) {
@@ -463,9 +343,7 @@ class WebSearchService {
 
     // ค้นหาข่าวคริปโต
     async searchCryptoNews() {
-        const queries = [
-            'Bitcoin price today'
-        ];
+        const queries = NEWS_QUERIES.crypto;
 
         const allResults = [];
         for (const query of queries) {
@@ -479,9 +357,7 @@ class WebSearchService {
 
     // ค้นหาข่าวสกุลเงิน
     async searchCurrencyNews() {
-        const queries = [
-            'USD THB exchange rate'
-        ];
+        const queries = NEWS_QUERIES.currency;
 
         const allResults = [];
         for (const query of queries) {
@@ -568,11 +444,16 @@ class WebSearchService {
         });
     }
 
-    // ดึงสถานะการใช้งาน quota สำหรับแสดงผล
+    // ดึงสถานะการใช้งาน quota สำหรับแสดงผล (ยอดจากบัญชีค่าใช้จ่าย)
     async getQuotaStatus() {
+        const today = new Date().toISOString().split('T')[0];
+        const events = await this.costTracker.ledger.loadPeriod(today.substring(0, 7));
+        const todaySearch = this.costTracker.ledger.summarize(events.filter(event => event.timestamp.startsWith(today))).search;
+        const monthlySearch = this.costTracker.ledger.summarize(events).search;
+        this.todayUsage = todaySearch.queries;
+
         const remaining = this.dailyLimit - this.todayUsage;
         const usagePercent = Math.round((this.todayUsage / this.dailyLimit) * 100);
-        const { todayCost, monthlyCost, todayFree, todayPaid } = await this.calculateCosts();
         
         return {
             used: this.todayUsage,
@@ -581,11 +462,11 @@ class WebSearchService {
             percentage: usagePercent,
             canUse: this.canUseGoogleSearch(),
             resetTime: 'เที่ยงคืน (00:00)',
-            freeUsed: Math.min(this.todayUsage, this.freeDailyLimit),
+            freeUsed: todaySearch.queries - todaySearch.paidQueries,
             freeLimit: this.freeDailyLimit,
-            paidUsed: Math.max(0, this.todayUsage - this.freeDailyLimit),
-            todayCost: todayCost,
-            monthlyCost: monthlyCost,
+            paidUsed: todaySearch.paidQueries,
+            todayCost: todaySearch.costTHB,
+            monthlyCost: monthlySearch.costTHB,
             costPerRequest: this.todayUsage > this.freeDailyLimit ? (this.costPer1000 / 1000 * this.exchangeRate) : 0
         };
     }
@@ -601,12 +482,7 @@ class WebSearchService {
             
             try {
                 // ค้นหาข่าวเฉพาะหุ้น
-                const newsQueries = [
-                    `${stock.symbol} stock news today`,
-                    `${stock.symbol} financial results earnings`,
-                    `${stock.symbol} bankruptcy liquidation risk`,
-                    `${stock.symbol} company news update`
-                ];
+                const newsQueries = STOCK_NEWS_QUERIES.map(query => query(stock.symbol));
                 
                 const stockNews = [];
                 for (const query of newsQueries) {
@@ -618,7 +494,7 @@ class WebSearchService {
                 }
                 
                 // ดึงราคาหุ้นปัจจุบันและย้อนหลัง
-                const priceData = await this.getStockPriceHistory(stock.symbol);
+                const priceData = await this.getStockPriceHistory(stock.symbol, stock.type);
                 
                 // วิเคราะห์ความเสี่ยงและโอกาสกำไร
                 const analysis = await this.analyzeStockRiskAndOpportunity(stock, priceData, stockNews);
@@ -627,7 +503,7 @@ class WebSearchService {
                     symbol: stock.symbol,
                     type: stock.type,
                     amount: stock.amount,
-                    purchasePrice: stock.purchasePrice,
+                    purchasePrice: stock.price,
                     currentPrice: priceData.currentPrice,
                     priceHistory: priceData.history,
                     news: this.removeDuplicates(stockNews).slice(0, 5), // เก็บข่าวสำคัญ 5 ข่าว
@@ -644,7 +520,7 @@ class WebSearchService {
                     symbol: stock.symbol,
                     type: stock.type,
                     amount: stock.amount,
-                    purchasePrice: stock.purchasePrice,
+                    purchasePrice: stock.price,
                     currentPrice: null,
                     priceHistory: [],
                     news: [],
@@ -662,67 +538,35 @@ class WebSearchService {
         return stockAnalysis;
     }
     
-    // ดึงข้อมูลราคาหุ้นปัจจุบันและประวัติราคา
-    async getStockPriceHistory(symbol) {
-        try {
-            // ใช้ Yahoo Finance API หรือ Alpha Vantage API
-            const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
+    // ดึงข้อมูลราคาหุ้นปัจจุบันและประวัติราคา (ผ่าน PriceService เพื่อใช้ snapshot เดียวกับรายงาน)
+    async getStockPriceHistory(symbol, type = null) {
+        const quote = await this.priceService.getQuote(symbol, type);
+        const closes = await this.priceService.getHistory(symbol, type, 10);
+        
+        // สร้างประวัติราคา 3-4 วันล่าสุด
+        const history = [];
+        const startIndex = Math.max(0, closes.length - 4);
+        
+        for (let i = startIndex; i < closes.length; i++) {
+            const previous = i > 0 ? closes[i - 1].close : null;
+            history.push({
+                date: new Date(closes[i].date).toLocaleDateString('th-TH'),
+                price: closes[i].close.toFixed(2),
+                change: previous ? ((closes[i].close - previous) / previous * 100).toFixed(2) : '0.00'
             });
-            
-            if (response.data.chart?.result?.[0]) {
-                const result = response.data.chart.result[0];
-                const meta = result.meta;
-                const timestamps = result.timestamp || [];
-                const prices = result.indicators?.quote?.[0]?.close || [];
-                
-                // สร้างประวัติราคา 3-4 วันล่าสุด
-                const history = [];
-                const last4Days = Math.min(4, timestamps.length);
-                
-                for (let i = timestamps.length - last4Days; i < timestamps.length; i++) {
-                    if (timestamps[i] && prices[i]) {
-                        const date = new Date(timestamps[i] * 1000);
-                        history.push({
-                            date: date.toLocaleDateString('th-TH'),
-                            price: prices[i].toFixed(2),
-                            change: i > 0 && prices[i-1] ? 
-                                ((prices[i] - prices[i-1]) / prices[i-1] * 100).toFixed(2) : '0.00'
-                        });
-                    }
-                }
-                
-                return {
-                    currentPrice: meta.regularMarketPrice?.toFixed(2) || 'N/A',
-                    previousClose: meta.previousClose?.toFixed(2) || 'N/A',
-                    changePercent: meta.regularMarketPrice && meta.previousClose ? 
-                        (((meta.regularMarketPrice - meta.previousClose) / meta.previousClose) * 100).toFixed(2) : '0.00',
-                    currency: meta.currency || 'USD',
-                    history: history
-                };
-            }
-            
-            return {
-                currentPrice: 'N/A',
-                previousClose: 'N/A', 
-                changePercent: '0.00',
-                currency: 'USD',
-                history: []
-            };
-            
-        } catch (error) {
-            logger.warn(`ไม่สามารถดึงราคา ${symbol}: ${error.message}`);
-            return {
-                currentPrice: 'N/A',
-                previousClose: 'N/A',
-                changePercent: '0.00', 
-                currency: 'USD',
-                history: []
-            };
         }
+        
+        const currentPrice = quote?.price;
+        const previousClose = quote?.previousClose ?? (closes.length > 1 ? closes[closes.length - 2].close : null);
+        
+        return {
+            currentPrice: currentPrice ? currentPrice.toFixed(2) : 'N/A',
+            previousClose: previousClose ? previousClose.toFixed(2) : 'N/A',
+            changePercent: currentPrice && previousClose ?
+                (((currentPrice - previousClose) / previousClose) * 100).toFixed(2) : '0.00',
+            currency: quote?.currency || 'USD',
+            history: history
+        };
     }
     
     // วิเคราะห์ความเสี่ยงและโอกาสกำไรของหุ้น
@@ -776,12 +620,15 @@ class WebSearchService {
         riskLevel = Math.max(1, Math.min(10, riskLevel));
         profitOpportunity = Math.max(1, Math.min(10, profitOpportunity));
         
-        // คำนวณกำไร/ขาดทุนจากราคาชื้อ
+        // คำนวณกำไร/ขาดทุนจากต้นทุน (แปลงสกุลเงินผ่าน ValuationEngine)
         let currentReturn = 'N/A';
-        if (stock.purchasePrice && stock.purchasePrice !== '-' && priceData.currentPrice && priceData.currentPrice !== 'N/A') {
-            const purchasePrice = parseFloat(stock.purchasePrice);
-            const currentPrice = parseFloat(priceData.currentPrice);
-            currentReturn = (((currentPrice - purchasePrice) / purchasePrice) * 100).toFixed(2) + '%';
+        if (stock.price && priceData.currentPrice && priceData.currentPrice !== 'N/A') {
+            await this.valuationEngine.prepare();
+            const valuation = this.valuationEngine.valueHolding(stock, {
+                price: parseFloat(priceData.currentPrice),
+                currency: priceData.currency
+            });
+            currentReturn = valuation.missingRates ? 'N/A' : valuation.returnPercentage.toFixed(2) + '%';
         }
         
         return {
@@ -807,35 +654,21 @@ class WebSearchService {
             return 'ถือต่อไปก่อน - ความเสี่ยงและโอกาสปานกลาง';
         }
     }
-    async getMarketData(symbol) {
-        try {
-            logger.api(`ดึงข้อมูลราคา: ${symbol}`);
-            
-            const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`, {
-                timeout: 5000
-            });
-
-            if (response.data.chart?.result?.[0]) {
-                const result = response.data.chart.result[0];
-                const meta = result.meta;
-                const currentPrice = meta.regularMarketPrice;
-                const previousClose = meta.previousClose;
-                const change = ((currentPrice - previousClose) / previousClose * 100).toFixed(2);
-
-                return {
-                    symbol: symbol,
-                    currentPrice: currentPrice,
-                    previousClose: previousClose,
-                    changePercent: change,
-                    currency: meta.currency
-                };
-            }
-            
-            return null;
-        } catch (error) {
-            logger.warn(`ไม่สามารถดึงข้อมูลราคา ${symbol}: ${error.message}`);
+    async getMarketData(symbol, type = null) {
+        logger.api(`ดึงข้อมูลราคา: ${symbol}`);
+        
+        const priceData = await this.getStockPriceHistory(symbol, type);
+        if (priceData.currentPrice === 'N/A') {
             return null;
         }
+        
+        return {
+            symbol: symbol,
+            currentPrice: parseFloat(priceData.currentPrice),
+            previousClose: priceData.previousClose === 'N/A' ? null : parseFloat(priceData.previousClose),
+            changePercent: priceData.changePercent,
+            currency: priceData.currency
+        };
     }
 }
 
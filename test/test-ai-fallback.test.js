@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const AIAnalysisService = require('../services/aiAnalysisService');
+
+// เซิร์ฟเวอร์จำลอง: โมเดล busy ติดโควต้า (429), down ล่ม (500), โมเดลอื่นตอบปกติ
+function startStubServer() {
+    const calls = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { model } = JSON.parse(body);
+            calls.push(model);
+            const responses = {
+                busy: [429, { error: { message: 'Rate limit reached, quota exceeded' } }],
+                down: [500, { error: { message: 'internal server error' } }]
+            };
+            const [status, data] = responses[model] || [200, {
+                choices: [{ message: { role: 'assistant', content: `คำตอบจาก ${model}` } }],
+                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+            }];
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, calls, baseUrl: `http://127.0.0.1:${server.address().port}/v1` }));
+    });
+}
+
+// ไฟล์ข้อมูลทุกไฟล์อยู่ในโฟลเดอร์ชั่วคราวเดียวกับ healthFile ไม่เขียนทับ data/ จริง
+function createService(order, healthFile) {
+    const dataDir = path.dirname(healthFile);
+    return new AIAnalysisService({
+        priceProvider: 'fixture',
+        priceFixtureFile: path.join(__dirname, 'fixtures/prices.json'),
+        aiProviders: order,
+        aiHealthFile: healthFile,
+        aiRunLogFile: path.join(dataDir, 'ai-analysis-runs.jsonl'),
+        costLedgerFile: path.join(dataDir, 'cost-ledger.jsonl'),
+        snapshotFile: path.join(dataDir, 'portfolio-snapshots.jsonl'),
+        aiFailureThreshold: 3,
+        aiCooldownMinutes: 30
+    });
+}
+
+async function testAIFallback() {
+    console.log('🧪 กำลังทดสอบลำดับสำรองของผู้ให้บริการ AI...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fallback-'));
+    const healthFile = path.join(tempDir, 'ai-provider-health.json');
+    const budget = 1e9;
+    let stub = null;
+
+    try {
+        stub = await startStubServer();
+        process.env.LOCAL_LLM_BASE_URL = stub.baseUrl;
+
+        // busy ติดโควต้า → down ล่ม → ok ตอบ
+        const service = createService(['local:busy', 'local:down', 'local:ok', 'mock'], healthFile);
+        const first = await service.generateWithFallback('วิเคราะห์พอร์ต', budget);
+        assert.strictEqual(first.service.model, 'ok');
+        assert.strictEqual(first.response.content, 'คำตอบจาก ok');
+        assert.deepStrictEqual(first.failures.map(failure => [failure.key, failure.kind]), [['local/busy', 'quota'], ['local/down', 'error']]);
+        assert.deepStrictEqual(stub.calls, ['busy', 'down', 'ok']);
+        console.log(`✅ ใช้ ${first.service.name}/${first.service.model} หลัง ${first.failures.map(failure => failure.key).join(', ')} ล้มเหลว`);
+
+        // สุขภาพถูกบันทึกลงไฟล์: ติดโควต้าพักทันที ล้มเหลวครั้งแรกยังไม่พัก
+        let health = JSON.parse(fs.readFileSync(healthFile, 'utf8')).providers;
+        assert.ok(new Date(health['local/busy'].cooldownUntil) > new Date());
+        assert.strictEqual(health['local/down'].consecutiveFailures, 1);
+        assert.strictEqual(health['local/down'].cooldownUntil, null);
+        assert.strictEqual(health['local/ok'].latencies.length, 1);
+        assert.strictEqual(health['local/ok'].consecutiveFailures, 0);
+
+        // รอบถัดไป (รันใหม่): ข้าม busy ที่พักอยู่ down ล้มเหลวครบ 3 ครั้งจึงพัก
+        for (let run = 2; run <= 3; run++) {
+            stub.calls.length = 0;
+            const result = await createService(['local:busy', 'local:down', 'local:ok', 'mock'], healthFile).generateWithFallback('วิเคราะห์พอร์ต', budget);
+            assert.deepStrictEqual(stub.calls, ['down', 'ok']);
+            assert.strictEqual(result.service.model, 'ok');
+        }
+        health = JSON.parse(fs.readFileSync(healthFile, 'utf8')).providers;
+        assert.strictEqual(health['local/down'].consecutiveFailures, 3);
+        assert.ok(health['local/down'].cooldownUntil);
+
+        stub.calls.length = 0;
+        const skipped = await createService(['local:busy', 'local:down', 'local:ok', 'mock'], healthFile).generateWithFallback('วิเคราะห์พอร์ต', budget);
+        assert.deepStrictEqual(stub.calls, ['ok']);
+        assert.deepStrictEqual(skipped.failures, []);
+        console.log('✅ ข้ามผู้ให้บริการที่ติดโควต้าหรือล้มเหลวติดกันจนพ้นช่วงพัก');
+
+        // ทุกตัวอยู่ในช่วงพัก: ยังลองตามลำดับ และแจ้งเมื่อทุกตัวล้มเหลว
+        stub.calls.length = 0;
+        await assert.rejects(
+            createService(['local:busy', 'local:down'], healthFile).generateWithFallback('วิเคราะห์พอร์ต', budget),
+            /ผู้ให้บริการ AI ล้มเหลวทั้งหมด: local\/busy \(Local LLM API Error: Rate limit reached, quota exceeded\), local\/down/
+        );
+        assert.deepStrictEqual(stub.calls, ['busy', 'down']);
+        console.log('✅ แจ้งข้อผิดพลาดเมื่อทุกตัวในลำดับล้มเหลว');
+
+        // การบล็อกเนื้อหาลองตัวถัดไป แต่ไม่นับเป็นความล้มเหลวติดกัน
+        const providerHealth = service.providerHealth;
+        assert.strictEqual(providerHealth.classifyError(new Error('Gemini API Error: Content blocked by Gemini safety filters')), 'safety');
+        assert.strictEqual(providerHealth.classifyError(new Error('Gemini API Error: Resource has been exhausted')), 'quota');
+        await providerHealth.recordFailure('gemini/gemini-2.5-flash', new Error('Content blocked by Gemini safety filters'), 120);
+        assert.strictEqual(providerHealth.state.providers['gemini/gemini-2.5-flash'].consecutiveFailures, 0);
+        assert.strictEqual(providerHealth.getCooldown('gemini/gemini-2.5-flash'), null);
+
+        // รายงานระบุโมเดลที่สร้างผลวิเคราะห์
+        const report = service.combineAnalysisResults(first.response.content, 'รายงานความเสี่ยง', [], { ...first.response, failures: first.failures });
+        assert.ok(report.includes('_โมเดล: local/ok (สำรองแทน local/busy, local/down)_'));
+        console.log('✅ รายงานระบุโมเดลที่ใช้และตัวที่ล้มเหลวก่อนหน้า');
+
+    } catch (error) {
+        console.error('❌ การทดสอบลำดับสำรองของผู้ให้บริการ AI ล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (stub) stub.server.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testAIFallback();
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIProviderRegistry = require('../services/aiProviders');
+const CostTracker = require('../services/costTracker');
+const FxService = require('../services/fxService');
+
+async function testAIProviders() {
+    console.log('🧪 กำลังทดสอบทะเบียนผู้ให้บริการ AI...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-providers-'));
+
+    try {
+        // API key และโมเดลจาก env ตามชื่อในไฟล์
+        const registry = new AIProviderRegistry({
+            env: { OPENAI_API_KEY: 'disabled', GEMINI_API_KEY: 'test-key', GEMINI_MODEL: 'gemini-2.5-pro' }
+        });
+        assert.deepStrictEqual(registry.list().map(provider => provider.name), ['openai', 'gemini', 'local', 'mock']);
+        assert.strictEqual(registry.get('openai').isEnabled, false);
+        assert.strictEqual(registry.get('gemini').model, 'gemini-2.5-pro');
+        assert.strictEqual(registry.get('openai').model, 'gpt-3.5-turbo');
+
+        const selected = registry.select();
+        assert.strictEqual(selected.provider.name, 'gemini');
+        console.log(`✅ เลือก ${selected.provider.name}/${selected.provider.model} (${selected.reason})`);
+
+        // เกินงบ: ข้าม provider ที่คิดเงินทุกตัว (รวม gemini-2.5-flash) ไปที่ mock
+        assert.strictEqual(registry.select({ overBudget: true }).provider.name, 'mock');
+        const flash = new AIProviderRegistry({ env: { OPENAI_API_KEY: 'sk-test', GEMINI_API_KEY: 'test-key' } });
+        assert.deepStrictEqual(flash.candidates({ overBudget: true }).map(provider => provider.name), ['mock']);
+        const noKeys = new AIProviderRegistry({ env: { GEMINI_API_KEY: 'free' } });
+        assert.strictEqual(noKeys.select().provider.name, 'mock');
+        const noFree = new AIProviderRegistry({ order: ['openai'], env: {} });
+        assert.throws(() => noFree.select(), /ไม่มีผู้ให้บริการ AI ที่พร้อมใช้งาน/);
+        console.log('✅ เลือกเฉพาะ provider ที่ไม่มีค่าใช้จ่ายเมื่อเกินงบ และใช้ mock เมื่อไม่มี API key');
+
+        // ราคาต่อ token มาจาก provider
+        const fxService = new FxService({ mode: 'fixture', fixtureFile: path.join(__dirname, 'fixtures/prices.json') });
+        const costTracker = new CostTracker(fxService, registry);
+        const cost = costTracker.calculateCost('gemini', 'gemini-2.5-pro', 2000, 1000);
+        assert.ok(Math.abs(cost.totalCost - (2 * 0.00125 + 0.005)) < 1e-12);
+        assert.strictEqual(costTracker.calculateCost('mock', 'mock', 2000, 1000).totalCost, 0);
+        console.log(`✅ ค่าใช้จ่ายจากราคาของ provider: $${cost.totalCost.toFixed(4)}`);
+
+        // provider ใหม่วางเป็นโมดูลได้เลย การแบ่ง prompt ยาวและรวม usage อยู่ที่คลาสฐาน
+        const modulePath = path.join(tempDir, 'echoProvider.js');
+        fs.writeFileSync(modulePath, `
+const BaseAIProvider = require(${JSON.stringify(path.join(__dirname, '../services/aiProviders/baseAIProvider'))});
+class EchoProvider extends BaseAIProvider {
+    constructor(name, options) {
+        super(name, options);
+        this.isEnabled = true;
+        this.calls = [];
+    }
+    async chat(prompt) {
+        this.calls.push(prompt);
+        return this.createResponse(prompt.toUpperCase(), prompt.length, 1);
+    }
+}
+module.exports = EchoProvider;
+`);
+        const providersFile = path.join(tempDir, 'ai-providers.json');
+        fs.writeFileSync(providersFile, JSON.stringify({
+            version: 1,
+            order: ['echo'],
+            providers: {
+                echo: { module: modulePath, model: 'echo-1', maxPromptChars: 10, pricing: { 'echo-1': { input: 1, output: 2 } } }
+            }
+        }));
+        const echoRegistry = new AIProviderRegistry({ providersFile, env: {} });
+        const echo = echoRegistry.get('echo');
+        assert.strictEqual(echo.maxPromptChars, 10);
+        const short = await echo.generateResponse('short');
+        assert.strictEqual(echo.calls.length, 1);
+        assert.deepStrictEqual(short, { content: 'SHORT', usage: { inputTokens: 5, outputTokens: 1, totalTokens: 6, tokenCount: 'estimated' }, model: 'echo-1', provider: 'echo' });
+
+        const long = await echo.generateResponse('first line\nsecond line');
+        const combined = echo.combineResponses([short, long]);
+        assert.strictEqual(combined.content, 'SHORT\n\nFIRST LINE\nSECOND LINE');
+        assert.deepStrictEqual(combined.usage, { inputTokens: 27, outputTokens: 2, totalTokens: 29, tokenCount: 'estimated' });
+        assert.strictEqual(new CostTracker(fxService, echoRegistry).calculateCost('echo', 'echo-1', 1000, 1000).totalCost, 3);
+        console.log('✅ provider จากโมดูลภายนอก และรวม usage หลายการเรียก');
+
+        // Gemini ใช้ usageMetadata เมื่อมี ไม่มีจึงนับเองด้วย TokenCounter
+        const gemini = registry.get('gemini');
+        const originalPost = axios.post;
+        const replies = [
+            { candidates: [{ content: { parts: [{ text: 'ถือต่อ' }] } }], usageMetadata: { promptTokenCount: 1200, candidatesTokenCount: 80, thoughtsTokenCount: 40, totalTokenCount: 1320 } },
+            { candidates: [{ content: { parts: [{ text: 'ถือต่อ' }] } }] }
+        ];
+        axios.post = async () => ({ data: replies.shift() });
+        try {
+            const exact = await gemini.generateResponse('วิเคราะห์พอร์ต VOO');
+            assert.deepStrictEqual(exact.usage, { inputTokens: 1200, outputTokens: 120, totalTokens: 1320, tokenCount: 'exact' });
+            const estimated = await gemini.generateResponse('วิเคราะห์พอร์ต VOO');
+            assert.deepStrictEqual(estimated.usage, { inputTokens: 6, outputTokens: 4, totalTokens: 10, tokenCount: 'estimated' });
+            assert.strictEqual(gemini.combineResponses([exact, estimated]).usage.tokenCount, 'estimated');
+            assert.strictEqual(gemini.combineResponses([exact, exact]).usage.tokenCount, 'exact');
+        } finally {
+            axios.post = originalPost;
+        }
+        console.log('✅ Gemini นับ token จาก usageMetadata');
+
+        // ไฟล์ผิดรูปแบบ
+        fs.writeFileSync(providersFile, JSON.stringify({
+            version: 1,
+            order: ['echo', 'missing'],
+            providers: {
+                echo: { module: './nope/provider', pricing: { 'echo-1': { input: -1 } }, region: 'th' }
+            }
+        }));
+        assert.throws(() => new AIProviderRegistry({ providersFile }).load(), error =>
+            error.message.includes('providers.echo.module ไม่พบโมดูล ./nope/provider')
+            && error.message.includes('providers.echo.pricing.echo-1.input ต้องเป็นตัวเลขตั้งแต่ 0')
+            && error.message.includes('providers.echo.pricing.echo-1.output ต้องเป็นตัวเลขตั้งแต่ 0')
+            && error.message.includes('providers.echo.region ไม่รู้จักฟิลด์นี้')
+            && error.message.includes('order: ไม่มีผู้ให้บริการ missing ใน providers'));
+        assert.throws(() => new AIProviderRegistry({ order: ['ollama'] }).load(), /AI_PROVIDERS: ไม่มีผู้ให้บริการ ollama/);
+        console.log('✅ ตรวจสอบไฟล์ผู้ให้บริการ AI');
+
+    } catch (error) {
+        console.error('❌ การทดสอบทะเบียนผู้ให้บริการ AI ล้มเหลว:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testAIProviders();
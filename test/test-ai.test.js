@@ -1,15 +1,22 @@
 require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const AIAnalysisService = require('../services/aiAnalysisService');
 
 async function testAI() {
     console.log('🧪 กำลังทดสอบ AI Analysis Service...');
+
+    // ภาพรวมพอร์ต บันทึกการรัน และค่าใช้จ่ายของการทดสอบเขียนลงโฟลเดอร์ชั่วคราว ไม่ปนกับข้อมูลจริงใน data/
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-service-'));
     
     try {
         const config = {
-            openaiApiKey: process.env.OPENAI_API_KEY,
-            openaiModel: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-            geminiApiKey: process.env.GEMINI_API_KEY,
-            geminiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash'
+            aiProviders: (process.env.AI_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean),
+            aiHealthFile: path.join(tempDir, 'ai-provider-health.json'),
+            aiRunLogFile: path.join(tempDir, 'ai-analysis-runs.jsonl'),
+            costLedgerFile: path.join(tempDir, 'cost-ledger.jsonl'),
+            snapshotFile: path.join(tempDir, 'portfolio-snapshots.jsonl')
         };
         
         const aiService = new AIAnalysisService(config);
@@ -38,7 +45,9 @@ async function testAI() {
         
     } catch (error) {
         console.error('❌ การทดสอบ AI ล้มเหลว:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
     }
 }
 
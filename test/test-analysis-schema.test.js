@@ -0,0 +1,155 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalysisSchema = require('../services/analysisSchema');
+const AIAnalysisService = require('../services/aiAnalysisService');
+const BaseAIProvider = require('../services/aiProviders/baseAIProvider');
+
+// provider จำลองที่ตอบตามลำดับที่กำหนด
+class ScriptedProvider extends BaseAIProvider {
+    constructor(replies) {
+        super('scripted', { model: 'script-1' });
+        this.isEnabled = true;
+        this.replies = replies;
+        this.prompts = [];
+    }
+
+    async chat(prompt) {
+        this.prompts.push(prompt);
+        return this.createResponse(this.replies.shift(), 100, 50);
+    }
+}
+
+const symbols = ['VOO', 'BTC'];
+
+const validAnalysis = {
+    holdings: [
+        { symbol: 'VOO', risk: 4, opportunity: 6, rationale: 'ตลาดหุ้นสหรัฐฯ ฟื้นตัว', citations: ['https://news.example.com/voo'] },
+        { symbol: 'BTC', risk: 9, opportunity: 7, rationale: 'ผันผวนสูงจากข่าวกฎระเบียบ', citations: [] }
+    ],
+    overallAdvice: 'ถือ VOO ต่อ ลดสัดส่วน BTC'
+};
+
+const riskAnalysis = [
+    { symbol: 'VOO', currentValue: 70000, overallRisk: { score: 5, level: 'ปานกลาง' } },
+    { symbol: 'BTC', currentValue: 30000, overallRisk: { score: 5, level: 'ปานกลาง' } },
+    { symbol: 'GOLD', currentValue: 10000, overallRisk: { score: 3, level: 'ต่ำ' } }
+];
+
+async function testAnalysisSchema() {
+    console.log('🧪 กำลังทดสอบผลวิเคราะห์ AI แบบ JSON schema...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-schema-'));
+
+    try {
+        const schema = new AnalysisSchema();
+
+        // schema และคำสั่งใน prompt จำกัด symbol ตามพอร์ต
+        const instructions = schema.buildInstructions(symbols);
+        assert.ok(instructions.includes('"enum": [\n'));
+        assert.ok(instructions.endsWith('ต้องประเมินครบทุกสินทรัพย์: VOO, BTC'));
+        assert.deepStrictEqual(schema.getSchema().properties.holdings.items.properties.symbol, { type: 'string' });
+
+        // รองรับ code fence และข้อความรอบ JSON
+        const fenced = `ผลวิเคราะห์:\n\`\`\`json\n${JSON.stringify(validAnalysis)}\n\`\`\``;
+        assert.deepStrictEqual(schema.parse(fenced, symbols), { data: validAnalysis, errors: [] });
+        console.log('✅ แยก JSON จากคำตอบและผ่าน schema');
+
+        // รายการข้อผิดพลาดครบทุกจุด
+        const invalid = {
+            holdings: [
+                { symbol: 'VOO', risk: 11, opportunity: '6', rationale: '', citations: ['ftp://x', 'ข่าว'] },
+                { symbol: 'NVDA', risk: 5, opportunity: 5, rationale: 'x', citations: [] },
+                { symbol: 'VOO', risk: 5, opportunity: 5, rationale: 'x' }
+            ]
+        };
+        assert.deepStrictEqual(schema.parse(JSON.stringify(invalid), symbols).errors, [
+            'overallAdvice: ต้องเป็นข้อความที่ไม่ว่าง',
+            'holdings[0].risk: ต้องเป็นจำนวนเต็ม 1-10 (ได้ 11)',
+            'holdings[0].opportunity: ต้องเป็นจำนวนเต็ม 1-10 (ได้ "6")',
+            'holdings[0].rationale: ต้องเป็นข้อความที่ไม่ว่าง',
+            'holdings[0].citations: "ftp://x" ไม่ใช่ URL http(s)',
+            'holdings[0].citations: "ข่าว" ไม่ใช่ URL http(s)',
+            'holdings[1].symbol: ไม่มี "NVDA" ในพอร์ต (VOO, BTC)',
+            'holdings[2].symbol: "VOO" ซ้ำ',
+            'holdings[2].citations: ต้องเป็น array ของ URL',
+            'holdings: ขาดการประเมิน BTC'
+        ]);
+        assert.deepStrictEqual(schema.parse('ไม่มี JSON', symbols), { data: null, errors: ['ไม่พบ JSON object ในคำตอบ'] });
+        assert.ok(schema.parse('{ "holdings": [', symbols).errors[0].startsWith('ไม่พบ JSON object'));
+        assert.ok(schema.parse('{ "holdings": [} }', symbols).errors[0].startsWith('JSON ไม่ถูกต้อง:'));
+        console.log('✅ ระบุข้อผิดพลาดทุกจุดที่ไม่ตรง schema');
+
+        // รวมคะแนนกับผลของ StockRiskAnalyzer และสร้างรายงานจากข้อมูล
+        const merged = schema.merge(riskAnalysis, validAnalysis);
+        assert.deepStrictEqual(merged[0].aiAssessment, {
+            risk: 4, opportunity: 6, rationale: 'ตลาดหุ้นสหรัฐฯ ฟื้นตัว', citations: ['https://news.example.com/voo'], divergence: -1
+        });
+        assert.strictEqual(merged[1].aiAssessment.divergence, 4);
+        assert.strictEqual(merged[2].aiAssessment, undefined);
+        assert.strictEqual(merged[0].overallRisk.score, 5);
+
+        const report = schema.render(validAnalysis, merged);
+        assert.ok(report.includes('• **VOO** ความเสี่ยง 4/10 (ระบบ 5/10), โอกาสกำไร 6/10\n   ตลาดหุ้นสหรัฐฯ ฟื้นตัว\n   🔗 https://news.example.com/voo'));
+        assert.ok(report.includes('• **BTC** ความเสี่ยง 9/10 (ระบบ 5/10), โอกาสกำไร 7/10\n   ⚠️ AI ประเมินความเสี่ยงสูงกว่าระบบ 4 คะแนน'));
+        assert.ok(!report.includes('GOLD'));
+        assert.ok(report.endsWith('💭 **คำแนะนำโดยรวม:**\nถือ VOO ต่อ ลดสัดส่วน BTC'));
+        console.log('✅ รวมคะแนน AI กับผลวิเคราะห์ความเสี่ยงและสร้างรายงาน');
+
+        // คำตอบไม่ผ่าน schema: ขอแก้ไขหนึ่งครั้งพร้อมข้อผิดพลาด แล้วรวม usage
+        const service = new AIAnalysisService({
+            priceProvider: 'fixture',
+            priceFixtureFile: path.join(__dirname, 'fixtures/prices.json'),
+            aiProviders: ['mock'],
+            aiHealthFile: path.join(tempDir, 'ai-provider-health.json'),
+            aiRunLogFile: path.join(tempDir, 'ai-analysis-runs.jsonl'),
+            costLedgerFile: path.join(tempDir, 'cost-ledger.jsonl'),
+            snapshotFile: path.join(tempDir, 'portfolio-snapshots.jsonl')
+        });
+        const repairable = new ScriptedProvider([JSON.stringify({ ...validAnalysis, overallAdvice: '' })]);
+        repairable.replies.push(JSON.stringify(validAnalysis));
+        const repaired = await service.generateStructured(repairable, () => repairable.generateResponse('วิเคราะห์'), symbols);
+        assert.strictEqual(repairable.prompts.length, 2);
+        assert.ok(repairable.prompts[1].startsWith('คำตอบก่อนหน้าไม่ตรงตาม schema:\n- overallAdvice: ต้องเป็นข้อความที่ไม่ว่าง'));
+        assert.ok(repairable.prompts[1].endsWith('ต้องประเมินครบทุกสินทรัพย์: VOO, BTC'));
+        assert.deepStrictEqual(repaired.analysis, validAnalysis);
+        assert.deepStrictEqual(repaired.usage, { inputTokens: 200, outputTokens: 100, totalTokens: 300, tokenCount: 'estimated' });
+        assert.strictEqual(repaired.repaired, true);
+        console.log('✅ ขอให้แก้ไขหนึ่งครั้งเมื่อไม่ผ่าน schema');
+
+        const hopeless = new ScriptedProvider(['ไม่รู้', '{ "holdings": [] }']);
+        await assert.rejects(
+            service.generateStructured(hopeless, () => hopeless.generateResponse('วิเคราะห์'), symbols),
+            /คำตอบไม่ตรง schema หลังขอแก้ไข:\n- overallAdvice: ต้องเป็นข้อความที่ไม่ว่าง\n- holdings: ขาดการประเมิน VOO, BTC/
+        );
+        assert.strictEqual(hopeless.prompts.length, 2);
+        console.log('✅ แจ้งข้อผิดพลาดเมื่อแก้ไขแล้วยังไม่ผ่าน');
+
+        // token ของคำตอบที่ไม่ผ่านและคำขอแก้ไขถูกบันทึกลงบัญชี ก่อนลองตัวถัดไป
+        const failing = new ScriptedProvider(['ไม่รู้', '{ "holdings": [] }']);
+        const fallback = new ScriptedProvider([JSON.stringify(validAnalysis)]);
+        fallback.name = 'fallback';
+        service.aiProviders.candidates = () => [failing, fallback];
+        service.runId = 'schema-run';
+        const result = await service.generateWithFallback(provider => service.generateStructured(provider, () => provider.generateResponse('วิเคราะห์'), symbols), 100);
+        assert.strictEqual(result.service, fallback);
+        const spent = (await service.costTracker.ledger.loadAll()).filter(event => event.runId === 'schema-run');
+        assert.deepStrictEqual(spent.map(event => [event.provider, event.inputTokens, event.outputTokens]), [['scripted', 200, 100]]);
+        console.log('✅ บันทึก token ของคำตอบที่ไม่ผ่าน schema ลงบัญชีค่าใช้จ่าย');
+
+        // mock ตอบ JSON ที่ผ่าน schema เมื่อ prompt ขอ
+        const mock = service.aiProviders.get('mock');
+        const mockResponse = await mock.generateResponse(`วิเคราะห์\n\n${instructions}`);
+        assert.deepStrictEqual(schema.parse(mockResponse.content, symbols).errors, []);
+        console.log('✅ ผู้ให้บริการจำลองตอบ JSON ตาม schema');
+
+    } catch (error) {
+        console.error('❌ การทดสอบผลวิเคราะห์ AI แบบ JSON schema ล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testAnalysisSchema();
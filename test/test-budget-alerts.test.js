@@ -0,0 +1,115 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BudgetAlerts = require('../services/budgetAlerts');
+const CostLedger = require('../services/costLedger');
+
+// MessageService จำลอง: เก็บข้อความที่ส่ง ตั้ง online = false เพื่อจำลอง LINE ส่งไม่สำเร็จ
+function createMessageService() {
+    return {
+        online: true,
+        sent: [],
+        async sendAlert(message) {
+            if (!this.online) return false;
+            this.sent.push(message);
+            return true;
+        }
+    };
+}
+
+function event(timestamp, category, costTHB, free = false) {
+    return {
+        timestamp,
+        runId: 'r1',
+        category,
+        provider: category === 'ai' ? 'openai' : 'google-search',
+        model: category === 'ai' ? 'gpt-4' : null,
+        unit: category === 'ai' ? 'token' : 'query',
+        quantity: category === 'ai' ? 1000 : 1,
+        costUSD: costTHB / 36.5,
+        costTHB,
+        exchangeRate: 36.5,
+        ...(category === 'search' ? { free } : {})
+    };
+}
+
+async function testBudgetAlerts() {
+    console.log('🧪 กำลังทดสอบการแจ้งเตือนงบประมาณ...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-alerts-'));
+
+    try {
+        const ledger = new CostLedger({
+            filePath: path.join(tempDir, 'cost-ledger.jsonl'),
+            legacyFiles: { aiCosts: path.join(tempDir, 'none.json'), searchCosts: path.join(tempDir, 'none.json') }
+        });
+        const stateFile = path.join(tempDir, 'budget-alert-state.json');
+        const messageService = createMessageService();
+        const alerts = new BudgetAlerts({ ledger }, messageService, { monthlyLimit: 100, dailyPaidSearches: 2, stateFile });
+
+        // การตั้งค่าผิดแจ้งทุกข้อพร้อมกัน
+        assert.throws(() => new BudgetAlerts({ ledger }, messageService, { monthlyLimit: -1, thresholds: [50, NaN], dailyPaidSearches: 1.5 }), error => {
+            for (const text of ['BUDGET_ALERT_THRESHOLDS: NaN', 'MONTHLY_COST_LIMIT_THB: -1', 'BUDGET_ALERT_DAILY_PAID_SEARCHES: 1.5']) {
+                assert.ok(error.message.includes(text), text);
+            }
+            return true;
+        });
+
+        // ต่ำกว่าทุกเกณฑ์: ไม่ส่ง
+        await ledger.append(event('2026-10-05T01:00:00.000Z', 'ai', 30));
+        assert.strictEqual((await alerts.check(new Date('2026-10-05T12:00:00Z'))).sent, false);
+        assert.strictEqual(messageService.sent.length, 0);
+
+        // ข้าม 50% และ 80% พร้อมกัน: แจ้งครั้งเดียวที่เกณฑ์สูงสุด
+        await ledger.append(event('2026-10-06T01:00:00.000Z', 'ai', 55));
+        const crossed = await alerts.check(new Date('2026-10-06T12:00:00Z'));
+        assert.deepStrictEqual(crossed.thresholds, [50, 80]);
+        assert.ok(messageService.sent[0].includes('• ค่าใช้จ่ายเดือน 2026-10 ถึง 80% ของงบ: 85.00/100.00 บาท (AI 85.00, ค้นหา 0.00)'));
+        assert.ok(messageService.sent[0].includes('• เหลือ 15.00 บาท'));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).monthlyAlerted, [50, 80]);
+
+        // รันซ้ำโดยยอดไม่ถึงเกณฑ์ใหม่: ไม่แจ้งซ้ำ
+        assert.strictEqual((await alerts.check(new Date('2026-10-07T12:00:00Z'))).sent, false);
+        assert.strictEqual(messageService.sent.length, 1);
+        console.log('✅ แจ้งครั้งเดียวต่อเกณฑ์และไม่แจ้งซ้ำทุกการรัน');
+
+        // ถึง 100% และคำค้นเสียเงินถึงเกณฑ์รายวัน แต่ LINE ล่ม: ไม่บันทึกสถานะ แจ้งใหม่ในรอบถัดไป
+        await ledger.append(event('2026-10-08T01:00:00.000Z', 'search', 0, true));
+        await ledger.append(event('2026-10-08T01:01:00.000Z', 'search', 10));
+        await ledger.append(event('2026-10-08T01:02:00.000Z', 'search', 10));
+        messageService.online = false;
+        const failed = await alerts.check(new Date('2026-10-08T12:00:00Z'));
+        assert.deepStrictEqual([failed.sent, failed.thresholds, failed.dailySearch], [false, [100], true]);
+        messageService.online = true;
+        await alerts.check(new Date('2026-10-08T13:00:00Z'));
+        assert.strictEqual(messageService.sent.length, 2);
+        assert.ok(messageService.sent[1].includes('ถึง 100% ของงบ: 105.00/100.00 บาท (AI 85.00, ค้นหา 20.00)'));
+        assert.ok(messageService.sent[1].includes('• เกินงบแล้ว: การรันถัดไปใช้ได้เฉพาะผู้ให้บริการ AI ฟรี'));
+        assert.ok(messageService.sent[1].includes('• Google Search วันนี้คิดเงินแล้ว 2 คำค้น (เกณฑ์ 2) ≈ 20.00 บาท'));
+        console.log('✅ ส่งไม่สำเร็จแจ้งอีกครั้งในการรันถัดไป');
+
+        // วันใหม่: เกณฑ์คำค้นเริ่มนับใหม่ ส่วนเกณฑ์รายเดือนยังคงแจ้งแล้ว
+        await ledger.append(event('2026-10-09T01:00:00.000Z', 'search', 10));
+        await ledger.append(event('2026-10-09T01:01:00.000Z', 'search', 10));
+        const nextDay = await alerts.check(new Date('2026-10-09T12:00:00Z'));
+        assert.deepStrictEqual([nextDay.sent, nextDay.thresholds, nextDay.dailySearch], [true, [], true]);
+        assert.ok(!messageService.sent[2].includes('ของงบ'));
+
+        // เดือนใหม่: เกณฑ์รายเดือนเริ่มนับใหม่
+        await ledger.append(event('2026-11-01T01:00:00.000Z', 'ai', 60));
+        assert.deepStrictEqual((await alerts.check(new Date('2026-11-01T12:00:00Z'))).thresholds, [50]);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')), {
+            month: '2026-11', monthlyAlerted: [50], day: '2026-11-01', dailySearchAlerted: false
+        });
+        console.log('✅ เริ่มนับใหม่เมื่อขึ้นวัน/เดือนใหม่');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการแจ้งเตือนงบประมาณล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testBudgetAlerts();
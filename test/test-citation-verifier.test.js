@@ -0,0 +1,112 @@
+const assert = require('assert');
+const AnalysisSchema = require('../services/analysisSchema');
+const CitationVerifier = require('../services/citationVerifier');
+
+// ผลค้นหาที่ส่งให้ AI
+const newsData = {
+    economic: [{ title: 'Fed holds rates steady as inflation cools', url: 'https://www.reuters.com/markets/fed-holds-rates/', snippet: '' }],
+    geopolitical: [],
+    gold: [{ title: 'ราคาทองคำวันนี้ปรับขึ้น 200 บาท ตามตลาดโลก', url: 'https://www.thairath.co.th/money/gold/123', snippet: '' }],
+    stock: [],
+    crypto: [],
+    currency: []
+};
+const stockAnalysis = [
+    { symbol: 'VOO', news: [{ title: 'S&P 500 hits record high on tech rally', url: 'https://finance.yahoo.com/news/sp500-record?guccounter=1', snippet: '' }] }
+];
+
+function createAnalysis() {
+    return {
+        holdings: [
+            {
+                symbol: 'VOO',
+                risk: 4,
+                opportunity: 7,
+                rationale: 'ดัชนีทำจุดสูงสุดใหม่ "S&P 500 hits record high on tech rally" ดู https://reuters.com/markets/fed-holds-rates?utm_source=x.',
+                citations: ['https://finance.yahoo.com/news/sp500-record?guccounter=1#top', 'https://fake-news.example.com/voo']
+            },
+            {
+                symbol: 'ทอง',
+                risk: 3,
+                opportunity: 6,
+                rationale: 'ราคาทองขึ้นตาม "ราคาทองคำวันนี้ปรับขึ้น 200 บาท ตามตลาดโลก"',
+                citations: ['https://thairath.co.th/money/gold/123']
+            }
+        ],
+        overallAdvice: 'ระวัง "Bitcoin ETF approval delayed again by SEC" (https://made-up.example.com/btc)'
+    };
+}
+
+async function testCitationVerifier() {
+    console.log('🧪 กำลังทดสอบการตรวจแหล่งอ้างอิงของ AI...');
+
+    try {
+        const verifier = new CitationVerifier();
+
+        // เทียบ URL แบบไม่สนใจ www, / ท้าย, #, utm_*
+        assert.strictEqual(verifier.normalizeUrl('https://WWW.Reuters.com/markets/fed-holds-rates/?utm_source=x#a'), 'reuters.com/markets/fed-holds-rates');
+        assert.strictEqual(verifier.normalizeUrl('https://finance.yahoo.com/news/a?b=2&a=1'), 'finance.yahoo.com/news/a?a=1&b=2');
+        assert.ok(verifier.titleSimilarity(verifier.normalizeTitle('ราคาทองคำวันนี้ปรับขึ้น 200 บาท'), verifier.normalizeTitle('ราคาทองคำวันนี้ปรับขึ้น 200 บาท ตามตลาดโลก')) >= 0.6);
+        assert.ok(verifier.titleSimilarity(verifier.normalizeTitle('Bitcoin ETF approval delayed'), verifier.normalizeTitle('Fed holds rates steady')) < 0.6);
+
+        // flag: ตรวจทุก URL และหัวข้อข่าว คงไว้และทำเครื่องหมายตัวที่ไม่พบ
+        const analysis = createAnalysis();
+        const result = verifier.verify(analysis, newsData, stockAnalysis);
+        assert.deepStrictEqual(result.citations.map(citation => [citation.symbol, citation.kind, citation.verified]), [
+            ['VOO', 'citation', true],
+            ['VOO', 'citation', false],
+            ['VOO', 'url', true],
+            ['VOO', 'headline', true],
+            ['ทอง', 'citation', true],
+            ['ทอง', 'headline', true],
+            [null, 'url', false],
+            [null, 'headline', false]
+        ]);
+        assert.strictEqual(result.citations[2].value, 'https://reuters.com/markets/fed-holds-rates?utm_source=x');
+        assert.strictEqual(result.citations[3].source.url, stockAnalysis[0].news[0].url);
+        assert.strictEqual(result.verified, 5);
+        assert.strictEqual(result.total, 8);
+        assert.strictEqual(result.score, 5 / 8);
+        assert.strictEqual(result.analysis, analysis);
+        assert.deepStrictEqual(analysis, createAnalysis());
+        console.log(`✅ ยืนยันได้ ${result.verified}/${result.total} การอ้างอิง`);
+
+        const report = verifier.formatReport(result);
+        assert.strictEqual(report, [
+            '🔎 **แหล่งอ้างอิง:** ยืนยันได้ 5/8 (63%) จากข่าวที่ค้นหา',
+            '   ⚠️ https://made-up.example.com/btc ไม่พบในข่าวที่ค้นหา',
+            '   ⚠️ "Bitcoin ETF approval delayed again by SEC" ไม่พบในข่าวที่ค้นหา'
+        ].join('\n'));
+
+        const schema = new AnalysisSchema();
+        const rendered = schema.render(analysis, [], result);
+        assert.ok(rendered.includes('🔗 https://fake-news.example.com/voo ⚠️ ไม่พบในผลค้นหา'));
+        assert.ok(rendered.includes('🔗 https://thairath.co.th/money/gold/123\n'));
+        console.log('✅ รายงานแสดง grounding score และทำเครื่องหมายการอ้างอิงที่ไม่พบ');
+
+        // strip: ตัด URL ที่ไม่พบออกจาก citations และข้อความ หัวข้อข่าวยังเตือน
+        const stripped = new CitationVerifier({ mode: 'strip' }).verify(createAnalysis(), newsData, stockAnalysis);
+        assert.deepStrictEqual(stripped.stripped, ['https://fake-news.example.com/voo', 'https://made-up.example.com/btc']);
+        assert.deepStrictEqual(stripped.analysis.holdings[0].citations, ['https://finance.yahoo.com/news/sp500-record?guccounter=1#top']);
+        assert.strictEqual(stripped.analysis.overallAdvice, 'ระวัง "Bitcoin ETF approval delayed again by SEC"');
+        assert.strictEqual(stripped.score, 5 / 8);
+        assert.deepStrictEqual(stripped.unverified.map(citation => citation.kind), ['headline']);
+        assert.ok(new CitationVerifier({ mode: 'strip' }).formatReport(stripped).includes('✂️ ตัด URL ที่ไม่พบในผลค้นหาออก 2 รายการ'));
+        console.log('✅ โหมด strip ตัด URL ที่ไม่พบออก');
+
+        // ไม่มีผลค้นหา (ปิด Web Search): ทุกการอ้างอิงยืนยันไม่ได้ / ไม่มีการอ้างอิง
+        assert.strictEqual(verifier.verify(createAnalysis(), null, []).score, 0);
+        const none = verifier.verify({ holdings: [{ symbol: 'VOO', risk: 5, opportunity: 5, rationale: 'ไม่มีข่าว', citations: [] }], overallAdvice: 'ถือ' });
+        assert.strictEqual(none.score, null);
+        assert.strictEqual(verifier.formatReport(none), '🔎 **แหล่งอ้างอิง:** ไม่มีการอ้างอิงข่าว');
+
+        assert.throws(() => new CitationVerifier({ mode: 'remove' }), /โหมดตรวจแหล่งอ้างอิงไม่ถูกต้อง: remove \(ใช้ flag หรือ strip\)/);
+        console.log('✅ จัดการกรณีไม่มีผลค้นหาและโหมดไม่ถูกต้อง');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการตรวจแหล่งอ้างอิงล้มเหลว:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+testCitationVerifier();
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigFile = require('../services/configFile');
+
+function testConfigFile() {
+    console.log('🧪 กำลังทดสอบการอ่านไฟล์ตั้งค่า...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-file-'));
+
+    try {
+        const requireItems = data => (Array.isArray(data.items) ? [] : ['items ต้องเป็นรายการ']);
+
+        // JSON ที่มี BOM และ YAML อ่านได้เหมือนกัน
+        const jsonFile = path.join(tempDir, 'sample.json');
+        fs.writeFileSync(jsonFile, '\uFEFF' + JSON.stringify({ version: 1, items: ['VOO'] }));
+        assert.deepStrictEqual(new ConfigFile(jsonFile, 'ไฟล์ทดสอบ').read(requireItems), { version: 1, items: ['VOO'] });
+
+        const yamlFile = new ConfigFile(path.join(tempDir, 'sample.yaml'), 'ไฟล์ทดสอบ');
+        yamlFile.write({ version: 2, items: ['BTC', 'ทอง'] });
+        assert.ok(fs.readFileSync(yamlFile.filePath, 'utf8').startsWith('version: 2\n'));
+        assert.deepStrictEqual(yamlFile.read(requireItems).items, ['BTC', 'ทอง']);
+        console.log('✅ อ่าน/เขียน JSON และ YAML');
+
+        // object และ version ตรวจที่นี่ ฟิลด์อื่นตรวจด้วย validate ของบริการ
+        fs.writeFileSync(jsonFile, JSON.stringify({ version: 0 }));
+        assert.throws(() => new ConfigFile(jsonFile, 'ไฟล์ทดสอบ').read(requireItems), error => {
+            assert.strictEqual(error.message, `ไฟล์ทดสอบ ${jsonFile} ไม่ถูกต้อง:\n- version ต้องเป็นจำนวนเต็มตั้งแต่ 1\n- items ต้องเป็นรายการ`);
+            return true;
+        });
+        fs.writeFileSync(jsonFile, '[]');
+        assert.throws(() => new ConfigFile(jsonFile, 'ไฟล์ทดสอบ').read(requireItems), /ไม่ถูกต้อง:\n- ต้องเป็น object$/);
+        fs.writeFileSync(jsonFile, '{ version: 1 }');
+        assert.throws(() => new ConfigFile(jsonFile, 'ไฟล์ทดสอบ').read(requireItems), new RegExp(`อ่านไฟล์ทดสอบ ${jsonFile} ไม่ได้: `));
+        console.log('✅ รวมข้อผิดพลาดทุกจุดในข้อความเดียว');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการอ่านไฟล์ตั้งค่าล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testConfigFile();
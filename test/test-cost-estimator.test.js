@@ -0,0 +1,141 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIProviderRegistry = require('../services/aiProviders');
+const CostTracker = require('../services/costTracker');
+const CostEstimator = require('../services/costEstimator');
+const FxService = require('../services/fxService');
+const MapReduceAnalyzer = require('../services/mapReduceAnalyzer');
+const PriceService = require('../services/priceService');
+const WebSearchService = require('../services/webSearchService');
+const AIAnalysisService = require('../services/aiAnalysisService');
+
+const fixtureFile = path.join(__dirname, 'fixtures/prices.json');
+
+async function testCostEstimator() {
+    console.log('🧪 กำลังทดสอบการประมาณค่าใช้จ่ายก่อนรัน...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-estimator-'));
+    const originalKey = process.env.OPENAI_API_KEY;
+
+    try {
+        // คำค้นของการรัน: ข่าวทั่วไป 9 คำค้น + ข่าวรายหุ้น 4 คำค้นต่อตัว ส่วนที่เกินโควต้าฟรีคิดเงิน
+        const webSearchService = new WebSearchService('test-key', 'test-cx', null, 200, 100, new PriceService({ mode: 'fixture', fixtureFile }));
+        webSearchService.todayUsage = 95;
+        webSearchService.exchangeRate = 36.5;
+        const stockList = [{ symbol: 'VOO' }, { symbol: '-' }, { symbol: 'BTC' }];
+        const searches = webSearchService.estimateRunQueries(stockList);
+        assert.deepStrictEqual({ ...searches, costTHB: Number(searches.costTHB.toFixed(4)) }, { planned: 17, queries: 17, free: 5, paid: 12, costTHB: 2.19 });
+        console.log(`✅ คำค้น ${searches.queries} คำค้น (เสียเงิน ${searches.paid} ≈ ${searches.costTHB.toFixed(2)} บาท)`);
+
+        const registry = new AIProviderRegistry({
+            order: ['openai', 'gemini', 'mock'],
+            env: { OPENAI_API_KEY: 'sk-test', OPENAI_MODEL: 'gpt-4', GEMINI_API_KEY: 'test-key' }
+        });
+        const fxService = new FxService({ mode: 'fixture', fixtureFile });
+        const costTracker = new CostTracker(fxService, registry);
+        const candidates = registry.candidates();
+        const prompt = ' hold'.repeat(700);
+        const createEstimator = maxRunCost => new CostEstimator(costTracker, webSearchService, new MapReduceAnalyzer(), { maxRunCost });
+        const plan = (maxRunCost, remainingBudget, providers = candidates) => {
+            const estimator = createEstimator(maxRunCost);
+            const searchPlan = estimator.planSearches(stockList, { remainingBudget });
+            return estimator.planAnalysis(searchPlan, providers, prompt, {}, 36.5);
+        };
+
+        // prompt 700 tokens + คำตอบ 1,500 tokens: gpt-4 ≈ 4.05 บาท, gemini-2.5-flash ≈ 0.02 บาท, mock ไม่มีค่าใช้จ่าย
+        const proceed = plan(10, 50);
+        assert.strictEqual(proceed.decision, 'proceed');
+        assert.deepStrictEqual(proceed.limit, { amount: 10, source: 'MAX_RUN_COST_THB' });
+        assert.deepStrictEqual(proceed.estimates.map(estimate => [estimate.key, estimate.inputTokens, estimate.outputTokens, Number(estimate.costTHB.toFixed(2))]), [
+            ['openai/gpt-4', 700, 1500, 4.05],
+            ['gemini/gemini-2.5-flash', 700, 1500, 0.02],
+            ['mock/mock', 700, 1500, 0]
+        ]);
+        assert.strictEqual(proceed.providers.length, 3);
+        assert.strictEqual(webSearchService.allowPaidSearches, true);
+        console.log('✅ อยู่ในวงเงิน ดำเนินการตามปกติ');
+
+        // ค้นข่าว 2.19 + gpt-4 4.05 เกิน 5 บาท: ข้าม openai
+        const downgraded = plan(5, 50);
+        assert.strictEqual(downgraded.decision, 'downgrade');
+        assert.deepStrictEqual(downgraded.providers.map(provider => provider.name), ['gemini', 'mock']);
+
+        // ค่าค้นข่าวอย่างเดียวเกินวงเงิน: ค้นเฉพาะโควต้าฟรี และไม่นับค่าค้นข่าวในวงเงินของ AI
+        const freeSearches = plan(2, 50);
+        assert.strictEqual(freeSearches.allowPaidSearches, false);
+        assert.strictEqual(freeSearches.searchCostTHB, 0);
+        assert.strictEqual(webSearchService.allowPaidSearches, false);
+        webSearchService.todayUsage = 100;
+        assert.strictEqual(webSearchService.canUseGoogleSearch(), false);
+        webSearchService.allowPaidSearches = true;
+        assert.strictEqual(webSearchService.canUseGoogleSearch(), true);
+        assert.strictEqual(createEstimator(2).formatSummary(freeSearches).split('\n').pop(), '• ผล: ⬇️ ลดระดับ (ค้นหาเฉพาะโควต้าฟรี, ข้าม openai/gpt-4)');
+        console.log('✅ ลดระดับ: ข้าม provider ที่เกินวงเงินและคำค้นที่เสียเงิน');
+
+        // งบรายเดือนหมดและไม่มี provider ที่ไม่มีค่าใช้จ่าย: ไม่เรียก AI
+        const refused = plan(10, -3, candidates.slice(0, 2));
+        assert.strictEqual(refused.decision, 'refuse');
+        assert.deepStrictEqual(refused.limit, { amount: 0, source: 'งบรายเดือนคงเหลือ' });
+        assert.deepStrictEqual(refused.providers, []);
+        const summary = createEstimator(10).formatSummary(refused);
+        assert.ok(summary.startsWith('🧮 ประมาณการก่อนรัน:\n• วงเงินการรันนี้: 0.00 บาท (งบรายเดือนคงเหลือ)'));
+        assert.ok(summary.includes('• AI openai/gpt-4: prompt 700 + คำตอบ 1,500 tokens ≈ 4.05 บาท ❌ เกินวงเงิน'));
+        assert.ok(summary.endsWith('• ผล: ⛔ ไม่เรียก AI (ค้นหาเฉพาะโควต้าฟรี, ประมาณ 0.02 บาท เกินวงเงิน)'));
+        console.log('✅ ปฏิเสธเมื่อทุก provider เกินวงเงิน');
+
+        // map-reduce: ประมาณตามงบ token เดียวกับการเรียกจริง
+        const mapReduceAnalyzer = new MapReduceAnalyzer({ tokenBudget: 6000 });
+        const provider = registry.get('gemini');
+        const input = {
+            context: 'วันนี้: 19 ต.ค.',
+            mapInstructions: 'วิเคราะห์',
+            reduceInstructions: 'สรุป',
+            holdings: ['VOO', 'BTC', 'ทอง', 'QQQ', 'SCHD'].map(label => ({ label, details: `ถือ ${label}`, news: [] })),
+            topics: []
+        };
+        const estimate = mapReduceAnalyzer.estimate(provider, input);
+        assert.strictEqual(estimate.calls, 5);
+        assert.strictEqual(estimate.outputTokens, 4 * 500 + 1500);
+        assert.ok(estimate.inputTokens + estimate.outputTokens <= 6000);
+        console.log(`✅ ประมาณ map-reduce ${estimate.calls} ครั้ง (${(estimate.inputTokens + estimate.outputTokens).toLocaleString()} tokens)`);
+
+        // วงเงินต่ำกว่าค่า AI ทุกตัว: ส่งเฉพาะรายงานความเสี่ยง ไม่เรียก AI และแสดงผลในสรุปค่าใช้จ่าย
+        process.env.OPENAI_API_KEY = 'sk-test';
+        const service = new AIAnalysisService({
+            priceProvider: 'fixture',
+            priceFixtureFile: fixtureFile,
+            aiProviders: ['openai'],
+            aiHealthFile: path.join(tempDir, 'ai-provider-health.json'),
+            aiRunLogFile: path.join(tempDir, 'ai-analysis-runs.jsonl'),
+            costLedgerFile: path.join(tempDir, 'cost-ledger.jsonl'),
+            snapshotFile: path.join(tempDir, 'portfolio-snapshots.jsonl'),
+            maxRunCost: 0.0001
+        });
+        const analysis = await service.generateAnalysis('หุ้น VOO 0.5 500 USD', 1e9);
+        assert.strictEqual(analysis.preflight.decision, 'refuse');
+        assert.ok(analysis.content.includes('⛔ ไม่ได้วิเคราะห์ด้วย AI: ค่าใช้จ่ายโดยประมาณ'));
+        assert.ok(analysis.content.includes('เกินวงเงิน 0.00 บาท (MAX_RUN_COST_THB)'));
+        assert.ok(!fs.existsSync(path.join(tempDir, 'ai-analysis-runs.jsonl')));
+        const costSummary = await service.generateCostSummary();
+        assert.ok(costSummary.includes('🧮 ประมาณการก่อนรัน:'));
+        assert.ok(costSummary.includes('• ผล: ⛔ ไม่เรียก AI'));
+        // การรันที่ไม่มีรายการค่าใช้จ่ายยังแสดงอัตราเดียวกับรายงาน
+        assert.ok(costSummary.split('\n').pop().startsWith('อัตราแลกเปลี่ยน: 1 USD = 36.50 THB (fixture'));
+        console.log('✅ รายงานและสรุปค่าใช้จ่ายแสดงผลการประมาณก่อนรัน');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการประมาณค่าใช้จ่ายก่อนรันล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (originalKey === undefined) {
+            delete process.env.OPENAI_API_KEY;
+        } else {
+            process.env.OPENAI_API_KEY = originalKey;
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testCostEstimator();
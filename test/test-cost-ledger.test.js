@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIProviderRegistry = require('../services/aiProviders');
+const CostLedger = require('../services/costLedger');
+const CostTracker = require('../services/costTracker');
+const FxService = require('../services/fxService');
+const PriceService = require('../services/priceService');
+const WebSearchService = require('../services/webSearchService');
+
+const fixtureFile = path.join(__dirname, 'fixtures/prices.json');
+
+async function testCostLedger() {
+    console.log('🧪 กำลังทดสอบบัญชีค่าใช้จ่าย...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-ledger-'));
+
+    try {
+        // ไฟล์เดิม: นำเข้ายอดทุกเดือนที่ยังมีอยู่
+        const today = new Date().toISOString().split('T')[0];
+        const month = today.substring(0, 7);
+        const aiCosts = path.join(tempDir, 'cost-tracking.json');
+        const searchCosts = path.join(tempDir, 'google_search_costs.json');
+        fs.writeFileSync(aiCosts, JSON.stringify({
+            currentMonth: month,
+            monthlyUsage: { sessions: [{ timestamp: `${month}-01T01:00:00.000Z`, provider: 'openai', model: 'gpt-4', tokens: 300, costUSD: 0.01, costTHB: 0.365, exchangeRate: 36.5 }] }
+        }));
+        fs.writeFileSync(searchCosts, JSON.stringify({
+            daily: {
+                '2020-01-05': { requests: 150, costUSD: 0.25, costTHB: 9 },
+                [`${month}-01`]: { requests: 120, costUSD: 0.1, costTHB: 3.65 }
+            }
+        }));
+
+        const ledgerFile = path.join(tempDir, 'cost-ledger.jsonl');
+        const ledger = new CostLedger({ filePath: ledgerFile, legacyFiles: { aiCosts, searchCosts } });
+        const imported = await ledger.loadAll();
+        // ยอดค้นหารายวันแยกเป็นโควต้าฟรี 100 คำค้นและส่วนที่คิดเงิน
+        assert.deepStrictEqual(imported.map(event => [event.runId, event.category, event.quantity, event.costTHB, event.free]), [
+            ['legacy', 'search', 100, 0, true],
+            ['legacy', 'search', 50, 9, false],
+            ['legacy', 'search', 100, 0, true],
+            ['legacy', 'search', 20, 3.65, false],
+            ['legacy', 'ai', 300, 0.365, undefined]
+        ]);
+        assert.strictEqual(imported[3].exchangeRate, 36.5);
+        assert.deepStrictEqual(ledger.summarizeByMonth(imported).map(total => [total.month, total.search.queries, total.search.paidQueries, total.ai.tokens]), [
+            ['2020-01', 150, 50, 0],
+            [month, 120, 20, 300]
+        ]);
+        console.log('✅ นำยอดทุกเดือนจากไฟล์เดิมเข้าบัญชี');
+
+        // รายการที่ไม่ครบแจ้งทุกข้อพร้อมกัน
+        assert.throws(() => ledger.validate({ runId: 'r1', category: 'fax', unit: 'page', quantity: -1 }), error => {
+            assert.ok(error.message.startsWith('รายการค่าใช้จ่ายไม่ถูกต้อง:'));
+            for (const text of ['provider: ต้องระบุ', 'costUSD: ต้องระบุ', 'exchangeRate: ต้องระบุ', 'category: ต้องเป็น ai หรือ search', 'quantity: ต้องเป็นตัวเลขตั้งแต่ 0']) {
+                assert.ok(error.message.includes(text), text);
+            }
+            return true;
+        });
+        assert.match(ledger.createRunId(new Date('2026-10-19T09:03:11Z')), /^20261019-090311-[0-9a-f]{4}$/);
+
+        // AI และ Google Search บันทึกลงบัญชีเดียวกันด้วย run ID เดียวกัน
+        const registry = new AIProviderRegistry({ order: ['openai'], env: { OPENAI_API_KEY: 'sk-test', OPENAI_MODEL: 'gpt-4' } });
+        const costTracker = new CostTracker(new FxService({ mode: 'fixture', fixtureFile }), registry, ledger);
+        const runId = 'run-1';
+        const entry = await costTracker.recordAIUsage(runId, {
+            provider: 'openai',
+            model: 'gpt-4',
+            usage: { inputTokens: 1000, outputTokens: 500, totalTokens: 1500, tokenCount: 'exact' }
+        });
+        assert.deepStrictEqual([entry.unit, entry.quantity, Number(entry.costUSD.toFixed(4)), Number(entry.costTHB.toFixed(4)), entry.exchangeRate], ['token', 1500, 0.06, 2.19, 36.5]);
+
+        const webSearchService = new WebSearchService('test-key', 'test-cx', null, 200, 100, new PriceService({ mode: 'fixture', fixtureFile }), null, costTracker);
+        webSearchService.runId = runId;
+        await webSearchService.loadUsage();
+        assert.strictEqual(webSearchService.todayUsage, imported[2].timestamp.startsWith(today) ? 120 : 0);
+        webSearchService.todayUsage = 99;
+        await webSearchService.recordQuery();
+        await webSearchService.recordQuery();
+        const searches = (await ledger.loadAll()).filter(event => event.runId === runId && event.category === 'search');
+        assert.deepStrictEqual(searches.map(event => [event.free, event.costUSD]), [[true, 0], [false, 0.005]]);
+        console.log('✅ บันทึก token และคำค้น (ฟรี/คิดเงิน) ด้วย run ID เดียวกัน');
+
+        // บรรทัดที่เสียถูกข้าม งบรายเดือนรวม AI + ค้นหา
+        fs.appendFileSync(ledgerFile, '{ไม่ใช่ JSON\n');
+        const budget = await costTracker.checkBudgetLimit(10);
+        assert.strictEqual(Number(budget.aiSpend.toFixed(4)), 2.555);
+        assert.strictEqual(Number(budget.searchSpend.toFixed(4)), 3.8325);
+        assert.strictEqual(Number(budget.remainingBudget.toFixed(4)), 3.6125);
+        assert.strictEqual(budget.isOverBudget, false);
+        assert.strictEqual((await costTracker.checkBudgetLimit(6)).isOverBudget, true);
+        console.log(`✅ งบรายเดือนรวม AI + ค้นหา: ${budget.currentSpend.toFixed(2)} บาท`);
+
+        const summary = await costTracker.generateCostSummary(runId);
+        assert.deepStrictEqual({ ...summary.currentSession, costTHB: Number(summary.currentSession.costTHB.toFixed(4)) }, {
+            runId: runId,
+            tokens: 1500,
+            costUSD: summary.currentSession.costUSD,
+            costTHB: 2.3725,
+            aiCostTHB: summary.currentSession.aiCostTHB,
+            searchCostTHB: summary.currentSession.searchCostTHB,
+            queries: 2,
+            paidQueries: 1,
+            model: 'gpt-4',
+            provider: 'openai',
+            tokenCount: 'exact',
+            exchangeRate: 36.5
+        });
+        assert.deepStrictEqual([summary.monthlyTotal.tokens, summary.monthlyTotal.estimatedTokens, summary.monthlyTotal.queries, summary.monthlyTotal.sessions], [1800, 300, 122, 2]);
+        assert.strictEqual((await costTracker.generateCostSummary()).currentSession.runId, runId);
+        console.log('✅ สรุปค่าใช้จ่ายรายการรันและรายเดือนจากบัญชี');
+
+    } catch (error) {
+        console.error('❌ การทดสอบบัญชีค่าใช้จ่ายล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testCostLedger();
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CostLedger = require('../services/costLedger');
+const CostReport = require('../services/costReport');
+
+function event(timestamp, runId, category, provider, model, quantity, costTHB) {
+    return {
+        timestamp, runId, category, provider, model,
+        unit: category === 'ai' ? 'token' : 'query',
+        quantity: quantity,
+        costUSD: costTHB / 36.5,
+        costTHB: costTHB,
+        exchangeRate: 36.5
+    };
+}
+
+async function testCostReport() {
+    console.log('🧪 กำลังทดสอบรายงานค่าใช้จ่ายย้อนหลัง...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-report-'));
+
+    try {
+        const ledger = new CostLedger({
+            filePath: path.join(tempDir, 'cost-ledger.jsonl'),
+            legacyFiles: { aiCosts: path.join(tempDir, 'none.json'), searchCosts: path.join(tempDir, 'none.json') }
+        });
+        const report = new CostReport(ledger, { months: 2, recentRuns: 2, monthlyLimit: 20 });
+
+        // บัญชีว่าง
+        const empty = await report.build(new Date('2026-10-10T12:00:00Z'));
+        assert.deepStrictEqual(empty.months, []);
+        assert.strictEqual(empty.projection.projected, 0);
+        assert.ok(report.format(empty).includes('ยังไม่มีรายการค่าใช้จ่ายในบัญชี'));
+
+        for (const item of [
+            event('2026-08-20T01:00:00.000Z', 'r0', 'ai', 'openai', 'gpt-4', 1000, 50),
+            event('2026-09-01T00:00:00.000Z', 'legacy', 'search', 'google-search', null, 120, 2),
+            event('2026-09-15T01:00:00.000Z', 'r1', 'search', 'google-search', null, 17, 1),
+            event('2026-09-15T01:01:00.000Z', 'r1', 'ai', 'openai', 'gpt-4', 2000, 3),
+            event('2026-09-20T01:00:00.000Z', 'r2', 'ai', 'gemini', 'gemini-2.5-flash', 3000, 0),
+            event('2026-10-02T01:00:00.000Z', 'r3', 'ai', 'openai', 'gpt-4', 1500, 4),
+            event('2026-10-09T01:00:00.000Z', 'r4', 'search', 'google-search', null, 10, 1)
+        ]) {
+            await ledger.append(item);
+        }
+
+        const result = await report.build(new Date('2026-10-10T12:00:00Z'));
+
+        // แนวโน้ม 2 เดือนล่าสุด: ยอดจากไฟล์เดิมนับในเดือนแต่ไม่นับเป็นการรัน
+        assert.deepStrictEqual(result.period, { from: '2026-09', to: '2026-10' });
+        assert.deepStrictEqual(result.months.map(month => [month.month, month.costTHB, month.runs, month.costPerRun, month.change]), [
+            ['2026-09', 6, 2, 2, null],
+            ['2026-10', 5, 2, 2.5, (5 - 6) / 6 * 100]
+        ]);
+        console.log('✅ แนวโน้มรายเดือนและค่าใช้จ่ายเฉลี่ยต่อการรัน');
+
+        assert.deepStrictEqual(result.providers.map(group => [group.key, group.quantity, group.costTHB, Number(group.share.toFixed(1))]), [
+            ['openai/gpt-4', 3500, 7, 63.6],
+            ['google-search', 147, 4, 36.4],
+            ['gemini/gemini-2.5-flash', 3000, 0, 0]
+        ]);
+        assert.deepStrictEqual(result.runs.map(run => [run.runId, run.costTHB, run.models, run.queries]), [
+            ['r3', 4, ['openai/gpt-4'], 0],
+            ['r4', 1, [], 10]
+        ]);
+        console.log('✅ แยกตาม provider/model และการรันล่าสุด');
+
+        // ใช้ไป 5 บาทใน 10 วัน: เดือน 31 วัน = 15.50 บาท
+        assert.deepStrictEqual(result.projection, {
+            month: '2026-10', spent: 5, daysElapsed: 10, daysInMonth: 31, projected: 15.5, monthlyLimit: 20, overLimit: false
+        });
+        const text = report.format(result);
+        assert.ok(text.includes('• 2026-10: 5.00 บาท (AI 4.00, ค้นหา 1.00) | 2 การรัน, เฉลี่ย 2.50 บาท/การรัน | 📉 -16.7% จากเดือนก่อน'));
+        assert.ok(text.includes('• google-search: 147 คำค้น ≈ 4.00 บาท (36.4%)'));
+        assert.ok(text.includes('• r4: 1.00 บาท (ไม่ได้เรียก AI, ค้นหา 10 คำค้น)'));
+        assert.ok(text.endsWith('🔮 คาดการณ์สิ้นเดือน 2026-10: 15.50 บาท (ใช้ไป 5.00 บาท ใน 10/31 วัน) จากงบ 20.00 บาท'));
+        assert.strictEqual((await new CostReport(ledger, { monthlyLimit: 10 }).build(new Date('2026-10-10T12:00:00Z'))).projection.overLimit, true);
+        console.log('✅ คาดการณ์ยอดสิ้นเดือนเทียบงบ');
+
+    } catch (error) {
+        console.error('❌ การทดสอบรายงานค่าใช้จ่ายย้อนหลังล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testCostReport();
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const path = require('path');
+const PriceService = require('../services/priceService');
+const RiskMetrics = require('../services/riskMetrics');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+const Rebalancer = require('../services/rebalancer');
+const DcaPlanner = require('../services/dcaPlanner');
+
+async function testDcaPlanner() {
+    console.log('🧪 กำลังทดสอบแผน DCA และการคาดการณ์มูลค่า...');
+
+    try {
+        const priceService = new PriceService({
+            mode: 'fixture',
+            fixtureFile: path.join(__dirname, 'fixtures/prices.json')
+        });
+        const analyzer = new StockRiskAnalyzer(null, null, priceService, null, new RiskMetrics(priceService));
+        const analysis = await analyzer.analyzeStockRisk([
+            'หุ้น VOO 1 500 USD 20 ปี Dime!',
+            'สกุลเงินคริปโต BTC 0.01 900 USD 5 ปี Binance TH',
+            'ทอง ทอง 0.5 20000 THB 20 ปี ออม Now'
+        ].join('\n'));
+        const total = analysis.reduce((sum, item) => sum + item.currentValue, 0);
+        const valueOf = symbol => analysis.find(item => item.symbol === symbol).currentValue;
+
+        const withTargets = new Rebalancer(analyzer.valuationEngine, {
+            targetFile: path.join(__dirname, '../config/target-allocation.example.json')
+        });
+        const withoutTargets = new Rebalancer(analyzer.valuationEngine, { targetFile: path.join(__dirname, 'missing-target.json') });
+
+        // ค่าคาดหมายเมื่อไม่มีความผันผวนตรงกับสูตรมูลค่าอนาคตของเงินลงทุนรายเดือน
+        const planner = new DcaPlanner(withTargets, { monthlyContribution: 10000 });
+        const flat = planner.project({
+            startValue: 100000, contribution: 5000, years: 10, expectedReturn: 6, volatility: 0,
+            simulations: 10, seed: 1, percentiles: [10, 90]
+        });
+        const rate = Math.pow(1.06, 1 / 12) - 1;
+        const futureValue = 100000 * Math.pow(1 + rate, 120) + 5000 * (Math.pow(1 + rate, 120) - 1) / rate;
+        const last = flat.checkpoints[flat.checkpoints.length - 1];
+        assert.strictEqual(last.year, 10);
+        assert.strictEqual(last.invested, 100000 + 5000 * 120);
+        assert.ok(Math.abs(last.expected - futureValue) < 1e-6);
+        assert.ok(Math.abs(last.percentiles[10] - futureValue) < 1e-3);
+        assert.ok(Math.abs(last.percentiles[90] - futureValue) < 1e-3);
+        console.log(`✅ ค่าคาดหมาย 10 ปี ${futureValue.toFixed(0)} ตรงกับสูตร`);
+
+        // แผนตามสัดส่วนเป้าหมาย: เงินทั้งหมดถูกแบ่ง กลุ่มที่ขาดมากได้มาก
+        const plan = planner.plan(analysis);
+        assert.strictEqual(plan.basis, 'target');
+        assert.ok(Math.abs(plan.allocations.reduce((sum, item) => sum + item.amount, 0) - 10000) < 1e-6);
+        assert.strictEqual(plan.allocations[0].symbol, 'VOO');
+        assert.ok(plan.allocations.find(item => item.symbol === 'NVDA').newHolding);
+        assert.ok(!plan.allocations.find(item => item.symbol === 'BTC'));
+        console.log(`✅ แบ่งเงิน 10,000 บาท: ${plan.allocations.map(item => `${item.label} ${item.amount.toFixed(0)}`).join(', ')}`);
+
+        // ระยะเวลาจากไฟล์พอร์ต (ยาวที่สุด) และผลคาดการณ์เหมือนเดิมทุกครั้ง (seed คงที่)
+        const { projection } = plan;
+        assert.strictEqual(projection.years, 20);
+        assert.deepStrictEqual(projection.checkpoints.map(item => item.year), [5, 10, 15, 20]);
+        const final = projection.checkpoints[3];
+        assert.ok(final.percentiles[10] < final.percentiles[50] && final.percentiles[50] < final.percentiles[90]);
+        assert.ok(final.percentiles[50] < final.expected);
+        assert.ok(projection.probabilityBelowInvested >= 0 && projection.probabilityBelowInvested < 0.5);
+        const again = new DcaPlanner(withTargets, { monthlyContribution: 10000 }).plan(analysis);
+        assert.deepStrictEqual(again.projection.checkpoints, projection.checkpoints);
+        assert.strictEqual(planner.parseYears('6 เดือน'), 0.5);
+        assert.strictEqual(planner.parseYears(null), null);
+        console.log(`✅ ปีที่ 20: P10 ${final.percentiles[10].toFixed(0)} / P50 ${final.percentiles[50].toFixed(0)} / P90 ${final.percentiles[90].toFixed(0)}`);
+
+        // ไม่มีไฟล์เป้าหมาย: แบ่งตามสัดส่วนปัจจุบัน ยอดที่ต่ำกว่าขั้นต่ำของแอพรวมไปให้รายการอื่น
+        const current = new DcaPlanner(withoutTargets, { monthlyContribution: 1000 }).plan(analysis);
+        assert.strictEqual(current.basis, 'current');
+        const voo = current.allocations.find(item => item.symbol === 'VOO');
+        assert.ok(Math.abs(voo.amount - 1000 * valueOf('VOO') / total) < 1e-6);
+        const small = new DcaPlanner(withoutTargets, { monthlyContribution: 200 }).plan(analysis);
+        assert.ok(!small.allocations.find(item => item.symbol === 'BTC'));
+        assert.ok(small.notes[0].startsWith('BTC ต่ำกว่าขั้นต่ำของแอพ'));
+        assert.ok(Math.abs(small.allocations.reduce((sum, item) => sum + item.amount, 0) - 200) < 1e-6);
+        console.log('✅ แบ่งตามสัดส่วนปัจจุบันและเคารพขั้นต่ำของแอพ');
+
+        assert.strictEqual(new DcaPlanner(withTargets).plan(analysis), null);
+
+        const report = analyzer.generateRiskReport(analysis, null, { dcaPlan: plan });
+        assert.ok(report.includes('📅 **แผน DCA เดือนนี้** (10,000 บาท, ตามสัดส่วนเป้าหมาย):'));
+        assert.ok(report.includes('🆕 ยังไม่ได้ถือ'));
+        assert.ok(report.includes('🔮 **คาดการณ์มูลค่าพอร์ต 20 ปี**'));
+        assert.ok(report.includes('• ปีที่ 20: ลงทุนรวม'));
+        console.log('✅ รายงานแสดงแผน DCA และการคาดการณ์');
+
+    } catch (error) {
+        console.error('❌ การทดสอบแผน DCA ล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testDcaPlanner();
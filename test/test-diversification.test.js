@@ -0,0 +1,72 @@
+const assert = require('assert');
+const path = require('path');
+const PriceService = require('../services/priceService');
+const RiskMetrics = require('../services/riskMetrics');
+const DiversificationAnalyzer = require('../services/diversificationAnalyzer');
+const RegistryService = require('../services/registryService');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+
+async function testDiversification() {
+    console.log('🧪 กำลังทดสอบการกระจายความเสี่ยง...');
+
+    try {
+        const priceService = new PriceService({
+            mode: 'fixture',
+            fixtureFile: path.join(__dirname, 'fixtures/prices.json')
+        });
+        const riskMetrics = new RiskMetrics(priceService);
+        for (const [symbol, type] of [['VOO', 'หุ้น'], ['IVV', 'หุ้น'], ['NVDA', 'หุ้น'], ['BTC', 'สกุลเงินคริปโต']]) {
+            await riskMetrics.analyzeHolding(symbol, type);
+        }
+
+        const analyzer = new DiversificationAnalyzer(riskMetrics, new RegistryService());
+        const result = analyzer.analyze([
+            { symbol: 'VOO', value: 30000 },
+            { symbol: 'IVV', value: 30000 },
+            { symbol: 'NVDA', value: 30000 },
+            { symbol: 'BTC', value: 10000 },
+            { symbol: 'ทอง', value: 0 }
+        ]);
+
+        // เมทริกซ์สมมาตร เส้นทแยงสหสัมพันธ์เป็น 1 และความแปรปรวนตรงกับความผันผวนรายตัว
+        const { symbols, correlation, covariance } = result;
+        assert.deepStrictEqual(symbols, ['VOO', 'IVV', 'NVDA', 'BTC']);
+        for (let i = 0; i < symbols.length; i++) {
+            assert.ok(Math.abs(correlation[i][i] - 1) < 1e-9);
+            for (let j = 0; j < symbols.length; j++) {
+                assert.ok(Math.abs(correlation[i][j] - correlation[j][i]) < 1e-12);
+            }
+        }
+        const vooMetrics = await riskMetrics.analyzeHolding('VOO', 'หุ้น');
+        assert.ok(Math.abs(Math.sqrt(covariance[0][0]) * 100 - vooMetrics.volatility) < 1e-9);
+        console.log(`✅ สหสัมพันธ์ VOO–IVV ${correlation[0][1].toFixed(2)}, VOO–BTC ${correlation[0][3].toFixed(2)}`);
+
+        assert.strictEqual(result.overlaps.length, 1);
+        assert.strictEqual(result.overlaps[0].index, 'S&P 500');
+        assert.strictEqual(result.overlaps[0].weight, 60);
+        assert.ok(result.highCorrelations.every(pair => !(pair.symbols.includes('VOO') && pair.symbols.includes('IVV'))));
+        console.log('✅ ตรวจพบ VOO + IVV ติดตามดัชนีเดียวกัน');
+
+        assert.ok(result.diversificationRatio > 1);
+        assert.ok(Math.abs(result.effectiveHoldings - 10000 / (3 * 900 + 100)) < 1e-9);
+        assert.deepStrictEqual(result.concentrated, []);
+        const concentrated = analyzer.analyze([{ symbol: 'VOO', value: 80 }, { symbol: 'BTC', value: 20 }]);
+        assert.deepStrictEqual(concentrated.concentrated.map(item => item.symbol), ['VOO']);
+        console.log(`✅ Diversification ratio ${result.diversificationRatio.toFixed(2)}, จำนวนตัวที่มีผลจริง ${result.effectiveHoldings.toFixed(1)}`);
+
+        // ส่วนรายงานใหม่
+        const stockRiskAnalyzer = new StockRiskAnalyzer(null, null, priceService, null, riskMetrics);
+        const analysis = await stockRiskAnalyzer.analyzeStockRisk('หุ้น VOO 1 500 USD\nหุ้น IVV 1 600 USD\nหุ้น NVDA 1 150 USD');
+        const report = stockRiskAnalyzer.generateRiskReport(analysis);
+        assert.ok(report.includes('🧩 **การกระจายความเสี่ยง:**'));
+        assert.ok(report.includes('ติดตามดัชนี S&P 500 เดียวกัน'));
+        assert.ok(report.includes('   - VOO: IVV'));
+        console.log('✅ รายงานแสดงส่วนการกระจายความเสี่ยง');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการกระจายความเสี่ยงล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testDiversification();
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonlStore = require('../services/jsonlStore');
+
+async function testJsonlStore() {
+    console.log('🧪 กำลังทดสอบไฟล์ JSONL...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonl-store-'));
+
+    try {
+        // ยังไม่มีไฟล์ = ว่าง, append สร้างโฟลเดอร์ให้
+        const store = new JsonlStore(path.join(tempDir, 'nested', 'runs.jsonl'));
+        assert.strictEqual(await store.exists(), false);
+        assert.deepStrictEqual(await store.loadAll(), []);
+        await store.append({ id: 1 });
+        await store.append({ id: 2, name: 'ทอง' });
+        assert.strictEqual(await store.exists(), true);
+        assert.deepStrictEqual(await store.loadAll(), [{ id: 1 }, { id: 2, name: 'ทอง' }]);
+        console.log('✅ เขียนต่อท้ายและอ่านตามลำดับในไฟล์');
+
+        // บรรทัดที่เสียถูกข้าม รายการอื่นยังอ่านได้
+        fs.appendFileSync(store.filePath, '{broken json\n\n');
+        await store.append({ id: 3 });
+        assert.deepStrictEqual((await store.loadAll()).map(entry => entry.id), [1, 2, 3]);
+        console.log('✅ ข้ามบรรทัดที่เสีย');
+
+        // create เขียนรายการเริ่มต้น
+        const seeded = new JsonlStore(path.join(tempDir, 'seeded.jsonl'));
+        await seeded.create([{ id: 'a' }, { id: 'b' }]);
+        assert.strictEqual(fs.readFileSync(seeded.filePath, 'utf8'), '{"id":"a"}\n{"id":"b"}\n');
+        await seeded.create();
+        assert.deepStrictEqual(await seeded.loadAll(), []);
+        console.log('✅ สร้างไฟล์พร้อมรายการเริ่มต้น');
+
+    } catch (error) {
+        console.error('❌ การทดสอบไฟล์ JSONL ล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testJsonlStore();
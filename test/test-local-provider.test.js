@@ -0,0 +1,153 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const AIProviderRegistry = require('../services/aiProviders');
+const MockProvider = require('../services/aiProviders/mockProvider');
+const AIAnalysisService = require('../services/aiAnalysisService');
+const CostTracker = require('../services/costTracker');
+const FxService = require('../services/fxService');
+
+// เซิร์ฟเวอร์จำลองที่ตอบแบบ OpenAI /v1/chat/completions
+function startStubServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+            requests.push(request);
+            const { status, data } = handler(request);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` }));
+    });
+}
+
+async function testLocalProvider() {
+    console.log('🧪 กำลังทดสอบ Local LLM provider...');
+
+    let stub = null;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-provider-'));
+    const originalEnv = { OPENAI_API_KEY: process.env.OPENAI_API_KEY, LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL };
+
+    try {
+        let withUsage = true;
+        stub = await startStubServer(request => {
+            if (request.body.model === 'broken') {
+                return { status: 404, data: { error: { message: 'model "broken" not found' } } };
+            }
+            const prompt = request.body.messages[0].content;
+            const content = prompt.includes('ตอบเป็น JSON') ? new MockProvider().createStructuredContent(prompt) : `วิเคราะห์: ${prompt}`;
+            const data = {
+                id: 'chatcmpl-1',
+                object: 'chat.completion',
+                model: request.body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content: content }, finish_reason: 'stop' }]
+            };
+            if (withUsage) data.usage = { prompt_tokens: 12, completion_tokens: 34, total_tokens: 46 };
+            return { status: 200, data };
+        });
+
+        // ไม่มี API key ใด ๆ แต่มี LOCAL_LLM_BASE_URL: เลือก local ก่อน mock
+        const registry = new AIProviderRegistry({
+            env: { LOCAL_LLM_BASE_URL: `${stub.baseUrl}/`, LOCAL_LLM_MODEL: 'llama3.1:8b' }
+        });
+        const { provider, reason } = registry.select();
+        assert.strictEqual(provider.name, 'local');
+        assert.strictEqual(provider.isFree, true);
+        assert.strictEqual(registry.select({ overBudget: true }).provider.name, 'local');
+        console.log(`✅ เลือก ${provider.name}/${provider.model} (${reason})`);
+
+        const response = await provider.generateResponse('พอร์ต VOO');
+        assert.strictEqual(stub.requests[0].url, '/v1/chat/completions');
+        assert.strictEqual(stub.requests[0].body.model, 'llama3.1:8b');
+        assert.deepStrictEqual(stub.requests[0].body.messages, [{ role: 'user', content: 'พอร์ต VOO' }]);
+        assert.strictEqual(stub.requests[0].headers.authorization, undefined);
+        assert.deepStrictEqual(response, {
+            content: 'วิเคราะห์: พอร์ต VOO',
+            usage: { inputTokens: 12, outputTokens: 34, totalTokens: 46, tokenCount: 'exact' },
+            model: 'llama3.1:8b',
+            provider: 'local'
+        });
+        console.log(`✅ ตอบกลับจาก ${stub.baseUrl}: ${response.usage.totalTokens} tokens`);
+
+        // นับ token แต่ไม่มีค่าใช้จ่าย
+        const fxService = new FxService({ mode: 'fixture', fixtureFile: path.join(__dirname, 'fixtures/prices.json') });
+        const cost = new CostTracker(fxService, registry).calculateCost('local', 'llama3.1:8b', 12, 34);
+        assert.deepStrictEqual(cost, { inputCost: 0, outputCost: 0, totalCost: 0 });
+        assert.strictEqual(provider.tracksUsage, true);
+        assert.strictEqual(registry.get('mock').tracksUsage, false);
+        console.log('✅ บันทึก token โดยไม่มีค่าใช้จ่าย');
+
+        // API key (เช่น vLLM --api-key) และเซิร์ฟเวอร์ที่ไม่ส่ง usage
+        withUsage = false;
+        const secured = new AIProviderRegistry({
+            order: ['local'],
+            env: { LOCAL_LLM_BASE_URL: stub.baseUrl, LOCAL_LLM_API_KEY: 'local-secret' }
+        }).get('local');
+        const estimated = await secured.generateResponse('12345678');
+        assert.strictEqual(stub.requests[1].headers.authorization, 'Bearer local-secret');
+        assert.strictEqual(stub.requests[1].body.model, 'llama3.1:8b');
+        assert.strictEqual(estimated.usage.inputTokens, 3);
+        assert.strictEqual(estimated.usage.outputTokens, secured.estimateTokens(estimated.content));
+        assert.strictEqual(estimated.usage.tokenCount, 'estimated');
+        console.log('✅ ส่ง API key เมื่อกำหนด และประมาณ token เมื่อไม่มี usage');
+
+        // ไม่มี base URL = ปิด, โมเดลไม่มีในเซิร์ฟเวอร์ = error จากเซิร์ฟเวอร์
+        const disabled = new AIProviderRegistry({ env: {} });
+        assert.strictEqual(disabled.get('local').isEnabled, false);
+        assert.strictEqual(disabled.select().provider.name, 'mock');
+        await assert.rejects(disabled.get('local').chat('x'), /Local LLM base URL is not configured/);
+        const broken = new AIProviderRegistry({ env: { LOCAL_LLM_BASE_URL: stub.baseUrl, LOCAL_LLM_MODEL: 'broken' } }).get('local');
+        await assert.rejects(broken.chat('x'), /Local LLM API Error: model "broken" not found/);
+        console.log('✅ ปิดเมื่อไม่มี base URL และแจ้งข้อผิดพลาดจากเซิร์ฟเวอร์');
+
+        // เกินงบ: ข้าม openai ที่คิดเงิน ใช้ local และบันทึกค่าใช้จ่าย 0 บาทลงบัญชี
+        withUsage = true;
+        process.env.OPENAI_API_KEY = 'sk-test';
+        process.env.LOCAL_LLM_BASE_URL = stub.baseUrl;
+        const ledgerFile = path.join(tempDir, 'cost-ledger.jsonl');
+        fs.writeFileSync(ledgerFile, JSON.stringify({
+            timestamp: new Date().toISOString(), runId: 'earlier', category: 'ai', provider: 'openai', model: 'gpt-4',
+            unit: 'token', quantity: 100000, costUSD: 5, costTHB: 182.5, exchangeRate: 36.5, inputTokens: 50000, outputTokens: 50000, tokenCount: 'exact'
+        }) + '\n');
+        const service = new AIAnalysisService({
+            priceProvider: 'fixture',
+            priceFixtureFile: path.join(__dirname, 'fixtures/prices.json'),
+            aiProviders: ['openai', 'local'],
+            aiHealthFile: path.join(tempDir, 'ai-provider-health.json'),
+            aiRunLogFile: path.join(tempDir, 'ai-analysis-runs.jsonl'),
+            costLedgerFile: ledgerFile,
+            snapshotFile: path.join(tempDir, 'portfolio-snapshots.jsonl')
+        });
+        const requestCount = stub.requests.length;
+        const analysis = await service.generateAnalysis('หุ้น VOO 0.5 500 USD', 100);
+        assert.strictEqual(analysis.provider, 'local');
+        assert.ok(stub.requests.length > requestCount);
+        const events = (await service.costTracker.ledger.loadAll()).filter(event => event.runId === service.runId && event.category === 'ai');
+        assert.ok(events.length > 0);
+        assert.deepStrictEqual([...new Set(events.map(event => `${event.provider}:${event.costUSD}:${event.costTHB}`))], ['local:0:0']);
+        console.log(`✅ เกินงบใช้ ${analysis.provider} และบันทึกค่าใช้จ่าย 0 บาท (${events.length} รายการ)`);
+
+    } catch (error) {
+        console.error('❌ การทดสอบ Local LLM provider ล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (stub) stub.server.close();
+        for (const [name, value] of Object.entries(originalEnv)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testLocalProvider();
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const BaseAIProvider = require('../services/aiProviders/baseAIProvider');
+const MapReduceAnalyzer = require('../services/mapReduceAnalyzer');
+
+// provider จำลอง: บันทึก prompt และตอบด้วยหัวข้อที่วิเคราะห์ (reduce = สรุปรวม)
+class RecordingProvider extends BaseAIProvider {
+    constructor(maxPromptChars) {
+        super('recording', { model: 'rec-1', maxPromptChars });
+        this.isEnabled = true;
+        this.calls = [];
+    }
+
+    async chat(prompt, maxTokens = 4000) {
+        this.calls.push({ prompt, maxTokens });
+        const focus = prompt.match(/^(สินทรัพย์|หัวข้อข่าว): .+$/m)?.[0] || 'สรุปรวม';
+        return this.createResponse(`ผลของ ${focus}`, this.estimateTokens(prompt), 20);
+    }
+}
+
+function createInput() {
+    const news = symbol => [1, 2, 3].map(index => ({
+        title: `${symbol} ข่าว ${index}`,
+        url: `https://news.example.com/${symbol.toLowerCase()}/${index}`,
+        snippet: 'รายละเอียด '.repeat(5)
+    }));
+
+    return {
+        context: 'วันนี้: October 19, 2026\n\nพอร์ตที่ลงทุน:\n• VOO 70%\n• GOLD 30%',
+        mapInstructions: 'วิเคราะห์สั้นๆ พร้อม URL อ้างอิง',
+        reduceInstructions: 'รวมเป็นรายงาน 📰 🎯 💭',
+        holdings: [
+            { label: 'VOO', details: 'มูลค่า 70,000 บาท', news: news('VOO') },
+            { label: 'GOLD', details: 'มูลค่า 30,000 บาท', news: news('GOLD') }
+        ],
+        topics: [
+            { label: 'เศรษฐกิจ', news: news('ECON') },
+            { label: 'คริปโต', news: [] }
+        ]
+    };
+}
+
+async function testMapReduce() {
+    console.log('🧪 กำลังทดสอบการวิเคราะห์แบบ map-reduce...');
+
+    try {
+        const input = createInput();
+        const analyzer = new MapReduceAnalyzer({ tokenBudget: 20000 });
+        const provider = new RecordingProvider(400);
+
+        assert.strictEqual(analyzer.shouldSplit('x'.repeat(401), provider), true);
+        assert.strictEqual(analyzer.shouldSplit('x'.repeat(400), provider), false);
+
+        // prompt ย่อยทุกอันมีบริบทและคำสั่งครบ หัวข้อที่ไม่มีข่าวไม่ถูกเรียก
+        const result = await analyzer.run(provider, input);
+        const mapCalls = provider.calls.slice(0, -1);
+        assert.deepStrictEqual(result.mapReduce.mapped, ['VOO', 'GOLD', 'เศรษฐกิจ']);
+        assert.strictEqual(mapCalls.length, 3);
+        for (const call of mapCalls) {
+            assert.ok(call.prompt.startsWith(input.context));
+            assert.ok(call.prompt.endsWith(input.mapInstructions));
+            assert.ok(call.prompt.length <= provider.maxPromptChars);
+            assert.strictEqual(call.maxTokens, analyzer.mapOutputTokens);
+        }
+        assert.ok(mapCalls[0].prompt.includes('สินทรัพย์: VOO\nมูลค่า 70,000 บาท'));
+        assert.ok(mapCalls[0].prompt.includes('https://news.example.com/voo/1'));
+        assert.ok(!mapCalls[0].prompt.includes('GOLD ข่าว'));
+        console.log('✅ prompt ย่อยรายสินทรัพย์/รายหัวข้อมีวันที่ ภาพรวมพอร์ต และคำสั่งครบ');
+
+        // reduce รวมผลย่อยทั้งหมด และ usage รวมทุกการเรียก
+        const reduceCall = provider.calls[provider.calls.length - 1];
+        assert.ok(reduceCall.prompt.includes('### VOO\nผลของ สินทรัพย์: VOO'));
+        assert.ok(reduceCall.prompt.includes('### เศรษฐกิจ\nผลของ หัวข้อข่าว: เศรษฐกิจ'));
+        assert.ok(reduceCall.prompt.endsWith(input.reduceInstructions));
+        assert.strictEqual(result.content, 'ผลของ สรุปรวม');
+        assert.strictEqual(result.mapReduce.calls, 4);
+        assert.strictEqual(result.usage.outputTokens, 80);
+        assert.strictEqual(result.usage.totalTokens, provider.calls.reduce((sum, call) => sum + provider.estimateTokens(call.prompt) + 20, 0));
+        assert.strictEqual(result.mapReduce.tokensUsed, result.usage.totalTokens);
+        assert.strictEqual(result.provider, 'recording');
+        console.log(`✅ reduce รวมผล ${result.mapReduce.calls} การเรียก ${result.usage.totalTokens} tokens`);
+
+        // งบจำกัด: ส่วนท้ายถูกข้ามและแจ้งใน prompt reduce โดยไม่เกินงบ
+        const limited = new RecordingProvider(400);
+        const tight = await new MapReduceAnalyzer({ tokenBudget: 3000 }).run(limited, input);
+        assert.ok(tight.mapReduce.skipped.length > 0);
+        assert.deepStrictEqual(tight.mapReduce.mapped, ['VOO', 'GOLD', 'เศรษฐกิจ'].slice(0, 3 - tight.mapReduce.skipped.length));
+        assert.ok(limited.calls[limited.calls.length - 1].prompt.includes(`เกินงบ token: ${tight.mapReduce.skipped.join(', ')}`));
+        assert.ok(tight.usage.inputTokens + limited.calls.reduce((sum, call) => sum + call.maxTokens, 0) <= 3000);
+        console.log(`✅ ข้าม ${tight.mapReduce.skipped.join(', ')} เมื่อเกินงบ token`);
+
+        // งบไม่พอแม้แต่ส่วนเดียว
+        await assert.rejects(
+            new MapReduceAnalyzer({ tokenBudget: 500 }).run(new RecordingProvider(400), input),
+            /งบ token 500 ไม่พอสำหรับการวิเคราะห์แบบ map-reduce/
+        );
+        console.log('✅ แจ้งข้อผิดพลาดเมื่องบ token ไม่พอ');
+
+    } catch (error) {
+        console.error('❌ การทดสอบ map-reduce ล้มเหลว:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+testMapReduce();
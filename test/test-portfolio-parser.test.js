@@ -0,0 +1,75 @@
+const assert = require('assert');
+const PortfolioParser = require('../services/portfolioParser');
+
+async function testPortfolioParser() {
+    console.log('🧪 กำลังทดสอบการอ่านไฟล์พอร์ต...');
+
+    try {
+        const parser = new PortfolioParser();
+
+        // เลือกรูปแบบจาก content-type และนามสกุลไฟล์
+        assert.strictEqual(parser.detectFormat({ contentType: 'text/csv; charset=utf-8' }), 'csv');
+        assert.strictEqual(parser.detectFormat({ fileName: 'https://example.com/portfolio.yml?dl=1' }), 'yaml');
+        assert.strictEqual(parser.detectFormat({ fileName: 'portfolio.json' }), 'json');
+        assert.strictEqual(parser.detectFormat({ contentType: 'application/octet-stream' }), 'text');
+        console.log('✅ เลือกรูปแบบไฟล์ถูกต้อง');
+
+        const csv = [
+            'ประเภท,ชื่อ,จำนวน,หน่วย,ราคา,สกุลเงิน,ระยะเวลา,แอพ',
+            'หุ้น,VOO,0.00394415,share,24.35,USD,20 ปี,Dime!',
+            'ทอง,ทอง,1,บาททองคำ,"20,000",THB,20 ปี,ออม Now',
+            'หุ้น,NVDA,abc,share,15.21,USD,20 ปี,Dime!'
+        ].join('\n');
+        const csvResult = parser.parse(csv, { fileName: 'portfolio.csv' });
+        assert.strictEqual(csvResult.holdings.length, 2);
+        assert.deepStrictEqual(csvResult.holdings[1].amount, 1);
+        assert.deepStrictEqual(csvResult.holdings[1].price, 20000);
+        assert.strictEqual(csvResult.holdings[1].app, 'ออม Now');
+        assert.strictEqual(csvResult.errors.length, 1);
+        assert.strictEqual(csvResult.errors[0].line, 4);
+        console.log(`✅ CSV: ${csvResult.holdings.length} รายการ, แจ้งข้อผิดพลาดบรรทัด ${csvResult.errors[0].line}`);
+
+        const json = JSON.stringify({
+            holdings: [
+                { type: 'สกุลเงินคริปโต', symbol: 'BTC', amount: '0.00005653 btc', price: '213.42 THB', app: 'Binance TH' },
+                { type: 'หุ้น', amount: 1 }
+            ]
+        });
+        const jsonResult = parser.parse(json, { contentType: 'application/json' });
+        assert.strictEqual(jsonResult.holdings[0].amount, 0.00005653);
+        assert.strictEqual(jsonResult.holdings[0].unit, 'BTC');
+        assert.strictEqual(jsonResult.holdings[0].currency, 'THB');
+        // JSON/YAML ไม่มีเลขบรรทัดของรายการ จึงระบุลำดับในรายการแทน
+        assert.strictEqual(jsonResult.holdings[0].item, 1);
+        assert.strictEqual(jsonResult.holdings[0].line, null);
+        assert.strictEqual(jsonResult.errors[0].item, 2);
+        assert.strictEqual(jsonResult.errors[0].line, null);
+        assert.strictEqual(parser.formatLocation(jsonResult.errors[0]), 'รายการที่ 2');
+        assert.strictEqual(parser.formatLocation(csvResult.errors[0]), 'บรรทัด 4');
+        assert.strictEqual(parser.formatLocation({ line: null, message: 'x' }), 'ไฟล์');
+        console.log('✅ JSON: แยกหน่วยและสกุลเงินจากค่าได้ และแจ้งลำดับรายการที่ผิด');
+
+        const yamlResult = parser.parse([
+            '- type: หุ้น',
+            '  symbol: IVV',
+            '  amount: 0.5',
+            '  price: 300',
+            '  currency: usd'
+        ].join('\n'), { fileName: 'portfolio.yaml' });
+        assert.strictEqual(yamlResult.holdings[0].symbol, 'IVV');
+        assert.strictEqual(yamlResult.holdings[0].currency, 'USD');
+        console.log('✅ YAML: อ่านได้ถูกต้อง');
+
+        const brokenYaml = parser.parse('holdings:\n  - [unclosed', { format: 'yaml' });
+        assert.strictEqual(brokenYaml.holdings.length, 0);
+        assert.ok(brokenYaml.errors[0].message.includes('YAML'));
+        assert.match(parser.formatLocation(brokenYaml.errors[0]), /^บรรทัด \d+$/);
+        console.log('✅ YAML ที่ผิดรูปแบบถูกรายงาน');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการอ่านไฟล์พอร์ตล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testPortfolioParser();
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const path = require('path');
+const PriceService = require('../services/priceService');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+
+async function testPriceProvider() {
+    console.log('🧪 กำลังทดสอบ Price Provider (fixture)...');
+
+    try {
+        const priceService = new PriceService({
+            mode: 'fixture',
+            fixtureFile: path.join(__dirname, 'fixtures/prices.json')
+        });
+
+        const quote = await priceService.getQuote('VOO', 'หุ้น');
+        assert.strictEqual(quote.price, 634.2);
+        assert.strictEqual(quote.currency, 'USD');
+        assert.strictEqual(quote.source, 'fixture');
+        console.log(`✅ ราคา VOO: ${quote.price} ${quote.currency}`);
+
+        const history = await priceService.getHistory('VOO', 'หุ้น', 30);
+        assert.ok(history.length > 15 && history.length <= 31, `history length ${history.length}`);
+        assert.ok(history[0].date < history[history.length - 1].date);
+        console.log(`✅ ราคาย้อนหลัง 30 วัน: ${history.length} จุด`);
+
+        const missing = await priceService.getQuote('UNKNOWN', 'หุ้น');
+        assert.strictEqual(missing, null);
+        assert.strictEqual(priceService.getCachedPrice('UNKNOWN'), 0);
+        console.log('✅ สัญลักษณ์ที่ไม่มีราคาคืนค่า null');
+
+        // Analyzer ต้องใช้ราคาจาก snapshot เดียวกัน
+        const analyzer = new StockRiskAnalyzer(null, null, priceService);
+        const analysis = await analyzer.analyzeStockRisk('หุ้น NVDA 0.0830829 15.21 USD');
+        assert.strictEqual(analysis[0].currentPrice, 193.07);
+        assert.strictEqual(priceService.getSnapshot().quotes.NVDA.price, 193.07);
+        console.log(`✅ StockRiskAnalyzer ใช้ราคา snapshot: NVDA ${analysis[0].currentPrice}`);
+
+    } catch (error) {
+        console.error('❌ การทดสอบ Price Provider ล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testPriceProvider();
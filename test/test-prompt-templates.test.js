@@ -0,0 +1,145 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const PromptTemplates = require('../services/promptTemplates');
+const AnalysisRunLog = require('../services/analysisRunLog');
+const AIAnalysisService = require('../services/aiAnalysisService');
+
+function writeFile(dir, name, content) {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+async function testPromptTemplates() {
+    console.log('🧪 กำลังทดสอบเทมเพลต prompt...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-templates-'));
+
+    try {
+        // partial ซ้อนกัน ตัวแปร และ id/hash
+        const promptsDir = path.join(tempDir, 'prompts');
+        writeFile(promptsDir, 'partials/date.txt', 'วันนี้: {{today}}\n');
+        writeFile(promptsDir, 'partials/header.txt', '{{> date}}\nพอร์ต: {{portfolio}}\n');
+        writeFile(promptsDir, 'daily.txt', '---\nversion: 3\ndescription: ทดสอบ\n---\n{{> header}}\n\n{{ question }}\n');
+
+        const templates = new PromptTemplates({ dir: promptsDir });
+        const rendered = templates.render('daily', { today: '19 ต.ค.', portfolio: 'VOO $&', question: 'ควรถือต่อไหม' });
+        assert.strictEqual(rendered.text, 'วันนี้: 19 ต.ค.\nพอร์ต: VOO $&\n\nควรถือต่อไหม');
+        assert.strictEqual(rendered.id, 'daily@3');
+        assert.strictEqual(rendered.version, 3);
+        assert.match(rendered.hash, /^[0-9a-f]{12}$/);
+        assert.deepStrictEqual(templates.load('daily').variables, ['today', 'portfolio', 'question']);
+        assert.deepStrictEqual(templates.list(), ['daily']);
+        console.log(`✅ แทรก partial และตัวแปร (${rendered.id})`);
+
+        assert.throws(() => templates.render('daily', { today: 'x', question: null }), /เทมเพลต prompt daily@3 ขาดตัวแปร: portfolio, question/);
+
+        // แก้เนื้อหาโดยไม่เพิ่ม version: id เดิมแต่ hash เปลี่ยน
+        writeFile(promptsDir, 'partials/date.txt', 'วันที่: {{today}}\n');
+        const edited = new PromptTemplates({ dir: promptsDir }).render('daily', { today: 'x', portfolio: 'y', question: 'z' });
+        assert.strictEqual(edited.id, 'daily@3');
+        assert.notStrictEqual(edited.hash, rendered.hash);
+        console.log('✅ hash เปลี่ยนเมื่อแก้เนื้อหาโดยไม่เพิ่ม version');
+
+        // ไฟล์ผิดรูปแบบแจ้งทุกข้อผิดพลาด
+        writeFile(promptsDir, 'broken.txt', '---\nversion: v2\ndescription: 5\n---\n{{> missing}} {{> other}}\n');
+        assert.throws(() => templates.load('broken'), error =>
+            error.message === 'เทมเพลต prompt broken ไม่ถูกต้อง:\n- version: ต้องเป็นจำนวนเต็มตั้งแต่ 1\n- description: ต้องเป็นข้อความ\n- ไม่พบ partial: missing, other');
+        writeFile(promptsDir, 'plain.txt', 'ไม่มี front matter\n');
+        assert.throws(() => templates.load('plain'), /ไม่มี front matter/);
+        writeFile(promptsDir, 'partials/loop.txt', '{{> loop}}');
+        writeFile(promptsDir, 'loop.txt', '---\nversion: 1\n---\n{{> loop}}\n');
+        assert.throws(() => templates.load('loop'), /partial ซ้อนกันเกิน 5 ชั้น/);
+        assert.throws(() => templates.load('nope'), /ไม่พบเทมเพลต prompt: nope/);
+        console.log('✅ แจ้งข้อผิดพลาดของเทมเพลตทั้งหมดพร้อมกัน');
+
+        // เทมเพลตที่มากับระบบ render ได้ครบด้วยตัวแปรจาก AIAnalysisService
+        const runLogFile = path.join(tempDir, 'ai-analysis-runs.jsonl');
+        const service = new AIAnalysisService({
+            priceProvider: 'fixture',
+            priceFixtureFile: path.join(__dirname, 'fixtures/prices.json'),
+            aiProviders: ['mock'],
+            aiHealthFile: path.join(tempDir, 'ai-provider-health.json'),
+            aiRunLogFile: runLogFile,
+            costLedgerFile: path.join(tempDir, 'cost-ledger.jsonl'),
+            snapshotFile: path.join(tempDir, 'portfolio-snapshots.jsonl')
+        });
+        const riskAnalysis = [{ symbol: 'VOO', currentValue: 100, returnPercentage: 5, overallRisk: { score: 4, level: 'ปานกลาง' } }];
+        const newsData = { economic: [{ title: 'Fed', url: 'https://x.com/fed', snippet: 'ดอกเบี้ย' }], geopolitical: [], gold: [], stock: [], crypto: [], currency: [] };
+        const variables = service.createPromptVariables('หุ้น VOO 1 100 USD', newsData, [], 'รายงานความเสี่ยง', riskAnalysis);
+        const shipped = service.promptTemplates.list();
+        assert.deepStrictEqual(shipped, ['basic', 'comprehensive', 'detailed', 'enhanced', 'map-reduce/context', 'map-reduce/map', 'map-reduce/reduce']);
+        for (const name of shipped) {
+            const prompt = service.promptTemplates.render(name, variables);
+            assert.ok(!prompt.text.includes('{{'), `${name} ยังมี placeholder`);
+        }
+        for (const name of ['basic', 'comprehensive', 'detailed', 'enhanced', 'map-reduce/reduce']) {
+            assert.ok(service.promptTemplates.render(name, variables).text.endsWith('ต้องประเมินครบทุกสินทรัพย์: VOO'), name);
+        }
+        assert.ok(service.promptTemplates.render('detailed', variables).text.includes('• Fed\n  ดอกเบี้ย\n  แหล่งที่มา: https://x.com/fed'));
+        assert.ok(service.promptTemplates.render('comprehensive', variables).text.includes('การวิเคราะห์ความเสี่ยงที่ได้ทำไว้:\nรายงานความเสี่ยง'));
+        assert.throws(() => new AIAnalysisService({ priceProvider: 'fixture', aiPromptTemplate: 'missing' }), /ไม่พบเทมเพลต prompt: missing/);
+        console.log(`✅ เทมเพลตที่มากับระบบ render ได้ครบ (${shipped.length} ไฟล์)`);
+
+        // ทุกการรันบันทึกเทมเพลตที่ใช้คู่กับคะแนน
+        const analysis = await service.generateAnalysis('หุ้น VOO 0.5 500 USD', 100);
+        assert.ok(analysis.content.includes('_โมเดล: mock/mock, prompt: map-reduce/context@1, map-reduce/map@1, map-reduce/reduce@1'));
+        assert.deepStrictEqual(analysis.prompts.map(prompt => prompt.id), ['map-reduce/context@1', 'map-reduce/map@1', 'map-reduce/reduce@1']);
+
+        const runLog = new AnalysisRunLog(runLogFile);
+        const runs = await runLog.loadAll();
+        assert.strictEqual(runs.length, 1);
+        assert.deepStrictEqual(runs[0].prompts, analysis.prompts);
+        assert.strictEqual(runs[0].provider, 'mock');
+        assert.deepStrictEqual(runs[0].holdings.map(holding => [holding.symbol, holding.risk, holding.opportunity]), [['VOO', 5, 5]]);
+        console.log('✅ บันทึกเทมเพลตและคะแนนของการรันลง run log');
+
+        // เทียบผลแยกตามเทมเพลต
+        const entry = (prompts, risk, score, repaired = false) => ({
+            timestamp: new Date().toISOString(),
+            prompts,
+            usage: { totalTokens: 1000 },
+            repaired,
+            grounding: { score },
+            holdings: [{ symbol: 'VOO', risk, opportunity: 6, systemRisk: 4 }]
+        });
+        const summary = runLog.summarizeByPrompt([
+            entry([{ id: 'comprehensive@1', hash: 'aaa' }], 4, 0.5),
+            entry([{ id: 'comprehensive@1', hash: 'aaa' }], 6, 1, true),
+            entry([{ id: 'comprehensive@2', hash: 'bbb' }], 7, null)
+        ]);
+        assert.deepStrictEqual(summary.map(group => [group.prompts, group.runs, group.averageRisk, group.averageDivergence, group.averageGrounding, group.repairRate]), [
+            ['comprehensive@1#aaa', 2, 5, 1, 0.75, 0.5],
+            ['comprehensive@2#bbb', 1, 7, 3, null, 0]
+        ]);
+        const report = runLog.format(summary);
+        assert.ok(report.includes('• comprehensive@1#aaa\n   - 2 การรัน'));
+        assert.ok(report.includes('ความเสี่ยงเฉลี่ย 5.0/10, โอกาส 6.0/10, ต่างจากคะแนนระบบ 1.0'));
+        assert.ok(report.includes('อ้างอิงยืนยันได้ 75%, เฉลี่ย 1,000 tokens, ต้องซ่อม JSON 50%'));
+        assert.ok(report.includes('อ้างอิงยืนยันได้ -, เฉลี่ย 1,000 tokens, ต้องซ่อม JSON 0%'));
+        assert.ok(runLog.format([]).includes('ยังไม่มีผลวิเคราะห์ AI ใน run log'));
+        console.log('✅ สรุปผลแยกตามเวอร์ชันเทมเพลต');
+
+        // npm run prompt-report อ่าน run log จาก AI_RUN_LOG_FILE
+        const script = path.join(__dirname, '../scripts/prompt-report.js');
+        const env = { ...process.env, AI_RUN_LOG_FILE: runLogFile };
+        const output = execFileSync('node', [script], { env, encoding: 'utf8' });
+        assert.ok(output.includes('• map-reduce/context@1#'));
+        assert.ok(output.includes('   - 1 การรัน'));
+        const json = JSON.parse(execFileSync('node', [script, '--json'], { env, encoding: 'utf8' }));
+        assert.deepStrictEqual(json.map(group => group.runs), [1]);
+        assert.deepStrictEqual(JSON.parse(execFileSync('node', [script, '--json', '--since', '2999-01-01'], { env, encoding: 'utf8' })), []);
+        console.log('✅ CLI prompt-report สรุปผลจาก run log');
+
+    } catch (error) {
+        console.error('❌ การทดสอบเทมเพลต prompt ล้มเหลว:', error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testPromptTemplates();
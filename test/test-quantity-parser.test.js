@@ -0,0 +1,55 @@
+const assert = require('assert');
+const QuantityParser = require('../services/quantityParser');
+const PortfolioParser = require('../services/portfolioParser');
+
+async function testQuantityParser() {
+    console.log('🧪 กำลังทดสอบการแปลงจำนวนและราคาภาษาไทย...');
+
+    try {
+        const parser = new QuantityParser();
+
+        assert.deepStrictEqual(parser.parseMoney('2 หมื่นบาท'), { amount: 20000, currency: 'THB' });
+        assert.deepStrictEqual(parser.parseMoney('1.5 ล้าน', { defaultCurrency: 'THB' }), { amount: 1500000, currency: 'THB' });
+        assert.deepStrictEqual(parser.parseMoney('3 แสนบาท'), { amount: 300000, currency: 'THB' });
+        assert.deepStrictEqual(parser.parseMoney('5 พัน'), { amount: 5000, currency: null });
+        assert.deepStrictEqual(parser.parseMoney('24.35 USD'), { amount: 24.35, currency: 'USD' });
+        assert.deepStrictEqual(parser.parseMoney('$1,250.50'), { amount: 1250.5, currency: 'USD' });
+        assert.deepStrictEqual(parser.parseMoney('213.42 บาท'), { amount: 213.42, currency: 'THB' });
+        console.log('✅ ราคา: หมื่น/แสน/ล้าน และสกุลเงิน');
+
+        assert.deepStrictEqual(parser.parseQuantity('1 บาท', { assetClass: 'gold' }), { amount: 1, unit: 'บาททองคำ' });
+        assert.deepStrictEqual(parser.parseQuantity('2 สลึง', { assetClass: 'gold' }), { amount: 0.5, unit: 'บาททองคำ' });
+        assert.deepStrictEqual(parser.parseQuantity('15.244 กรัม', { assetClass: 'gold' }), { amount: 1, unit: 'บาททองคำ' });
+        assert.ok(Math.abs(parser.parseQuantity('1 troy oz', { assetClass: 'gold' }).amount - 2.0404) < 0.001);
+        console.log('✅ น้ำหนักทอง: บาท สลึง กรัม ออนซ์');
+
+        assert.deepStrictEqual(parser.parseQuantity('0.00005653 btc', { assetClass: 'crypto', symbol: 'BTC' }), { amount: 0.00005653, unit: 'BTC' });
+        assert.deepStrictEqual(parser.parseQuantity('5000 sats', { assetClass: 'crypto' }), { amount: 0.00005, unit: 'BTC' });
+        assert.deepStrictEqual(parser.parseQuantity('0.0830829', { assetClass: 'stock' }), { amount: 0.0830829, unit: 'share' });
+        assert.throws(() => parser.parseQuantity('3 ตัว'), /ไม่รู้จักหน่วย/);
+        console.log('✅ คริปโตและหุ้น');
+
+        // บรรทัดข้อความเดิมที่มีหน่วยแทรก ต้องไม่ทำให้คอลัมน์เลื่อน
+        const { holdings, errors } = new PortfolioParser().parseText([
+            'ทอง ทอง 1 บาท 2 หมื่นบาท 20 ปี ออม Now',
+            'สกุลเงินคริปโต BTC 0.00005653 btc 213.42 บาท 20 ปี "Binance TH"',
+            'หุ้น VOO 0.00394415 24.35 USD 20 ปี Dime!'
+        ].join('\n'));
+        assert.strictEqual(errors.length, 0);
+        assert.deepStrictEqual(
+            holdings.map(h => [h.symbol, h.amount, h.unit, h.price, h.currency, h.period, h.app]),
+            [
+                ['ทอง', 1, 'บาททองคำ', 20000, 'THB', '20 ปี', 'ออม Now'],
+                ['BTC', 0.00005653, 'BTC', 213.42, 'THB', '20 ปี', 'Binance TH'],
+                ['VOO', 0.00394415, 'share', 24.35, 'USD', '20 ปี', 'Dime!']
+            ]
+        );
+        console.log('✅ บรรทัดข้อความ: จำนวน ราคา ระยะเวลา และแอพถูกคอลัมน์');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการแปลงจำนวนล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testQuantityParser();
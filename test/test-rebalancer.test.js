@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PriceService = require('../services/priceService');
+const RiskMetrics = require('../services/riskMetrics');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+const Rebalancer = require('../services/rebalancer');
+
+async function testRebalancer() {
+    console.log('🧪 กำลังทดสอบสัดส่วนเป้าหมายและการปรับสมดุล...');
+
+    const targetFile = path.join(os.tmpdir(), `target-allocation-${process.pid}.json`);
+
+    try {
+        const priceService = new PriceService({
+            mode: 'fixture',
+            fixtureFile: path.join(__dirname, 'fixtures/prices.json')
+        });
+        const analyzer = new StockRiskAnalyzer(null, null, priceService, null, new RiskMetrics(priceService));
+        const analysis = await analyzer.analyzeStockRisk([
+            'หุ้น VOO 1 500 USD Dime!',
+            'หุ้น NVDA 2 200 USD Dime!',
+            'สกุลเงินคริปโต BTC 0.01 900 USD Binance TH',
+            'ทอง ทอง 0.5 20000 THB ออม Now',
+            'หุ้น IVV 0.1 60 USD Dime!',
+            'หุ้น TSLA 0.1 30 USD Dime!'
+        ].join('\n'));
+        const valueOf = symbol => analysis.find(item => item.symbol === symbol).currentValue;
+        const total = analysis.reduce((sum, item) => sum + item.currentValue, 0);
+
+        // ไฟล์ตัวอย่าง: VOO 50, NVDA 10, คริปโต 10, ทอง 30 (IVV ไม่อยู่ในเป้าหมาย = 0%, TSLA ไม่มีราคา)
+        const rebalancer = new Rebalancer(analyzer.valuationEngine, {
+            targetFile: path.join(__dirname, '../config/target-allocation.example.json')
+        });
+        const plan = rebalancer.plan(analysis);
+        const bucket = key => plan.buckets.find(item => item.key === key);
+
+        assert.ok(Math.abs(bucket('VOO').weight - (valueOf('VOO') / total) * 100) < 1e-9);
+        assert.ok(Math.abs(bucket('VOO').drift - (bucket('VOO').weight - 50)) < 1e-9);
+        assert.deepStrictEqual(bucket('crypto').symbols, ['BTC']);
+        assert.strictEqual(bucket('crypto').tolerance, 3);
+        assert.strictEqual(bucket('IVV').type, 'untargeted');
+        assert.strictEqual(bucket('IVV').target, 0);
+        assert.deepStrictEqual(plan.unpriced, ['TSLA']);
+        assert.strictEqual(plan.needsRebalance, true);
+        console.log(`✅ สัดส่วนปัจจุบัน: ${plan.buckets.map(item => `${item.key} ${item.weight.toFixed(1)}%`).join(', ')}`);
+
+        // ซื้อขายแล้วทุกกลุ่มกลับสู่เป้าหมาย (รวมรายการที่ถูกข้ามด้วย)
+        const tradeOf = symbol => plan.trades.find(trade => trade.symbol === symbol);
+        const signed = trade => (trade.action === 'buy' ? trade.amount : -trade.amount);
+        assert.ok(Math.abs(valueOf('VOO') + signed(tradeOf('VOO')) - total * 0.5) < 1e-6);
+        assert.ok(Math.abs(valueOf('ทอง') + signed(tradeOf('ทอง')) - total * 0.3) < 1e-6);
+        assert.strictEqual(tradeOf('IVV').action, 'sell');
+        assert.ok(Math.abs(tradeOf('IVV').amount - valueOf('IVV')) < 1e-9);
+        assert.ok(Math.abs(plan.trades.reduce((sum, trade) => sum + signed(trade), 0)) < 1e-6);
+
+        // ค่าธรรมเนียมตามแอพ และขั้นต่ำต่อรายการ 500 บาท
+        const nvda = tradeOf('NVDA');
+        assert.ok(Math.abs(nvda.fee - nvda.amount * 0.0015) < 1e-9);
+        assert.strictEqual(tradeOf('ทอง').fee, 0);
+        assert.strictEqual(tradeOf('IVV').skipped, null);
+        const executed = plan.trades.filter(trade => !trade.skipped);
+        const expectedCash = executed.reduce((sum, trade) => sum - signed(trade) - trade.fee, 0);
+        assert.ok(Math.abs(plan.netCash - expectedCash) < 1e-6);
+        console.log(`✅ แผน: ${plan.trades.map(trade => `${trade.action} ${trade.symbol} ${trade.amount.toFixed(0)}`).join(', ')}`);
+
+        // อยู่ในช่วงที่ยอมรับ: ไม่ต้องซื้อขาย
+        const weights = {};
+        for (const item of analysis.filter(entry => entry.currentValue > 0)) weights[item.symbol] = { weight: (item.currentValue / total) * 100 };
+        weights.VOO.weight += 2;
+        weights.ทอง.weight -= 2;
+        fs.writeFileSync(targetFile, JSON.stringify({ version: 1, tolerance: 5, holdings: weights }));
+        const inBand = new Rebalancer(analyzer.valuationEngine, { targetFile }).plan(analysis);
+        assert.strictEqual(inBand.needsRebalance, false);
+        assert.deepStrictEqual(inBand.trades, []);
+
+        // เบี่ยงเกินช่วง: BTC ซื้อเพิ่มแค่ ~50 บาท ต่ำกว่าขั้นต่ำ 100 บาทของ Binance TH จึงถูกข้าม
+        weights.VOO.weight += 4;
+        weights.BTC.weight += 0.05;
+        weights.ทอง.weight -= 4.05;
+        fs.writeFileSync(targetFile, JSON.stringify({ version: 1, tolerance: 5, holdings: weights }));
+        const small = new Rebalancer(analyzer.valuationEngine, { targetFile }).plan(analysis);
+        assert.strictEqual(small.needsRebalance, true);
+        const btcTrade = small.trades.find(trade => trade.symbol === 'BTC');
+        assert.ok(btcTrade.amount < 100);
+        assert.ok(btcTrade.skipped.includes('ต่ำกว่าขั้นต่ำของ Binance TH'));
+        assert.strictEqual(small.trades.find(trade => trade.symbol === 'VOO').skipped, null);
+
+        // ขั้นต่ำของแผน
+        fs.writeFileSync(targetFile, JSON.stringify({ version: 1, tolerance: 5, minTrade: 100000, holdings: weights }));
+        const tooSmall = new Rebalancer(analyzer.valuationEngine, { targetFile }).plan(analysis);
+        assert.ok(tooSmall.trades.every(trade => trade.skipped && trade.skipped.startsWith('ต่ำกว่าขั้นต่ำ 100,000 บาท')));
+        assert.strictEqual(tooSmall.netCash, 0);
+        console.log('✅ ไม่ซื้อขายเมื่ออยู่ในช่วงที่ยอมรับ และข้ามรายการที่ต่ำกว่าขั้นต่ำ');
+
+        const report = analyzer.generateRiskReport(analysis, null, { rebalancePlan: plan });
+        assert.ok(report.includes('⚖️ **สัดส่วนเป้าหมายและการปรับสมดุล:**'));
+        assert.ok(report.includes('IVV (ไม่อยู่ในเป้าหมาย)'));
+        assert.ok(report.includes('🔴 ขาย IVV'));
+        assert.ok(report.includes('ไม่รวมในการคำนวณ (ไม่มีราคา): TSLA'));
+        assert.ok(report.includes('• ปรับสัดส่วนตามแผนปรับสมดุลด้านบน'));
+        assert.ok(!report.includes('ไม่เกิน 30%'));
+        console.log('✅ รายงานแสดงแผนปรับสมดุล');
+
+        // ไฟล์ผิดรูปแบบ และไม่มีไฟล์
+        fs.writeFileSync(targetFile, JSON.stringify({ version: 1, holdings: { VOO: { weight: 60, band: 2 } }, assetClasses: { bond: { weight: 30 } } }));
+        assert.throws(() => new Rebalancer(analyzer.valuationEngine, { targetFile }).load(), error =>
+            error.message.includes('holdings.VOO.band ไม่รู้จักฟิลด์นี้')
+            && error.message.includes('assetClasses.bond ไม่รู้จักประเภทนี้')
+            && error.message.includes('น้ำหนักเป้าหมายรวมต้องเท่ากับ 100 (ได้ 90)'));
+        assert.strictEqual(new Rebalancer(analyzer.valuationEngine, { targetFile: `${targetFile}.missing` }).plan(analysis), null);
+        console.log('✅ ตรวจสอบไฟล์สัดส่วนเป้าหมาย');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการปรับสมดุลล้มเหลว:', error.message);
+        process.exit(1);
+    } finally {
+        if (fs.existsSync(targetFile)) fs.unlinkSync(targetFile);
+    }
+}
+
+testRebalancer();
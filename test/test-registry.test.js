@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const RegistryService = require('../services/registryService');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+
+async function testRegistry() {
+    console.log('🧪 กำลังทดสอบทะเบียนหุ้นและแอพเทรด...');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    const symbolsFile = path.join(tempDir, 'symbol-profiles.json');
+    const appsFile = path.join(tempDir, 'trading-apps.yaml');
+
+    try {
+        // ไฟล์ตั้งต้นใน config/ ต้องผ่านการตรวจสอบ
+        const defaults = new RegistryService().load();
+        assert.ok(defaults.symbols.entries.VOO);
+        assert.strictEqual(defaults.symbols.entries.VOO.trackedIndex, 'S&P 500');
+        assert.strictEqual(defaults.apps.entries['Binance TH'].regulated, true);
+        console.log(`✅ ทะเบียนตั้งต้นถูกต้อง (หุ้น ${Object.keys(defaults.symbols.entries).length} ตัว, แอพ ${Object.keys(defaults.apps.entries).length} แอพ)`);
+
+        // ไฟล์ผิดรูปแบบต้องแจ้งทุกจุดที่ผิด
+        fs.writeFileSync(symbolsFile, JSON.stringify({
+            version: 1,
+            profiles: { BAD: { name: 'Bad', riskScore: 15, color: 'red' } }
+        }));
+        fs.writeFileSync(appsFile, 'version: 1\napps: {}\n');
+        assert.throws(
+            () => new RegistryService({ symbolProfilesFile: symbolsFile, tradingAppsFile: appsFile }).load(),
+            error => error.message.includes('profiles.BAD.riskScore ต้องเป็นตัวเลข 0-10')
+                && error.message.includes('profiles.BAD.bankruptcyRisk ต้องระบุ')
+                && error.message.includes('profiles.BAD.color ไม่รู้จักฟิลด์นี้')
+        );
+        console.log('✅ ทะเบียนผิดรูปแบบถูกปฏิเสธตอนโหลด');
+
+        // แก้ไขบนสำเนา: version เพิ่มขึ้นและเขียนกลับในรูปแบบเดิม (JSON/YAML)
+        fs.copyFileSync(path.join(__dirname, '../config/symbol-profiles.json'), symbolsFile);
+        const yaml = require('js-yaml');
+        const appsData = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/trading-apps.json'), 'utf8'));
+        fs.writeFileSync(appsFile, yaml.dump(appsData));
+
+        const registry = new RegistryService({ symbolProfilesFile: symbolsFile, tradingAppsFile: appsFile });
+        const startVersion = registry.load().apps.version;
+        const result = registry.upsert('apps', 'Webull', {
+            company: 'Webull Securities', country: 'สิงคโปร์', regulated: true, regulator: 'MAS',
+            riskLevel: 'ต่ำ', trustScore: 7
+        });
+        assert.strictEqual(result.created, true);
+        assert.strictEqual(result.version, startVersion + 1);
+        assert.throws(() => registry.upsert('apps', 'Webull', { trustScore: 11 }), /trustScore ต้องเป็นตัวเลข 0-10/);
+        const reloaded = new RegistryService({ symbolProfilesFile: symbolsFile, tradingAppsFile: appsFile }).load();
+        assert.strictEqual(reloaded.apps.version, startVersion + 1);
+        assert.strictEqual(reloaded.apps.entries.Webull.regulator, 'MAS');
+        console.log(`✅ เพิ่มแอพลงทะเบียน YAML แล้ว version ${startVersion} → ${reloaded.apps.version}`);
+
+        // CLI ใช้ไฟล์จาก environment
+        const env = { ...process.env, SYMBOL_PROFILES_FILE: symbolsFile, TRADING_APPS_FILE: appsFile };
+        const script = path.join(__dirname, '../scripts/registry.js');
+        const output = execFileSync('node', [script, 'set-symbol', 'XYZ', '--name', 'XYZ Corp',
+            '--bankruptcyRisk', 'ปานกลาง', '--volatilityRisk', 'สูง', '--marketRisk', 'สูง',
+            '--liquidityRisk', 'ต่ำ', '--suitability', 'เก็งกำไร', '--riskScore', '7'], { env, encoding: 'utf8' });
+        assert.ok(output.includes('เพิ่ม XYZ แล้ว'));
+        const afterCli = new RegistryService({ symbolProfilesFile: symbolsFile, tradingAppsFile: appsFile });
+        assert.strictEqual(afterCli.getSymbolProfile('XYZ').riskScore, 7);
+        assert.ok(execFileSync('node', [script, 'validate'], { env, encoding: 'utf8' }).includes('ถูกต้อง'));
+        console.log('✅ CLI เพิ่มหุ้นและตรวจสอบทะเบียนได้');
+
+        // หุ้นและแอพที่ไม่มีในทะเบียนถูกรายงาน
+        const analyzer = new StockRiskAnalyzer(null, null, null, null, null, new RegistryService());
+        const analysis = await analyzer.analyzeStockRisk('หุ้น VOO 1 500 USD Dime!\nหุ้น ABCD 10 100 USD แอพใหม่');
+        const unknown = analysis.find(item => item.symbol === 'ABCD');
+        assert.strictEqual(unknown.riskProfile.riskScore, 5);
+        const report = analyzer.generateRiskReport(analysis);
+        assert.ok(report.includes('❔ ไม่มีข้อมูลในทะเบียน: หุ้น ABCD | แอพ แอพใหม่'));
+        console.log('✅ รายงานแจ้งหุ้นและแอพที่ไม่มีในทะเบียน');
+
+    } catch (error) {
+        console.error('❌ การทดสอบทะเบียนล้มเหลว:', error.message);
+        process.exit(1);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+testRegistry();
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const path = require('path');
+const PriceService = require('../services/priceService');
+const RiskMetrics = require('../services/riskMetrics');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+
+function toHistory(returns, start = 100) {
+    const history = [{ date: '2026-01-01', close: start }];
+    returns.forEach((dailyReturn, index) => {
+        const date = new Date(Date.parse('2026-01-01') + (index + 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        history.push({ date, close: history[history.length - 1].close * (1 + dailyReturn) });
+    });
+    return history;
+}
+
+async function testRiskMetrics() {
+    console.log('🧪 กำลังทดสอบตัวชี้วัดความเสี่ยงจากราคา...');
+
+    try {
+        const riskMetrics = new RiskMetrics(null, { benchmark: 'VOO' });
+
+        // สินทรัพย์เคลื่อนไหวเป็น 2 เท่าของ benchmark ทุกวัน
+        const benchmarkReturns = Array.from({ length: 40 }, (_, i) => (i % 2 === 0 ? 0.01 : -0.01));
+        benchmarkReturns[10] = -0.05;
+        benchmarkReturns[20] = -0.03;
+        const benchmark = toHistory(benchmarkReturns);
+        const asset = toHistory(benchmarkReturns.map(value => value * 2));
+
+        const metrics = riskMetrics.calculate(asset, benchmark);
+        assert.strictEqual(metrics.observations, 40);
+        assert.ok(Math.abs(metrics.beta - 2) < 1e-9);
+        // 5% ของ 40 วัน = 2 วันที่แย่ที่สุด: -10% และ -6%
+        assert.ok(Math.abs(metrics.var95 - 6) < 1e-9);
+        assert.ok(Math.abs(metrics.cvar95 - 8) < 1e-9);
+        assert.ok(metrics.volatility > 0);
+        console.log(`✅ Beta ${metrics.beta.toFixed(2)}, VaR95 ${metrics.var95.toFixed(1)}%, CVaR95 ${metrics.cvar95.toFixed(1)}%`);
+
+        const drawdown = riskMetrics.calculateMaxDrawdown([100, 120, 90, 130, 104].map(close => ({ close })));
+        assert.ok(Math.abs(drawdown - 25) < 1e-9);
+        assert.strictEqual(riskMetrics.scoreFromMetrics({ volatility: 12, maxDrawdown: 35 }), 4);
+        assert.strictEqual(riskMetrics.scoreFromMetrics({ volatility: 95, maxDrawdown: 60 }), 10);
+        assert.strictEqual(riskMetrics.calculate(asset.slice(0, 10), benchmark), null);
+        console.log('✅ Max Drawdown และคะแนนฐานจากความผันผวน');
+
+        // คะแนนรายตัวและพอร์ตมาจากราคา fixture
+        const priceService = new PriceService({
+            mode: 'fixture',
+            fixtureFile: path.join(__dirname, 'fixtures/prices.json')
+        });
+        const analyzer = new StockRiskAnalyzer(null, null, priceService, null, new RiskMetrics(priceService));
+        const analysis = await analyzer.analyzeStockRisk([
+            'หุ้น VOO 1 500 USD Dime!',
+            'สกุลเงินคริปโต BTC 0.01 900 USD Binance TH',
+            'หุ้น XYZ 1 10 USD Dime!'
+        ].join('\n'));
+
+        const voo = analysis.find(item => item.symbol === 'VOO');
+        const btc = analysis.find(item => item.symbol === 'BTC');
+        const unknown = analysis.find(item => item.symbol === 'XYZ');
+        assert.strictEqual(voo.overallRisk.basis, 'price');
+        assert.strictEqual(voo.overallRisk.baseScore, voo.riskMetrics.score);
+        assert.ok(Math.abs(voo.riskMetrics.beta - 1) < 1e-9);
+        assert.ok(btc.riskMetrics.volatility > voo.riskMetrics.volatility);
+        assert.ok(btc.overallRisk.baseScore > voo.overallRisk.baseScore);
+        assert.strictEqual(unknown.overallRisk.basis, 'profile');
+        console.log(`✅ VOO คะแนนฐาน ${voo.overallRisk.baseScore}, BTC ${btc.overallRisk.baseScore}, XYZ ใช้โปรไฟล์`);
+
+        // คำแนะนำใช้คะแนนรวมชุดเดียวกับที่แสดง ไม่ใช่ riskScore ในโปรไฟล์
+        const news = { riskNews: [], bankruptcyRisk: 'ต่ำ' };
+        assert.ok(analyzer.generateRecommendation({}, { score: 8 }, { returnPercentage: -5 }, news).startsWith('🔴'));
+        assert.ok(analyzer.generateRecommendation({}, { score: 2 }, { returnPercentage: -5 }, news).startsWith('🟡 แม้ขาดทุนชั่วคราว'));
+        const expected = analyzer.generateRecommendation({}, btc.overallRisk, btc, btc.newsAnalysis, btc.appAnalysis);
+        assert.strictEqual(btc.recommendation, expected);
+
+        const portfolioRisk = analyzer.calculatePortfolioRisk(analysis);
+        assert.strictEqual(portfolioRisk.basis, 'price');
+        assert.ok(portfolioRisk.metrics.volatility < btc.riskMetrics.volatility);
+
+        const report = analyzer.generateRiskReport(analysis);
+        assert.ok(report.includes('จากราคา 129 วัน: ความผันผวน'));
+        assert.ok(report.includes('ไม่มีราคาย้อนหลังพอ ใช้คะแนนจากโปรไฟล์: 5'));
+        assert.ok(report.includes('จากราคาพอร์ต (ครอบคลุม'));
+        console.log('✅ รายงานแสดงตัวชี้วัดที่ใช้คำนวณคะแนน');
+
+    } catch (error) {
+        console.error('❌ การทดสอบตัวชี้วัดความเสี่ยงล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testRiskMetrics();
@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PriceService = require('../services/priceService');
+const RiskMetrics = require('../services/riskMetrics');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+const ScenarioEngine = require('../services/scenarioEngine');
+
+async function testScenarioEngine() {
+    console.log('🧪 กำลังทดสอบ stress test ของพอร์ต...');
+
+    const badFile = path.join(os.tmpdir(), `scenarios-${process.pid}.json`);
+    const replayFile = path.join(os.tmpdir(), `scenarios-replay-${process.pid}.json`);
+
+    try {
+        const priceService = new PriceService({
+            mode: 'fixture',
+            fixtureFile: path.join(__dirname, 'fixtures/prices.json')
+        });
+        const analyzer = new StockRiskAnalyzer(null, null, priceService, null, new RiskMetrics(priceService));
+        const analysis = await analyzer.analyzeStockRisk([
+            'หุ้น VOO 1 500 USD Dime!',
+            'หุ้น NVDA 2 200 USD Dime!',
+            'สกุลเงินคริปโต BTC 0.01 900 USD Binance TH',
+            'ทอง ทอง 1 40000 THB ออม Now'
+        ].join('\n'));
+        const valueOf = symbol => analysis.find(item => item.symbol === symbol).currentValue;
+        const nvdaBeta = analysis.find(item => item.symbol === 'NVDA').riskMetrics.beta;
+
+        const engine = new ScenarioEngine(analyzer);
+        // fixture ไม่มีราคาปี 2020-2022: สถานการณ์ในอดีตใช้ค่าในไฟล์
+        await engine.prepare(analysis);
+        const [crash] = engine.run(analysis, ['crypto-crash-strong-usd']);
+
+        // BTC -40% ราคา, ดอลลาร์ 36.5 → 38 บาท, หุ้นลงตาม Beta, ทองในรูปบาทไม่เปลี่ยน
+        const fxFactor = 38 / 36.5;
+        const expected = valueOf('VOO') * 0.8 * fxFactor
+            + valueOf('NVDA') * (1 - 0.2 * nvdaBeta) * fxFactor
+            + valueOf('BTC') * 0.6 * fxFactor
+            + valueOf('ทอง');
+        assert.ok(Math.abs(crash.stressedValue - expected) < 1e-6);
+        const btc = crash.holdings.find(holding => holding.symbol === 'BTC');
+        assert.strictEqual(btc.priceShock, -40);
+        assert.strictEqual(btc.source, 'รายตัว');
+        assert.ok(Math.abs(btc.fxShock - (fxFactor - 1) * 100) < 1e-9);
+        assert.strictEqual(crash.holdings.find(holding => holding.symbol === 'ทอง').change, 0);
+        assert.ok(crash.riskAfter.score >= 1 && crash.riskAfter.score <= 10);
+        console.log(`✅ ${crash.label}: ${crash.changePercent.toFixed(1)}%`);
+
+        // สถานการณ์ในอดีต: ETF ใช้ shock ของดัชนีที่ติดตาม
+        const [covid] = engine.run(analysis, ['covid-2020']);
+        assert.strictEqual(covid.type, 'historical');
+        const voo = covid.holdings.find(holding => holding.symbol === 'VOO');
+        assert.strictEqual(voo.source, 'ดัชนี S&P 500');
+        assert.ok(Math.abs(voo.stressedValue - valueOf('VOO') * 0.66 * 1.05) < 1e-6);
+        console.log('✅ สถานการณ์ COVID-2020 ใช้ shock ตามดัชนีของ ETF');
+
+        // สถานการณ์ในอดีตที่มีราคาย้อนหลัง: ใช้ราคาปิดจริงวันแรกถึงวันสุดท้ายของช่วง ไม่มีอัตราแลกเปลี่ยนย้อนหลังจึงใช้ fxChange ในไฟล์
+        fs.writeFileSync(replayFile, JSON.stringify({
+            version: 1,
+            scenarios: {
+                summer: {
+                    label: 'ฤดูร้อน 2026',
+                    type: 'historical',
+                    period: { from: '2026-06-01', to: '2026-08-31' },
+                    shocks: { market: -50, symbols: { BTC: -50 }, fxChange: { 'USD/THB': 5 } }
+                }
+            }
+        }));
+        const replayEngine = new ScenarioEngine(analyzer, { scenariosFile: replayFile });
+        const replays = await replayEngine.prepare(analysis);
+        assert.deepStrictEqual(Object.keys(replays.summer.symbols), ['VOO', 'NVDA', 'BTC', 'ทอง']);
+        assert.deepStrictEqual(replays.summer.fxChange, {});
+        const [summer] = replayEngine.run(analysis);
+        const replayedVoo = summer.holdings.find(holding => holding.symbol === 'VOO');
+        assert.strictEqual(replayedVoo.source, 'ราคาจริง');
+        assert.ok(Math.abs(replayedVoo.priceShock - (596.27 / 573.15 - 1) * 100) < 1e-9);
+        assert.ok(Math.abs(replayedVoo.stressedValue - valueOf('VOO') * (596.27 / 573.15) * 1.05) < 1e-6);
+        assert.ok(Math.abs(summer.holdings.find(holding => holding.symbol === 'BTC').priceShock - (85552.04 / 97052.93 - 1) * 100) < 1e-9);
+        const source = analyzer.generateRiskReport(analysis, null, { stressTests: [summer] }).match(/   - ที่มา: ราคาจริงช่วงนั้น (.+)\n/)[1];
+        assert.deepStrictEqual(source.split(', ').sort(), ['BTC', 'NVDA', 'VOO', 'ทอง']);
+        console.log(`✅ ${summer.label} ย้อนดูราคาจริง: ${summer.changePercent.toFixed(1)}%`);
+
+        // บาทแข็ง: เฉพาะสินทรัพย์ที่ราคาเป็น USD ลดลง
+        const [thb] = engine.run(analysis, ['thb-strength']);
+        const foreign = valueOf('VOO') + valueOf('NVDA') + valueOf('BTC');
+        assert.ok(Math.abs(thb.change - foreign * (32 / 36.5 - 1)) < 1e-6);
+
+        // ไฟล์สถานการณ์ผิดรูปแบบถูกปฏิเสธ
+        fs.writeFileSync(badFile, JSON.stringify({
+            version: 1,
+            scenarios: {
+                broken: { label: 'x', type: 'historical', shocks: { assetClasses: { bond: -10 }, fx: { USDTHB: 38 }, oil: 5 } }
+            }
+        }));
+        assert.throws(() => new ScenarioEngine(analyzer, { scenariosFile: badFile }).load(), error =>
+            error.message.includes('scenarios.broken.period')
+            && error.message.includes('assetClasses.bond ไม่รู้จัก')
+            && error.message.includes('fx.USDTHB ไม่รู้จัก')
+            && error.message.includes('shocks.oil ไม่รู้จัก'));
+        assert.throws(() => engine.run(analysis, ['missing']), /ไม่พบสถานการณ์: missing/);
+        console.log('✅ ตรวจสอบไฟล์สถานการณ์');
+
+        const report = analyzer.generateRiskReport(analysis, null, { stressTests: engine.run(analysis) });
+        assert.ok(report.includes('🌪️ **ทดสอบภาวะวิกฤต (Stress Test):**'));
+        assert.ok(report.includes('• วิกฤต COVID-19 (ก.พ.–มี.ค. 2020) [2020-02-19 ถึง 2020-03-23]'));
+        assert.ok(report.includes('BTC -37.5% (รายตัว -40.0%, ค่าเงิน +4.1%)'));
+        assert.ok(report.includes('   - ที่มา: ไม่มีราคาย้อนหลัง ใช้ค่าประมาณในไฟล์สถานการณ์'));
+        console.log('✅ รายงานแสดงส่วน stress test');
+
+    } catch (error) {
+        console.error('❌ การทดสอบ stress test ล้มเหลว:', error.message);
+        process.exit(1);
+    } finally {
+        for (const file of [badFile, replayFile]) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    }
+}
+
+testScenarioEngine();
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../services/snapshotStore');
+
+function createAnalysis(vooPrice, btcPrice, riskScore = 3) {
+    return [
+        {
+            symbol: 'VOO', type: 'หุ้น', amount: 1, currentPrice: vooPrice, priceCurrency: 'USD',
+            currentValue: vooPrice * 36.5, purchaseValue: 18250, returnPercentage: (vooPrice * 36.5 - 18250) / 182.5,
+            overallRisk: { score: riskScore, level: 'ต่ำ' }, recommendation: 'DCA'
+        },
+        {
+            symbol: 'BTC', type: 'สกุลเงินคริปโต', amount: 0.01, currentPrice: btcPrice, priceCurrency: 'USD',
+            currentValue: 0.01 * btcPrice * 36.5, purchaseValue: 30000, returnPercentage: 0,
+            overallRisk: { score: 9, level: 'สูงมาก' }, recommendation: 'ระวัง'
+        }
+    ];
+}
+
+async function testSnapshotStore() {
+    console.log('🧪 กำลังทดสอบประวัติ snapshot พอร์ต...');
+
+    const filePath = path.join(os.tmpdir(), `portfolio-snapshots-${process.pid}.jsonl`);
+
+    try {
+        const store = new SnapshotStore(filePath);
+        const formatMoney = value => `${value.toFixed(0)} บาท`;
+
+        // ยังไม่มีประวัติ
+        const first = store.createSnapshot(createAnalysis(500, 90000), {
+            timestamp: '2026-09-01T01:00:00.000Z', baseCurrency: 'THB'
+        });
+        const firstComparisons = await store.getComparisons(first);
+        assert.strictEqual(firstComparisons.lastRun, null);
+        assert.ok(store.formatChangeReport(firstComparisons, formatMoney).includes('ครั้งแรก'));
+        await store.append(first);
+        console.log('✅ รันครั้งแรกบันทึกได้และแจ้งว่ายังไม่มีประวัติ');
+
+        await store.append(store.createSnapshot(createAnalysis(520, 95000), {
+            timestamp: '2026-09-20T01:00:00.000Z', baseCurrency: 'THB'
+        }));
+        // สองครั้งในวันเดียวกัน ใช้ครั้งหลังเป็นค่าของวัน
+        await store.append(store.createSnapshot(createAnalysis(530, 95000), {
+            timestamp: '2026-10-05T01:00:00.000Z', baseCurrency: 'THB'
+        }));
+        await store.append(store.createSnapshot(createAnalysis(540, 96000), {
+            timestamp: '2026-10-05T09:00:00.000Z', baseCurrency: 'THB'
+        }));
+        fs.appendFileSync(filePath, '{broken json\n');
+
+        const series = await store.getPortfolioSeries();
+        assert.deepStrictEqual(series.map(point => point.date), ['2026-09-01', '2026-09-20', '2026-10-05']);
+        assert.strictEqual(series[2].value, 540 * 36.5 + 0.01 * 96000 * 36.5);
+        assert.strictEqual(series[1].dailyChange, series[1].value - series[0].value);
+        console.log(`✅ ชุดข้อมูลรายวันของพอร์ต ${series.length} วัน (ข้ามบรรทัดที่เสีย)`);
+
+        const vooSeries = await store.getHoldingSeries('VOO', { days: 20 });
+        assert.deepStrictEqual(vooSeries.map(point => point.price), [520, 540]);
+        console.log('✅ ชุดข้อมูลรายตัวกรองตามจำนวนวันได้');
+
+        const current = store.createSnapshot(createAnalysis(550, 100000, 4).slice(0, 1), {
+            timestamp: '2026-10-19T01:00:00.000Z', baseCurrency: 'THB'
+        });
+        const comparisons = await store.getComparisons(current);
+        assert.strictEqual(comparisons.lastRun.fromDate, '2026-10-05');
+        assert.strictEqual(comparisons.period.fromDate, '2026-09-01');
+        assert.strictEqual(comparisons.periodComplete, true);
+        assert.strictEqual(comparisons.lastRun.holdings.find(h => h.symbol === 'BTC').status, 'removed');
+        assert.strictEqual(comparisons.lastRun.holdings.find(h => h.symbol === 'VOO').riskScoreChange, 1);
+
+        const report = store.formatChangeReport(comparisons, formatMoney);
+        assert.ok(report.includes('เทียบกับครั้งก่อน (2026-10-05)'));
+        assert.ok(report.includes('30 วัน (2026-09-01)'));
+        assert.ok(report.includes('BTC: ❌'));
+        console.log('✅ รายงานเทียบครั้งก่อนและ 30 วัน');
+
+        const later = store.createSnapshot(createAnalysis(560, 100000), {
+            timestamp: '2026-10-25T01:00:00.000Z', baseCurrency: 'THB'
+        });
+        assert.strictEqual((await store.getComparisons(later)).period.fromDate, '2026-09-20');
+
+        // ประวัติยังไม่ถึง 30 วัน เทียบกับ snapshot แรกสุดแทน
+        const early = store.createSnapshot(createAnalysis(525, 95000), {
+            timestamp: '2026-09-25T01:00:00.000Z', baseCurrency: 'THB'
+        });
+        const earlyComparisons = await store.getComparisons(early);
+        assert.strictEqual(earlyComparisons.periodComplete, false);
+        assert.strictEqual(earlyComparisons.period.fromDate, '2026-09-01');
+        assert.ok(store.formatChangeReport(earlyComparisons, formatMoney).includes('ยังไม่ครบ 30 วัน'));
+        console.log('✅ ใช้ snapshot ของ 30 วันก่อน หรือแรกสุดถ้ายังเก็บไม่ถึง');
+
+    } catch (error) {
+        console.error('❌ การทดสอบประวัติพอร์ตล้มเหลว:', error.message);
+        process.exit(1);
+    } finally {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    }
+}
+
+testSnapshotStore();
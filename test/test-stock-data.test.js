@@ -15,9 +15,13 @@ async function testStockData() {
         console.log('\n📝 ข้อมูลหุ้นที่ดาวน์โหลด:');
         
         result.stockList.forEach((stock, index) => {
-            console.log(`${index + 1}. ${stock.type} ${stock.symbol} ${stock.amount} ${stock.purchasePrice}`);
+            console.log(`${index + 1}. ${stock.type} ${stock.symbol} ${stock.amount} ${stock.unit || ''} ${stock.price} ${stock.currency || ''}`);
         });
         
+        if (result.parseErrors.length > 0) {
+            console.log(`\n⚠️ บรรทัดที่อ่านไม่ได้: ${result.parseErrors.length} รายการ`);
+        }
+        
         console.log('\n📄 ข้อมูลที่จัดรูปแบบแล้ว:');
         console.log(result.formattedData);
         
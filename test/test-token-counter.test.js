@@ -0,0 +1,44 @@
+const assert = require('assert');
+const TokenCounter = require('../services/tokenCounter');
+const BaseAIProvider = require('../services/aiProviders/baseAIProvider');
+
+function testTokenCounter() {
+    console.log('🧪 กำลังทดสอบการนับ token...');
+
+    try {
+        const counter = new TokenCounter();
+
+        // ค่าจาก BPE tokenizer จริง (o200k_base)
+        assert.strictEqual(counter.count('hold the position'), 3);
+        assert.strictEqual(counter.count(''), 0);
+        assert.strictEqual(counter.count(null), 0);
+        assert.strictEqual(counter.count('ราคาทองคำ'), 4);
+        assert.strictEqual(counter.count('VOO 12345'), 5);
+        assert.strictEqual(counter.count('ถือ\n\n- VOO: 4/10'), 10);
+        assert.strictEqual(counter.count('📈'), 2);
+        console.log('✅ นับ token ด้วย o200k_base');
+
+        // cl100k_base (GPT-4 รุ่นเดิม) แบ่งภาษาไทยละเอียดกว่า
+        const thai = 'ตลาดหุ้นสหรัฐปรับตัวขึ้นหลังธนาคารกลางคงอัตราดอกเบี้ย';
+        const legacy = new TokenCounter({ encoding: 'cl100k_base' });
+        assert.strictEqual(counter.count(thai), 21);
+        assert.strictEqual(legacy.count(thai), 54);
+        assert.strictEqual(legacy.count('hold the position'), 3);
+        assert.throws(() => new TokenCounter({ encoding: 'gpt2' }), /ไม่รองรับ encoding gpt2/);
+        console.log(`✅ ภาษาไทย ${thai.length} อักขระ = ${counter.count(thai)} tokens (cl100k_base ${legacy.count(thai)})`);
+
+        // provider ใช้ตัวนับเดียวกันในการประเมินขนาด prompt ก่อนส่ง
+        const provider = new BaseAIProvider('test');
+        assert.strictEqual(provider.estimateTokens(thai), counter.count(thai));
+        const custom = new BaseAIProvider('test', { tokenCounter: { count: text => text.length } });
+        assert.strictEqual(custom.estimateTokens('abc'), 3);
+        assert.deepStrictEqual(provider.createResponse('x', 10, 5, true).usage, { inputTokens: 10, outputTokens: 5, totalTokens: 15, tokenCount: 'exact' });
+        console.log('✅ provider ประเมิน token ด้วย TokenCounter');
+
+    } catch (error) {
+        console.error('❌ การทดสอบการนับ token ล้มเหลว:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+testTokenCounter();
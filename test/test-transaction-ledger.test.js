@@ -0,0 +1,118 @@
+const assert = require('assert');
+const path = require('path');
+const TransactionLedger = require('../services/transactionLedger');
+const StockRiskAnalyzer = require('../services/stockRiskAnalyzer');
+const FxService = require('../services/fxService');
+const ValuationEngine = require('../services/valuationEngine');
+
+const TRANSACTIONS_CSV = [
+    'date,action,type,symbol,quantity,price,total,fee,currency,app',
+    '2024-01-01,buy,หุ้น,VOO,1,100,,1,USD,Dime!',
+    '2024-02-01,buy,หุ้น,VOO,1,200,,1,USD,Dime!',
+    '2024-03-01,sell,หุ้น,VOO,1,250,,2,USD,Dime!',
+    '2024-03-15,dividend,หุ้น,VOO,,,5,,USD,Dime!',
+    '2024-04-01,buy,หุ้น,NVDA,2,50,,,USD,Dime!',
+    '2024-05-01,sell,หุ้น,NVDA,2,60,,,USD,Dime!',
+    '01/06/2567,ซื้อ,หุ้น,IVV,1,500,,,USD,Dime!',
+    '2024-07-01,sell,หุ้น,IVV,5,510,,,USD,Dime!',
+    '2024-07-02,transfer,หุ้น,IVV,1,510,,,USD,Dime!'
+].join('\n');
+
+async function testTransactionLedger() {
+    console.log('🧪 กำลังทดสอบรายการซื้อขายรายล็อต...');
+
+    try {
+        const fifoLedger = new TransactionLedger({ method: 'fifo' });
+        const parsed = fifoLedger.parse(TRANSACTIONS_CSV, { fileName: 'transactions.csv' });
+        assert.strictEqual(parsed.transactions.length, 8);
+        assert.strictEqual(parsed.errors.length, 1);
+        assert.strictEqual(parsed.errors[0].line, 10);
+        assert.strictEqual(parsed.transactions.find(t => t.symbol === 'IVV').date, '2024-06-01');
+        console.log('✅ อ่าน CSV ได้ วันที่ พ.ศ. แปลงถูก และแจ้งรายการที่ไม่รู้จัก');
+
+        // JSON: ระบุลำดับในรายการแทนบรรทัด รายการวันเดียวกันคงลำดับตามไฟล์
+        const jsonParsed = fifoLedger.parse(JSON.stringify({
+            transactions: [
+                { date: '2024-01-02', action: 'sell', symbol: 'VOO', quantity: 1, price: 120, currency: 'USD' },
+                { date: '2024-01-01', action: 'buy', symbol: 'VOO', quantity: 1, price: 100, currency: 'USD' },
+                { date: '2024-01-02', action: 'buy', symbol: 'VOO', quantity: 1, price: 110, currency: 'USD' },
+                { date: '2024-01-03', action: 'gift', symbol: 'VOO' }
+            ]
+        }), { format: 'json' });
+        assert.deepStrictEqual(jsonParsed.transactions.map(t => [t.item, t.line]), [[2, null], [1, null], [3, null]]);
+        assert.strictEqual(jsonParsed.errors[0].item, 4);
+        assert.strictEqual(fifoLedger.portfolioParser.formatLocation(jsonParsed.errors[0]), 'รายการที่ 4');
+        console.log('✅ อ่าน JSON ได้และแจ้งลำดับรายการที่ไม่รู้จัก');
+
+        const asOf = '2024-12-31';
+        const fifo = fifoLedger.buildPositions(parsed.transactions, asOf);
+        const voo = fifo.positions.VOO;
+        assert.strictEqual(voo.quantity, 1);
+        // FIFO: ขายล็อตแรก (ต้นทุน 101) ได้ 248 -> กำไร 147, เหลือล็อตสอง ต้นทุน 201
+        assert.strictEqual(voo.costBasis, 201);
+        assert.strictEqual(voo.realizedPL, 147);
+        assert.strictEqual(voo.dividends, 5);
+        assert.strictEqual(voo.lots.length, 1);
+        assert.strictEqual(voo.lots[0].date, '2024-02-01');
+        assert.strictEqual(voo.lots[0].holdingDays, 334);
+        assert.strictEqual(voo.closedLots[0].holdingDays, 60);
+        console.log(`✅ FIFO: ต้นทุน ${voo.costBasis}, กำไรที่รับรู้ ${voo.realizedPL}, ถือ ${voo.holdingDays} วัน`);
+
+        const average = new TransactionLedger({ method: 'average' }).buildPositions(parsed.transactions, asOf);
+        // ถัวเฉลี่ย: ต้นทุนเฉลี่ย 151 ขาย 1 หน่วยได้ 248 -> กำไร 97
+        assert.strictEqual(average.positions.VOO.costBasis, 151);
+        assert.strictEqual(average.positions.VOO.realizedPL, 97);
+        assert.strictEqual(average.positions.VOO.averageCost, 151);
+        console.log('✅ ถัวเฉลี่ย: ต้นทุนและกำไรที่รับรู้ต่างจาก FIFO ตามคาด');
+
+        assert.strictEqual(fifo.positions.NVDA.quantity, 0);
+        assert.strictEqual(fifo.positions.NVDA.realizedPL, 20);
+        assert.strictEqual(fifo.positions.IVV.quantity, 1);
+        assert.ok(fifo.errors[0].message.includes('มากกว่าที่ถืออยู่'));
+        console.log('✅ ขายหมดแล้วเหลือจำนวน 0 และขายเกินจำนวนถูกปฏิเสธ');
+
+        assert.throws(() => new TransactionLedger({ method: 'lifo' }), /ไม่รองรับวิธีคิดต้นทุน/);
+
+        // รายงานใช้ต้นทุนจริงแทนราคาซื้อในชีต
+        const valuationEngine = new ValuationEngine(new FxService({
+            mode: 'fixture',
+            fixtureFile: path.join(__dirname, 'fixtures/prices.json')
+        }), 'USD');
+        await valuationEngine.prepare();
+        const analyzer = new StockRiskAnalyzer(null, null, null, valuationEngine);
+        const stockList = analyzer.applyPositions([
+            { type: 'หุ้น', symbol: 'VOO', amount: 5, price: 999, currency: 'USD', app: 'Dime!' }
+        ], fifo.positions);
+        assert.strictEqual(stockList.length, 2);
+        assert.strictEqual(stockList[0].amount, 1);
+
+        // ชีตไม่ระบุแอพ: ใช้แอพจากรายการซื้อขาย
+        const withoutApp = analyzer.applyPositions([{ type: 'หุ้น', symbol: 'VOO', amount: 5, price: 999, currency: 'USD', app: null }], fifo.positions);
+        assert.strictEqual(withoutApp[0].app, 'Dime!');
+
+        const metrics = analyzer.calculateFinancialMetrics(stockList[0], { price: 250, currency: 'USD' });
+        assert.strictEqual(metrics.purchaseValue, 201);
+        assert.strictEqual(metrics.unrealizedGainLoss, 49);
+        assert.strictEqual(metrics.totalGainLoss, 49 + 147 + 5);
+
+        const analysis = [{
+            symbol: 'VOO', type: 'หุ้น', ...metrics,
+            riskProfile: analyzer.getStockRiskProfile('VOO'),
+            overallRisk: { score: 3, level: 'ต่ำ' },
+            appAnalysis: null,
+            newsAnalysis: { riskNews: [] },
+            recommendation: '-'
+        }];
+        const report = analyzer.generateRiskReport(analysis, fifo.positions);
+        assert.ok(report.includes('ต้นทุน (FIFO): $201.00'));
+        assert.ok(report.includes('ล็อต 2024-02-01'));
+        assert.ok(report.includes('ขายปิดสถานะแล้ว: NVDA'));
+        console.log('✅ รายงานแสดงต้นทุนรายล็อต กำไรที่รับรู้ และสถานะที่ปิดแล้ว');
+
+    } catch (error) {
+        console.error('❌ การทดสอบรายการซื้อขายล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testTransactionLedger();
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FxService = require('../services/fxService');
+const ValuationEngine = require('../services/valuationEngine');
+const CostTracker = require('../services/costTracker');
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures/prices.json');
+
+async function testValuationEngine() {
+    console.log('🧪 กำลังทดสอบการแปลงมูลค่าหลายสกุลเงิน...');
+
+    try {
+        const fxService = new FxService({ mode: 'fixture', fixtureFile: FIXTURE_FILE });
+        const engine = new ValuationEngine(fxService, 'THB');
+        await engine.prepare();
+
+        // ทุกรายการแปลงเป็นบาทด้วยอัตราเดียวกัน (1 USD = 36.5 THB)
+        const btc = engine.valueHolding(
+            { type: 'สกุลเงินคริปโต', symbol: 'BTC', amount: 0.001, price: 3000, currency: 'THB' },
+            { price: 95000, currency: 'USD' }
+        );
+        assert.strictEqual(btc.currentValue, 0.001 * 95000 * 36.5);
+        assert.strictEqual(btc.purchaseValue, 3000);
+        assert.strictEqual(btc.currency, 'THB');
+
+        const nvda = engine.valueHolding(
+            { type: 'หุ้น', symbol: 'NVDA', amount: 0.1, price: 15, currency: 'USD' },
+            { price: 200, currency: 'USD' }
+        );
+        assert.strictEqual(nvda.purchaseValue, 15 * 36.5);
+        assert.ok(Math.abs(nvda.returnPercentage - 33.33) < 0.01);
+
+        const gold = engine.valueHolding(
+            { type: 'ทอง', symbol: 'ทอง', amount: 0.5, price: 20000, currency: 'THB' },
+            { price: 52000, currency: 'THB' }
+        );
+        assert.strictEqual(gold.currentValue, 26000);
+        assert.strictEqual(gold.returnPercentage, 30);
+        console.log(`✅ คริปโต หุ้น ทอง แปลงเป็นบาท: BTC ${engine.formatMoney(btc.currentValue)}, NVDA ${engine.formatMoney(nvda.currentValue)}`);
+
+        // ค่าใช้จ่าย API ใช้อัตราชุดเดียวกับมูลค่าพอร์ต
+        const costTracker = new CostTracker(fxService);
+        assert.strictEqual(await costTracker.getExchangeRate(), 36.5);
+        assert.ok(engine.describeRate().includes('1 USD = 36.50 THB (fixture'));
+        console.log(`✅ อัตราเดียวกันทั้งรายงานและค่าใช้จ่าย: ${engine.describeRate()}`);
+
+        const usdEngine = new ValuationEngine(fxService, 'USD');
+        assert.strictEqual(usdEngine.valueHolding(
+            { type: 'ทอง', symbol: 'ทอง', amount: 1, price: 36500, currency: 'THB' },
+            { price: 36500, currency: 'THB' }
+        ).currentValue, 1000);
+        assert.strictEqual(usdEngine.formatWithAlternate(1000), '$1,000.00 (≈36,500 บาท)');
+        assert.throws(() => new ValuationEngine(fxService, 'JPY'), /ไม่รองรับสกุลเงินหลัก/);
+        console.log('✅ สกุลเงินหลัก USD');
+
+        // ดึงอัตราสดไม่ได้ -> ใช้ไฟล์ cache พร้อมเวลาเดิม
+        const cacheFile = path.join(os.tmpdir(), `fx-rates-${process.pid}.json`);
+        fs.writeFileSync(cacheFile, JSON.stringify({
+            base: 'USD',
+            rates: { USD: 1, THB: 33.25 },
+            source: 'api.exchangerate-api.com',
+            timestamp: '2026-10-01T00:00:00.000Z'
+        }));
+        try {
+            const offline = new FxService({ apiUrl: 'http://127.0.0.1:9/latest', cacheFile });
+            const snapshot = await offline.loadSnapshot();
+            assert.strictEqual(snapshot.stale, true);
+            assert.strictEqual(snapshot.timestamp, '2026-10-01T00:00:00.000Z');
+            assert.strictEqual(offline.getRate('USD', 'THB'), 33.25);
+            assert.ok(snapshot.source.includes('(cache)'));
+            console.log(`✅ ใช้อัตราที่บันทึกไว้เมื่อดึงไม่ได้: ${offline.describe()}`);
+
+            // อัตราที่บันทึกไว้ไม่มี JPY: ไม่คิดมูลค่าตัวนั้นแต่ไม่หยุดการรัน
+            const offlineEngine = new ValuationEngine(offline, 'THB');
+            const yen = offlineEngine.valueHolding({ symbol: 'NVDA', amount: 1, price: 20000, currency: 'JPY' }, { price: 180, currency: 'USD' });
+            assert.deepStrictEqual([yen.currentValue, yen.status, yen.missingRates], [0, 'ไม่สามารถคำนวณได้', ['JPY/THB']]);
+            assert.strictEqual(offlineEngine.valueHolding({ symbol: 'VOO', amount: 1, price: 500, currency: 'USD' }, { price: 600, currency: 'USD' }).currentValue, 600 * 33.25);
+            console.log('✅ ไม่มีอัตราแลกเปลี่ยน: ข้ามการคิดมูลค่าเฉพาะตัวนั้น');
+        } finally {
+            fs.unlinkSync(cacheFile);
+        }
+
+    } catch (error) {
+        console.error('❌ การทดสอบการแปลงมูลค่าล้มเหลว:', error.message);
+        process.exit(1);
+    }
+}
+
+testValuationEngine();